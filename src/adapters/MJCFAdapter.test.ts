@@ -0,0 +1,289 @@
+import { describe, it, expect } from 'vitest';
+import { MJCFAdapter } from './MJCFAdapter.js';
+import { UnifiedRobotModel, Joint, JointPose, isMultiDofJoint } from '../models/UnifiedRobotModel.js';
+import { computeHeightfieldVertices } from '../utils/TerrainUtils.js';
+import { generateBuiltinTexture } from '../utils/TextureUtils.js';
+
+function parse(xml) {
+    return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+describe('MJCFAdapter', () => {
+    it('should parse actuators, sensors and tendons', () => {
+        const doc = parse(`
+<mujoco>
+  <default>
+    <default class="arm">
+      <position kp="50" ctrlrange="-1 1"/>
+    </default>
+  </default>
+  <worldbody>
+    <body name="upper">
+      <site name="imu"/>
+      <body name="lower"/>
+    </body>
+  </worldbody>
+  <tendon>
+    <fixed name="couple" range="0 1">
+      <joint joint="elbow" coef="0.5"/>
+    </fixed>
+  </tendon>
+  <actuator>
+    <motor name="elbow_motor" joint="elbow" gear="20" forcerange="-5 5"/>
+    <position name="elbow_servo" class="arm" joint="elbow"/>
+    <general name="pull" tendon="couple"/>
+  </actuator>
+  <sensor>
+    <jointpos name="elbow_pos" joint="elbow" noise="0.01"/>
+    <accelerometer name="acc" site="imu"/>
+  </sensor>
+</mujoco>`);
+
+        const model = new UnifiedRobotModel();
+        const elbow = new Joint('elbow', 'revolute');
+        elbow.parent = 'upper';
+        elbow.child = 'lower';
+        model.addJoint(elbow);
+
+        MJCFAdapter.applyDefaults(doc);
+        const elementBodies = MJCFAdapter.collectElementBodies(doc);
+        MJCFAdapter.parseActuators(doc, model);
+        MJCFAdapter.parseSensors(doc, model, elementBodies);
+        MJCFAdapter.parseTendons(doc, model, elementBodies);
+
+        const motor = model.getActuator('elbow_motor');
+        expect(motor.targetType).toBe('joint');
+        expect(motor.target).toBe('elbow');
+        expect(motor.gear).toEqual([20, 0, 0, 0, 0, 0]);
+        expect(motor.forceRange).toEqual([-5, 5]);
+
+        // Class defaults apply to actuators
+        const servo = model.getActuator('elbow_servo');
+        expect(servo.kp).toBe(50);
+        expect(servo.ctrlRange).toEqual([-1, 1]);
+
+        expect(model.getActuator('pull').targetType).toBe('tendon');
+
+        expect(model.getSensor('elbow_pos').noise).toBe(0.01);
+        expect(model.getSensor('acc').body).toBe('upper');
+
+        const tendon = model.getTendon('couple');
+        expect(tendon.range).toEqual([0, 1]);
+        expect(tendon.elements[0]).toMatchObject({ type: 'joint', name: 'elbow', coef: 0.5, body: 'lower' });
+    });
+
+    it('should resolve nested default classes and body childclass', () => {
+        const doc = parse(`
+<mujoco>
+  <default>
+    <joint damping="1" axis="0 1 0"/>
+    <geom rgba="1 0 0 1" euler="0 0 1"/>
+    <default class="arm">
+      <joint range="-1 1" armature="0.1"/>
+      <default class="wrist">
+        <joint damping="0.5"/>
+        <geom type="capsule" size="0.02 0.1"/>
+      </default>
+    </default>
+  </default>
+  <worldbody>
+    <body name="base" childclass="arm">
+      <joint name="shoulder"/>
+      <body name="hand">
+        <joint name="roll" class="wrist" axis="1 0 0"/>
+        <geom name="finger" class="wrist" fromto="0 0 0 0 0 0.1"/>
+        <geom name="palm" quat="1 0 0 0"/>
+      </body>
+    </body>
+    <body name="free">
+      <joint name="plain"/>
+    </body>
+  </worldbody>
+</mujoco>`);
+
+        MJCFAdapter.applyDefaults(doc);
+        const attr = (name, attribute) => doc.querySelector(`[name="${name}"]`).getAttribute(attribute);
+
+        // childclass propagates to nested bodies, class overrides it, main applies elsewhere
+        expect(attr('shoulder', 'range')).toBe('-1 1');
+        expect(attr('shoulder', 'damping')).toBe('1');
+        expect(attr('roll', 'damping')).toBe('0.5');
+        expect(attr('roll', 'armature')).toBe('0.1');
+        expect(attr('roll', 'axis')).toBe('1 0 0');
+        expect(attr('plain', 'range')).toBeNull();
+        expect(attr('plain', 'axis')).toBe('0 1 0');
+
+        // Explicit fromto / orientation replace inherited orientation
+        expect(attr('finger', 'type')).toBe('capsule');
+        expect(attr('finger', 'euler')).toBeNull();
+        expect(attr('palm', 'euler')).toBeNull();
+        expect(attr('palm', 'rgba')).toBe('1 0 0 1');
+    });
+
+    it('should apply compiler angle, eulerseq, meshdir and autolimits', () => {
+        const doc = parse(`
+<mujoco>
+  <compiler angle="degree" eulerseq="ZYX" assetdir="assets" autolimits="false"/>
+  <asset>
+    <mesh name="shell" file="shell.stl"/>
+  </asset>
+  <worldbody>
+    <body name="base" euler="90 0 0">
+      <joint name="free_range" range="-90 90"/>
+      <joint name="limited_range" range="-90 90" limited="true"/>
+      <geom name="tilted" axisangle="1 0 0 90"/>
+    </body>
+  </worldbody>
+</mujoco>`);
+
+        const compiler = MJCFAdapter.parseCompiler(doc);
+        expect(compiler.meshdir).toBe('assets');
+        MJCFAdapter.applyCompiler(doc, compiler);
+        const el = (name) => doc.querySelector(`[name="${name}"]`);
+
+        // Degrees become radians; fixed-axis ZYX with a single Z angle is a yaw
+        const base = MJCFAdapter.parseOrigin(el('base'));
+        expect(base.rpy[2]).toBeCloseTo(Math.PI / 2, 9);
+        expect(base.rpy[0]).toBeCloseTo(0, 9);
+        expect(MJCFAdapter.parseOrigin(el('tilted')).rpy[0]).toBeCloseTo(Math.PI / 2, 9);
+
+        expect(el('free_range').getAttribute('limited')).toBe('false');
+        expect(el('limited_range').getAttribute('range').split(' ').map(Number)[1]).toBeCloseTo(Math.PI / 2, 9);
+
+        expect(MJCFAdapter.parseAssets(doc, compiler).get('shell').path).toBe('assets/shell.stl');
+    });
+
+    it('should compose frames into children and collect sites and cameras', () => {
+        const doc = parse(`
+<mujoco>
+  <compiler angle="radian"/>
+  <worldbody>
+    <camera name="overview" pos="0 -2 1" xyaxes="1 0 0 0 0 1" fovy="60"/>
+    <body name="base">
+      <frame pos="1 0 0" euler="0 0 1.5707963267948966">
+        <frame pos="0 1 0">
+          <site name="tip" pos="0.5 0 0" size="0.01" rgba="0 1 0 1"/>
+        </frame>
+        <joint name="hinge" axis="1 0 0"/>
+      </frame>
+    </body>
+  </worldbody>
+</mujoco>`);
+
+        MJCFAdapter.applyDefaults(doc);
+        MJCFAdapter.applyCompiler(doc);
+        MJCFAdapter.flattenFrames(doc);
+        expect(doc.querySelector('frame')).toBeNull();
+
+        const model = new UnifiedRobotModel();
+        MJCFAdapter.parseSites(doc, model);
+        MJCFAdapter.parseCameras(doc, model);
+
+        // Outer frame's 90° yaw rotates the inner frame offset back onto the body origin
+        // and turns the site's local X offset into Y
+        const tip = model.getSite('tip');
+        expect(tip.body).toBe('base');
+        [0, 0.5, 0].forEach((v, i) => expect(tip.origin.xyz[i]).toBeCloseTo(v, 9));
+        expect(tip.size).toEqual([0.01, 0.01, 0.01]);
+        expect(tip.rgba).toEqual([0, 1, 0, 1]);
+
+        const axis = doc.querySelector('[name="hinge"]').getAttribute('axis').split(' ').map(Number);
+        expect(axis[1]).toBeCloseTo(1, 9);
+
+        const camera = model.getCamera('overview');
+        expect(camera.body).toBe('worldbody');
+        expect(camera.fovy).toBe(60);
+        expect(camera.origin.rpy[0]).toBeCloseTo(Math.PI / 2, 9);
+    });
+
+    it('should parse heightfield, ellipsoid and plane geoms', () => {
+        const doc = parse(`
+<mujoco>
+  <compiler meshdir="terrain"/>
+  <asset>
+    <hfield name="steps" nrow="2" ncol="3" elevation="0 1 2 2 3 4" size="1 0.5 0.2 0.1"/>
+    <hfield file="hills.png" size="10 10 1 0.5"/>
+  </asset>
+  <worldbody>
+    <geom name="ground" type="plane" size="0 0 0.1"/>
+    <geom name="stairs" type="hfield" hfield="steps"/>
+    <geom name="egg" type="ellipsoid" size="0.1 0.2 0.3"/>
+  </worldbody>
+</mujoco>`);
+
+        const hfieldMap = MJCFAdapter.parseHeightfields(doc, MJCFAdapter.parseCompiler(doc));
+        expect(hfieldMap.get('hills')).toMatchObject({ path: 'terrain/hills.png', data: null, size: [10, 10, 1, 0.5] });
+
+        // Inline elevation is normalized to [0, 1] like MuJoCo does
+        const steps = hfieldMap.get('steps');
+        expect(Array.from(steps.data)).toEqual([0, 0.25, 0.5, 0.5, 0.75, 1]);
+
+        const geom = (name) => MJCFAdapter.parseGeom(doc.querySelector(`[name="${name}"]`), null, hfieldMap);
+        expect(geom('ground').size).toEqual({ x: 0, y: 0 });
+        expect(geom('egg').size).toEqual({ x: 0.1, y: 0.2, z: 0.3 });
+
+        // Rows run along +Y, columns along +X, elevation scales by size[2]
+        const vertices = computeHeightfieldVertices(geom('stairs').hfield);
+        expect(Array.from(vertices.slice(0, 3))).toEqual([-1, -0.5, 0]);
+        expect(vertices[15]).toBeCloseTo(1, 6);
+        expect(vertices[16]).toBeCloseTo(0.5, 6);
+        expect(vertices[17]).toBeCloseTo(0.2, 6);
+    });
+
+    it('should attach textures and texrepeat to materials', () => {
+        const doc = parse(`
+<mujoco>
+  <compiler texturedir="textures"/>
+  <asset>
+    <texture name="grid" type="2d" builtin="checker" rgb1="1 1 1" rgb2="0 0 0" width="4" height="4"/>
+    <texture file="wood.png" type="2d"/>
+    <material name="floor" texture="grid" texrepeat="5 5" texuniform="true"/>
+    <material name="panel"><layer texture="wood" role="rgb"/></material>
+  </asset>
+  <worldbody>
+    <geom name="tile" type="box" material="floor" rgba="1 0 0 1"/>
+  </worldbody>
+</mujoco>`);
+
+        const textureMap = MJCFAdapter.parseTextures(doc, MJCFAdapter.parseCompiler(doc));
+        expect(textureMap.get('wood').path).toBe('textures/wood.png');
+
+        const materialMap = MJCFAdapter.parseMaterials(doc, textureMap);
+        expect(materialMap.get('panel').texture.name).toBe('wood');
+
+        // Textures still apply when the geom overrides the color
+        const texture = MJCFAdapter.getGeomTexture(doc.querySelector('[name="tile"]'), materialMap);
+        expect(texture).toMatchObject({ name: 'grid', builtin: 'checker', repeat: [5, 5], uniform: true });
+
+        // Checker quadrants: rgb1 top-left and bottom-right, rgb2 elsewhere
+        const { width, data } = generateBuiltinTexture(texture);
+        const pixel = (r, c) => data[(r * width + c) * 4];
+        expect([pixel(0, 0), pixel(0, 3), pixel(3, 0), pixel(3, 3)]).toEqual([255, 0, 0, 255]);
+    });
+
+    it('should parse free joints as posed multi-DOF joints', () => {
+        const doc = parse(`
+<mujoco>
+  <worldbody>
+    <body name="torso">
+      <freejoint name="root"/>
+      <body name="cart">
+        <joint name="drift" type="free"/>
+        <joint name="spin" type="ball"/>
+      </body>
+    </body>
+  </worldbody>
+</mujoco>`);
+
+        const model = new UnifiedRobotModel();
+        MJCFAdapter.parseJoints(doc.querySelector('worldbody'), new Map(), model);
+
+        const root = model.getJoint('root');
+        expect(root).toMatchObject({ type: 'free', parent: 'worldbody', child: 'torso' });
+        expect(isMultiDofJoint(root)).toBe(true);
+        expect(root.pose).toEqual(new JointPose());
+
+        expect(model.getJoint('drift').type).toBe('free');
+        expect(isMultiDofJoint(model.getJoint('spin'))).toBe(false);
+    });
+});
@@ -2,9 +2,47 @@
  * MJCF Adapter
  * Parses MJCF XML and converts to unified model
  */
-import { UnifiedRobotModel, Link, Joint, JointLimits, VisualGeometry, CollisionGeometry, InertialProperties, GeometryType, Constraint } from '../models/UnifiedRobotModel.js';
+import { UnifiedRobotModel, Link, Joint, JointLimits, JointPose, VisualGeometry, CollisionGeometry, InertialProperties, GeometryType, Constraint, Actuator, Sensor, Tendon, Site, Camera } from '../models/UnifiedRobotModel.js';
 import * as THREE from 'three';
 import { loadMeshFile, ensureMeshHasPhongMaterial, getLoaders } from '../utils/MeshLoader.js';
+import { normalizeElevation, loadHeightfieldImage, createHeightfieldGeometry, createPlaneGeometry } from '../utils/TerrainUtils.js';
+import { createMJCFTexture, withTextureRepeat } from '../utils/TextureUtils.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { LoadDiagnostics } from '../loaders/LoadDiagnostics.js';
+
+// Actuator element tags (shortcuts all map onto <general>)
+const ACTUATOR_TAGS = ['general', 'motor', 'position', 'velocity', 'intvelocity', 'damper', 'cylinder', 'muscle', 'adhesion'];
+// Worldbody elements that take default classes
+const BODY_DEFAULT_TAGS = ['geom', 'joint', 'site', 'camera', 'light'];
+// Alternative orientation specifiers (only one may be in effect)
+const ORIENTATION_ATTRS = ['quat', 'axisangle', 'euler', 'xyaxes', 'zaxis'];
+
+function normalizeVector(v) {
+    const length = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]) || 1;
+    return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+function crossVector(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+// Rotate vector by wxyz quaternion
+function rotateVector(q, v) {
+    const [w, x, y, z] = q;
+    const norm = Math.sqrt(w * w + x * x + y * y + z * z) || 1;
+    const p = multiplyQuaternions(multiplyQuaternions(q, [0, v[0], v[1], v[2]]), [w, -x, -y, -z]);
+    return [p[1] / (norm * norm), p[2] / (norm * norm), p[3] / (norm * norm)];
+}
+
+// Hamilton product of wxyz quaternions
+function multiplyQuaternions(a, b) {
+    return [
+        a[0] * b[0] - a[1] * b[1] - a[2] * b[2] - a[3] * b[3],
+        a[0] * b[1] + a[1] * b[0] + a[2] * b[3] - a[3] * b[2],
+        a[0] * b[2] - a[1] * b[3] + a[2] * b[0] + a[3] * b[1],
+        a[0] * b[3] + a[1] * b[2] - a[2] * b[1] + a[3] * b[0]
+    ];
+}
 
 export class MJCFAdapter {
     /**
@@ -41,7 +79,7 @@ export class MJCFAdapter {
             const filePath = includeEl.getAttribute('file');
 
             if (!filePath) {
-                console.warn('Include tag missing file attribute');
+                LoadDiagnostics.warn('ignoredElement', 'Include tag missing file attribute', { reference: '<include' });
                 includeEl.remove();
                 continue;
             }
@@ -66,7 +104,7 @@ export class MJCFAdapter {
                             console.log(`Found included file: ${path}`);
                             break;
                         } catch (e) {
-                            console.warn(`Failed to read included file ${path}:`, e);
+                            LoadDiagnostics.warn('parseWarning', `Failed to read included file ${path}`, { target: path, cause: e });
                         }
                     }
 
@@ -78,7 +116,7 @@ export class MJCFAdapter {
                                 console.log(`Found included file (case-insensitive): ${key}`);
                                 break;
                             } catch (e) {
-                                console.warn(`Failed to read included file ${key}:`, e);
+                                LoadDiagnostics.warn('parseWarning', `Failed to read included file ${key}`, { target: key, cause: e });
                             }
                         }
                     }
@@ -87,7 +125,7 @@ export class MJCFAdapter {
             }
 
             if (!includedContent) {
-                console.warn(`Could not find included file: ${filePath}`);
+                LoadDiagnostics.warn('missingFile', `Could not find included file: ${filePath}`, { reference: filePath });
                 includeEl.remove();
                 continue;
             }
@@ -97,7 +135,7 @@ export class MJCFAdapter {
             const includedParseError = includedDoc.querySelector('parsererror');
 
             if (includedParseError) {
-                console.warn(`Failed to parse included file ${filePath}:`, includedParseError.textContent);
+                LoadDiagnostics.warn('parseWarning', `Failed to parse included file ${filePath}`, { reference: filePath, target: filePath, cause: includedParseError.textContent });
                 includeEl.remove();
                 continue;
             }
@@ -106,7 +144,7 @@ export class MJCFAdapter {
             const includedRoot = includedDoc.querySelector('mujoco');
 
             if (!includedRoot) {
-                console.warn(`Included file ${filePath} has no mujoco root element`);
+                LoadDiagnostics.warn('ignoredElement', `Included file ${filePath} has no mujoco root element`, { reference: filePath });
                 includeEl.remove();
                 continue;
             }
@@ -164,16 +202,21 @@ export class MJCFAdapter {
         const model = new UnifiedRobotModel();
         model.name = 'mujoco_model';
 
-        // Parse default values and class definitions in default tags first
-        // (needed for mesh scale inheritance)
-        const { classDefaults, rootDefaults } = this.parseDefaults(doc);
+        // Resolve default classes first, so every element carries its effective attributes,
+        // then normalize angles, orientations and limits according to <compiler>
+        // and compose <frame> poses into their children
+        this.applyDefaults(doc);
+        const compiler = this.parseCompiler(doc);
+        this.applyCompiler(doc, compiler);
+        this.flattenFrames(doc);
 
         // Parse mesh definitions in asset tags (build mesh name to file path mapping)
-        // Pass classDefaults and rootDefaults to inherit mesh scale
-        const meshMap = this.parseAssets(doc, classDefaults, rootDefaults);
+        const meshMap = this.parseAssets(doc, compiler);
+        const hfieldMap = this.parseHeightfields(doc, compiler);
 
-        // Parse material definitions in material tags
-        const materialMap = this.parseMaterials(doc);
+        // Parse texture and material definitions
+        const textureMap = this.parseTextures(doc, compiler);
+        const materialMap = this.parseMaterials(doc, textureMap);
 
         // Get worldbody (root node)
         const worldbody = doc.querySelector('worldbody');
@@ -190,31 +233,23 @@ export class MJCFAdapter {
             const seenMeshes = new Set();
 
             worldbodyGeoms.forEach((geomEl, geomIndex) => {
-                // Get inherited properties from default class
-                const inheritedProps = this.getGeomInheritedProperties(geomEl, classDefaults, rootDefaults);
-
+                // Default classes are already applied, so attributes include inherited values
                 const group = geomEl.getAttribute('group');
-                // Use inherited group if not explicitly defined
-                const groupNum = group !== null ? parseInt(group) : 
-                    (inheritedProps.group !== null ? inheritedProps.group : 0);
+                const groupNum = group !== null ? parseInt(group) : 0;
                 const geomName = (geomEl.getAttribute('name') || '').toLowerCase();
-                const hasRgba = geomEl.hasAttribute('rgba') || inheritedProps.rgba !== null;
+                const hasRgba = geomEl.hasAttribute('rgba');
                 const meshRef = geomEl.getAttribute('mesh');
                 
-                // Use inherited contype/conaffinity if not explicitly defined
                 const contype = geomEl.getAttribute('contype');
                 const conaffinity = geomEl.getAttribute('conaffinity');
                 const density = geomEl.getAttribute('density');
-                const contypeNum = contype !== null ? parseInt(contype) : 
-                    (inheritedProps.contype !== null ? inheritedProps.contype : null);
-                const conaffinityNum = conaffinity !== null ? parseInt(conaffinity) : 
-                    (inheritedProps.conaffinity !== null ? inheritedProps.conaffinity : null);
-                const densityNum = density !== null ? parseFloat(density) : 
-                    (inheritedProps.density !== null ? inheritedProps.density : null);
+                const contypeNum = contype !== null ? parseInt(contype) : null;
+                const conaffinityNum = conaffinity !== null ? parseInt(conaffinity) : null;
+                const densityNum = density !== null ? parseFloat(density) : null;
 
                 // Determine if collision or visual (same logic as in parseBodies)
                 let isCollisionGeom = false;
-                if (!meshRef) {
+                if (!meshRef && geomEl.getAttribute('type') !== 'hfield') {
                     isCollisionGeom = true;
                 } else {
                     if (contypeNum === 0 && conaffinityNum === 0) {
@@ -242,7 +277,7 @@ export class MJCFAdapter {
                     }
                 }
 
-                const geom = this.parseGeom(geomEl, meshMap);
+                const geom = this.parseGeom(geomEl, meshMap, hfieldMap);
                 if (geom) {
                     if (isCollisionGeom) {
                         const collision = new CollisionGeometry();
@@ -259,7 +294,7 @@ export class MJCFAdapter {
                         visual.name = geomEl.getAttribute('name') || `worldbody_geom_${geomIndex}`;
                         visual.origin = this.parseOrigin(geomEl);
 
-                        // Parse rgba (priority: explicit > inherited)
+                        // Parse rgba (explicit or inherited from default class)
                         let rgba = null;
                         if (geomEl.hasAttribute('rgba')) {
                             const rgbaStr = geomEl.getAttribute('rgba');
@@ -272,8 +307,6 @@ export class MJCFAdapter {
                                     a: rgbaVals.length >= 4 ? rgbaVals[3] : 1.0
                                 };
                             }
-                        } else if (inheritedProps.rgba) {
-                            rgba = inheritedProps.rgba;
                         }
 
                         visual.userData = {
@@ -281,7 +314,8 @@ export class MJCFAdapter {
                             hasRgba: hasRgba || !!rgba,
                             rgba: rgba,
                             meshRef: meshRef,
-                            geomType: geomEl.getAttribute('type') || (meshRef ? 'mesh' : 'box')
+                            geomType: geomEl.getAttribute('type') || (meshRef ? 'mesh' : 'box'),
+                            texture: this.getGeomTexture(geomEl, materialMap)
                         };
                         worldbodyLink.visuals.push(visual);
                     }
@@ -294,16 +328,24 @@ export class MJCFAdapter {
             }
         }
 
-        // Parse all bodies (links), pass meshMap, materialMap, classDefaults and rootDefaults
+        // Parse all bodies (links), pass mesh, material and hfield maps
         const bodyMap = new Map();
-        this.parseBodies(worldbody, null, bodyMap, model, null, meshMap, null, materialMap, classDefaults, rootDefaults);
+        this.parseBodies(worldbody, null, bodyMap, model, null, meshMap, null, materialMap, hfieldMap);
 
         // Parse all joints
-        this.parseJoints(worldbody, bodyMap, model, null, classDefaults);
+        this.parseJoints(worldbody, bodyMap, model, null);
 
         // Parse equality constraints (closed-chain constraints for parallel mechanisms)
         this.parseEquality(doc, model);
 
+        // Parse actuation and instrumentation
+        const elementBodies = this.collectElementBodies(doc);
+        this.parseActuators(doc, model);
+        this.parseSensors(doc, model, elementBodies);
+        this.parseTendons(doc, model, elementBodies);
+        this.parseSites(doc, model);
+        this.parseCameras(doc, model);
+
         // Find root body
         // Priority: worldbody link > bodies without parent joints > first link
         const worldbodyLink = model.links.get('worldbody');
@@ -328,13 +370,12 @@ export class MJCFAdapter {
 
     /**
      * Parse mesh definitions in asset tags
-     * @param {Document} doc - XML document
-     * @param {Map} classDefaults - Class default properties map (optional)
-     * @param {object} rootDefaults - Root default properties (optional)
+     * @param {Document} doc - XML document (with default classes applied)
+     * @param {object} compiler - Compiler settings (meshdir is prepended to relative files)
      * @returns {Map<string, object>} Mapping from mesh names to mesh data
      * Mesh data can be: { type: 'file', path: string, scale: [x,y,z] } or { type: 'vertex', vertices: Float32Array, scale: [x,y,z] }
      */
-    static parseAssets(doc, classDefaults = null, rootDefaults = null) {
+    static parseAssets(doc, compiler = null) {
         const meshMap = new Map();
         const asset = doc.querySelector('asset');
         if (!asset) {
@@ -347,12 +388,9 @@ export class MJCFAdapter {
             const file = meshEl.getAttribute('file');
             const vertex = meshEl.getAttribute('vertex');
             const scale = meshEl.getAttribute('scale');
-            const meshClass = meshEl.getAttribute('class');
 
-            // Parse scale (priority: direct attribute > class inheritance > root defaults > [1,1,1])
+            // Parse scale (explicit or inherited from default class, else [1,1,1])
             let scaleVec = [1, 1, 1];
-            
-            // First check direct scale attribute
             if (scale) {
                 const scaleValues = scale.trim().split(/\s+/).map(parseFloat);
                 if (scaleValues.length === 1) {
@@ -360,15 +398,6 @@ export class MJCFAdapter {
                 } else if (scaleValues.length === 3) {
                     scaleVec = scaleValues;
                 }
-            } else if (meshClass && classDefaults && classDefaults.has(meshClass)) {
-                // Try to inherit scale from class defaults
-                const classDefault = classDefaults.get(meshClass);
-                if (classDefault.mesh && classDefault.mesh.scale) {
-                    scaleVec = classDefault.mesh.scale;
-                }
-            } else if (rootDefaults && rootDefaults.mesh && rootDefaults.mesh.scale) {
-                // Fall back to root defaults (e.g., robotis_op3)
-                scaleVec = rootDefaults.mesh.scale;
             }
 
             // If has vertex attribute, it's an inline-defined mesh
@@ -398,11 +427,11 @@ export class MJCFAdapter {
 
                 meshMap.set(name, {
                     type: 'file',
-                    path: file,
+                    path: this.resolveAssetPath(compiler?.meshdir, file),
                     scale: scaleVec
                 });
             } else {
-                console.warn('MJCF mesh element missing file or vertex attribute, skipping');
+                LoadDiagnostics.warn('ignoredElement', 'MJCF mesh element missing file or vertex attribute, skipping', { reference: name ? `name="${name}"` : null });
                 return;
             }
         });
@@ -410,12 +439,119 @@ export class MJCFAdapter {
         return meshMap;
     }
 
+    /**
+     * Parse heightfield definitions in asset tags
+     * @param {Document} doc - XML document
+     * @param {object} compiler - Compiler settings (meshdir also applies to hfield files)
+     * @returns {Map<string, object>} Mapping from hfield names to
+     * { path: string|null, nrow, ncol, data: Float32Array|null, size: [rx, ry, elevation, base] }
+     * Image-backed hfields keep data null until the image is decoded at render time
+     */
+    static parseHeightfields(doc, compiler = null) {
+        const hfieldMap = new Map();
+        doc.querySelectorAll('asset > hfield').forEach((hfieldEl, index) => {
+            const file = hfieldEl.getAttribute('file');
+            const name = hfieldEl.getAttribute('name')
+                || (file ? file.split('/').pop().split('\\').pop().split('.')[0] : `hfield_${index}`);
+
+            const size = (hfieldEl.getAttribute('size') || '').trim().split(/\s+/).map(parseFloat);
+            if (size.length < 4 || size.some(isNaN)) {
+                LoadDiagnostics.warn('ignoredElement', `MJCF hfield "${name}" requires size="radius_x radius_y elevation_z base_z", skipping`, { reference: `name="${name}"` });
+                return;
+            }
+
+            if (file) {
+                hfieldMap.set(name, {
+                    path: this.resolveAssetPath(compiler?.meshdir, file),
+                    nrow: 0,
+                    ncol: 0,
+                    data: null,
+                    size
+                });
+                return;
+            }
+
+            const nrow = parseInt(hfieldEl.getAttribute('nrow') || '0');
+            const ncol = parseInt(hfieldEl.getAttribute('ncol') || '0');
+            if (nrow < 2 || ncol < 2) {
+                LoadDiagnostics.warn('ignoredElement', `MJCF hfield "${name}" missing file or nrow/ncol, skipping`, { reference: `name="${name}"` });
+                return;
+            }
+
+            // Without elevation the terrain is flat (MuJoCo expects it to be filled at runtime)
+            const elevation = hfieldEl.getAttribute('elevation');
+            let values: number[] = new Array(nrow * ncol).fill(0);
+            if (elevation) {
+                values = elevation.trim().split(/\s+/).map(parseFloat);
+                if (values.length !== nrow * ncol) {
+                    LoadDiagnostics.warn('ignoredElement', `MJCF hfield "${name}" elevation has ${values.length} values, expected ${nrow * ncol}, skipping`, { reference: `name="${name}"` });
+                    return;
+                }
+            }
+
+            hfieldMap.set(name, { path: null, nrow, ncol, data: normalizeElevation(values), size });
+        });
+        return hfieldMap;
+    }
+
+    /**
+     * Resolve an asset file against a compiler directory (relative to the model file)
+     * Absolute paths are kept as-is, like MuJoCo does
+     */
+    static resolveAssetPath(dir, file) {
+        const isAbsolute = file.startsWith('/') || /^[a-zA-Z]:[\\/]/.test(file);
+        if (!dir || isAbsolute) {
+            return file;
+        }
+        return `${dir.replace(/[\\/]+$/, '')}/${file.replace(/^\.\//, '')}`;
+    }
+
+    /**
+     * Parse texture definitions in asset tags
+     * Cube textures loaded from separate face files keep only the first face,
+     * since geoms are textured with a single image
+     * @param {Document} doc - XML document
+     * @param {object} compiler - Compiler settings (texturedir is prepended to relative files)
+     * @returns {Map<string, object>} Mapping from texture names to texture specs
+     */
+    static parseTextures(doc, compiler = null) {
+        const textureMap = new Map();
+        const parseValues = (el, attr, fallback) => (el.getAttribute(attr) || fallback).trim().split(/\s+/).map(parseFloat);
+
+        doc.querySelectorAll('asset > texture').forEach((texEl, index) => {
+            const file = texEl.getAttribute('file')
+                || ['fileright', 'fileleft', 'fileup', 'filedown', 'filefront', 'fileback']
+                    .map(attr => texEl.getAttribute(attr))
+                    .find(Boolean)
+                || null;
+            const name = texEl.getAttribute('name')
+                || (file ? file.split('/').pop().split('\\').pop().split('.')[0] : `texture_${index}`);
+
+            textureMap.set(name, {
+                name,
+                type: texEl.getAttribute('type') || 'cube',
+                builtin: texEl.getAttribute('builtin') || 'none',
+                path: file ? this.resolveAssetPath(compiler?.texturedir, file) : null,
+                width: parseInt(texEl.getAttribute('width') || '0'),
+                height: parseInt(texEl.getAttribute('height') || '0'),
+                rgb1: parseValues(texEl, 'rgb1', '0.8 0.8 0.8'),
+                rgb2: parseValues(texEl, 'rgb2', '0.5 0.5 0.5'),
+                mark: texEl.getAttribute('mark') || 'none',
+                markrgb: parseValues(texEl, 'markrgb', '0 0 0'),
+                random: parseFloat(texEl.getAttribute('random') || '0.01')
+            });
+        });
+
+        return textureMap;
+    }
+
     /**
      * Parse material definitions in asset tags
      * @param {Document} doc - XML document
+     * @param {Map<string, object>} textureMap - Texture specs, referenced textures are attached to materials
      * @returns {Map<string, object>} Mapping from material names to material properties
      */
-    static parseMaterials(doc) {
+    static parseMaterials(doc, textureMap = null) {
         const materialMap = new Map();
         const asset = doc.querySelector('asset');
         if (!asset) {
@@ -455,6 +591,19 @@ export class MJCFAdapter {
                 material.shininess = parseFloat(shininess);
             }
 
+            // Color texture: texture attribute, or an rgb/rgba <layer> (MuJoCo 3.2+)
+            const layer = matEl.querySelector(':scope > layer[role="rgb"], :scope > layer[role="rgba"]');
+            const textureName = matEl.getAttribute('texture') || layer?.getAttribute('texture');
+            if (textureName) {
+                if (textureMap && textureMap.has(textureName)) {
+                    material.texture = textureMap.get(textureName);
+                    material.texrepeat = (matEl.getAttribute('texrepeat') || '1 1').trim().split(/\s+/).map(parseFloat);
+                    material.texuniform = matEl.getAttribute('texuniform') === 'true';
+                } else {
+                    LoadDiagnostics.warn('ignoredElement', `⚠️ texture "${textureName}" of material "${name}" not defined in assets`, { reference: `texture="${textureName}"` });
+                }
+            }
+
             materialMap.set(name, material);
         });
 
@@ -462,197 +611,398 @@ export class MJCFAdapter {
     }
 
     /**
-     * Parse default values and class definitions in default tags
+     * Parse the default class tree in default tags
+     *
+     * Follows MuJoCo's resolution rules: the top-level default is class "main",
+     * every nested default starts from a copy of its parent's attributes and
+     * overrides them per element type. Actuator shortcuts all write the shared
+     * "general" defaults. Attribute values are kept as raw strings so they can be
+     * applied to elements verbatim.
      * @param {Document} doc - XML document
-     * @returns {object} Object containing classDefaults Map and rootDefaults object
+     * @returns {Map<string, Map<string, object>>} Class name -> (default tag -> attributes)
      */
     static parseDefaults(doc) {
         const classDefaults = new Map();
-        let rootDefaults = {};
 
-        // Recursively parse default tags
-        const parseDefaultElement = (defaultEl, parentDefaults = {}) => {
-            const className = defaultEl.getAttribute('class');
+        const parseDefaultElement = (defaultEl, parentDefaults, fallbackName) => {
+            const className = defaultEl.getAttribute('class') || fallbackName;
+            if (!className) {
+                LoadDiagnostics.warn('ignoredElement', 'MJCF nested default missing class attribute, skipping');
+                return;
+            }
 
-            // Start from parent defaults, deep copy to avoid reference issues
-            const defaults = JSON.parse(JSON.stringify(parentDefaults || {}));
+            // Start from parent defaults (copy each attribute set to avoid sharing)
+            const defaults = new Map();
+            parentDefaults.forEach((attrs, tag) => defaults.set(tag, { ...attrs }));
 
-            // Parse mesh default values
-            const meshEl = defaultEl.querySelector(':scope > mesh');
-            if (meshEl) {
-                if (!defaults.mesh) {
-                    defaults.mesh = {};
+            Array.from(defaultEl.children).forEach((child: Element) => {
+                if (child.tagName === 'default') {
+                    return;
                 }
+                const tag = ACTUATOR_TAGS.includes(child.tagName) ? 'general' : child.tagName;
+                defaults.set(tag, this.mergeDefaultAttributes(defaults.get(tag) || {}, this.getElementAttributes(child)));
+            });
 
-                // Parse scale
-                const scale = meshEl.getAttribute('scale');
-                if (scale) {
-                    const scaleVals = scale.trim().split(/\s+/).map(parseFloat);
-                    if (scaleVals.length === 1) {
-                        defaults.mesh.scale = [scaleVals[0], scaleVals[0], scaleVals[0]];
-                    } else if (scaleVals.length === 3) {
-                        defaults.mesh.scale = scaleVals;
-                    }
-                }
+            if (classDefaults.has(className) && !fallbackName) {
+                LoadDiagnostics.warn('parseWarning', `MJCF default class "${className}" defined more than once, using the last definition`, { reference: `class="${className}"` });
             }
+            classDefaults.set(className, defaults);
 
-            // Parse joint default values
-            const jointEl = defaultEl.querySelector(':scope > joint');
-            if (jointEl) {
-                // If parent has joint defaults, inherit first
-                if (!defaults.joint) {
-                    defaults.joint = {};
-                }
+            defaultEl.querySelectorAll(':scope > default').forEach(nested => {
+                parseDefaultElement(nested, defaults, null);
+            });
+        };
 
-                // Parse type (slide, hinge, free, ball)
-                const jointType = jointEl.getAttribute('type');
-                if (jointType) {
-                    defaults.joint.type = jointType;
-                }
+        doc.querySelectorAll('mujoco > default').forEach(defaultEl => {
+            parseDefaultElement(defaultEl, classDefaults.get('main') || new Map(), 'main');
+        });
 
-                // Parse axis (if axis defined, completely replace parent axis)
-                const axis = jointEl.getAttribute('axis');
-                if (axis) {
-                    const axisVals = axis.split(' ').map(parseFloat);
-                    defaults.joint.axis = [axisVals[0] || 0, axisVals[1] || 0, axisVals[2] || 0];
-                }
+        if (!classDefaults.has('main')) {
+            classDefaults.set('main', new Map());
+        }
 
-                // Parse range
-                const range = jointEl.getAttribute('range');
-                if (range) {
-                    const rangeVals = range.split(' ').map(parseFloat);
-                    defaults.joint.range = rangeVals;
-                }
+        return classDefaults;
+    }
 
-                // Parse damping
-                const damping = jointEl.getAttribute('damping');
-                if (damping) {
-                    defaults.joint.damping = parseFloat(damping);
-                }
+    /**
+     * Apply default classes to every element the adapter reads
+     *
+     * Missing attributes are written onto the elements themselves, so the rest of
+     * the parser only has to look at explicit attributes. Worldbody elements use
+     * their own class, else the nearest childclass of an enclosing body or frame,
+     * else "main"; elements outside worldbody use their own class or "main".
+     * @param {Document} doc - XML document
+     * @param {Map} classDefaults - Result of parseDefaults
+     */
+    static applyDefaults(doc, classDefaults = this.parseDefaults(doc)) {
+        const apply = (el, tag, className) => {
+            let defaults = classDefaults.get(className);
+            if (!defaults) {
+                LoadDiagnostics.warn('parseWarning', `MJCF default class "${className}" not found, using "main"`, { reference: `class="${className}"` });
+                defaults = classDefaults.get('main');
+            }
+            const attrs = defaults.get(tag);
+            if (!attrs) {
+                return;
             }
 
-            // Parse geom default values
-            const geomEl = defaultEl.querySelector(':scope > geom');
-            if (geomEl) {
-                if (!defaults.geom) {
-                    defaults.geom = {};
+            const merged = this.mergeDefaultAttributes(attrs, this.getElementAttributes(el));
+            Object.entries(merged).forEach(([name, value]) => {
+                if (!el.hasAttribute(name)) {
+                    el.setAttribute(name, value);
                 }
+            });
+        };
 
-                // Parse contype
-                const contype = geomEl.getAttribute('contype');
-                if (contype !== null) {
-                    defaults.geom.contype = parseInt(contype);
+        const walkBody = (parentEl, childclass) => {
+            Array.from(parentEl.children).forEach((child: Element) => {
+                const tag = child.tagName;
+                if (tag === 'body' || tag === 'frame') {
+                    walkBody(child, child.getAttribute('childclass') || childclass);
+                } else if (BODY_DEFAULT_TAGS.includes(tag)) {
+                    apply(child, tag, child.getAttribute('class') || childclass);
                 }
+            });
+        };
 
-                // Parse conaffinity
-                const conaffinity = geomEl.getAttribute('conaffinity');
-                if (conaffinity !== null) {
-                    defaults.geom.conaffinity = parseInt(conaffinity);
-                }
+        const walkSection = (selector, getTag) => {
+            doc.querySelectorAll(selector).forEach(section => {
+                Array.from(section.children).forEach((child: Element) => {
+                    const tag = getTag(child.tagName);
+                    if (tag) {
+                        apply(child, tag, child.getAttribute('class') || 'main');
+                    }
+                });
+            });
+        };
 
-                // Parse group
-                const group = geomEl.getAttribute('group');
-                if (group !== null) {
-                    defaults.geom.group = parseInt(group);
-                }
+        doc.querySelectorAll('mujoco > worldbody').forEach(worldbody => walkBody(worldbody, 'main'));
+        walkSection('mujoco > asset', tag => (tag === 'mesh' || tag === 'material') ? tag : null);
+        walkSection('mujoco > actuator', tag => ACTUATOR_TAGS.includes(tag) ? 'general' : null);
+        walkSection('mujoco > tendon', tag => (tag === 'spatial' || tag === 'fixed') ? 'tendon' : null);
+        walkSection('mujoco > equality', tag => tag === 'text' ? null : 'equality');
+        walkSection('mujoco > contact', tag => tag === 'pair' ? 'pair' : null);
+    }
 
-                // Parse rgba
-                const rgba = geomEl.getAttribute('rgba');
-                if (rgba) {
-                    const rgbaVals = rgba.split(' ').map(parseFloat);
-                    if (rgbaVals.length >= 3) {
-                        defaults.geom.rgba = {
-                            r: rgbaVals[0],
-                            g: rgbaVals[1],
-                            b: rgbaVals[2],
-                            a: rgbaVals.length >= 4 ? rgbaVals[3] : 1.0
-                        };
-                    }
-                }
+    /**
+     * Merge explicit attributes over inherited ones
+     * An explicit orientation replaces any inherited orientation (quat, euler, ...),
+     * and an explicit fromto also replaces the inherited pos
+     */
+    static mergeDefaultAttributes(inherited, explicit) {
+        const merged = { ...inherited };
+        const hasFromto = 'fromto' in explicit;
 
-                // Parse material
-                const material = geomEl.getAttribute('material');
-                if (material) {
-                    defaults.geom.material = material;
-                }
+        if (hasFromto || ORIENTATION_ATTRS.some(attr => attr in explicit)) {
+            ORIENTATION_ATTRS.forEach(attr => delete merged[attr]);
+        }
+        if (hasFromto) {
+            delete merged.pos;
+        }
+
+        return Object.assign(merged, explicit);
+    }
+
+    /**
+     * Get element attributes as a plain object (name and class are never inherited)
+     */
+    static getElementAttributes(el) {
+        const attrs = {};
+        Array.from(el.attributes).forEach((attr: Attr) => {
+            if (attr.name !== 'name' && attr.name !== 'class' && attr.name !== 'childclass') {
+                attrs[attr.name] = attr.value;
+            }
+        });
+        return attrs;
+    }
 
-                // Parse type
-                const type = geomEl.getAttribute('type');
-                if (type) {
-                    defaults.geom.type = type;
+    /**
+     * Dissolve <frame> elements by composing their pose into their children
+     * Runs after applyDefaults (frames can carry childclass) and applyCompiler
+     * (orientations are quats), so children keep their effective attributes
+     * @param {Document} doc - XML document
+     */
+    static flattenFrames(doc) {
+        const parseValues = (value) => value.trim().split(/\s+/).map(parseFloat);
+        const format = (values) => values.map(v => Number(v.toPrecision(12))).join(' ');
+
+        // Document order visits outer frames first, so nested frames receive the composed pose
+        doc.querySelectorAll('mujoco > worldbody frame').forEach(frameEl => {
+            const framePos = frameEl.hasAttribute('pos') ? parseValues(frameEl.getAttribute('pos')) : [0, 0, 0];
+            const frameQuat = frameEl.hasAttribute('quat') ? parseValues(frameEl.getAttribute('quat')) : [1, 0, 0, 0];
+            const toParent = (v) => rotateVector(frameQuat, v).map((value, i) => value + framePos[i]);
+
+            Array.from(frameEl.children).forEach((child: Element) => {
+                if (child.tagName === 'geom' && child.hasAttribute('fromto')) {
+                    const ft = parseValues(child.getAttribute('fromto'));
+                    child.setAttribute('fromto', format([...toParent(ft.slice(0, 3)), ...toParent(ft.slice(3, 6))]));
+                    return;
                 }
 
-                // Parse density
-                const density = geomEl.getAttribute('density');
-                if (density !== null) {
-                    defaults.geom.density = parseFloat(density);
+                const pos = child.hasAttribute('pos') ? parseValues(child.getAttribute('pos')) : [0, 0, 0];
+                child.setAttribute('pos', format(toParent(pos)));
+
+                const quat = child.hasAttribute('quat') ? parseValues(child.getAttribute('quat')) : [1, 0, 0, 0];
+                child.setAttribute('quat', format(multiplyQuaternions(frameQuat, quat)));
+
+                // Direction attributes are expressed in the frame as well
+                if (child.tagName === 'joint') {
+                    const axis = child.hasAttribute('axis') ? parseValues(child.getAttribute('axis')) : [0, 0, 1];
+                    child.setAttribute('axis', format(rotateVector(frameQuat, axis)));
+                } else if (child.tagName === 'light' && child.hasAttribute('dir')) {
+                    child.setAttribute('dir', format(rotateVector(frameQuat, parseValues(child.getAttribute('dir')))));
                 }
+            });
+
+            frameEl.replaceWith(...Array.from(frameEl.childNodes));
+        });
+    }
+
+    /**
+     * Parse <compiler> settings
+     * MuJoCo defaults: angle="degree", eulerseq="xyz", autolimits="true";
+     * meshdir and texturedir fall back to assetdir
+     * @param {Document} doc - XML document
+     * @returns {object} Compiler settings
+     */
+    static parseCompiler(doc) {
+        const compiler: any = { angle: 'degree', eulerseq: 'xyz', assetdir: '', meshdir: null, texturedir: null, autolimits: true };
+
+        doc.querySelectorAll('mujoco > compiler').forEach(compilerEl => {
+            const angle = compilerEl.getAttribute('angle');
+            if (angle === 'degree' || angle === 'radian') {
+                compiler.angle = angle;
+            } else if (angle !== null) {
+                LoadDiagnostics.warn('unitAssumption', `MJCF compiler angle="${angle}" is invalid, expected "degree" or "radian"`, { reference: `angle="${angle}"` });
             }
 
-            // If has class name, save to class map
-            if (className) {
-                classDefaults.set(className, defaults);
-            } else {
-                // No class name means this is a root default (inherits to all)
-                // Store the final computed defaults as rootDefaults
-                Object.assign(rootDefaults, defaults);
+            const eulerseq = compilerEl.getAttribute('eulerseq');
+            if (eulerseq !== null) {
+                if (/^[xyzXYZ]{3}$/.test(eulerseq)) {
+                    compiler.eulerseq = eulerseq;
+                } else {
+                    LoadDiagnostics.warn('parseWarning', `MJCF compiler eulerseq="${eulerseq}" is invalid, using "${compiler.eulerseq}"`, { reference: `eulerseq="${eulerseq}"` });
+                }
             }
 
-            // Recursively process nested default tags
-            const nestedDefaults = defaultEl.querySelectorAll(':scope > default');
-            nestedDefaults.forEach(nested => {
-                parseDefaultElement(nested, defaults);
+            ['assetdir', 'meshdir', 'texturedir'].forEach(attr => {
+                if (compilerEl.hasAttribute(attr)) {
+                    compiler[attr] = compilerEl.getAttribute(attr);
+                }
             });
-        };
 
-        // Start parsing from root default tags
-        const rootDefaultElements = doc.querySelectorAll('mujoco > default');
-        rootDefaultElements.forEach(defaultEl => {
-            parseDefaultElement(defaultEl);
+            const autolimits = compilerEl.getAttribute('autolimits');
+            if (autolimits !== null) {
+                compiler.autolimits = autolimits === 'true';
+            }
         });
 
-        return { classDefaults, rootDefaults };
+        compiler.meshdir = compiler.meshdir ?? compiler.assetdir;
+        compiler.texturedir = compiler.texturedir ?? compiler.assetdir;
+
+        // Files exported from other tools often mean radians; say which unit was assumed
+        const angleSet = [...doc.querySelectorAll('mujoco > compiler')].some(el => el.hasAttribute('angle'));
+        if (!angleSet && doc.querySelector('worldbody [euler], worldbody [axisangle], worldbody joint[range]')) {
+            LoadDiagnostics.record('info', 'unitAssumption', 'MJCF compiler angle not set, angles read in degrees (MuJoCo default)');
+        }
+
+        return compiler;
     }
 
     /**
-     * Get inherited geom properties from default class
-     * @param {Element} geomEl - geom element
-     * @param {Map} classDefaults - Class default properties map
-     * @param {object} rootDefaults - Root default properties
-     * @returns {object} Inherited properties object
+     * Apply compiler settings to the document (after default classes)
+     *
+     * Rewrites every orientation in worldbody as a radian-based quat, converts
+     * hinge/ball joint ranges to radians and resolves limited/ctrllimited/forcelimited
+     * to "true" or "false" following autolimits. Later parsing then never has to
+     * consult the compiler again.
+     * @param {Document} doc - XML document
+     * @param {object} compiler - Result of parseCompiler
      */
-    static getGeomInheritedProperties(geomEl, classDefaults, rootDefaults) {
-        const inherited = {
-            contype: null,
-            conaffinity: null,
-            group: null,
-            rgba: null,
-            material: null,
-            type: null,
-            density: null
+    static applyCompiler(doc, compiler = this.parseCompiler(doc)) {
+        const toRadians = compiler.angle === 'degree' ? Math.PI / 180 : 1;
+        const parseValues = (value) => value.trim().split(/\s+/).map(parseFloat);
+
+        // Orientations (body, geom, site, camera, frame, inertial, ...)
+        doc.querySelectorAll('mujoco > worldbody *').forEach(el => {
+            if (!ORIENTATION_ATTRS.some(attr => el.hasAttribute(attr))) {
+                return;
+            }
+
+            const quat = this.orientationToQuaternion(el, compiler.eulerseq, toRadians);
+            ORIENTATION_ATTRS.forEach(attr => el.removeAttribute(attr));
+            if (quat) {
+                el.setAttribute('quat', quat.join(' '));
+            }
+        });
+
+        // Joint ranges (angles only apply to rotational joints)
+        doc.querySelectorAll('mujoco > worldbody joint').forEach(jointEl => {
+            const type = jointEl.getAttribute('type') || 'hinge';
+            const range = jointEl.getAttribute('range');
+            if (range && toRadians !== 1 && (type === 'hinge' || type === 'ball')) {
+                jointEl.setAttribute('range', parseValues(range).map(v => v * toRadians).join(' '));
+            }
+        });
+
+        // limited="auto" (or absent) means "limited when a range is given" under autolimits
+        const resolveLimited = (el, limitedAttr, rangeAttr) => {
+            const limited = el.getAttribute(limitedAttr);
+            if (limited === 'true' || limited === 'false') {
+                return;
+            }
+            const isLimited = compiler.autolimits && el.hasAttribute(rangeAttr);
+            el.setAttribute(limitedAttr, isLimited ? 'true' : 'false');
         };
 
-        // First apply root defaults
-        if (rootDefaults && rootDefaults.geom) {
-            Object.assign(inherited, rootDefaults.geom);
+        doc.querySelectorAll('mujoco > worldbody joint').forEach(el => resolveLimited(el, 'limited', 'range'));
+        doc.querySelectorAll('mujoco > tendon > *').forEach(el => resolveLimited(el, 'limited', 'range'));
+        doc.querySelectorAll('mujoco > actuator > *').forEach(el => {
+            resolveLimited(el, 'ctrllimited', 'ctrlrange');
+            resolveLimited(el, 'forcelimited', 'forcerange');
+        });
+    }
+
+    /**
+     * Convert any MJCF orientation specifier on an element to a wxyz quaternion
+     * @param {Element} el - Element with quat, axisangle, xyaxes, zaxis or euler
+     * @param {string} eulerseq - Compiler euler sequence (lowercase: rotating axes, uppercase: fixed axes)
+     * @param {number} toRadians - Angle unit scale for axisangle and euler
+     * @returns {number[]|null} Normalized [w, x, y, z]
+     */
+    static orientationToQuaternion(el, eulerseq = 'xyz', toRadians = 1) {
+        const values = (attr) => el.getAttribute(attr).trim().split(/\s+/).map(parseFloat);
+        let quat = null;
+
+        if (el.hasAttribute('quat')) {
+            quat = values('quat');
+        } else if (el.hasAttribute('axisangle')) {
+            const [x, y, z, angle] = values('axisangle');
+            quat = this.axisAngleToQuaternion([x, y, z], angle * toRadians);
+        } else if (el.hasAttribute('xyaxes')) {
+            const v = values('xyaxes');
+            const xAxis = normalizeVector([v[0], v[1], v[2]]);
+            const dot = xAxis[0] * v[3] + xAxis[1] * v[4] + xAxis[2] * v[5];
+            const yAxis = normalizeVector([v[3] - dot * xAxis[0], v[4] - dot * xAxis[1], v[5] - dot * xAxis[2]]);
+            const zAxis = crossVector(xAxis, yAxis);
+            quat = this.rotationMatrixToQuaternion([
+                xAxis[0], yAxis[0], zAxis[0],
+                xAxis[1], yAxis[1], zAxis[1],
+                xAxis[2], yAxis[2], zAxis[2]
+            ]);
+        } else if (el.hasAttribute('zaxis')) {
+            // Minimal rotation taking Z onto the given axis
+            const zAxis = normalizeVector(values('zaxis'));
+            const axis = crossVector([0, 0, 1], zAxis);
+            const sin = Math.sqrt(axis[0] ** 2 + axis[1] ** 2 + axis[2] ** 2);
+            quat = sin < 1e-12
+                ? (zAxis[2] > 0 ? [1, 0, 0, 0] : [0, 1, 0, 0])
+                : this.axisAngleToQuaternion(axis, Math.atan2(sin, zAxis[2]));
+        } else if (el.hasAttribute('euler')) {
+            quat = this.eulerToQuaternion(values('euler').map(v => v * toRadians), eulerseq);
         }
 
-        // Then apply class defaults (if geom has class attribute)
-        const className = geomEl.getAttribute('class');
-        if (className && classDefaults && classDefaults.has(className)) {
-            const classDefault = classDefaults.get(className);
-            if (classDefault.geom) {
-                Object.assign(inherited, classDefault.geom);
-            }
+        if (!quat || quat.length < 4 || quat.some(v => !isFinite(v))) {
+            return null;
+        }
+
+        const norm = Math.sqrt(quat[0] ** 2 + quat[1] ** 2 + quat[2] ** 2 + quat[3] ** 2) || 1;
+        return quat.map(v => v / norm);
+    }
+
+    /**
+     * Axis-angle to wxyz quaternion
+     */
+    static axisAngleToQuaternion(axis, angle) {
+        const [x, y, z] = normalizeVector(axis);
+        const s = Math.sin(angle / 2);
+        return [Math.cos(angle / 2), x * s, y * s, z * s];
+    }
+
+    /**
+     * Euler angles (radians) to wxyz quaternion, following MuJoCo's eulerseq semantics
+     */
+    static eulerToQuaternion(angles, eulerseq = 'xyz') {
+        const unitAxes = { x: [1, 0, 0], y: [0, 1, 0], z: [0, 0, 1] };
+        let quat = [1, 0, 0, 0];
+
+        for (let i = 0; i < 3; i++) {
+            const axisChar = eulerseq[i];
+            const rotation = this.axisAngleToQuaternion(unitAxes[axisChar.toLowerCase()], angles[i] || 0);
+            // Lowercase: rotate about the moving frame (post-multiply); uppercase: fixed frame (pre-multiply)
+            quat = axisChar === axisChar.toLowerCase()
+                ? multiplyQuaternions(quat, rotation)
+                : multiplyQuaternions(rotation, quat);
         }
 
-        return inherited;
+        return quat;
+    }
+
+    /**
+     * Row-major 3x3 rotation matrix to wxyz quaternion
+     */
+    static rotationMatrixToQuaternion(m) {
+        const trace = m[0] + m[4] + m[8];
+        if (trace > 0) {
+            const s = Math.sqrt(trace + 1) * 2;
+            return [0.25 * s, (m[7] - m[5]) / s, (m[2] - m[6]) / s, (m[3] - m[1]) / s];
+        }
+        if (m[0] > m[4] && m[0] > m[8]) {
+            const s = Math.sqrt(1 + m[0] - m[4] - m[8]) * 2;
+            return [(m[7] - m[5]) / s, 0.25 * s, (m[1] + m[3]) / s, (m[2] + m[6]) / s];
+        }
+        if (m[4] > m[8]) {
+            const s = Math.sqrt(1 + m[4] - m[0] - m[8]) * 2;
+            return [(m[2] - m[6]) / s, (m[1] + m[3]) / s, 0.25 * s, (m[5] + m[7]) / s];
+        }
+        const s = Math.sqrt(1 + m[8] - m[0] - m[4]) * 2;
+        return [(m[3] - m[1]) / s, (m[2] + m[6]) / s, (m[5] + m[7]) / s, 0.25 * s];
     }
 
     /**
      * Recursively parse body elements, record parent-child relationships
      */
-    static parseBodies(element, parentName, bodyMap, model, parentLinkRef = null, meshMap = null, stats = null, materialMap = null, classDefaults = null, rootDefaults = null) {
+    static parseBodies(element, parentName, bodyMap, model, parentLinkRef = null, meshMap = null, stats = null, materialMap = null, hfieldMap = null) {
         // Initialize stats object (only on root call)
         if (!stats) {
             stats = { totalGeoms: 0, skippedCollisionGeoms: 0, visualGeoms: 0 };
@@ -680,29 +1030,22 @@ export class MJCFAdapter {
             geoms.forEach((geomEl, geomIndex) => {
                 stats.totalGeoms++;
 
-                // Get inherited properties from default class
-                const inheritedProps = this.getGeomInheritedProperties(geomEl, classDefaults, rootDefaults);
-
+                // Default classes are already applied, so attributes include inherited values
                 const group = geomEl.getAttribute('group');
-                // Use inherited group if not explicitly defined
-                const groupNum = group !== null ? parseInt(group) : 
-                    (inheritedProps.group !== null ? inheritedProps.group : 0);
+                const groupNum = group !== null ? parseInt(group) : 0;
                 const geomName = (geomEl.getAttribute('name') || '').toLowerCase();
-                const hasRgba = geomEl.hasAttribute('rgba') || inheritedProps.rgba !== null;
+                const hasRgba = geomEl.hasAttribute('rgba');
                 const meshRef = geomEl.getAttribute('mesh');
                 // Use inherited type if not explicitly defined
-                const geomType = geomEl.getAttribute('type') || inheritedProps.type || (meshRef ? 'mesh' : 'box');
+                const geomType = geomEl.getAttribute('type') || (meshRef ? 'mesh' : 'box');
 
-                // Check collision-related attributes (use inherited if not explicitly defined)
+                // Check collision-related attributes
                 const contype = geomEl.getAttribute('contype');
                 const conaffinity = geomEl.getAttribute('conaffinity');
                 const density = geomEl.getAttribute('density');
-                const contypeNum = contype !== null ? parseInt(contype) : 
-                    (inheritedProps.contype !== null ? inheritedProps.contype : null);
-                const conaffinityNum = conaffinity !== null ? parseInt(conaffinity) : 
-                    (inheritedProps.conaffinity !== null ? inheritedProps.conaffinity : null);
-                const densityNum = density !== null ? parseFloat(density) : 
-                    (inheritedProps.density !== null ? inheritedProps.density : null);
+                const contypeNum = contype !== null ? parseInt(contype) : null;
+                const conaffinityNum = conaffinity !== null ? parseInt(conaffinity) : null;
+                const densityNum = density !== null ? parseFloat(density) : null;
 
                 // Determine geom type: visual or collision
                 let isCollisionGeom = false;
@@ -710,8 +1053,9 @@ export class MJCFAdapter {
 
                 // [Key Strategy]: Distinguish visual and collision geoms
                 // Basic geometries (box, cylinder, sphere) are usually simplified shapes for collision
-                if (!meshRef) {
+                if (!meshRef && geomType !== 'hfield') {
                     // No mesh reference, basic geometry, treat as collision
+                    // (heightfields are terrain meant to be seen, so they go through the visual checks)
                     isCollisionGeom = true;
                 } else {
                     // Has mesh reference, check if should be collision
@@ -760,7 +1104,7 @@ export class MJCFAdapter {
                     }
                 }
 
-                const geom = this.parseGeom(geomEl, meshMap);
+                const geom = this.parseGeom(geomEl, meshMap, hfieldMap);
                 if (geom) {
                     if (isCollisionGeom) {
                         // Add to collision list
@@ -783,11 +1127,11 @@ export class MJCFAdapter {
                         visual.name = geomEl.getAttribute('name') || `geom_${geomIndex}`;
                         visual.origin = this.parseOrigin(geomEl);
 
-                        // Parse MJCF rgba color (priority: geom rgba > inherited rgba > material rgba)
+                        // Parse MJCF rgba color (priority: geom rgba > material rgba)
                         let rgba = null;
                         let materialName = null;
 
-                        // 1. First check geom's own rgba, then inherited rgba
+                        // 1. First check geom's rgba (explicit or inherited)
                         if (geomEl.hasAttribute('rgba')) {
                             const rgbaStr = geomEl.getAttribute('rgba');
                             const rgbaVals = rgbaStr.split(' ').map(parseFloat);
@@ -801,14 +1145,9 @@ export class MJCFAdapter {
                             }
                         }
 
-                        // 2. If geom has no explicit rgba, check inherited rgba
-                        if (!rgba && inheritedProps.rgba) {
-                            rgba = inheritedProps.rgba;
-                        }
-
-                        // 3. If still no rgba, check if references material (explicit or inherited)
+                        // 2. If no rgba, check if references material (explicit or inherited)
                         if (!rgba && materialMap) {
-                            materialName = geomEl.getAttribute('material') || inheritedProps.material;
+                            materialName = geomEl.getAttribute('material');
                             if (materialName && materialMap.has(materialName)) {
                                 const mat = materialMap.get(materialName);
                                 if (mat.rgba) {
@@ -823,7 +1162,8 @@ export class MJCFAdapter {
                             rgba: rgba,
                             materialName: materialName,
                             meshRef: meshRef,
-                            geomType: geomType
+                            geomType: geomType,
+                            texture: this.getGeomTexture(geomEl, materialMap)
                         };
                         link.visuals.push(visual);
                     }
@@ -840,7 +1180,7 @@ export class MJCFAdapter {
             bodyMap.set(linkName, { link, element: bodyEl, parentName });
 
             // Recursively parse child bodies
-            this.parseBodies(bodyEl, linkName, bodyMap, model, link, meshMap, stats, materialMap, classDefaults, rootDefaults);
+            this.parseBodies(bodyEl, linkName, bodyMap, model, link, meshMap, stats, materialMap, hfieldMap);
         });
     }
 
@@ -849,7 +1189,7 @@ export class MJCFAdapter {
      * @param {Element} geomEl - geom element
      * @param {Map} meshMap - Mapping from mesh names to file paths
      */
-    static parseGeom(geomEl, meshMap = null) {
+    static parseGeom(geomEl, meshMap = null, hfieldMap = null) {
         // In MJCF, if geom has mesh attribute, type should be mesh
         const meshAttr = geomEl.getAttribute('mesh');
         let type = geomEl.getAttribute('type');
@@ -902,9 +1242,9 @@ export class MJCFAdapter {
                         
                         // Calculate rotation to align cylinder/capsule with the fromto vector
                         const direction = new THREE.Vector3().subVectors(p2, p1).normalize();
-                        const defaultDir = new THREE.Vector3(0, 1, 0); // Default cylinder axis is Y
+                        const defaultDir = new THREE.Vector3(0, 0, 1); // createGeometryMesh aligns cylinders/capsules with Z
                         const quaternion = new THREE.Quaternion().setFromUnitVectors(defaultDir, direction);
-                        const euler = new THREE.Euler().setFromQuaternion(quaternion);
+                        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
                         
                         // Store fromto data
                         geometry.fromto = {
@@ -952,18 +1292,60 @@ export class MJCFAdapter {
                     // Otherwise directly use mesh attribute value (may be file path)
                     geometry.filename = meshRef;
                     if (meshMap && meshMap.size > 0) {
-                        console.warn(`⚠️ mesh "${meshRef}" not defined in assets`);
+                        LoadDiagnostics.warn('fallbackMatch', `⚠️ mesh "${meshRef}" not defined in assets, read as a file path`, { reference: `mesh="${meshRef}"` });
                     }
                 }
                 geometry.size = null;
                 break;
+
+            case 'ellipsoid': {
+                // MJCF ellipsoid size is the three semi-axes
+                const radii = (geomEl.getAttribute('size') || '0.1').trim().split(/\s+/).map(parseFloat);
+                geometry.size = {
+                    x: radii[0],
+                    y: radii.length >= 3 ? radii[1] : radii[0],
+                    z: radii.length >= 3 ? radii[2] : radii[0]
+                };
+                break;
+            }
+
+            case 'plane': {
+                // MJCF plane size is [half-x, half-y, grid spacing], a zero half-size means infinite
+                const halfSizes = (geomEl.getAttribute('size') || '0 0').trim().split(/\s+/).map(parseFloat);
+                geometry.size = { x: (halfSizes[0] || 0) * 2, y: (halfSizes[1] || 0) * 2 };
+                break;
+            }
+
+            case 'hfield': {
+                const hfieldRef = geomEl.getAttribute('hfield');
+                if (!hfieldMap || !hfieldMap.has(hfieldRef)) {
+                    LoadDiagnostics.warn('ignoredElement', `⚠️ hfield "${hfieldRef}" not defined in assets`, { reference: `hfield="${hfieldRef}"` });
+                    return null;
+                }
+                geometry.hfield = { name: hfieldRef, ...hfieldMap.get(hfieldRef) };
+                geometry.size = null;
+                break;
+            }
         }
 
         return geometry;
     }
 
+    /**
+     * Get the texture of a geom's material (textures apply even when the geom overrides rgba)
+     * @returns {object|null} Texture spec with the material's texrepeat/texuniform
+     */
+    static getGeomTexture(geomEl, materialMap) {
+        const material = materialMap?.get(geomEl.getAttribute('material'));
+        if (!material || !material.texture) {
+            return null;
+        }
+        return { ...material.texture, repeat: material.texrepeat, uniform: material.texuniform };
+    }
+
     /**
      * Parse origin attribute (pos + quat or xyz + rpy)
+     * rpy follows the URDF convention (fixed-axis roll, pitch, yaw)
      */
     static parseOrigin(element) {
         const origin: any = { xyz: [0, 0, 0], rpy: [0, 0, 0] };
@@ -975,25 +1357,26 @@ export class MJCFAdapter {
             origin.xyz = [xyz[0] || 0, xyz[1] || 0, xyz[2] || 0];
         }
 
-        // Check quat attribute (quaternion, needs to be converted to rpy)
+        // Orientation: applyCompiler rewrites every specifier as a radian-based quat;
+        // a bare euler (document not normalized) is read as radians with eulerseq "xyz"
         const quat = element.getAttribute('quat');
+        const euler = element.getAttribute('euler');
+        let q = null;
         if (quat) {
-            const q = quat.split(' ').map(parseFloat);
+            q = quat.trim().split(/\s+/).map(parseFloat);
+        } else if (euler) {
+            q = this.eulerToQuaternion(euler.trim().split(/\s+/).map(parseFloat), 'xyz');
+        }
+
+        if (q) {
             // MJCF uses wxyz order
-            const qw = q[0], qx = q[1], qy = q[2], qz = q[3];
+            const [qw, qx, qy, qz] = q;
 
             // Save original quaternion (for inertia visualization)
             origin.quat = { w: qw, x: qx, y: qy, z: qz };
 
-            // Convert to Euler angles
+            // Convert to URDF-convention rpy (applied with 'ZYX' order)
             origin.rpy = this.quaternionToEuler(qw, qx, qy, qz);
-        } else {
-            // Check euler attribute
-            const euler = element.getAttribute('euler');
-            if (euler) {
-                const rpy = euler.split(' ').map(parseFloat);
-                origin.rpy = [rpy[0] || 0, rpy[1] || 0, rpy[2] || 0];
-            }
         }
 
         return origin;
@@ -1254,43 +1637,27 @@ export class MJCFAdapter {
     /**
      * Parse joint element
      */
-    static parseJoints(element, bodyMap, model, parentBodyName = null, defaultsMap = null) {
+    static parseJoints(element, bodyMap, model, parentBodyName = null) {
         const joints = element.querySelectorAll(':scope > joint');
 
         joints.forEach(jointEl => {
             const jointName = jointEl.getAttribute('name') || `joint_${model.joints.size}`;
 
-            // [Important] Parse joint type, consider class inheritance
-            let jointType = jointEl.getAttribute('type');
-
-            // If not directly defined, try to inherit from class or childclass
-            if (!jointType) {
-                const currentBody = jointEl.parentElement;
-                let className = jointEl.getAttribute('class');
-
-                // If joint has no class, check parent body's childclass
-                if (!className && currentBody) {
-                    className = currentBody.getAttribute('childclass');
-                }
-
-                if (className && defaultsMap) {
-                    const defaults = defaultsMap.get(className);
-                    if (defaults && defaults.joint && defaults.joint.type) {
-                        jointType = defaults.joint.type;
-                    }
-                }
-            }
-
-            // Default to hinge if still not found
-            jointType = jointType || 'hinge';
+            // Parse joint type (default classes are already applied), default to hinge
+            const jointType = jointEl.getAttribute('type') || 'hinge';
 
             // Map MJCF joint types to URDF types
             let urdfType = 'revolute';
             if (jointType === 'slide') urdfType = 'prismatic';
-            else if (jointType === 'free') urdfType = 'continuous';
+            else if (jointType === 'free') urdfType = 'free';
             else if (jointType === 'ball' || jointType === 'hinge') urdfType = 'revolute';
 
             const joint = new Joint(jointName, urdfType);
+            if (urdfType === 'free') {
+                joint.pose = new JointPose();
+            }
+            // Keep original MJCF type (ball maps to revolute but needs special handling on export)
+            joint.userData.mjcfType = jointType;
 
             // Joint types that don't require axis attribute
             const jointTypesWithoutAxis = ['free', 'ball'];
@@ -1315,69 +1682,22 @@ export class MJCFAdapter {
             }
 
 
-            // [Important] Parse axis, consider class inheritance
-            let axisVals = null;
-            let axisSource = '';
-
-            // First try to get axis from joint element itself
+            // Parse axis (explicit or inherited from default class)
             const axis = jointEl.getAttribute('axis');
             if (axis) {
-                axisVals = axis.split(' ').map(parseFloat);
-                axisSource = 'directly defined';
-            } else {
-                // If not, inherit from class or childclass
-                let className = jointEl.getAttribute('class');
-
-                // If joint has no class, check parent body's childclass
-                if (!className) {
-                    className = currentBody.getAttribute('childclass');
-                }
-
-                if (className && defaultsMap) {
-                    const defaults = defaultsMap.get(className);
-                    if (defaults && defaults.joint && defaults.joint.axis) {
-                        axisVals = defaults.joint.axis;
-                        axisSource = `inherited from class="${className}"`;
-                    }
-                }
-
-                // Only warn if axis is required for this joint type
-                if (!axisVals && requiresAxis) {
-                    console.warn(`  ⚠️ Joint "${jointName}" (type="${jointType}") has no axis attribute (class="${className || 'none'}")`);
-                }
-            }
-
-            // Set axis
-            if (axisVals) {
+                const axisVals = axis.trim().split(/\s+/).map(parseFloat);
                 joint.axis = { xyz: [axisVals[0] || 0, axisVals[1] || 0, axisVals[2] || 0] };
+            } else if (requiresAxis) {
+                // MuJoCo's built-in default axis is Z, which is also the Joint default
+                LoadDiagnostics.warn('unitAssumption', `⚠️ Joint "${jointName}" (type="${jointType}") has no axis attribute, using 0 0 1`, { reference: `name="${jointName}"` });
             }
 
-            // [Important] Parse limits, consider class inheritance
-            let rangeVals = null;
-
-            // First try to get range from joint element itself
+            // Parse limits (explicit or inherited from default class)
             const range = jointEl.getAttribute('range');
-            if (range) {
-                rangeVals = range.split(' ').map(parseFloat);
-            } else {
-                // If not, inherit from class or childclass
-                let className = jointEl.getAttribute('class');
-
-                // If joint has no class, check parent body's childclass
-                if (!className) {
-                    className = currentBody.getAttribute('childclass');
-                }
-
-                if (className && defaultsMap) {
-                    const defaults = defaultsMap.get(className);
-                    if (defaults && defaults.joint && defaults.joint.range) {
-                        rangeVals = defaults.joint.range;
-                    }
-                }
-            }
+            const rangeVals = range ? range.trim().split(/\s+/).map(parseFloat) : null;
 
             // Set limits
-            if (rangeVals && rangeVals.length >= 2) {
+            if (rangeVals && rangeVals.length >= 2 && jointEl.getAttribute('limited') !== 'false') {
                 const limits = new JointLimits();
                 limits.lower = rangeVals[0];
                 limits.upper = rangeVals[1];
@@ -1385,6 +1705,18 @@ export class MJCFAdapter {
             }
             // If no range definition, joint.limits remains null (indicating unlimited/continuous)
 
+            // Parse joint dynamics (kept for inspection and export)
+            const dynamics = {};
+            ['damping', 'armature', 'frictionloss', 'stiffness'].forEach(attr => {
+                const value = jointEl.getAttribute(attr);
+                if (value !== null) {
+                    dynamics[attr] = parseFloat(value);
+                }
+            });
+            if (Object.keys(dynamics).length > 0) {
+                joint.userData.dynamics = dynamics;
+            }
+
             // Parse joint's own origin (if any)
             // joint's pos defines the offset of joint in this body's coordinate system
             joint.origin = this.parseOrigin(jointEl);
@@ -1397,9 +1729,10 @@ export class MJCFAdapter {
         freejoints.forEach((freejointEl, index) => {
             const freejointName = freejointEl.getAttribute('name') || `freejoint_${model.joints.size}`;
             
-            // Create a 'free' type joint (maps to continuous/floating in URDF terms)
-            const joint = new Joint(freejointName, 'continuous');
-            joint.type = 'free'; // Mark as free joint type
+            // Create a 'free' type joint (maps to floating in URDF terms)
+            const joint = new Joint(freejointName, 'free');
+            joint.userData.mjcfType = 'free';
+            joint.pose = new JointPose();
             
             // Get parent body
             const currentBody = freejointEl.parentElement;
@@ -1431,7 +1764,7 @@ export class MJCFAdapter {
         bodies.forEach(body => {
             // Child body's parent body name is current element's name
             // Note: worldbody has no name attribute, so first level body's parent is null or 'worldbody'
-            this.parseJoints(body, bodyMap, model, currentElementName || 'worldbody', defaultsMap);
+            this.parseJoints(body, bodyMap, model, currentElementName || 'worldbody');
         });
     }
 
@@ -1543,6 +1876,254 @@ export class MJCFAdapter {
         });
     }
 
+    /**
+     * Map site and geom names to the body that contains them
+     * @returns {{sites: Map<string, string>, geoms: Map<string, string>}}
+     */
+    static collectElementBodies(doc) {
+        const sites = new Map();
+        const geoms = new Map();
+
+        doc.querySelectorAll('worldbody site[name]').forEach(siteEl => {
+            sites.set(siteEl.getAttribute('name'), this.getParentBodyName(siteEl));
+        });
+        doc.querySelectorAll('worldbody geom[name]').forEach(geomEl => {
+            geoms.set(geomEl.getAttribute('name'), this.getParentBodyName(geomEl));
+        });
+
+        return { sites, geoms };
+    }
+
+    /**
+     * Name of the body containing an element ('worldbody' at top level)
+     */
+    static getParentBodyName(el) {
+        const bodyEl = el.parentElement?.closest('body');
+        return bodyEl ? bodyEl.getAttribute('name') : 'worldbody';
+    }
+
+    /**
+     * Parse sites (marker frames attached to bodies)
+     */
+    static parseSites(doc, model) {
+        const parseValues = (value) => value.trim().split(/\s+/).map(parseFloat);
+
+        doc.querySelectorAll('mujoco > worldbody site').forEach((siteEl, index) => {
+            const site = new Site(siteEl.getAttribute('name') || `site_${index}`);
+            site.body = this.getParentBodyName(siteEl);
+            site.type = siteEl.getAttribute('type') || 'sphere';
+            site.origin = this.parseOrigin(siteEl);
+
+            const size = siteEl.getAttribute('size');
+            if (size) {
+                const values = parseValues(size);
+                site.size = [0, 1, 2].map(i => values[i] ?? values[0]);
+            }
+
+            const rgba = siteEl.getAttribute('rgba');
+            if (rgba) {
+                const values = parseValues(rgba);
+                site.rgba = [values[0], values[1], values[2], values[3] ?? 1];
+            }
+
+            model.addSite(site);
+        });
+    }
+
+    /**
+     * Parse cameras (fovy is always in degrees, independent of compiler angle)
+     */
+    static parseCameras(doc, model) {
+        doc.querySelectorAll('mujoco > worldbody camera').forEach((cameraEl, index) => {
+            const camera = new Camera(cameraEl.getAttribute('name') || `camera_${index}`);
+            camera.body = this.getParentBodyName(cameraEl);
+            camera.origin = this.parseOrigin(cameraEl);
+            camera.mode = cameraEl.getAttribute('mode') || 'fixed';
+
+            const fovy = cameraEl.getAttribute('fovy');
+            if (fovy !== null) {
+                camera.fovy = parseFloat(fovy);
+            }
+
+            const target = cameraEl.getAttribute('target');
+            if (target) {
+                camera.userData.target = target;
+            }
+
+            model.addCamera(camera);
+        });
+    }
+
+    /**
+     * Parse actuators (transmission target, gear, ctrlrange, forcerange, servo gains)
+     */
+    static parseActuators(doc, model) {
+        const actuatorSections = doc.querySelectorAll('mujoco > actuator');
+        const parseValues = (value) => value.trim().split(/\s+/).map(parseFloat);
+
+        actuatorSections.forEach(section => {
+            Array.from(section.children).forEach((actuatorEl: Element) => {
+                const type = actuatorEl.tagName;
+                if (!ACTUATOR_TAGS.includes(type)) {
+                    return;
+                }
+
+                const name = actuatorEl.getAttribute('name') || `${type}_${model.actuators.size}`;
+                const actuator = new Actuator(name, type);
+
+                for (const targetType of ['joint', 'jointinparent', 'tendon', 'site', 'body']) {
+                    const target = actuatorEl.getAttribute(targetType);
+                    if (target) {
+                        actuator.targetType = targetType === 'jointinparent' ? 'joint' : targetType;
+                        actuator.target = target;
+                        break;
+                    }
+                }
+
+                // Default classes are already applied, so attributes include inherited values
+                const className = actuatorEl.getAttribute('class');
+
+                const gear = actuatorEl.getAttribute('gear');
+                if (gear) {
+                    actuator.gear = [...parseValues(gear), 0, 0, 0, 0, 0, 0].slice(0, 6);
+                }
+
+                // Ranges only take effect when limited (resolved from autolimits by applyCompiler)
+                const ctrlrange = actuatorEl.getAttribute('ctrlrange');
+                actuator.ctrlRange = ctrlrange && actuatorEl.getAttribute('ctrllimited') !== 'false' ? parseValues(ctrlrange) : null;
+
+                const forcerange = actuatorEl.getAttribute('forcerange');
+                actuator.forceRange = forcerange && actuatorEl.getAttribute('forcelimited') !== 'false' ? parseValues(forcerange) : null;
+
+                const kp = actuatorEl.getAttribute('kp');
+                const kv = actuatorEl.getAttribute('kv');
+                if (type === 'position' || type === 'intvelocity') {
+                    actuator.kp = kp !== null ? parseFloat(kp) : 1;
+                }
+                if (type === 'velocity' || kv !== null) {
+                    actuator.kv = kv !== null ? parseFloat(kv) : 1;
+                }
+
+                actuator.userData = { className };
+                model.addActuator(actuator);
+            });
+        });
+    }
+
+    /**
+     * Parse sensors (type, sensed object and the body it is attached to)
+     */
+    static parseSensors(doc, model, elementBodies) {
+        const objectAttributes = ['joint', 'site', 'body', 'tendon', 'actuator', 'objname'];
+
+        doc.querySelectorAll('mujoco > sensor').forEach(section => {
+            Array.from(section.children).forEach((sensorEl: Element) => {
+                const type = sensorEl.tagName;
+                const name = sensorEl.getAttribute('name') || `${type}_${model.sensors.size}`;
+                const sensor = new Sensor(name, type);
+
+                for (const attr of objectAttributes) {
+                    const objectName = sensorEl.getAttribute(attr);
+                    if (objectName) {
+                        sensor.objectType = attr === 'objname' ? sensorEl.getAttribute('objtype') : attr;
+                        sensor.objectName = objectName;
+                        break;
+                    }
+                }
+
+                // Resolve the body the sensor is mounted on
+                if (sensor.objectType === 'site') {
+                    sensor.body = elementBodies.sites.get(sensor.objectName) || null;
+                } else if (sensor.objectType === 'geom') {
+                    sensor.body = elementBodies.geoms.get(sensor.objectName) || null;
+                } else if (sensor.objectType === 'body' || sensor.objectType === 'xbody') {
+                    sensor.body = sensor.objectName;
+                } else if (sensor.objectType === 'joint') {
+                    sensor.body = model.getJoint(sensor.objectName)?.child || null;
+                }
+
+                const noise = sensorEl.getAttribute('noise');
+                if (noise !== null) {
+                    sensor.noise = parseFloat(noise);
+                }
+                const cutoff = sensorEl.getAttribute('cutoff');
+                if (cutoff !== null) {
+                    sensor.cutoff = parseFloat(cutoff);
+                }
+
+                const refname = sensorEl.getAttribute('refname');
+                if (refname) {
+                    sensor.userData.reftype = sensorEl.getAttribute('reftype');
+                    sensor.userData.refname = refname;
+                }
+
+                model.addSensor(sensor);
+            });
+        });
+    }
+
+    /**
+     * Parse fixed and spatial tendons
+     */
+    static parseTendons(doc, model, elementBodies) {
+        const parseValues = (value) => value.trim().split(/\s+/).map(parseFloat);
+
+        doc.querySelectorAll('mujoco > tendon').forEach(section => {
+            Array.from(section.children).forEach((tendonEl: Element) => {
+                const type = tendonEl.tagName;
+                if (type !== 'fixed' && type !== 'spatial') {
+                    return;
+                }
+
+                const name = tendonEl.getAttribute('name') || `tendon_${model.tendons.size}`;
+                const tendon = new Tendon(name, type);
+
+                Array.from(tendonEl.children).forEach((el: Element) => {
+                    switch (el.tagName) {
+                        case 'joint': {
+                            const jointName = el.getAttribute('joint');
+                            tendon.elements.push({
+                                type: 'joint',
+                                name: jointName,
+                                coef: parseFloat(el.getAttribute('coef') || '1'),
+                                body: model.getJoint(jointName)?.child || null
+                            });
+                            break;
+                        }
+                        case 'site': {
+                            const siteName = el.getAttribute('site');
+                            tendon.elements.push({ type: 'site', name: siteName, body: elementBodies.sites.get(siteName) || null });
+                            break;
+                        }
+                        case 'geom': {
+                            const geomName = el.getAttribute('geom');
+                            tendon.elements.push({ type: 'geom', name: geomName, body: elementBodies.geoms.get(geomName) || null });
+                            break;
+                        }
+                        case 'pulley':
+                            tendon.elements.push({ type: 'pulley', name: null, divisor: parseFloat(el.getAttribute('divisor') || '1') });
+                            break;
+                    }
+                });
+
+                const range = tendonEl.getAttribute('range');
+                if (range && tendonEl.getAttribute('limited') !== 'false') {
+                    tendon.range = parseValues(range);
+                }
+                const stiffness = tendonEl.getAttribute('stiffness');
+                if (stiffness !== null) {
+                    tendon.stiffness = parseFloat(stiffness);
+                }
+                const damping = tendonEl.getAttribute('damping');
+                if (damping !== null) {
+                    tendon.damping = parseFloat(damping);
+                }
+
+                model.addTendon(tendon);
+            });
+        });
+    }
+
     /**
      * Create Three.js objects (recursively build hierarchy)
      * @param {UnifiedRobotModel} model
@@ -1580,6 +2161,7 @@ export class MJCFAdapter {
         // Wait for all mesh loading to complete
         const meshResults = await Promise.all(meshPromises);
         const meshCache = new Map();
+        const textureCache = new Map(); // texture name -> Promise<THREE.Texture|null>
 
         // Build mesh cache (filename -> geometry)
         let index = 0;
@@ -1617,11 +2199,12 @@ export class MJCFAdapter {
                         mesh.rotation.set(
                             fromtoRpy[0] + visual.origin.rpy[0],
                             fromtoRpy[1] + visual.origin.rpy[1],
-                            fromtoRpy[2] + visual.origin.rpy[2]
+                            fromtoRpy[2] + visual.origin.rpy[2],
+                            'ZYX'
                         );
                     } else {
                         mesh.position.set(...visual.origin.xyz);
-                        mesh.rotation.set(...visual.origin.rpy);
+                        mesh.rotation.set(visual.origin.rpy[0], visual.origin.rpy[1], visual.origin.rpy[2], 'ZYX');
                     }
                     mesh.name = visual.name || 'visual';
 
@@ -1724,6 +2307,11 @@ export class MJCFAdapter {
                         });
                     }
 
+                    // Apply MJCF material texture (multiplied with the color above)
+                    if (visual.userData && visual.userData.texture) {
+                        await this.applyTexture(mesh, visual.userData.texture, fileMap, textureCache);
+                    }
+
                     linkGroup.add(mesh);
                     visual.threeObject = mesh;
                     totalVisuals++;
@@ -1745,11 +2333,12 @@ export class MJCFAdapter {
                         mesh.rotation.set(
                             fromtoRpy[0] + collision.origin.rpy[0],
                             fromtoRpy[1] + collision.origin.rpy[1],
-                            fromtoRpy[2] + collision.origin.rpy[2]
+                            fromtoRpy[2] + collision.origin.rpy[2],
+                            'ZYX'
                         );
                     } else {
                         mesh.position.set(...collision.origin.xyz);
-                        mesh.rotation.set(...collision.origin.rpy);
+                        mesh.rotation.set(collision.origin.rpy[0], collision.origin.rpy[1], collision.origin.rpy[2], 'ZYX');
                     }
                     mesh.name = collision.name || 'collision';
 
@@ -1828,7 +2417,7 @@ export class MJCFAdapter {
                     bodyOrigin.xyz[1] + joint.origin.xyz[1],
                     bodyOrigin.xyz[2] + joint.origin.xyz[2]
                 );
-                jointGroup.rotation.set(bodyOrigin.rpy[0], bodyOrigin.rpy[1], bodyOrigin.rpy[2]);
+                jointGroup.rotation.set(bodyOrigin.rpy[0], bodyOrigin.rpy[1], bodyOrigin.rpy[2], 'ZYX');
 
                 // Recursively build child link
                 buildHierarchy(childLinkName, jointGroup);
@@ -1856,7 +2445,7 @@ export class MJCFAdapter {
                         // Create fixed connection group
                         const fixedGroup = new THREE.Group();
                         fixedGroup.position.set(childBodyOrigin.xyz[0], childBodyOrigin.xyz[1], childBodyOrigin.xyz[2]);
-                        fixedGroup.rotation.set(childBodyOrigin.rpy[0], childBodyOrigin.rpy[1], childBodyOrigin.rpy[2]);
+                        fixedGroup.rotation.set(childBodyOrigin.rpy[0], childBodyOrigin.rpy[1], childBodyOrigin.rpy[2], 'ZYX');
 
                         // Recursively build child body and add to fixed group
                         buildHierarchy(childName, fixedGroup);
@@ -1875,7 +2464,8 @@ export class MJCFAdapter {
                 const rootLinkGroup = linkObjects.get(rootName);
                 if (rootLink.userData.bodyOrigin) {
                     rootLinkGroup.position.set(...rootLink.userData.bodyOrigin.xyz);
-                    rootLinkGroup.rotation.set(...rootLink.userData.bodyOrigin.rpy);
+                    const rootRpy = rootLink.userData.bodyOrigin.rpy;
+                    rootLinkGroup.rotation.set(rootRpy[0], rootRpy[1], rootRpy[2], 'ZYX');
                 }
                 buildHierarchy(rootName, rootGroup);
             });
@@ -1886,7 +2476,8 @@ export class MJCFAdapter {
             const firstLinkGroup = linkObjects.get(firstLink);
             if (firstLinkObj.userData.bodyOrigin) {
                 firstLinkGroup.position.set(...firstLinkObj.userData.bodyOrigin.xyz);
-                firstLinkGroup.rotation.set(...firstLinkObj.userData.bodyOrigin.rpy);
+                const firstRpy = firstLinkObj.userData.bodyOrigin.rpy;
+                firstLinkGroup.rotation.set(firstRpy[0], firstRpy[1], firstRpy[2], 'ZYX');
             }
             buildHierarchy(firstLink, rootGroup);
         }
@@ -2021,10 +2612,44 @@ export class MJCFAdapter {
                         threeGeometry = cachedMesh;
                     }
                 } else {
-                    console.warn('⚠️ Mesh type geometry missing filename');
+                    LoadDiagnostics.warn('ignoredElement', '⚠️ Mesh type geometry missing filename');
                     return null;
                 }
                 break;
+
+            case 'ellipsoid':
+                if (geometry.size) {
+                    threeGeometry = new THREE.SphereGeometry(1, 32, 32);
+                    threeGeometry.scale(geometry.size.x, geometry.size.y, geometry.size.z);
+                }
+                break;
+
+            case 'plane':
+                if (geometry.size) {
+                    threeGeometry = createPlaneGeometry(geometry.size.x / 2, geometry.size.y / 2);
+                }
+                break;
+
+            case 'hfield':
+                if (geometry.hfield) {
+                    let hfield = geometry.hfield;
+                    // Image-backed heightfields are decoded once per file
+                    if (!hfield.data && hfield.path) {
+                        let decoded = meshCache?.get(hfield.path);
+                        if (!decoded) {
+                            decoded = await loadHeightfieldImage(hfield.path, fileMap);
+                            if (decoded && meshCache) {
+                                meshCache.set(hfield.path, decoded);
+                            }
+                        }
+                        if (!decoded) {
+                            return null;
+                        }
+                        hfield = { ...hfield, ...decoded };
+                    }
+                    threeGeometry = createHeightfieldGeometry(hfield);
+                }
+                break;
         }
 
         if (!threeGeometry) return null;
@@ -2045,6 +2670,40 @@ export class MJCFAdapter {
         return new THREE.Mesh(threeGeometry, material);
     }
 
+    /**
+     * Apply a material texture to every mesh in a geom object
+     * @param {THREE.Object3D} object - Geom mesh or loaded mesh group
+     * @param {object} texture - Texture spec with repeat/uniform (see getGeomTexture)
+     * @param {Map} fileMap - File map for image textures
+     * @param {Map} textureCache - Texture name -> texture promise, shared across geoms
+     */
+    static async applyTexture(object, texture, fileMap, textureCache) {
+        if (!textureCache.has(texture.name)) {
+            textureCache.set(texture.name, createMJCFTexture(texture, fileMap));
+        }
+        const baseTexture = await textureCache.get(texture.name);
+        if (!baseTexture) {
+            return;
+        }
+
+        const size = new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3());
+        const map = withTextureRepeat(baseTexture, texture.repeat, texture.uniform, [size.x, size.y]);
+
+        object.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const applyMap = (mat) => {
+                    const textured = mat.clone();
+                    textured.map = map;
+                    textured.needsUpdate = true;
+                    return textured;
+                };
+                child.material = Array.isArray(child.material)
+                    ? child.material.map(applyMap)
+                    : applyMap(child.material);
+            }
+        });
+    }
+
     /**
      * Load mesh file from fileMap (using universal loader)
      */
@@ -2122,5 +2781,33 @@ export class MJCFAdapter {
             }
         }
     }
-}
 
+    /**
+     * Set pose of a free joint (also used for floating/planar joints of non-URDF models)
+     * The pose is applied in the parent frame on top of the object's initial transform
+     * @param {Joint} joint
+     * @param {JointPose} pose
+     * @param {THREE.Object3D} target - Joint group, or the body object when a root body has none
+     */
+    static setJointPose(joint, pose, target = joint.threeObject) {
+        joint.pose = pose;
+
+        if (!target) {
+            console.warn('Joint has no object to pose:', joint.name);
+            return;
+        }
+
+        // Save initial transform (only save on first call)
+        if (!target.userData.initialQuaternion) {
+            target.userData.initialQuaternion = target.quaternion.clone();
+        }
+        if (!target.userData.initialPosition) {
+            target.userData.initialPosition = target.position.clone();
+        }
+
+        const { position, quaternion } = MathUtils.jointPoseToTransform(joint, pose);
+        target.quaternion.copy(quaternion).multiply(target.userData.initialQuaternion);
+        target.position.copy(target.userData.initialPosition).applyQuaternion(quaternion).add(position);
+        target.updateMatrixWorld(true);
+    }
+}
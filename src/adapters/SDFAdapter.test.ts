@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { SDFAdapter } from './SDFAdapter.js';
+
+function textFile(content) {
+    return { name: 'file', text: async () => content };
+}
+
+function expectVector(actual, expected) {
+    expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 9));
+}
+
+describe('SDFAdapter', () => {
+    it('should resolve relative_to frames and express links in their parent joint frame', async () => {
+        const sdf = `<?xml version="1.0"?>
+<sdf version="1.8">
+  <model name="bot">
+    <link name="base">
+      <pose>0 0 1 0 0 0</pose>
+      <visual name="body">
+        <geometry><box><size>1 2 3</size></box></geometry>
+        <material><diffuse>1 0 0 1</diffuse></material>
+      </visual>
+    </link>
+    <frame name="mount" attached_to="base"><pose>0.5 0 0 0 0 0</pose></frame>
+    <link name="arm">
+      <pose relative_to="mount">0 0 0.2 0 0 0</pose>
+      <collision name="tube">
+        <pose>0 0 0.1 0 0 0</pose>
+        <geometry><cylinder><radius>0.1</radius><length>0.4</length></cylinder></geometry>
+      </collision>
+    </link>
+    <joint name="shoulder" type="revolute">
+      <parent>base</parent>
+      <child>arm</child>
+      <pose>0 0 -0.1 0 0 0</pose>
+      <axis><xyz>0 1 0</xyz><limit><lower>-1</lower><upper>1</upper></limit></axis>
+    </joint>
+    <joint name="spin" type="revolute">
+      <parent>arm</parent>
+      <child>hand::palm</child>
+      <axis><xyz>0 0 1</xyz></axis>
+    </joint>
+    <include>
+      <uri>model://gripper</uri>
+      <name>hand</name>
+      <pose relative_to="arm">0 0 0.5 0 0 0</pose>
+    </include>
+  </model>
+</sdf>`;
+
+        const fileMap = new Map<string, any>([
+            ['gripper/model.config', textFile('<model><name>gripper</name><sdf version="1.6">gripper.sdf</sdf></model>')],
+            ['gripper/gripper.sdf', textFile(`<sdf version="1.6"><model name="gripper"><link name="palm">
+                <visual name="shell"><geometry><mesh><uri>meshes/palm.stl</uri></mesh></geometry></visual>
+            </link></model></sdf>`)]
+        ]);
+
+        const model = await SDFAdapter.convert(sdf, fileMap);
+
+        expect(model.name).toBe('bot');
+        expect(model.rootLink).toBe('base');
+
+        const base = model.getLink('base');
+        expectVector(base.visuals[0].origin.xyz, [0, 0, 1]);
+        expect(base.visuals[0].geometry.size).toEqual({ x: 1, y: 2, z: 3 });
+        expect(base.visuals[0].material.rgba).toEqual([1, 0, 0, 1]);
+
+        const shoulder = model.getJoint('shoulder');
+        expectVector(shoulder.origin.xyz, [0.5, 0, 1.1]);
+        expect(shoulder.axis.xyz).toEqual([0, 1, 0]);
+        expect(shoulder.limits.lower).toBe(-1);
+
+        const arm = model.getLink('arm');
+        expectVector(arm.collisions[0].origin.xyz, [0, 0, 0.2]);
+        expect(arm.collisions[0].geometry.size).toEqual({ radius: 0.1, height: 0.4 });
+
+        // Nested model from include, unlimited revolute becomes continuous
+        const spin = model.getJoint('spin');
+        expect(spin.type).toBe('continuous');
+        expect(spin.child).toBe('hand::palm');
+        expectVector(spin.origin.xyz, [0, 0, 0.6]);
+        expect(model.getLink('hand::palm').visuals[0].geometry.filename).toBe('gripper/meshes/palm.stl');
+    });
+
+    it('should resolve model:// URIs against the file map', () => {
+        const fileMap = new Map<string, any>([
+            ['/robots/arm/meshes/link.dae', textFile('')],
+            ['robots/arm/model.sdf', textFile('')]
+        ]);
+
+        expect(SDFAdapter.resolveUri('model://arm/meshes/link.dae', fileMap, null)).toBe('/robots/arm/meshes/link.dae');
+        expect(SDFAdapter.resolveUri('../arm/model.sdf', fileMap, 'robots/other')).toBe('robots/arm/model.sdf');
+        expect(SDFAdapter.resolveUri('model://missing/mesh.stl', fileMap, null)).toBeNull();
+    });
+});
@@ -0,0 +1,819 @@
+/**
+ * SDF Adapter
+ * Parses SDFormat (.sdf / .world) XML and converts to unified model
+ *
+ * SDF places links and joints in arbitrary frames (model frame, other links, <frame>s via
+ * <pose relative_to>), while the unified model follows the URDF convention where the child
+ * link frame coincides with its parent joint frame. All frames are first resolved to world
+ * poses, then link contents are re-expressed in their parent joint frame.
+ */
+import { UnifiedRobotModel, Link, Joint, JointLimits, VisualGeometry, CollisionGeometry, InertialProperties, GeometryType, Material } from '../models/UnifiedRobotModel.js';
+import * as THREE from 'three';
+import { loadMeshFile, getLoaders } from '../utils/MeshLoader.js';
+import { MJCFAdapter } from './MJCFAdapter.js';
+import { LoadDiagnostics } from '../loaders/LoadDiagnostics.js';
+import { rpyToMatrix, matrixToRpy, quatToMatrix, multiplyMatrices, transposeMatrix, rotateByMatrix } from '../utils/RotationUtils.js';
+
+// SDF uses +/-1e16 as "unlimited" joint bounds
+const SDF_UNLIMITED = 1e16;
+
+// Nested includes deeper than this are considered a cycle
+const MAX_INCLUDE_DEPTH = 8;
+
+// Rotations are row-major 3x3 matrices as in RotationUtils
+const IDENTITY_TRANSFORM = { R: [[1, 0, 0], [0, 1, 0], [0, 0, 1]], t: [0, 0, 0] };
+
+export class SDFAdapter {
+    /**
+     * Parse SDF XML content and convert to unified model
+     * @param {string} xmlContent - SDF XML content
+     * @param {Map} fileMap - File map (optional), for model:// includes and mesh files
+     * @param {string} basePath - Directory of the SDF file, for relative URIs (optional)
+     * @returns {Promise<UnifiedRobotModel>}
+     */
+    static async parse(xmlContent, fileMap = null, basePath = null) {
+        const model = await this.convert(xmlContent, fileMap, basePath);
+
+        // Create Three.js objects (asynchronously load mesh files)
+        await this.createThreeObject(model, fileMap, basePath);
+
+        return model;
+    }
+
+    /**
+     * Convert SDF XML content to unified model (without Three.js objects)
+     * @param {string} xmlContent - SDF XML content
+     * @param {Map} fileMap - File map (optional)
+     * @param {string} basePath - Directory of the SDF file (optional)
+     * @returns {Promise<UnifiedRobotModel>}
+     */
+    static async convert(xmlContent, fileMap = null, basePath = null) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(xmlContent, 'text/xml');
+
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('SDF XML parsing failed: ' + parseError.textContent);
+        }
+
+        const sdfEl = doc.documentElement;
+        if (!sdfEl || sdfEl.tagName !== 'sdf') {
+            throw new Error('SDF file missing <sdf> root element');
+        }
+
+        await this.processIncludes(sdfEl, fileMap, basePath, 0);
+
+        const version = parseFloat(sdfEl.getAttribute('version') || '1.7');
+        const worldEl = this.getChildElements(sdfEl, 'world')[0] || null;
+        const container = worldEl || sdfEl;
+        const modelEls = this.getChildElements(container, 'model');
+
+        if (modelEls.length === 0) {
+            throw new Error('SDF file contains no <model> element');
+        }
+
+        const model = new UnifiedRobotModel();
+        model.userData.sdfVersion = version;
+
+        // A single robot keeps plain names, several models in a world are scoped by model name
+        const useScope = modelEls.length > 1;
+        model.name = useScope
+            ? (worldEl?.getAttribute('name') || 'world')
+            : (modelEls[0].getAttribute('name') || 'sdf_model');
+
+        const context = {
+            version,
+            frames: new Map<string, any>([['world', { transform: IDENTITY_TRANSFORM, relativeTo: null }]]),
+            resolved: new Map<string, any>(),
+            links: [],
+            joints: [],
+            staticLinks: new Set<string>()
+        };
+
+        modelEls.forEach(modelEl => {
+            const scope = useScope ? `${modelEl.getAttribute('name')}::` : '';
+            this.collectModel(modelEl, scope, 'world', '', context, false);
+        });
+
+        this.buildUnifiedModel(model, context);
+        return model;
+    }
+
+    /**
+     * Replace <include> elements with the referenced <model>
+     * @param {Element} root - Element to search for includes
+     * @param {Map} fileMap - File map
+     * @param {string} basePath - Directory used for relative URIs
+     * @param {number} depth - Current include depth
+     */
+    static async processIncludes(root, fileMap, basePath, depth) {
+        const includes = Array.from(root.querySelectorAll('include')) as Element[];
+        if (includes.length === 0) return;
+
+        if (depth >= MAX_INCLUDE_DEPTH) {
+            LoadDiagnostics.warn('ignoredElement', 'SDF include depth limit reached, remaining includes skipped');
+            includes.forEach(includeEl => includeEl.remove());
+            return;
+        }
+
+        for (const includeEl of includes) {
+            const uri = this.getChildText(includeEl, 'uri');
+            const included = uri && fileMap ? await this.loadIncludedModel(uri, fileMap, basePath) : null;
+
+            if (!included) {
+                LoadDiagnostics.warn('missingFile', `Could not resolve SDF include: ${uri || '(missing uri)'}`, { reference: uri || '<include' });
+                includeEl.remove();
+                continue;
+            }
+
+            const modelEl = root.ownerDocument.importNode(included.modelEl, true) as Element;
+
+            // Relative mesh URIs are relative to the included file
+            modelEl.querySelectorAll('mesh > uri').forEach(uriEl => {
+                const meshUri = (uriEl.textContent || '').trim();
+                if (meshUri && !/^[a-z]+:\/\//i.test(meshUri) && !meshUri.startsWith('/')) {
+                    uriEl.textContent = this.joinPath(included.dir, meshUri);
+                }
+            });
+
+            // <name>, <pose> and <static> in the include override the included model
+            const name = this.getChildText(includeEl, 'name');
+            if (name) {
+                modelEl.setAttribute('name', name);
+            }
+            ['pose', 'static'].forEach(tag => {
+                const overrideEl = this.getChildElements(includeEl, tag)[0];
+                if (!overrideEl) return;
+                this.getChildElements(modelEl, tag).forEach(el => el.remove());
+                modelEl.insertBefore(overrideEl.cloneNode(true), modelEl.firstChild);
+            });
+
+            await this.processIncludes(modelEl, fileMap, included.dir, depth + 1);
+            includeEl.parentNode.replaceChild(modelEl, includeEl);
+        }
+    }
+
+    /**
+     * Load <model> element referenced by an include URI
+     * model://name resolves to the model directory, reading model.config for the SDF file name
+     * @returns {Promise<{modelEl: Element, dir: string}|null>}
+     */
+    static async loadIncludedModel(uri, fileMap, basePath) {
+        let sdfKey = null;
+
+        if (/\.(sdf|world)$/i.test(uri)) {
+            sdfKey = this.resolveUri(uri, fileMap, basePath);
+        } else {
+            const dirUri = uri.replace(/\/+$/, '');
+            const configKey = this.resolveUri(`${dirUri}/model.config`, fileMap, basePath);
+            let sdfName = 'model.sdf';
+
+            if (configKey) {
+                const configDoc = new DOMParser().parseFromString(await fileMap.get(configKey).text(), 'text/xml');
+                const sdfNames = Array.from(configDoc.querySelectorAll('model > sdf')) as Element[];
+                // Prefer the highest SDF version listed
+                sdfNames.sort((a, b) => parseFloat(b.getAttribute('version') || '0') - parseFloat(a.getAttribute('version') || '0'));
+                if (sdfNames.length > 0 && sdfNames[0].textContent.trim()) {
+                    sdfName = sdfNames[0].textContent.trim();
+                }
+                sdfKey = this.resolveUri(this.joinPath(this.dirname(configKey), sdfName), fileMap, null);
+            } else {
+                sdfKey = this.resolveUri(`${dirUri}/${sdfName}`, fileMap, basePath);
+            }
+        }
+
+        if (!sdfKey) return null;
+
+        const doc = new DOMParser().parseFromString(await fileMap.get(sdfKey).text(), 'text/xml');
+        if (doc.querySelector('parsererror')) {
+            LoadDiagnostics.warn('parseWarning', `Failed to parse included SDF file: ${sdfKey}`, { target: sdfKey });
+            return null;
+        }
+
+        const modelEl = doc.querySelector('model');
+        return modelEl ? { modelEl, dir: this.dirname(sdfKey) } : null;
+    }
+
+    /**
+     * Collect frames, links and joints of a (possibly nested) model
+     * @param {Element} modelEl - <model> element
+     * @param {string} scope - Name prefix of this model ('' or 'outer::inner::')
+     * @param {string} parentFrame - Scoped name of the enclosing model frame
+     * @param {string} parentScope - Name prefix of the enclosing model
+     * @param {Object} context - Parse context
+     * @param {boolean} parentStatic - Whether an enclosing model is static
+     */
+    static collectModel(modelEl, scope, parentFrame, parentScope, context, parentStatic) {
+        const modelFrame = `${scope}__model__`;
+        const pose = this.parsePose(modelEl);
+        context.frames.set(modelFrame, {
+            transform: pose.transform,
+            relativeTo: pose.relativeTo ? this.scopedName(pose.relativeTo, parentScope) : parentFrame
+        });
+
+        const isStatic = parentStatic || this.parseBool(this.getChildText(modelEl, 'static'));
+
+        this.getChildElements(modelEl, 'link').forEach(linkEl => {
+            const name = scope + linkEl.getAttribute('name');
+            const linkPose = this.parsePose(linkEl);
+            context.frames.set(name, {
+                transform: linkPose.transform,
+                relativeTo: linkPose.relativeTo ? this.scopedName(linkPose.relativeTo, scope) : modelFrame
+            });
+            context.links.push({ name, element: linkEl, scope });
+            if (isStatic) {
+                context.staticLinks.add(name);
+            }
+        });
+
+        this.getChildElements(modelEl, 'frame').forEach(frameEl => {
+            const name = scope + frameEl.getAttribute('name');
+            const attachedTo = frameEl.getAttribute('attached_to');
+            const framePose = this.parsePose(frameEl);
+            const defaultFrame = attachedTo ? this.scopedName(attachedTo, scope) : modelFrame;
+            context.frames.set(name, {
+                transform: framePose.transform,
+                relativeTo: framePose.relativeTo ? this.scopedName(framePose.relativeTo, scope) : defaultFrame
+            });
+        });
+
+        this.getChildElements(modelEl, 'joint').forEach(jointEl => {
+            const name = scope + jointEl.getAttribute('name');
+            const parent = this.scopedName(this.getChildText(jointEl, 'parent') || 'world', scope);
+            const child = this.scopedName(this.getChildText(jointEl, 'child') || '', scope);
+            const jointPose = this.parsePose(jointEl);
+            context.frames.set(name, {
+                transform: jointPose.transform,
+                relativeTo: jointPose.relativeTo ? this.scopedName(jointPose.relativeTo, scope) : child
+            });
+            context.joints.push({ name, element: jointEl, parent, child, scope });
+        });
+
+        this.getChildElements(modelEl, 'model').forEach(nestedEl => {
+            const nestedScope = `${scope}${nestedEl.getAttribute('name')}::`;
+            this.collectModel(nestedEl, nestedScope, modelFrame, scope, context, isStatic);
+        });
+    }
+
+    /**
+     * Build unified links and joints from collected SDF elements
+     */
+    static buildUnifiedModel(model, context) {
+        const linkNames = new Set(context.links.map(link => link.name));
+
+        // Parent joint of each link (child link frame is moved onto it)
+        const parentJoints = new Map<string, any>();
+        context.joints.forEach(jointInfo => {
+            if (!linkNames.has(jointInfo.child)) {
+                LoadDiagnostics.warn('ignoredElement', `SDF joint ${jointInfo.name} references unknown child link "${jointInfo.child}", skipped`, { reference: `name="${jointInfo.name}"` });
+                return;
+            }
+            if (jointInfo.parent !== 'world' && !linkNames.has(jointInfo.parent)) {
+                LoadDiagnostics.warn('ignoredElement', `SDF joint ${jointInfo.name} references unknown parent link "${jointInfo.parent}", skipped`, { reference: `name="${jointInfo.name}"` });
+                return;
+            }
+            if (parentJoints.has(jointInfo.child)) {
+                LoadDiagnostics.warn('ignoredElement', `SDF link ${jointInfo.child} has more than one parent joint, ${jointInfo.name} skipped (closed chains are not supported)`, { reference: `name="${jointInfo.name}"` });
+                return;
+            }
+            parentJoints.set(jointInfo.child, jointInfo);
+        });
+
+        // Frame of each unified link expressed in world
+        const linkFrames = new Map<string, any>();
+        context.links.forEach(linkInfo => {
+            const jointInfo = parentJoints.get(linkInfo.name);
+            linkFrames.set(linkInfo.name, jointInfo ? this.resolveFrame(jointInfo.name, context) : IDENTITY_TRANSFORM);
+        });
+
+        if (Array.from(parentJoints.values()).some(jointInfo => jointInfo.parent === 'world')) {
+            model.addLink(new Link('world'));
+            linkFrames.set('world', IDENTITY_TRANSFORM);
+        }
+
+        context.links.forEach(linkInfo => {
+            const link = this.parseLink(linkInfo, linkFrames.get(linkInfo.name), context);
+            if (context.staticLinks.has(linkInfo.name)) {
+                link.userData.isStatic = true;
+            }
+            model.addLink(link);
+        });
+
+        parentJoints.forEach(jointInfo => {
+            const joint = this.parseJoint(jointInfo, linkFrames.get(jointInfo.parent), context);
+            model.addJoint(joint);
+        });
+
+        // Root link: "world" if present, else first link without parent joint
+        if (model.links.has('world')) {
+            model.rootLink = 'world';
+        } else {
+            const rootLink = context.links.find(linkInfo => !parentJoints.has(linkInfo.name));
+            model.rootLink = rootLink ? rootLink.name : (context.links[0]?.name || null);
+        }
+    }
+
+    /**
+     * Parse <link> with visuals, collisions and inertial expressed in its unified frame
+     * @param {Object} linkInfo - Collected link info
+     * @param {Object} linkFrame - World transform of the unified link frame
+     * @param {Object} context - Parse context
+     * @returns {Link}
+     */
+    static parseLink(linkInfo, linkFrame, context) {
+        const link = new Link(linkInfo.name);
+        const linkEl = linkInfo.element;
+        const toLinkFrame = this.invertTransform(linkFrame);
+
+        // Pose of a link child element in the unified link frame
+        const localOrigin = (element) => {
+            const pose = this.parsePose(element);
+            const relativeTo = pose.relativeTo ? this.scopedName(pose.relativeTo, linkInfo.scope) : linkInfo.name;
+            const world = this.multiplyTransforms(this.resolveFrame(relativeTo, context), pose.transform);
+            return this.transformToOrigin(this.multiplyTransforms(toLinkFrame, world));
+        };
+
+        this.getChildElements(linkEl, 'visual').forEach((visualEl, index) => {
+            const geometry = this.parseGeometry(this.getChildElements(visualEl, 'geometry')[0]);
+            if (!geometry) return;
+
+            const visual = new VisualGeometry();
+            visual.name = visualEl.getAttribute('name') || `${linkInfo.name}_visual_${index}`;
+            visual.origin = localOrigin(visualEl);
+            visual.geometry = geometry;
+            visual.material = this.parseMaterial(visualEl, visual.name);
+            link.visuals.push(visual);
+        });
+
+        this.getChildElements(linkEl, 'collision').forEach((collisionEl, index) => {
+            const geometry = this.parseGeometry(this.getChildElements(collisionEl, 'geometry')[0]);
+            if (!geometry) return;
+
+            const collision = new CollisionGeometry();
+            collision.name = collisionEl.getAttribute('name') || `${linkInfo.name}_collision_${index}`;
+            collision.origin = localOrigin(collisionEl);
+            collision.geometry = geometry;
+            link.collisions.push(collision);
+        });
+
+        const inertialEl = this.getChildElements(linkEl, 'inertial')[0];
+        if (inertialEl) {
+            const inertial = new InertialProperties();
+            inertial.origin = localOrigin(inertialEl);
+
+            // SDF defaults: unit mass and unit diagonal inertia
+            const massText = this.getChildText(inertialEl, 'mass');
+            inertial.mass = massText !== null ? parseFloat(massText) : 1;
+
+            const inertiaEl = this.getChildElements(inertialEl, 'inertia')[0];
+            const readInertia = (tag, defaultValue) => {
+                const text = inertiaEl ? this.getChildText(inertiaEl, tag) : null;
+                return text !== null ? parseFloat(text) : defaultValue;
+            };
+            inertial.ixx = readInertia('ixx', 1);
+            inertial.iyy = readInertia('iyy', 1);
+            inertial.izz = readInertia('izz', 1);
+            inertial.ixy = readInertia('ixy', 0);
+            inertial.ixz = readInertia('ixz', 0);
+            inertial.iyz = readInertia('iyz', 0);
+            link.inertial = inertial;
+        }
+
+        return link;
+    }
+
+    /**
+     * Parse <joint> with origin relative to the parent link frame
+     * @param {Object} jointInfo - Collected joint info
+     * @param {Object} parentFrame - World transform of the unified parent link frame
+     * @param {Object} context - Parse context
+     * @returns {Joint}
+     */
+    static parseJoint(jointInfo, parentFrame, context) {
+        const jointEl = jointInfo.element;
+        const sdfType = (jointEl.getAttribute('type') || 'fixed').toLowerCase();
+        const jointFrame = this.resolveFrame(jointInfo.name, context);
+
+        let type = sdfType;
+        if (!['revolute', 'continuous', 'prismatic', 'fixed'].includes(sdfType)) {
+            LoadDiagnostics.warn('ignoredElement', `SDF joint type "${sdfType}" is not supported, ${jointInfo.name} treated as fixed`, { reference: `name="${jointInfo.name}"` });
+            type = 'fixed';
+        }
+
+        const joint = new Joint(jointInfo.name, type);
+        joint.parent = jointInfo.parent;
+        joint.child = jointInfo.child;
+        joint.origin = this.transformToOrigin(this.multiplyTransforms(this.invertTransform(parentFrame), jointFrame));
+        joint.userData.sdfType = sdfType;
+
+        const axisEl = this.getChildElements(jointEl, 'axis')[0];
+        if (axisEl && type !== 'fixed') {
+            joint.axis = { xyz: this.parseAxis(axisEl, jointInfo, jointFrame, context) };
+
+            const limitEl = this.getChildElements(axisEl, 'limit')[0];
+            const readLimit = (tag) => {
+                const text = limitEl ? this.getChildText(limitEl, tag) : null;
+                return text !== null ? parseFloat(text) : null;
+            };
+            const lower = readLimit('lower');
+            const upper = readLimit('upper');
+            const effort = readLimit('effort');
+            const velocity = readLimit('velocity');
+            const bounded = lower !== null && upper !== null &&
+                Math.abs(lower) < SDF_UNLIMITED && Math.abs(upper) < SDF_UNLIMITED;
+
+            if (type === 'revolute' && !bounded) {
+                joint.type = 'continuous';
+            }
+
+            if (bounded || effort !== null || velocity !== null) {
+                joint.limits = new JointLimits();
+                if (bounded) {
+                    joint.limits.lower = lower;
+                    joint.limits.upper = upper;
+                }
+                // Negative effort/velocity means unlimited in SDF
+                joint.limits.effort = effort !== null && effort >= 0 ? effort : null;
+                joint.limits.velocity = velocity !== null && velocity >= 0 ? velocity : null;
+            }
+        }
+
+        return joint;
+    }
+
+    /**
+     * Parse joint axis and express it in the joint frame
+     * Axis is in the joint frame by default, "expressed_in" (SDF 1.7+) or
+     * use_parent_model_frame (SDF 1.5/1.6) selects another frame, SDF 1.4 uses the model frame
+     */
+    static parseAxis(axisEl, jointInfo, jointFrame, context) {
+        const xyzEl = this.getChildElements(axisEl, 'xyz')[0];
+        let axis = xyzEl ? this.parseNumbers(xyzEl.textContent, [0, 0, 1]) : [0, 0, 1];
+
+        let expressedIn = xyzEl?.getAttribute('expressed_in') || null;
+        if (!expressedIn && (context.version < 1.5 || this.parseBool(this.getChildText(axisEl, 'use_parent_model_frame')))) {
+            expressedIn = '__model__';
+        }
+
+        if (expressedIn) {
+            const frame = this.resolveFrame(this.scopedName(expressedIn, jointInfo.scope), context);
+            const worldAxis = rotateByMatrix(frame.R, axis);
+            axis = rotateByMatrix(transposeMatrix(jointFrame.R), worldAxis);
+        }
+
+        const length = Math.hypot(axis[0], axis[1], axis[2]);
+        return length > 0 ? axis.map(v => v / length) : [0, 0, 1];
+    }
+
+    /**
+     * Parse <geometry> element
+     * @returns {GeometryType|null}
+     */
+    static parseGeometry(geometryEl) {
+        if (!geometryEl) return null;
+
+        const shapeEl = Array.from(geometryEl.children)[0] as Element;
+        if (!shapeEl) return null;
+
+        const readNumber = (tag, defaultValue) => {
+            const text = this.getChildText(shapeEl, tag);
+            return text !== null ? parseFloat(text) : defaultValue;
+        };
+
+        switch (shapeEl.tagName) {
+            case 'box': {
+                const geometry = new GeometryType('box');
+                const [x, y, z] = this.parseNumbers(this.getChildText(shapeEl, 'size'), [1, 1, 1]);
+                geometry.size = { x, y, z };
+                return geometry;
+            }
+            case 'sphere': {
+                const geometry = new GeometryType('sphere');
+                geometry.size = { radius: readNumber('radius', 1) };
+                return geometry;
+            }
+            case 'cylinder':
+            case 'capsule': {
+                const geometry = new GeometryType(shapeEl.tagName);
+                geometry.size = { radius: readNumber('radius', 1), height: readNumber('length', 1) };
+                return geometry;
+            }
+            case 'mesh': {
+                const uri = this.getChildText(shapeEl, 'uri');
+                if (!uri) {
+                    LoadDiagnostics.warn('ignoredElement', 'SDF mesh geometry missing <uri>, skipped');
+                    return null;
+                }
+                const geometry = new GeometryType('mesh');
+                geometry.filename = uri;
+                const scale = this.getChildText(shapeEl, 'scale');
+                if (scale) {
+                    geometry.meshScale = this.parseNumbers(scale, [1, 1, 1]);
+                }
+                return geometry;
+            }
+            default:
+                LoadDiagnostics.warn('ignoredElement', `SDF geometry type "${shapeEl.tagName}" is not supported, skipped`, { reference: `<${shapeEl.tagName}` });
+                return null;
+        }
+    }
+
+    /**
+     * Parse visual <material> (diffuse, falling back to ambient) and <transparency>
+     * @returns {Material|null}
+     */
+    static parseMaterial(visualEl, visualName) {
+        const materialEl = this.getChildElements(visualEl, 'material')[0];
+        const colorText = materialEl
+            ? (this.getChildText(materialEl, 'diffuse') || this.getChildText(materialEl, 'ambient'))
+            : null;
+        if (!colorText) return null;
+
+        const [r, g, b, a] = this.parseNumbers(colorText, [1, 1, 1, 1]);
+        const transparency = parseFloat(this.getChildText(visualEl, 'transparency') || '0');
+
+        const material = new Material(`${visualName}_material`);
+        material.color = { r, g, b };
+        material.rgba = [r, g, b, (a ?? 1) * (1 - transparency)];
+        return material;
+    }
+
+    /**
+     * Resolve SDF URI to a fileMap key
+     * model://name/path is matched against the dropped folder, other paths are relative to basePath
+     * @param {string} uri - URI from SDF
+     * @param {Map} fileMap - File map
+     * @param {string} basePath - Directory of the referencing file
+     * @returns {string|null} fileMap key
+     */
+    static resolveUri(uri, fileMap, basePath) {
+        if (!uri || !fileMap) return null;
+
+        const keys = Array.from(fileMap.keys()) as string[];
+        const normalizedKey = (key) => key.replace(/\\/g, '/').replace(/^\/+/, '');
+        const findExact = (path) => keys.find(key => normalizedKey(key) === path) || null;
+        const findSuffix = (path) => keys.find(key => normalizedKey(key).endsWith('/' + path)) || null;
+
+        const path = uri.trim().replace(/^file:\/\//, '');
+
+        if (path.startsWith('model://')) {
+            const modelPath = path.substring('model://'.length);
+            const withinModel = modelPath.split('/').slice(1).join('/');
+            return findExact(modelPath) || findSuffix(modelPath) ||
+                (withinModel ? findExact(withinModel) || findSuffix(withinModel) : null);
+        }
+
+        const relativePath = basePath ? this.joinPath(basePath, path) : this.joinPath('', path);
+        return findExact(relativePath) || findExact(this.joinPath('', path)) || findSuffix(this.joinPath('', path));
+    }
+
+    /**
+     * Create Three.js objects following the URDF convention
+     * (joint group at joint origin, child link group inside it)
+     */
+    static async createThreeObject(model, fileMap = null, basePath = null) {
+        await getLoaders();
+
+        const rootGroup = new THREE.Group();
+        rootGroup.name = model.name;
+
+        // Load all unique mesh files in parallel
+        const meshCache = new Map();
+        const meshFiles = new Set<string>();
+        model.links.forEach(link => {
+            [...link.visuals, ...link.collisions].forEach(element => {
+                if (element.geometry.type === 'mesh') {
+                    meshFiles.add(element.geometry.filename);
+                }
+            });
+        });
+        if (fileMap) {
+            await Promise.all(Array.from(meshFiles).map(async filename => {
+                const key = this.resolveUri(filename, fileMap, basePath) || filename;
+                const mesh = await loadMeshFile(key, fileMap).catch(err => {
+                    LoadDiagnostics.error('parseWarning', `Failed to load mesh: ${filename}`, { reference: filename, target: key, cause: err });
+                    return null;
+                });
+                meshCache.set(filename, mesh);
+            }));
+        }
+
+        const applyOrigin = (object, origin) => {
+            object.position.set(origin.xyz[0], origin.xyz[1], origin.xyz[2]);
+            object.rotation.set(origin.rpy[0], origin.rpy[1], origin.rpy[2], 'ZYX');
+        };
+
+        const linkObjects = new Map();
+        for (const [name, link] of model.links) {
+            const linkGroup: any = new THREE.Group();
+            linkGroup.name = name;
+            linkGroup.isURDFLink = true; // Mark as link for JointDragControls recognition
+            linkGroup.type = 'URDFLink';
+
+            for (const visual of link.visuals) {
+                const mesh = await MJCFAdapter.createGeometryMesh(visual.geometry, fileMap, meshCache);
+                if (!mesh) continue;
+
+                applyOrigin(mesh, visual.origin);
+                mesh.name = visual.name;
+
+                if (visual.material?.rgba) {
+                    const [r, g, b, a] = visual.material.rgba;
+                    mesh.traverse((child) => {
+                        if (!child.isMesh || !child.material) return;
+                        const materials = Array.isArray(child.material) ? child.material : [child.material];
+                        materials.forEach(mat => {
+                            mat.color?.setRGB(r, g, b);
+                            mat.transparent = a < 1;
+                            mat.opacity = a;
+                        });
+                    });
+                }
+
+                linkGroup.add(mesh);
+                visual.threeObject = mesh;
+            }
+
+            for (let i = 0; i < link.collisions.length; i++) {
+                const collision = link.collisions[i];
+                const mesh = await MJCFAdapter.createGeometryMesh(collision.geometry, fileMap, meshCache);
+                if (!mesh) continue;
+
+                applyOrigin(mesh, collision.origin);
+                mesh.name = collision.name;
+
+                // Collision container (same structure as URDF colliders)
+                const colliderGroup: any = new THREE.Group();
+                colliderGroup.name = `${name}_collider_${i}`;
+                colliderGroup.isURDFCollider = true;
+                colliderGroup.add(mesh);
+
+                linkGroup.add(colliderGroup);
+                collision.threeObject = colliderGroup;
+            }
+
+            link.threeObject = linkGroup;
+            linkObjects.set(name, linkGroup);
+        }
+
+        const childLinks = new Set<string>();
+        model.joints.forEach(joint => {
+            const parentGroup = linkObjects.get(joint.parent);
+            const childGroup = linkObjects.get(joint.child);
+            if (!parentGroup || !childGroup) return;
+
+            const jointGroup: any = new THREE.Group();
+            jointGroup.name = joint.name;
+            jointGroup.isURDFJoint = true; // Mark as joint for JointDragControls recognition
+            jointGroup.type = 'URDFJoint';
+            jointGroup.jointType = joint.type;
+            jointGroup.axis = new THREE.Vector3(joint.axis.xyz[0], joint.axis.xyz[1], joint.axis.xyz[2]).normalize();
+            applyOrigin(jointGroup, joint.origin);
+
+            jointGroup.add(childGroup);
+            parentGroup.add(jointGroup);
+            joint.threeObject = jointGroup;
+            childLinks.add(joint.child);
+        });
+
+        linkObjects.forEach((linkGroup, name) => {
+            if (!childLinks.has(name)) {
+                rootGroup.add(linkGroup);
+            }
+        });
+
+        model.threeObject = rootGroup;
+        rootGroup.userData.type = 'sdf';
+        model.userData.type = 'sdf';
+    }
+
+    /**
+     * Resolve frame to its world transform (memoized, cycles resolve to identity)
+     * @param {string} name - Scoped frame name
+     * @param {Object} context - Parse context
+     * @param {Set} visiting - Frames on the current resolution path
+     */
+    static resolveFrame(name, context, visiting = new Set<string>()) {
+        if (context.resolved.has(name)) {
+            return context.resolved.get(name);
+        }
+
+        const frame = context.frames.get(name);
+        if (!frame) {
+            LoadDiagnostics.warn('parseWarning', `SDF frame "${name}" not found, using identity`, { reference: `"${name}"` });
+            return IDENTITY_TRANSFORM;
+        }
+        if (visiting.has(name)) {
+            LoadDiagnostics.warn('parseWarning', `SDF pose graph has a cycle at "${name}", using identity`, { reference: `"${name}"` });
+            return IDENTITY_TRANSFORM;
+        }
+
+        visiting.add(name);
+        const parent = frame.relativeTo ? this.resolveFrame(frame.relativeTo, context, visiting) : IDENTITY_TRANSFORM;
+        visiting.delete(name);
+
+        const transform = this.multiplyTransforms(parent, frame.transform);
+        context.resolved.set(name, transform);
+        return transform;
+    }
+
+    /**
+     * Scope a frame reference: "world" is global, everything else lives in the model scope
+     */
+    static scopedName(name, scope) {
+        const trimmed = name.trim();
+        if (trimmed === 'world') return 'world';
+        return scope + trimmed;
+    }
+
+    /**
+     * Parse <pose> child of element
+     * Supports "x y z roll pitch yaw", degrees="true" and rotation_format="quat_xyzw" (SDF 1.9)
+     * @returns {{transform: Object, relativeTo: string|null}}
+     */
+    static parsePose(element) {
+        const poseEl = this.getChildElements(element, 'pose')[0];
+        if (!poseEl) {
+            return { transform: IDENTITY_TRANSFORM, relativeTo: null };
+        }
+
+        const values = this.parseNumbers(poseEl.textContent, [0, 0, 0, 0, 0, 0]);
+        const xyz = values.slice(0, 3);
+        let R;
+
+        if (poseEl.getAttribute('rotation_format') === 'quat_xyzw' && values.length >= 7) {
+            const [x, y, z, w] = values.slice(3, 7);
+            R = quatToMatrix(w, x, y, z);
+        } else {
+            const scale = this.parseBool(poseEl.getAttribute('degrees')) ? Math.PI / 180 : 1;
+            R = rpyToMatrix(values.slice(3, 6).map(v => (v || 0) * scale));
+        }
+
+        return {
+            transform: { R, t: xyz.map(v => v || 0) },
+            relativeTo: poseEl.getAttribute('relative_to') || null
+        };
+    }
+
+    /**
+     * Convert transform to URDF-style origin {xyz, rpy}
+     */
+    static transformToOrigin({ R, t }) {
+        return { xyz: [...t], rpy: matrixToRpy(R) };
+    }
+
+    static multiplyTransforms(a, b) {
+        const rotated = rotateByMatrix(a.R, b.t);
+        return { R: multiplyMatrices(a.R, b.R), t: [rotated[0] + a.t[0], rotated[1] + a.t[1], rotated[2] + a.t[2]] };
+    }
+
+    static invertTransform({ R, t }) {
+        const Rt = transposeMatrix(R);
+        const rotated = rotateByMatrix(Rt, t);
+        return { R: Rt, t: [-rotated[0], -rotated[1], -rotated[2]] };
+    }
+
+    /**
+     * Direct child elements with given tag name
+     */
+    static getChildElements(element, tagName) {
+        return (Array.from(element.children) as Element[]).filter(child => child.tagName === tagName);
+    }
+
+    /**
+     * Trimmed text of first direct child with given tag name, or null
+     */
+    static getChildText(element, tagName) {
+        const child = this.getChildElements(element, tagName)[0];
+        return child ? child.textContent.trim() : null;
+    }
+
+    static parseNumbers(text, defaultValue) {
+        if (!text || !text.trim()) return [...defaultValue];
+        return text.trim().split(/\s+/).map(parseFloat);
+    }
+
+    static parseBool(text) {
+        return text === 'true' || text === '1';
+    }
+
+    static dirname(path) {
+        return path.includes('/') ? path.substring(0, path.lastIndexOf('/')) : '';
+    }
+
+    /**
+     * Join and normalize path segments (resolves "." and "..")
+     */
+    static joinPath(base, path) {
+        const parts = [];
+        `${base ? base + '/' : ''}${path}`.replace(/\\/g, '/').split('/').forEach(part => {
+            if (!part || part === '.') return;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { URDFAdapter } from './URDFAdapter.js';
+
+function parseRobot(xml) {
+    return new DOMParser().parseFromString(xml, 'text/xml').documentElement;
+}
+
+describe('URDFAdapter', () => {
+    it('should parse transmissions and gazebo extension blocks', () => {
+        const robotNode = parseRobot(`
+<robot name="bot">
+  <link name="base"/>
+  <link name="wheel"/>
+  <joint name="axle" type="continuous"><parent link="base"/><child link="wheel"/></joint>
+  <transmission name="axle_trans">
+    <type>transmission_interface/SimpleTransmission</type>
+    <joint name="axle"><hardwareInterface>hardware_interface/VelocityJointInterface</hardwareInterface></joint>
+    <actuator name="axle_motor"><mechanicalReduction>50</mechanicalReduction></actuator>
+  </transmission>
+  <ros2_control name="sys" type="system">
+    <transmission name="lift_trans">
+      <plugin>transmission_interface/SimpleTransmission</plugin>
+      <actuator name="lift_motor" role="actuator1"/>
+      <joint name="lift" role="joint1"><mechanical_reduction>2.5</mechanical_reduction></joint>
+    </transmission>
+  </ros2_control>
+  <gazebo reference="wheel">
+    <material>Gazebo/Black</material>
+    <mu1>0.9</mu1>
+    <selfCollide>false</selfCollide>
+    <sensor name="bump" type="contact"><update_rate>20</update_rate></sensor>
+  </gazebo>
+  <gazebo reference="base">
+    <visual><material><diffuse>0 0.5 1 1</diffuse></material></visual>
+  </gazebo>
+  <gazebo>
+    <plugin name="diff_drive" filename="libgazebo_ros_diff_drive.so"/>
+  </gazebo>
+</robot>`);
+
+        const [axle, lift] = URDFAdapter.parseTransmissions(robotNode);
+        expect(axle.type).toBe('transmission_interface/SimpleTransmission');
+        expect(axle.joints[0]).toEqual({
+            name: 'axle',
+            hardwareInterfaces: ['hardware_interface/VelocityJointInterface'],
+            mechanicalReduction: null
+        });
+        expect(axle.actuators[0].mechanicalReduction).toBe(50);
+        expect(lift.joints[0]).toMatchObject({ name: 'lift', mechanicalReduction: 2.5 });
+        expect(URDFAdapter.describeTransmission(axle))
+            .toBe('Transmission axle_trans (SimpleTransmission): axle_motor, reduction 50, VelocityJointInterface');
+
+        const gazebo = URDFAdapter.parseGazebo(robotNode);
+        const wheel = gazebo.references.wheel;
+        expect(wheel.properties).toEqual({ mu1: 0.9, selfCollide: 'false' });
+        expect(wheel.sensors).toEqual([{ name: 'bump', type: 'contact', updateRate: 20 }]);
+        expect(gazebo.plugins).toEqual([{ name: 'diff_drive', filename: 'libgazebo_ros_diff_drive.so' }]);
+
+        // Stock material names and explicit diffuse colors both resolve
+        expect(URDFAdapter.getGazeboColor(wheel)).toEqual([0, 0, 0, 1]);
+        expect(URDFAdapter.getGazeboColor(gazebo.references.base)).toEqual([0, 0.5, 1, 1]);
+    });
+});
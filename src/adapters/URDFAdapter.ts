@@ -3,7 +3,36 @@
  * Converts urdf-loaders result to unified model
  */
 import * as THREE from 'three';
-import { UnifiedRobotModel, Link, Joint, JointLimits, VisualGeometry, CollisionGeometry, InertialProperties } from '../models/UnifiedRobotModel.js';
+import { UnifiedRobotModel, Link, Joint, JointLimits, JointMimic, JointPose, VisualGeometry, CollisionGeometry, InertialProperties, GeometryType, Material } from '../models/UnifiedRobotModel.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { LoadDiagnostics } from '../loaders/LoadDiagnostics.js';
+
+// Diffuse colors of the stock Gazebo classic materials (gazebo.material)
+const GAZEBO_MATERIAL_COLORS = {
+    'Gazebo/Grey': [0.7, 0.7, 0.7, 1],
+    'Gazebo/DarkGrey': [0.175, 0.175, 0.175, 1],
+    'Gazebo/White': [1, 1, 1, 1],
+    'Gazebo/FlatBlack': [0.1, 0.1, 0.1, 1],
+    'Gazebo/Black': [0, 0, 0, 1],
+    'Gazebo/Red': [1, 0, 0, 1],
+    'Gazebo/RedBright': [0.87, 0.26, 0.07, 1],
+    'Gazebo/Green': [0, 1, 0, 1],
+    'Gazebo/Blue': [0, 0, 1, 1],
+    'Gazebo/SkyBlue': [0.53, 0.81, 0.92, 1],
+    'Gazebo/Yellow': [1, 1, 0, 1],
+    'Gazebo/ZincYellow': [0.9725, 0.9529, 0.2078, 1],
+    'Gazebo/DarkYellow': [0.7, 0.7, 0, 1],
+    'Gazebo/Purple': [1, 0, 1, 1],
+    'Gazebo/Turquoise': [0, 1, 1, 1],
+    'Gazebo/Orange': [1, 0.5088, 0.0468, 1],
+    'Gazebo/Indigo': [0.33, 0, 0.5, 1],
+    'Gazebo/Gold': [0.8, 0.65, 0.2, 1],
+    'Gazebo/Wood': [0.6, 0.4, 0.2, 1],
+    'Gazebo/GreyTransparent': [0.5, 0.5, 0.5, 0.5],
+    'Gazebo/RedTransparent': [1, 0, 0, 0.5],
+    'Gazebo/GreenTransparent': [0, 1, 0, 0.5],
+    'Gazebo/BlueTransparent': [0, 0, 1, 0.5]
+};
 
 export class URDFAdapter {
     /**
@@ -32,9 +61,19 @@ export class URDFAdapter {
             inertialData = this.parseInertialFromXML(urdfXML);
         }
 
+        // Parse robot-level named materials (referenced by name from visuals)
+        if (robot.urdfRobotNode) {
+            Array.from(robot.urdfRobotNode.children as HTMLCollection).forEach((el: Element) => {
+                if (el.nodeName.toLowerCase() === 'material' && el.getAttribute('name')) {
+                    const material = this.parseMaterialElement(el);
+                    model.materials.set(material.name, material);
+                }
+            });
+        }
+
         // Convert links
         Object.values(robot.links as any).forEach((urdfLink: any) => {
-            const link = this.convertLink(urdfLink);
+            const link = this.convertLink(urdfLink, model.materials);
 
             // If urdf-loader didn't parse inertial, get from XML
             if (!link.inertial && inertialData[urdfLink.name]) {
@@ -55,6 +94,13 @@ export class URDFAdapter {
             this.supplementJointLimitsFromXML(model, urdfXML);
         }
 
+        // ROS extensions that urdf-loader ignores
+        if (robot.urdfRobotNode) {
+            model.userData.transmissions = this.parseTransmissions(robot.urdfRobotNode);
+            model.userData.gazebo = this.parseGazebo(robot.urdfRobotNode);
+            this.applyGazeboMaterials(model);
+        }
+
         // Find root link (link that is not a child of any joint)
         const allChildren = new Set(
             Array.from(model.joints.values()).map(j => j.child).filter(c => c)
@@ -184,7 +230,7 @@ export class URDFAdapter {
         return material;
     }
 
-    static convertLink(urdfLink) {
+    static convertLink(urdfLink, materials = null) {
         const link = new Link(urdfLink.name);
         link.threeObject = urdfLink;
 
@@ -194,11 +240,318 @@ export class URDFAdapter {
         }
 
         // Note: urdf-loaders has already converted visual and collision to Three.js objects
-        // We mainly extract metadata, actual meshes are in threeObject
+        // We mainly extract metadata from their source nodes, actual meshes are in threeObject
+        (urdfLink.children || []).forEach((child) => {
+            if (!child.urdfNode || (!child.isURDFVisual && !child.isURDFCollider)) return;
+
+            const node = child.urdfNode;
+            const originEl = this.findChildElement(node, 'origin');
+            const geometryEl = this.findChildElement(node, 'geometry');
+            const origin = {
+                xyz: this.parseTuple(originEl?.getAttribute('xyz')),
+                rpy: this.parseTuple(originEl?.getAttribute('rpy'))
+            };
+
+            if (child.isURDFVisual) {
+                const visual = new VisualGeometry();
+                visual.name = node.getAttribute('name') || `${link.name}_visual_${link.visuals.length}`;
+                visual.origin = origin;
+                visual.geometry = this.parseGeometryElement(geometryEl);
+                visual.threeObject = child;
+
+                const materialEl = this.findChildElement(node, 'material');
+                if (materialEl) {
+                    const materialName = materialEl.getAttribute('name');
+                    const hasDefinition = materialEl.children.length > 0;
+                    visual.material = !hasDefinition && materialName && materials && materials.has(materialName)
+                        ? materials.get(materialName)
+                        : this.parseMaterialElement(materialEl);
+                }
+
+                link.visuals.push(visual);
+            } else {
+                const collision = new CollisionGeometry();
+                collision.name = node.getAttribute('name') || `${link.name}_collision_${link.collisions.length}`;
+                collision.origin = origin;
+                collision.geometry = this.parseGeometryElement(geometryEl);
+                collision.threeObject = child;
+                link.collisions.push(collision);
+            }
+        });
 
         return link;
     }
 
+    /**
+     * Parse URDF <geometry> element into GeometryType
+     * Sizes follow the unified convention: box full size, cylinder radius + full height
+     */
+    static parseGeometryElement(geometryEl) {
+        const shapeEl = geometryEl ? geometryEl.firstElementChild : null;
+        if (!shapeEl) return null;
+
+        const type = shapeEl.nodeName.toLowerCase();
+        const geometry = new GeometryType(type);
+
+        switch (type) {
+            case 'box': {
+                const size = this.parseTuple(shapeEl.getAttribute('size'));
+                geometry.size = { x: size[0], y: size[1], z: size[2] };
+                break;
+            }
+            case 'sphere':
+                geometry.size = { radius: parseFloat(shapeEl.getAttribute('radius')) || 0 };
+                break;
+            case 'cylinder':
+            case 'capsule':
+                geometry.size = {
+                    radius: parseFloat(shapeEl.getAttribute('radius')) || 0,
+                    height: parseFloat(shapeEl.getAttribute('length')) || 0
+                };
+                break;
+            case 'mesh':
+                geometry.filename = shapeEl.getAttribute('filename');
+                if (shapeEl.getAttribute('scale')) {
+                    geometry.meshScale = this.parseTuple(shapeEl.getAttribute('scale'), 1);
+                }
+                break;
+        }
+
+        return geometry;
+    }
+
+    /**
+     * Parse URDF <material> element (color and optional texture)
+     */
+    static parseMaterialElement(materialEl) {
+        const material = new Material(materialEl.getAttribute('name') || '');
+
+        const colorEl = this.findChildElement(materialEl, 'color');
+        if (colorEl && colorEl.getAttribute('rgba')) {
+            const rgba = colorEl.getAttribute('rgba').trim().split(/\s+/).map(parseFloat);
+            material.rgba = [rgba[0] || 0, rgba[1] || 0, rgba[2] || 0, rgba.length >= 4 ? rgba[3] : 1];
+            material.color = { r: material.rgba[0], g: material.rgba[1], b: material.rgba[2] };
+        }
+
+        const textureEl = this.findChildElement(materialEl, 'texture');
+        if (textureEl) {
+            material.texture = textureEl.getAttribute('filename');
+        }
+
+        return material;
+    }
+
+    /**
+     * Parse <transmission> elements, both ROS 1 style and inside <ros2_control>
+     * @returns {Array} [{name, type, joints: [...], actuators: [...]}], each joint/actuator with
+     *   hardwareInterfaces and mechanicalReduction (null when not given)
+     */
+    static parseTransmissions(robotNode) {
+        const childText = (el, ...tagNames) => {
+            for (const tagName of tagNames) {
+                const child = this.findChildElement(el, tagName.toLowerCase());
+                if (child) return child.textContent.trim();
+            }
+            return null;
+        };
+        const parseEndpoint = (el) => {
+            const reduction = childText(el, 'mechanicalReduction', 'mechanical_reduction');
+            return {
+                name: el.getAttribute('name') || '',
+                hardwareInterfaces: Array.from(el.children as HTMLCollection)
+                    .filter((child: Element) => child.nodeName.toLowerCase() === 'hardwareinterface')
+                    .map((child: Element) => child.textContent.trim()),
+                mechanicalReduction: reduction !== null ? parseFloat(reduction) : null
+            };
+        };
+
+        return Array.from(robotNode.querySelectorAll('transmission') as NodeListOf<Element>).map(el => ({
+            name: el.getAttribute('name') || '',
+            type: childText(el, 'type', 'plugin') || el.getAttribute('type') || '',
+            joints: Array.from(el.children as HTMLCollection)
+                .filter((child: Element) => child.nodeName.toLowerCase() === 'joint')
+                .map(parseEndpoint),
+            actuators: Array.from(el.children as HTMLCollection)
+                .filter((child: Element) => child.nodeName.toLowerCase() === 'actuator')
+                .map(parseEndpoint)
+        }));
+    }
+
+    /**
+     * Parse <gazebo> extension blocks
+     * Blocks with a reference attach to the named link or joint; the others hold robot-level plugins
+     * @returns {{references: Object, plugins: Array}}
+     */
+    static parseGazebo(robotNode) {
+        const gazebo = { references: {} as Record<string, any>, plugins: [] };
+        const parsePlugin = (el) => ({ name: el.getAttribute('name') || '', filename: el.getAttribute('filename') || '' });
+
+        Array.from(robotNode.children as HTMLCollection).forEach((el: Element) => {
+            if (el.nodeName.toLowerCase() !== 'gazebo') return;
+
+            const reference = el.getAttribute('reference');
+            if (!reference) {
+                Array.from(el.children as HTMLCollection).forEach((child: Element) => {
+                    if (child.nodeName === 'plugin') gazebo.plugins.push(parsePlugin(child));
+                });
+                return;
+            }
+
+            const block = gazebo.references[reference] || {
+                reference,
+                material: null,
+                rgba: null,
+                properties: {},
+                sensors: [],
+                plugins: []
+            };
+            gazebo.references[reference] = block;
+
+            Array.from(el.children as HTMLCollection).forEach((child: Element) => {
+                const tagName = child.nodeName;
+                if (tagName === 'material') {
+                    block.material = child.textContent.trim();
+                } else if (tagName === 'visual') {
+                    // Gazebo Sim style: <visual><material><diffuse>r g b a</diffuse></material></visual>
+                    const diffuse = child.querySelector('material > diffuse');
+                    if (diffuse) {
+                        const rgba = diffuse.textContent.trim().split(/\s+/).map(parseFloat);
+                        block.rgba = [rgba[0] || 0, rgba[1] || 0, rgba[2] || 0, rgba.length >= 4 ? rgba[3] : 1];
+                    }
+                } else if (tagName === 'sensor') {
+                    const updateRate = this.findChildElement(child, 'update_rate');
+                    block.sensors.push({
+                        name: child.getAttribute('name') || '',
+                        type: child.getAttribute('type') || '',
+                        updateRate: updateRate ? parseFloat(updateRate.textContent) : null
+                    });
+                } else if (tagName === 'plugin') {
+                    block.plugins.push(parsePlugin(child));
+                } else if (child.children.length === 0) {
+                    // Scalar properties (mu1, mu2, kp, kd, selfCollide, ...), numeric where possible
+                    const text = child.textContent.trim();
+                    const value = Number(text);
+                    block.properties[tagName] = text !== '' && !isNaN(value) ? value : text;
+                }
+            });
+        });
+
+        return gazebo;
+    }
+
+    /**
+     * Color of a gazebo reference block: explicit diffuse or a known Gazebo/* material
+     * @returns {number[]|null} rgba
+     */
+    static getGazeboColor(block) {
+        if (!block) return null;
+        if (block.rgba) return block.rgba;
+        return GAZEBO_MATERIAL_COLORS[block.material] || null;
+    }
+
+    /**
+     * Color visuals that have no URDF material with their link's gazebo material
+     */
+    static applyGazeboMaterials(model) {
+        const references = model.userData.gazebo?.references || {};
+
+        model.links.forEach((link, linkName) => {
+            const block = references[linkName];
+            const rgba = this.getGazeboColor(block);
+            if (!rgba) {
+                if (block?.material) {
+                    LoadDiagnostics.warn('ignoredElement', `Unknown gazebo material "${block.material}" on link ${linkName}`, { reference: block.material });
+                }
+                return;
+            }
+
+            link.visuals.forEach(visual => {
+                // visual.material stays empty so exports don't gain a URDF material
+                if (visual.material || !visual.threeObject) return;
+
+                // urdf-loader shares one default material per visual; recolor it in place
+                const paint = (obj) => {
+                    if (!obj.isMesh || !obj.material?.color) return;
+                    obj.material.color.setRGB(rgba[0], rgba[1], rgba[2]);
+                    obj.material.opacity = rgba[3];
+                    obj.material.transparent = rgba[3] < 1;
+                    obj.material.depthWrite = !obj.material.transparent;
+                    if (obj.material.userData.originalColor) {
+                        obj.material.userData.originalColor = obj.material.color.clone();
+                    }
+                };
+                visual.threeObject.children.forEach(paint);
+
+                // Mesh files finish loading after conversion
+                visual.threeObject.addEventListener('childadded', (event) => paint(event.child));
+            });
+        });
+    }
+
+    /**
+     * Transmissions acting on a joint
+     */
+    static getJointTransmissions(model, jointName) {
+        return (model.userData?.transmissions || []).filter(transmission =>
+            transmission.joints.some(joint => joint.name === jointName)
+        );
+    }
+
+    /**
+     * One-line transmission description for info panels
+     */
+    static describeTransmission(transmission) {
+        const type = transmission.type.split('/').pop();
+        const endpoints = [...transmission.joints, ...transmission.actuators];
+        const reduction = endpoints.find(endpoint => endpoint.mechanicalReduction !== null)?.mechanicalReduction;
+        const interfaces = [...new Set(endpoints.flatMap(endpoint => endpoint.hardwareInterfaces))]
+            .map(name => name.split('/').pop());
+
+        let text = `Transmission ${transmission.name}${type ? ` (${type})` : ''}`;
+        if (transmission.actuators.length > 0) {
+            text += `: ${transmission.actuators.map(actuator => actuator.name).join(', ')}`;
+        }
+        if (reduction !== undefined) {
+            text += `, reduction ${reduction}`;
+        }
+        if (interfaces.length > 0) {
+            text += `, ${interfaces.join(', ')}`;
+        }
+        return text;
+    }
+
+    /**
+     * One-line gazebo reference description for info panels
+     */
+    static describeGazeboReference(block) {
+        const parts = [];
+        if (block.material) {
+            parts.push(block.material);
+        }
+        Object.entries(block.properties).forEach(([key, value]) => parts.push(`${key} ${value}`));
+        block.sensors.forEach(sensor => parts.push(`sensor ${sensor.name} (${sensor.type})`));
+        block.plugins.forEach(plugin => parts.push(`plugin ${plugin.name || plugin.filename}`));
+        return `Gazebo: ${parts.join(', ') || '-'}`;
+    }
+
+    /**
+     * Find direct child element by tag name
+     */
+    static findChildElement(element, tagName) {
+        return Array.from(element.children as HTMLCollection).find(
+            (el: Element) => el.nodeName.toLowerCase() === tagName
+        ) as Element | undefined;
+    }
+
+    /**
+     * Parse space-separated number tuple (missing values use defaultValue)
+     */
+    static parseTuple(value, defaultValue = 0) {
+        if (!value) return [defaultValue, defaultValue, defaultValue];
+        const values = value.trim().split(/\s+/).map(parseFloat);
+        return [0, 1, 2].map(i => isNaN(values[i]) ? defaultValue : values[i]);
+    }
+
     static convertJoint(urdfJoint) {
         // URDF joint object has jointType property (not type)
         const jointType = urdfJoint.jointType || urdfJoint.type || 'fixed';
@@ -241,6 +594,18 @@ export class URDFAdapter {
             joint.limits = this.convertLimits(urdfJoint.limit);
         }
 
+        // Convert mimic (urdf-loader parses <mimic> into URDFMimicJoint)
+        if (urdfJoint.mimicJoint) {
+            joint.mimic = new JointMimic(urdfJoint.mimicJoint);
+            joint.mimic.multiplier = urdfJoint.multiplier ?? 1;
+            joint.mimic.offset = urdfJoint.offset ?? 0;
+        }
+
+        // Floating and planar joints are driven by a pose rather than a single value
+        if (jointType === 'floating' || jointType === 'planar') {
+            joint.pose = new JointPose();
+        }
+
         // Get current value
         if (urdfJoint.angle !== undefined) {
             joint.currentValue = urdfJoint.angle;
@@ -457,5 +822,26 @@ export class URDFAdapter {
             console.warn(`Joint ${joint.name} has no threeObject`);
         }
     }
-}
 
+    /**
+     * Set pose of a floating/planar joint (using urdf-loader's multi-value setJointValue)
+     * Floating values are x, y, z and intrinsic XYZ Euler angles; planar values are x, y and the angle about the axis
+     */
+    static setJointPose(joint, pose) {
+        joint.pose = pose;
+
+        if (!joint.threeObject || typeof joint.threeObject.setJointValue !== 'function') {
+            console.warn(`Joint ${joint.name} has no setJointValue method`);
+            return;
+        }
+
+        if (joint.type === 'planar') {
+            joint.threeObject.setJointValue(pose.xyz[0], pose.xyz[1], pose.rpy[2]);
+            return;
+        }
+
+        const { quaternion } = MathUtils.jointPoseToTransform(joint, pose);
+        const euler = new THREE.Euler().setFromQuaternion(quaternion, 'XYZ');
+        joint.threeObject.setJointValue(pose.xyz[0], pose.xyz[1], pose.xyz[2], euler.x, euler.y, euler.z);
+    }
+}
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { XacroAdapter } from './XacroAdapter.js';
+
+function textFile(content) {
+    return { name: 'file', text: async () => content };
+}
+
+describe('XacroAdapter', () => {
+    it('should extract xacro arguments and infer their editor types', () => {
+        const xacro = `<robot xmlns:xacro="http://www.ros.org/wiki/xacro" name="arm">
+  <xacro:arg name="with_gripper" default="true"/>
+  <xacro:arg name="arm_length" default="0.45"/>
+  <xacro:arg name="prefix" default="left_"/>
+  <xacro:arg name="use_sim" default="False"/>
+</robot>`;
+
+        const args = XacroAdapter.extractXacroArguments(xacro);
+        expect(args).toEqual({
+            with_gripper: 'true',
+            arm_length: '0.45',
+            prefix: 'left_',
+            use_sim: 'False'
+        });
+
+        expect(XacroAdapter.inferArgType(args.with_gripper)).toBe('boolean');
+        expect(XacroAdapter.inferArgType(args.use_sim)).toBe('boolean');
+        expect(XacroAdapter.inferArgType(args.arm_length)).toBe('number');
+        expect(XacroAdapter.inferArgType(args.prefix)).toBe('string');
+        expect(XacroAdapter.inferArgType('')).toBe('string');
+    });
+
+    it('should map expanded links and joints back to their macro calls', async () => {
+        const main = `<?xml version="1.0"?>
+<robot xmlns:xacro="http://www.ros.org/wiki/xacro" name="arm">
+  <xacro:include filename="parts.xacro"/>
+  <link name="base"/>
+  <xacro:segment name="upper" parent="base"/>
+</robot>`;
+        const parts = `<robot xmlns:xacro="http://www.ros.org/wiki/xacro">
+  <xacro:macro name="segment" params="name parent">
+    <link name="\${name}">
+      <inertial><mass value="1"/></inertial>
+    </link>
+    <joint name="\${name}_joint" type="revolute">
+      <parent link="\${parent}"/>
+      <child link="\${name}"/>
+    </joint>
+  </xacro:macro>
+</robot>`;
+        const fileMap = new Map<string, any>([
+            ['robot/arm.xacro', textFile(main)],
+            ['robot/parts.xacro', textFile(parts)]
+        ]);
+
+        const { document, expansion } = await XacroAdapter.expand(main, 'robot/arm.xacro', fileMap);
+
+        // Source tags never reach the URDF
+        expect(new XMLSerializer().serializeToString(document)).not.toContain('__xacro');
+        expect(expansion.text).not.toContain('__xacro');
+
+        const base = expansion.elements.link.base;
+        expect(base.source).toMatchObject({ file: 'robot/arm.xacro', line: 4, calls: [] });
+
+        const upper = expansion.elements.link.upper;
+        expect(upper.source).toMatchObject({ file: 'robot/parts.xacro', line: 3 });
+        expect(upper.source.calls).toEqual([{ file: 'robot/arm.xacro', line: 5 }]);
+        expect(expansion.text.split('\n')[upper.expandedLine - 1].trim()).toBe('<link name="upper">');
+
+        const mass = expansion.text.split('\n').findIndex(line => line.includes('<mass'));
+        expect(expansion.lineSources[mass].line).toBe(4);
+        expect(expansion.elements.joint.upper_joint.source.calls[0].line).toBe(5);
+    });
+
+    it('should report xacro errors with file and line', async () => {
+        const main = `<robot xmlns:xacro="http://www.ros.org/wiki/xacro" name="arm">
+  <link name="base"/>
+  <xacro:missing_macro/>
+</robot>`;
+
+        await expect(XacroAdapter.expand(main, 'arm.xacro')).rejects.toMatchObject({
+            location: { file: 'arm.xacro', line: 3 }
+        });
+    });
+});
@@ -22,6 +22,26 @@
  */
 import { XacroParser } from 'xacro-parser';
 import { URDFAdapter } from './URDFAdapter.js';
+import { PackageIndex } from '../loaders/PackageIndex.js';
+import { LoadDiagnostics } from '../loaders/LoadDiagnostics.js';
+
+// Attribute tagging expanded elements with their source location (removed after expansion)
+const SOURCE_ATTRIBUTE = '__xacro_src';
+// Macro parameter / global property carrying the chain of macro calls
+const CALL_PROPERTY = '__xacro_call';
+// xacro tags that are directives rather than macro calls
+const XACRO_DIRECTIVES = new Set([
+    'xacro:property', 'xacro:macro', 'xacro:arg', 'xacro:include', 'xacro:if',
+    'xacro:unless', 'xacro:insert_block', 'xacro:element', 'xacro:attribute'
+]);
+
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
 export class XacroAdapter {
     /**
@@ -30,88 +50,20 @@ export class XacroAdapter {
      * @param {string} fileName - Xacro file name (for working path)
      * @param {Map} fileMap - File map (path -> File object)
      * @param {File} file - Original file object (optional)
+     * @param {Object} argOverrides - Values for <xacro:arg> that replace their defaults (name -> string)
      * @returns {Promise<UnifiedRobotModel>}
      */
-    static async parse(xacroContent, fileName, fileMap = null, file = null) {
+    static async parse(xacroContent, fileName, fileMap = null, file = null, argOverrides = {}) {
         try {
-            // Create xacro parser
-            const parser = new XacroParser();
-
-            // Configure parser for ROS Jade and later (default settings)
-            parser.inOrder = true;
-            parser.requirePrefix = true;
-            parser.localProperties = true;
+            const { document, declaredArgs, args, expansion, unresolved } = await this.expand(xacroContent, fileName, fileMap, argOverrides);
+            const packageIndex = fileMap ? await PackageIndex.fromFileMap(fileMap) : null;
 
-            // Set working path (directory where xacro file is located)
             const workingPath = fileName.includes('/')
                 ? fileName.substring(0, fileName.lastIndexOf('/') + 1)
                 : '';
-            parser.workingPath = workingPath;
-
-            // Inject Python-style boolean constants as xacro properties
-            // Some xacro files use True/False (capitalized) in conditions
-            xacroContent = this.injectBooleanConstants(xacroContent);
-
-            // Extract and set xacro arguments with their default values
-            // Also add common ROS arguments that might be used without definition
-            const xacroArgs = this.extractXacroArguments(xacroContent);
-
-            // Add common ROS arguments with sensible defaults if not already defined
-            if (!xacroArgs.hasOwnProperty('DEBUG')) {
-                xacroArgs.DEBUG = 'false';
-            }
-            if (!xacroArgs.hasOwnProperty('SELF_COLLIDE')) {
-                xacroArgs.SELF_COLLIDE = 'false';
-            }
-
-            parser.arguments = xacroArgs;
-
-            // If fileMap provided, setup custom file loader
-            if (fileMap) {
-                parser.getFileContents = async (path) => {
-                    return await this.loadFileFromMap(path, fileMap, workingPath);
-                };
-            }
-
-            // Parse xacro to URDF XML
-            const urdfXML = await parser.parse(xacroContent);
-
-            // Convert XMLDocument to string
-            const serializer = new XMLSerializer();
-            let urdfString = serializer.serializeToString(urdfXML);
-
-            // Clean up the XML string - remove empty xmlns attributes that might cause issues
-            urdfString = urdfString.replace(/\sxmlns=""/g, '');
-
-            // Re-parse the URDF string with DOMParser to create a clean XMLDocument
-            // This removes any xacro-specific nodes that urdf-loader might not handle
-            const domParser = new DOMParser();
-            const cleanUrdfXML = domParser.parseFromString(urdfString, 'text/xml');
-
-            // Check for parsing errors
-            const parseError = cleanUrdfXML.querySelector('parsererror');
-            if (parseError) {
-                console.error('[XacroAdapter] XML parsing error:', parseError.textContent);
-                throw new Error('Generated URDF has invalid XML: ' + parseError.textContent);
-            }
-
-            // Remove problematic elements that urdf-loader might not handle well
-            // Remove gazebo elements (plugins, sensors, etc.)
-            const gazeboElements = cleanUrdfXML.querySelectorAll('gazebo');
-            gazeboElements.forEach(el => el.parentNode?.removeChild(el));
-
-            // Remove transmission elements (these are for Gazebo/ROS control)
-            const transmissionElements = cleanUrdfXML.querySelectorAll('transmission');
-            transmissionElements.forEach(el => el.parentNode?.removeChild(el));
-
-            // Remove visual/collision elements with empty geometry tags
-            this.removeEmptyGeometry(cleanUrdfXML);
-
-            // Clean up empty text nodes and comments that might cause issues
-            this.cleanXMLNodes(cleanUrdfXML.documentElement);
 
             // Convert the clean XMLDocument back to string for URDFLoader
-            const finalUrdfString = serializer.serializeToString(cleanUrdfXML);
+            const finalUrdfString = new XMLSerializer().serializeToString(document);
 
             // Now use existing URDF loading infrastructure
             // Import URDFLoader dynamically
@@ -120,6 +72,8 @@ export class XacroAdapter {
 
             return new Promise((resolve, reject) => {
                 const loader = new URDFLoader();
+                // Meshes and textures finish loading after the load has ended
+                const report = LoadDiagnostics.capture();
                 loader.parseCollision = true;
 
                 // Extract directory where URDF file is located
@@ -133,7 +87,8 @@ export class XacroAdapter {
                     // Build package map
                     const packageMap: Record<string, string> = {};
                     packages.forEach((pkg: string) => {
-                        packageMap[pkg] = pkg;
+                        // Indexed packages keep their URI so it can be resolved exactly
+                        packageMap[pkg] = packageIndex.has(pkg) ? `package://${pkg}` : pkg;
                     });
                     packageMap[''] = '';
 
@@ -141,6 +96,11 @@ export class XacroAdapter {
 
                     // Set URL Modifier (same as URDF loading)
                     const urlModifier = (url) => {
+                        const packageMatch = packageIndex.resolve(url, fileMap);
+                        if (packageMatch?.file) {
+                            return URL.createObjectURL(packageMatch.file);
+                        }
+
                         // Handle blob URLs
                         if (url.startsWith('blob:')) {
                             const blobMatch = url.match(/^blob:https?:\/\/[^\/]+\/(.+)$/);
@@ -226,6 +186,7 @@ export class XacroAdapter {
                                 const keyFileName = key.split('/').pop();
                                 if (keyFileName === targetFileName) {
                                     matchedFile = file;
+                                    report.record('warning', 'fallbackMatch', `${url} matched ${key} by file name only`, { reference: url, target: key });
                                     break;
                                 }
                             }
@@ -236,6 +197,9 @@ export class XacroAdapter {
                             return bloburl;
                         }
 
+                        if (isTextureFile || isMeshFile) {
+                            report.record('error', 'missingFile', `Cannot find file: ${url}`, { reference: url });
+                        }
                         return url;
                     };
 
@@ -244,20 +208,32 @@ export class XacroAdapter {
                     // Custom loadMeshCb (same as URDF loading)
                     const originalLoadMeshCb = loader.loadMeshCb || loader.defaultMeshLoader.bind(loader);
                     loader.loadMeshCb = (path, manager, done) => {
-                        this.findFileInMapByPath(path, fileMap, urdfDir).then(file => {
+                        // Meshes in indexed packages are never matched by file name
+                        const packageMatch = packageIndex.resolve(path, fileMap);
+                        if (packageMatch && !packageMatch.file) {
+                            report.record('error', 'missingFile', `Cannot find mesh file: ${path}`, { reference: path });
+                            done(null, new Error(`Cannot find mesh file: ${path}`));
+                            return;
+                        }
+                        const findFile = packageMatch
+                            ? Promise.resolve(packageMatch.file)
+                            : this.findFileInMapByPath(path, fileMap, urdfDir);
+
+                        findFile.then(file => {
                             if (file) {
                                 const ext = (file.name || path).toLowerCase().split('.').pop();
-                                this.loadMeshFileAsync(file, ext, manager).then(meshObject => {
+                                this.loadMeshFileAsync(file, ext, manager, report).then(meshObject => {
                                     if (meshObject) {
                                         done(meshObject, null);
                                     } else {
                                         done(null, new Error(`Failed to load mesh file: ${path}`));
                                     }
                                 }).catch(err => {
-                                    console.error(`Failed to load mesh: ${path}`, err);
+                                    report.error('parseWarning', `Failed to load mesh: ${path}`, { reference: path, cause: err });
                                     done(null, err);
                                 });
                             } else {
+                                report.record('error', 'missingFile', `Cannot find mesh file: ${path}`, { reference: path });
                                 originalLoadMeshCb(path, manager, done);
                             }
                         }).catch(error => {
@@ -277,6 +253,19 @@ export class XacroAdapter {
                     // Convert to unified model using URDFAdapter
                     try {
                         const model = URDFAdapter.convert(robot, finalUrdfString);
+                        model.userData.xacroArgs = Object.entries(declaredArgs).map(([name, defaultValue]) => ({
+                            name,
+                            defaultValue,
+                            value: args[name],
+                            type: this.inferArgType(defaultValue)
+                        }));
+                        model.userData.xacroExpansion = expansion;
+                        if (packageIndex) {
+                            const report = packageIndex.checkReferences(finalUrdfString, fileMap);
+                            report.unresolved.unshift(...unresolved);
+                            model.userData.loadReport = report;
+                            PackageIndex.warnUnresolved(report, fileName);
+                        }
                         resolve(model);
                     } catch (error) {
                         console.error('[XacroAdapter] URDF conversion error:', error);
@@ -290,18 +279,385 @@ export class XacroAdapter {
             });
         } catch (error) {
             console.error('[XacroAdapter] Xacro parsing error:', error);
-            throw new Error('Xacro parsing failed: ' + error.message);
+            const wrapped: any = new Error('Xacro parsing failed: ' + error.message);
+            wrapped.location = error.location || null;
+            throw wrapped;
         }
     }
 
     /**
-     * Load file from fileMap for xacro includes
-     * @param {string} path - File path
+     * Expand xacro content into a clean URDF document
+     * Elements are first tagged with the file/line and macro calls they come from, so the
+     * expanded URDF can be mapped back to its source. If tagging trips up xacro-parser the
+     * file is expanded again untagged; errors from that run get a file/line location.
+     * @param {string} xacroContent - Xacro file content
+     * @param {string} fileName - Xacro file path (for working path and source locations)
+     * @param {Map} fileMap - File map (path -> File object)
+     * @param {Object} argOverrides - Values for <xacro:arg> that replace their defaults
+     * @returns {Promise<{document: XMLDocument, declaredArgs: Object, args: Object, expansion: Object, unresolved: Array}>}
+     *   unresolved lists $(find pkg) references to packages without a package.xml
+     */
+    static async expand(xacroContent, fileName, fileMap = null, argOverrides = {}) {
+        // Original content of every file read, used to locate errors
+        const sources = new Map([[fileName, xacroContent]]);
+        const packageIndex = fileMap ? await PackageIndex.fromFileMap(fileMap) : null;
+
+        try {
+            return await this.runParser(xacroContent, fileName, fileMap, argOverrides, sources, packageIndex, true);
+        } catch (trackedError) {
+            try {
+                const result = await this.runParser(xacroContent, fileName, fileMap, argOverrides, sources, packageIndex, false);
+                LoadDiagnostics.warn('parseWarning', `[XacroAdapter] Expanded without source mapping: ${trackedError.message}`);
+                return result;
+            } catch (error) {
+                const location = error.location || this.locateError(error.message, sources);
+                const located: any = new Error(location
+                    ? `${location.file}${location.line ? ':' + location.line : ''}: ${error.message}`
+                    : error.message);
+                located.location = location;
+                throw located;
+            }
+        }
+    }
+
+    /**
+     * Run xacro-parser once and clean its output
+     * @param {PackageIndex|null} packageIndex - Packages for $(find pkg) and package:// includes
+     * @param {boolean} trackSources - Tag elements with their source location
+     */
+    static async runParser(xacroContent, fileName, fileMap, argOverrides, sources, packageIndex, trackSources) {
+        // Create xacro parser
+        const parser = new XacroParser();
+
+        // Configure parser for ROS Jade and later (default settings)
+        parser.inOrder = true;
+        parser.requirePrefix = true;
+        parser.localProperties = true;
+
+        // Set working path (directory where xacro file is located)
+        const workingPath = fileName.includes('/')
+            ? fileName.substring(0, fileName.lastIndexOf('/') + 1)
+            : '';
+        parser.workingPath = workingPath;
+
+        this.checkWellFormed(xacroContent, fileName);
+
+        // Extract and set xacro arguments with their default values
+        // Also add common ROS arguments that might be used without definition
+        const declaredArgs = this.extractXacroArguments(xacroContent);
+        const xacroArgs = { ...declaredArgs };
+
+        // Add common ROS arguments with sensible defaults if not already defined
+        if (!xacroArgs.hasOwnProperty('DEBUG')) {
+            xacroArgs.DEBUG = 'false';
+        }
+        if (!xacroArgs.hasOwnProperty('SELF_COLLIDE')) {
+            xacroArgs.SELF_COLLIDE = 'false';
+        }
+
+        // User values replace the declared defaults
+        Object.assign(xacroArgs, argOverrides);
+
+        parser.arguments = xacroArgs;
+
+        // $(find pkg) gives the package directory; unknown packages keep their name and
+        // are matched by file name as before
+        const unresolved = [];
+        parser.rospackCommands = {
+            find: (pkg) => {
+                const packagePath = packageIndex?.getPackagePath(pkg) ?? null;
+                if (packagePath === null) {
+                    if (!unresolved.some(entry => entry.uri === `$(find ${pkg})`)) {
+                        unresolved.push({ uri: `$(find ${pkg})`, reason: 'unknownPackage' });
+                    }
+                    return pkg;
+                }
+                return packagePath;
+            }
+        };
+
+        // Tag before injecting anything so line numbers match the file
+        if (trackSources) {
+            xacroContent = this.injectCallTracking(this.annotateSourceLines(xacroContent, fileName));
+        }
+
+        // Inject Python-style boolean constants as xacro properties
+        // Some xacro files use True/False (capitalized) in conditions
+        xacroContent = this.injectBooleanConstants(xacroContent);
+
+        // If fileMap provided, setup custom file loader
+        if (fileMap) {
+            parser.getFileContents = async (path) => {
+                const packageMatch = packageIndex?.resolve(path, fileMap);
+                const match = packageMatch
+                    ? (packageMatch.file ? packageMatch : null)
+                    : this.findIncludeInMap(path, fileMap, workingPath);
+                if (!match) {
+                    LoadDiagnostics.error('missingFile', `[XacroAdapter] Cannot find included file: ${path}`, { reference: path });
+                    throw new Error(`Cannot find included file: ${path}`);
+                }
+                const content = await match.file.text();
+                sources.set(match.path, content);
+                this.checkWellFormed(content, match.path);
+                return trackSources ? this.annotateSourceLines(content, match.path) : content;
+            };
+        }
+
+        let urdfXML;
+        try {
+            // Parse xacro to URDF XML
+            urdfXML = await parser.parse(xacroContent);
+        } catch (error) {
+            // xacro-parser wraps loader errors, keep the location of malformed includes
+            const cause = [...sources.keys()].map(path => this.findMalformedLocation(sources.get(path), path)).find(Boolean);
+            if (cause) error.location = cause;
+            throw error;
+        }
+
+        // Convert XMLDocument to string
+        const serializer = new XMLSerializer();
+        let urdfString = serializer.serializeToString(urdfXML);
+
+        // Clean up the XML string - remove empty xmlns attributes that might cause issues
+        urdfString = urdfString.replace(/\sxmlns=""/g, '');
+
+        // Re-parse the URDF string with DOMParser to create a clean XMLDocument
+        // This removes any xacro-specific nodes that urdf-loader might not handle
+        const domParser = new DOMParser();
+        const cleanUrdfXML = domParser.parseFromString(urdfString, 'text/xml');
+
+        // Check for parsing errors
+        const parseError = cleanUrdfXML.querySelector('parsererror');
+        if (parseError) {
+            console.error('[XacroAdapter] XML parsing error:', parseError.textContent);
+            throw new Error('Generated URDF has invalid XML: ' + parseError.textContent);
+        }
+
+        // gazebo and transmission elements are kept: urdf-loader skips them and
+        // URDFAdapter parses them into model userData
+
+        // Remove visual/collision elements with empty geometry tags
+        this.removeEmptyGeometry(cleanUrdfXML);
+
+        // Clean up empty text nodes and comments that might cause issues
+        this.cleanXMLNodes(cleanUrdfXML.documentElement);
+
+        // Also strips the source tags, so the document is plain URDF afterwards
+        const expansion = this.buildExpansion(cleanUrdfXML);
+
+        return { document: cleanUrdfXML, declaredArgs, args: xacroArgs, expansion, unresolved };
+    }
+
+    /**
+     * Tag element start tags with the file and line they are written on
+     * Plain elements get SOURCE_ATTRIBUTE ("file:line|calls"), macro calls pass their
+     * location down through the CALL_PROPERTY macro parameter, innermost call first.
+     * Tags are only extended in place, so line numbers are unchanged.
+     * @param {string} content - Xacro file content
+     * @param {string} filePath - Path recorded in the tags
+     * @returns {string} Tagged content
+     */
+    static annotateSourceLines(content, filePath) {
+        // Comments, CDATA, processing instructions and doctypes are skipped, start tags captured
+        const tagPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)(\s*\/?>)/g;
+        const file = filePath.replace(/["&<|;$]/g, '_');
+        let line = 1;
+        let lastOffset = 0;
+        let isRoot = true;
+
+        return content.replace(tagPattern, (match, tagName, attributes, end, offset) => {
+            for (let i = lastOffset; i < offset; i++) {
+                if (content.charCodeAt(i) === 10) line++;
+            }
+            lastOffset = offset;
+
+            if (!tagName) return match;
+
+            // The root's attributes are evaluated before any property is defined
+            if (isRoot) {
+                isRoot = false;
+                return match;
+            }
+
+            const location = `${file}:${line}`;
+            if (tagName === 'xacro:macro') {
+                // Every macro accepts the caller's location as an extra parameter
+                const withParam = /\sparams\s*=/.test(attributes)
+                    ? attributes.replace(/(\sparams\s*=\s*)(["'])([\s\S]*?)\2/, `$1$2$3 ${CALL_PROPERTY}:=$2`)
+                    : `${attributes} params="${CALL_PROPERTY}:="`;
+                return `<${tagName}${withParam}${end}`;
+            }
+            if (XACRO_DIRECTIVES.has(tagName)) {
+                return match;
+            }
+            if (tagName.startsWith('xacro:')) {
+                return `<${tagName}${attributes} ${CALL_PROPERTY}="${location};\${${CALL_PROPERTY}}"${end}`;
+            }
+            return `<${tagName}${attributes} ${SOURCE_ATTRIBUTE}="${location}|\${${CALL_PROPERTY}}"${end}`;
+        });
+    }
+
+    /**
+     * Define the empty top-level call chain used by tagged elements outside macros
+     * @param {string} xacroContent - Tagged main file content
+     */
+    static injectCallTracking(xacroContent) {
+        const robotTagMatch = xacroContent.match(/(<robot[^>]*>)/);
+        if (!robotTagMatch) {
+            return xacroContent;
+        }
+
+        const insertPosition = robotTagMatch.index + robotTagMatch[0].length;
+        return xacroContent.substring(0, insertPosition) +
+               `<xacro:property name="${CALL_PROPERTY}" value="" scope="global"/>` +
+               xacroContent.substring(insertPosition);
+    }
+
+    /**
+     * Parse a SOURCE_ATTRIBUTE value
+     * @param {string|null} value - "file:line|file:line;file:line;"
+     * @returns {{file: string, line: number, calls: Array<{file: string, line: number}>}|null}
+     */
+    static parseSourceAttribute(value) {
+        if (!value) return null;
+
+        const parseLocation = (text) => {
+            const separator = text.lastIndexOf(':');
+            return { file: text.substring(0, separator), line: parseInt(text.substring(separator + 1), 10) };
+        };
+
+        const [own, calls = ''] = value.split('|');
+        return {
+            ...parseLocation(own),
+            calls: calls.split(';').filter(Boolean).map(parseLocation)
+        };
+    }
+
+    /**
+     * Pretty-print the expanded URDF, recording where each printed line came from
+     * Source tags are removed from the document on the way
+     * @param {XMLDocument} document - Expanded URDF document
+     * @returns {{text: string, lineSources: Array, elements: {link: Object, joint: Object}}}
+     *   lineSources[i] is the source of line i + 1, elements map link/joint names to
+     *   their expanded line and source
+     */
+    static buildExpansion(document) {
+        const lines = ['<?xml version="1.0"?>'];
+        const lineSources = [null];
+        const elements = { link: {} as Record<string, any>, joint: {} as Record<string, any> };
+
+        const write = (text, depth, source) => {
+            lines.push('  '.repeat(depth) + text);
+            lineSources.push(source);
+        };
+
+        const visit = (element, depth, inherited) => {
+            const source = this.parseSourceAttribute(element.getAttribute(SOURCE_ATTRIBUTE)) || inherited;
+            element.removeAttribute(SOURCE_ATTRIBUTE);
+
+            const tag = element.tagName;
+            if (depth === 1 && (tag === 'link' || tag === 'joint')) {
+                elements[tag][element.getAttribute('name')] = { expandedLine: lines.length + 1, source };
+            }
+
+            const attributes = [...element.attributes]
+                .map(attr => ` ${attr.name}="${escapeXML(attr.value)}"`)
+                .join('');
+            const children = [...element.children];
+            const text = [...element.childNodes]
+                .filter(node => node.nodeType === 3 || node.nodeType === 4)
+                .map(node => node.nodeValue.trim())
+                .filter(Boolean)
+                .join(' ');
+
+            if (children.length === 0) {
+                write(text ? `<${tag}${attributes}>${escapeXML(text)}</${tag}>` : `<${tag}${attributes}/>`, depth, source);
+                return;
+            }
+
+            write(`<${tag}${attributes}>`, depth, source);
+            if (text) {
+                write(escapeXML(text), depth + 1, source);
+            }
+            children.forEach(child => visit(child, depth + 1, source));
+            write(`</${tag}>`, depth, source);
+        };
+
+        if (document.documentElement) {
+            visit(document.documentElement, 0, null);
+        }
+
+        return { text: lines.join('\n'), lineSources, elements };
+    }
+
+    /**
+     * Throw if a file is not well-formed XML, with the file and line of the problem
+     * @param {string} content - File content
+     * @param {string} filePath - File path for the error location
+     */
+    static checkWellFormed(content, filePath) {
+        const location = this.findMalformedLocation(content, filePath);
+        if (location) {
+            const error: any = new Error(`Malformed XML: ${location.message}`);
+            error.location = { file: location.file, line: location.line };
+            throw error;
+        }
+    }
+
+    /**
+     * Find the XML syntax error in a file
+     * @returns {{file: string, line: number|null, message: string}|null}
+     */
+    static findMalformedLocation(content, filePath) {
+        const doc = new DOMParser().parseFromString(content, 'text/xml');
+        const parseError = doc.querySelector('parsererror');
+        if (!parseError) return null;
+
+        const message = (parseError.textContent || '').trim();
+        // Browsers report "line 12" or "Line Number 12"
+        const lineMatch = message.match(/line(?:\s+number)?\s*:?\s*(\d+)/i);
+        return { file: filePath, line: lineMatch ? parseInt(lineMatch[1], 10) : null, message };
+    }
+
+    /**
+     * Find where in the source files an xacro-parser error comes from
+     * xacro-parser errors carry no location, so the macro, expression, argument or include
+     * they name is searched for in the files that were read
+     * @param {string} message - Error message
+     * @param {Map} sources - File path -> content
+     * @returns {{file: string, line: number}|null}
+     */
+    static locateError(message, sources) {
+        const patterns = [
+            [/Cannot find macro "([^"]+)"/, (name) => `<xacro:${name}`],
+            [/Undefined substitution argument (\S+)/, (name) => `$(arg ${name}`],
+            [/included file: (\S+)/, (path) => path.split('/').pop()],
+            [/"([^"]+)"/, (text) => text.trim()]
+        ];
+
+        for (const [pattern, toNeedle] of patterns as Array<[RegExp, (text: string) => string]>) {
+            const match = message.match(pattern);
+            if (!match) continue;
+
+            const needle = toNeedle(match[1]);
+            for (const [file, content] of sources.entries()) {
+                const index = content.indexOf(needle);
+                if (index !== -1) {
+                    return { file, line: content.substring(0, index).split('\n').length };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find an included file in the file map
+     * @param {string} path - File path from xacro:include
      * @param {Map} fileMap - File map
-     * @param {string} workingPath - Working directory
-     * @returns {Promise<string>}
+     * @param {string} workingPath - Working directory path
+     * @returns {{path: string, file: File}|null} Matched file map key and file
      */
-    static async loadFileFromMap(path, fileMap, workingPath) {
+    static findIncludeInMap(path, fileMap, workingPath) {
         // Clean path - remove leading slash if present
         let cleanPath = path;
         if (cleanPath.startsWith('/')) {
@@ -325,8 +681,7 @@ export class XacroAdapter {
         for (const tryPath of possiblePaths) {
             const file = fileMap.get(tryPath);
             if (file) {
-                const content = await file.text();
-                return content;
+                return { path: tryPath, file };
             }
         }
 
@@ -335,13 +690,11 @@ export class XacroAdapter {
         for (const [key, file] of fileMap.entries()) {
             const keyFileName = key.split('/').pop();
             if (keyFileName === fileName) {
-                const content = await file.text();
-                return content;
+                return { path: key, file };
             }
         }
 
-        console.error('[XacroAdapter] Cannot find included file:', path);
-        throw new Error(`Cannot find included file: ${path}`);
+        return null;
     }
 
     /**
@@ -463,6 +816,7 @@ export class XacroAdapter {
         for (const [key, f] of fileMap.entries()) {
             const keyFileName = key.split('/').pop();
             if (keyFileName === targetFileName) {
+                LoadDiagnostics.record('warning', 'fallbackMatch', `${path} matched ${key} by file name only`, { reference: path, target: key });
                 return f;
             }
         }
@@ -475,9 +829,10 @@ export class XacroAdapter {
      * @param {File} file - File object
      * @param {string} ext - File extension
      * @param {THREE.LoadingManager} manager - Loading manager
+     * @param {Object} report - Diagnostics reporter from LoadDiagnostics.capture()
      * @returns {Promise<THREE.Object3D>}
      */
-    static async loadMeshFileAsync(file, ext, manager) {
+    static async loadMeshFileAsync(file, ext, manager, report: any = LoadDiagnostics) {
         const THREE = await import('three');
         const blobUrl = URL.createObjectURL(file);
 
@@ -542,7 +897,7 @@ export class XacroAdapter {
                 }
 
                 default:
-                    console.warn(`Unsupported file format: ${ext}`);
+                    report.warn('ignoredElement', `Unsupported mesh format: ${ext}`, { reference: file.name });
                     URL.revokeObjectURL(blobUrl);
                     return null;
             }
@@ -609,6 +964,19 @@ export class XacroAdapter {
 
         return args;
     }
-}
-
 
+    /**
+     * Guess the kind of value an argument holds from its default, for choosing an editor
+     * @param {string} value - Argument default
+     * @returns {string} 'boolean', 'number' or 'string'
+     */
+    static inferArgType(value) {
+        if (/^(true|false)$/i.test(value)) {
+            return 'boolean';
+        }
+        if (value.trim() !== '' && !isNaN(Number(value))) {
+            return 'number';
+        }
+        return 'string';
+    }
+}
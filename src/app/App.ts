@@ -24,6 +24,15 @@ import { SimulationHandler } from './handlers/SimulationHandler.js';
 import { CanvasHandler } from './handlers/CanvasHandler.js';
 import { ModelTreeHandler } from './handlers/ModelTreeHandler.js';
 import { USDViewerHandler } from './handlers/USDViewerHandler.js';
+import { ExportHandler } from './handlers/ExportHandler.js';
+import { XacroArgsHandler } from './handlers/XacroArgsHandler.js';
+import { LoadDiagnosticsHandler } from './handlers/LoadDiagnosticsHandler.js';
+import { ModelLintHandler } from './handlers/ModelLintHandler.js';
+import { InertiaHandler } from './handlers/InertiaHandler.js';
+import { IKHandler } from './handlers/IKHandler.js';
+import { ForwardKinematicsHandler } from './handlers/ForwardKinematicsHandler.js';
+import { WorkspaceHandler } from './handlers/WorkspaceHandler.js';
+import { CollisionHandler } from './handlers/CollisionHandler.js';
 
 // Expose d3 globally for PanelManager
 window.d3 = d3;
@@ -59,6 +68,15 @@ export class App {
     canvasHandler: any;
     modelTreeHandler: any;
     usdViewerHandler: any;
+    exportHandler: any;
+    xacroArgsHandler: any;
+    loadDiagnosticsHandler: any;
+    modelLintHandler: any;
+    inertiaHandler: any;
+    ikHandler: any;
+    forwardKinematicsHandler: any;
+    workspaceHandler: any;
+    collisionHandler: any;
 
     // VSCode file map
     vscodeFileMap: any;
@@ -88,6 +106,15 @@ export class App {
         this.canvasHandler = null;
         this.modelTreeHandler = null;
         this.usdViewerHandler = null;
+        this.exportHandler = null;
+        this.xacroArgsHandler = null;
+        this.loadDiagnosticsHandler = null;
+        this.modelLintHandler = null;
+        this.inertiaHandler = null;
+        this.ikHandler = null;
+        this.forwardKinematicsHandler = null;
+        this.workspaceHandler = null;
+        this.collisionHandler = null;
 
         // VSCode file map
         this.vscodeFileMap = new Map();
@@ -110,6 +137,7 @@ export class App {
         const ext = filename.split('.').pop().toLowerCase();
         if (['urdf', 'xacro'].includes(ext)) return 'urdf';
         if (['mjcf', 'xml'].includes(ext)) return 'mjcf';
+        if (['sdf', 'world'].includes(ext)) return 'sdf';
         if (['usd', 'usda', 'usdc', 'usdz'].includes(ext)) return 'usd';
         if (['obj', 'stl', 'dae', 'gltf', 'glb'].includes(ext)) return 'mesh';
         return 'unknown';
@@ -156,6 +184,11 @@ export class App {
                 this.handleModelLoaded(model, file, isMesh, snapshot);
             };
 
+            this.fileHandler.onLoadError = (error) => {
+                this.codeEditorManager?.showLoadError(error);
+                this.loadDiagnosticsHandler?.updateDiagnostics(error.diagnostics);
+            };
+
             // Initialize joint controls UI
             this.jointControlsUI = new JointControlsUI(this.sceneManager);
 
@@ -216,6 +249,10 @@ export class App {
                 if (this.measurementController) {
                     this.measurementController.updateMeasurement();
                 }
+                if (this.forwardKinematicsHandler) {
+                    this.forwardKinematicsHandler.updateResult();
+                }
+                this.sceneManager.collisionManager.update();
             };
 
             // Setup canvas click handler
@@ -291,9 +328,25 @@ export class App {
             this.themeHandler = new ThemeHandler(this);
             this.simulationHandler = new SimulationHandler(this);
             this.modelTreeHandler = new ModelTreeHandler(this);
+            this.exportHandler = new ExportHandler(this);
+            this.xacroArgsHandler = new XacroArgsHandler(this);
+            this.loadDiagnosticsHandler = new LoadDiagnosticsHandler(this);
+            this.modelLintHandler = new ModelLintHandler(this);
+            this.inertiaHandler = new InertiaHandler(this);
+            this.ikHandler = new IKHandler(this);
+            this.forwardKinematicsHandler = new ForwardKinematicsHandler(this);
+            this.workspaceHandler = new WorkspaceHandler(this);
+            this.collisionHandler = new CollisionHandler(this);
+            this.codeEditorManager.onExport = (format) => this.exportHandler.handleExport(format);
 
             // Setup model tree panel
             this.modelTreeHandler.setupModelTreePanel();
+            this.xacroArgsHandler.setupXacroPanel();
+            this.inertiaHandler.setupInertiaPanel();
+            this.ikHandler.setupIKPanel();
+            this.forwardKinematicsHandler.setupForwardKinematicsPanel();
+            this.workspaceHandler.setupWorkspacePanel();
+            this.collisionHandler.setupCollisionPanel();
 
             // Update editor button visibility
             this.updateEditorButtonVisibility();
@@ -315,6 +368,16 @@ export class App {
 
         // Handle the model
         await this.modelHandler.handleModelLoaded(model, file, isMesh);
+
+        this.xacroArgsHandler.updateXacroPanel(model, file);
+        this.codeEditorManager?.setExpansion(model?.userData?.xacroExpansion);
+        this.loadDiagnosticsHandler.updateDiagnostics(model?.userData?.loadDiagnostics);
+        await this.modelLintHandler.lintModel(isMesh ? null : model, file);
+        this.inertiaHandler.updateInertiaPanel(isMesh ? null : model);
+        this.ikHandler.updateIKPanel(isMesh ? null : model);
+        this.forwardKinematicsHandler.updateForwardKinematicsPanel(isMesh ? null : model);
+        this.workspaceHandler.updateWorkspacePanel(isMesh ? null : model);
+        this.collisionHandler.updateCollisionPanel(isMesh ? null : model);
     }
 
     /**
@@ -379,6 +442,41 @@ export class App {
             this.modelGraphView.drawModelGraph(this.state.currentModel);
         }
 
+        if (this.xacroArgsHandler) {
+            this.xacroArgsHandler.renderArgs();
+        }
+
+        if (this.loadDiagnosticsHandler) {
+            this.loadDiagnosticsHandler.renderDiagnostics();
+        }
+
+        if (this.modelLintHandler) {
+            this.modelLintHandler.renderIssues();
+        }
+
+        if (this.inertiaHandler) {
+            this.inertiaHandler.renderResults();
+        }
+
+        if (this.ikHandler) {
+            this.ikHandler.updateModeButtons();
+            this.ikHandler.renderStatus();
+        }
+
+        if (this.forwardKinematicsHandler) {
+            this.forwardKinematicsHandler.renderFrameGroups();
+            this.forwardKinematicsHandler.renderResult();
+        }
+
+        if (this.workspaceHandler) {
+            this.workspaceHandler.renderStatus();
+        }
+
+        if (this.collisionHandler) {
+            this.collisionHandler.renderCollisions();
+            this.collisionHandler.renderSweep();
+        }
+
         if (this.fileTreeView && this.fileHandler) {
             this.fileTreeView.updateFileTree(
                 this.fileHandler.getAvailableModels(),
@@ -456,6 +554,11 @@ export class App {
                 this.mujocoSimulationManager.update(performance.now());
             }
 
+            // Whole-robot COM follows joint changes and the simulation
+            this.sceneManager.supportPolygonManager.update();
+            this.sceneManager.manipulabilityManager.update();
+            this.sceneManager.workspaceManager.update();
+
             this.sceneManager.render();
         }
     }
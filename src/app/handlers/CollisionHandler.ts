@@ -0,0 +1,224 @@
+/**
+ * Collision Handler - Live self-collision check of the current pose and a sweep over the joint ranges
+ * that suggests the SRDF disabled-collisions list
+ */
+import { CollisionChecker } from '../../utils/CollisionChecker.js';
+import { SRDFExporter } from '../../exporters/SRDFExporter.js';
+
+const DEFAULT_SAMPLES = 1000;
+const MAX_SAMPLES = 100000;
+const REASONS = ['Adjacent', 'Default', 'Always', 'Never'];
+
+export class CollisionHandler {
+    app: any;
+    model: any;
+    result: any;
+    // Incremented per sweep and per model, stale sweeps stop at their next yield
+    runId: number;
+
+    constructor(app: any) {
+        this.app = app;
+        this.model = null;
+        this.result = null;
+        this.runId = 0;
+    }
+
+    get collisionManager() {
+        return this.app.sceneManager.collisionManager;
+    }
+
+    /**
+     * Setup collision panel controls
+     */
+    setupCollisionPanel() {
+        this.collisionManager.onChange = () => this.renderCollisions();
+
+        document.getElementById('collision-live')?.addEventListener('change', (event) => {
+            this.collisionManager.toggle((event.target as HTMLInputElement).checked);
+            this.renderCollisions();
+        });
+        document.getElementById('collision-padding')?.addEventListener('input', (event) => {
+            const input = event.target as HTMLInputElement;
+            const padding = parseFloat(input.value);
+            input.classList.toggle('invalid', !(padding >= 0));
+            if (padding >= 0) this.collisionManager.setPadding(padding);
+        });
+        document.getElementById('collision-sweep-btn')?.addEventListener('click', () => this.sweep());
+        document.getElementById('collision-copy-btn')?.addEventListener('click', () => this.copySRDF());
+        document.getElementById('collision-download-btn')?.addEventListener('click', () => this.downloadSRDF());
+
+        this.renderCollisions();
+        this.renderSweep();
+    }
+
+    /**
+     * Reset the panel for a newly loaded model (null hides the toolbar button)
+     */
+    updateCollisionPanel(model) {
+        const toggleBtn = document.getElementById('toggle-collision-panel');
+        const panel = document.getElementById('floating-collision-panel');
+        const hasCollisions = !!model?.links && [...model.links.values()].some(link => link.collisions.length > 0);
+
+        this.runId++;
+        this.model = hasCollisions ? model : null;
+        this.result = null;
+
+        if (toggleBtn) {
+            toggleBtn.style.display = hasCollisions ? '' : 'none';
+            if (!hasCollisions) toggleBtn.classList.remove('active');
+        }
+        if (panel && !hasCollisions) {
+            panel.style.display = 'none';
+        }
+
+        // Live checking stays on across models
+        this.collisionManager.update();
+        this.renderCollisions();
+        this.renderSweep();
+    }
+
+    /**
+     * Sample joint values and classify every link pair
+     */
+    async sweep() {
+        const samplesInput = document.getElementById('collision-samples') as HTMLInputElement | null;
+        const sweepBtn = document.getElementById('collision-sweep-btn') as HTMLButtonElement | null;
+        if (!this.model) return;
+
+        const requested = parseInt(samplesInput?.value, 10);
+        const count = Math.min(MAX_SAMPLES, Math.max(1, Number.isFinite(requested) ? requested : DEFAULT_SAMPLES));
+        if (samplesInput) samplesInput.value = String(count);
+
+        const runId = ++this.runId;
+        const model = this.model;
+        const ignoreLimits = this.app.sceneManager.ignoreLimits || !!model.userData?.ignoreLimits;
+        this.result = null;
+        if (sweepBtn) sweepBtn.disabled = true;
+        this.renderSweep(0);
+
+        try {
+            const result = await CollisionChecker.sweep(model, this.collisionManager.getBodies(true), count, {
+                ignoreLimits,
+                padding: this.collisionManager.padding,
+                onProgress: (fraction) => {
+                    if (runId === this.runId) this.renderSweep(fraction);
+                },
+                isCancelled: () => runId !== this.runId
+            });
+            if (runId !== this.runId) return;
+            this.result = result;
+        } finally {
+            if (sweepBtn) sweepBtn.disabled = false;
+        }
+        this.renderSweep();
+    }
+
+    /**
+     * List the link pairs colliding at the current pose
+     */
+    renderCollisions() {
+        const container = document.getElementById('collision-pairs');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const live = (document.getElementById('collision-live') as HTMLInputElement | null)?.checked;
+        const collisions = this.collisionManager.collisions;
+        if (!live || collisions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t(live ? 'collisionNone' : 'collisionLiveHint');
+            container.appendChild(empty);
+            return;
+        }
+
+        collisions.forEach(([link1, link2]) => {
+            const row = document.createElement('div');
+            row.className = 'collision-pair';
+            row.textContent = `${link1} ↔ ${link2}`;
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Sweep progress, or the reason counts and the SRDF of the last sweep
+     * @param {number|null} progress - Fraction done while sweeping
+     */
+    renderSweep(progress = null) {
+        const status = document.getElementById('collision-sweep-status');
+        const output = document.getElementById('collision-srdf');
+        const copyBtn = document.getElementById('collision-copy-btn') as HTMLButtonElement | null;
+        const downloadBtn = document.getElementById('collision-download-btn') as HTMLButtonElement | null;
+
+        const srdf = this.getSRDF();
+        if (copyBtn) copyBtn.disabled = !srdf;
+        if (downloadBtn) downloadBtn.disabled = !srdf;
+        if (output) {
+            output.textContent = srdf || '';
+            output.style.display = srdf ? 'block' : 'none';
+        }
+        if (!status) return;
+
+        if (progress !== null) {
+            status.textContent = `${window.i18n.t('collisionSweeping')} ${Math.round(progress * 100)}%`;
+            return;
+        }
+        if (!this.result) {
+            status.textContent = window.i18n.t('collisionSweepHint');
+            return;
+        }
+
+        const counts = REASONS
+            .map(reason => `${reason} ${this.result.entries.filter(entry => entry.reason === reason).length}`)
+            .join(' · ');
+        status.textContent = `${this.result.samples} ${window.i18n.t('collisionPoses')}: ${counts} · ` +
+            `${window.i18n.t('collisionEnabled')} ${this.result.enabledPairs}`;
+    }
+
+    getSRDF() {
+        return this.result && this.model ? SRDFExporter.export(this.model, this.result.entries) : null;
+    }
+
+    /**
+     * Copy the SRDF of the last sweep
+     */
+    async copySRDF() {
+        const copyBtn = document.getElementById('collision-copy-btn');
+        const srdf = this.getSRDF();
+        if (!srdf || !copyBtn) return;
+
+        const label = copyBtn.querySelector('span');
+        try {
+            await navigator.clipboard.writeText(srdf);
+            if (label) label.textContent = window.i18n.t('fkCopied');
+        } catch (error) {
+            console.warn('Failed to copy SRDF to clipboard:', error);
+            if (label) label.textContent = window.i18n.t('fkCopyFailed');
+        }
+        setTimeout(() => {
+            if (label) label.textContent = window.i18n.t('collisionCopy');
+        }, 1500);
+    }
+
+    /**
+     * Download the SRDF of the last sweep as <robot>.srdf
+     */
+    downloadSRDF() {
+        const srdf = this.getSRDF();
+        if (!srdf) return;
+
+        try {
+            const blob = new Blob([srdf], { type: 'text/plain;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${this.model.name || 'robot'}.srdf`;
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to download SRDF:', error);
+        }
+    }
+}
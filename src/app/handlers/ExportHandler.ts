@@ -0,0 +1,55 @@
+/**
+ * Export Handler - Handles exporting the loaded model to other formats
+ */
+import { URDFExporter } from '../../exporters/URDFExporter.js';
+import { MJCFExporter } from '../../exporters/MJCFExporter.js';
+
+export class ExportHandler {
+    app: any;
+
+    constructor(app: any) {
+        this.app = app;
+    }
+
+    /**
+     * Serialize model to the given format
+     * @returns {{content: string, extension: string}}
+     */
+    serializeModel(model, format) {
+        switch (format) {
+            case 'urdf':
+                return { content: URDFExporter.export(model), extension: 'urdf' };
+            case 'mjcf':
+                return { content: MJCFExporter.export(model), extension: 'xml' };
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+    }
+
+    /**
+     * Export current model and download the result
+     */
+    handleExport(format) {
+        const model = this.app.state.currentModel;
+        const editor = this.app.codeEditorManager;
+
+        if (!model || !model.links || model.links.size === 0) {
+            editor?.showInlineMessage(window.i18n.t('noModelToExport'), 'warning');
+            return;
+        }
+
+        try {
+            const { content, extension } = this.serializeModel(model, format);
+            const sourceFile = this.app.fileHandler?.getCurrentModelFile();
+            const baseName = sourceFile
+                ? sourceFile.name.replace(/\.[^/.]+$/, '')
+                : (model.name || 'robot');
+
+            editor?.downloadFile(content, `${baseName}.${extension}`);
+            editor?.showInlineMessage(window.i18n.t('fileDownloaded'), 'success');
+        } catch (error) {
+            console.error('Model export failed:', error);
+            editor?.showInlineMessage(`${window.i18n.t('exportFailed')}: ${error.message}`, 'error');
+        }
+    }
+}
@@ -15,6 +15,7 @@ export class FileHandler {
         const ext = filename.split('.').pop().toLowerCase();
         if (['urdf', 'xacro'].includes(ext)) return 'urdf';
         if (['mjcf', 'xml'].includes(ext)) return 'mjcf';
+        if (['sdf', 'world'].includes(ext)) return 'sdf';
         if (['usd', 'usda', 'usdc', 'usdz'].includes(ext)) return 'usd';
         if (['obj', 'stl', 'dae', 'gltf', 'glb'].includes(ext)) return 'mesh';
         return 'unknown';
@@ -25,7 +26,7 @@ export class FileHandler {
      */
     handleFileClick(fileInfo) {
         const ext = fileInfo.ext;
-        const modelExts = ['urdf', 'xacro', 'xml', 'usd', 'usda', 'usdc', 'usdz'];
+        const modelExts = ['urdf', 'xacro', 'xml', 'sdf', 'world', 'usd', 'usda', 'usdc', 'usdz'];
         const meshExts = ['dae', 'stl', 'obj', 'collada'];
 
         if (modelExts.includes(ext)) {
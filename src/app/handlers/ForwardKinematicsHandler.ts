@@ -0,0 +1,212 @@
+/**
+ * Forward Kinematics Handler - Shows the pose of one link/joint frame in another
+ * as xyz / rpy / quaternion / 4x4 matrix, refreshed whenever joint values change
+ */
+import { URDFExporter } from '../../exporters/URDFExporter.js';
+
+// Digits shown in the panel; the copied origin keeps full precision
+const DISPLAY_DIGITS = 4;
+
+function format(value) {
+    const fixed = value.toFixed(DISPLAY_DIGITS);
+    return Number(fixed) === 0 ? (0).toFixed(DISPLAY_DIGITS) : fixed;
+}
+
+export class ForwardKinematicsHandler {
+    app: any;
+    model: any;
+    transform: any;
+
+    constructor(app: any) {
+        this.app = app;
+        this.model = null;
+        this.transform = null;
+    }
+
+    /**
+     * Setup forward kinematics panel controls
+     */
+    setupForwardKinematicsPanel() {
+        ['fk-reference', 'fk-target'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateResult());
+        });
+        document.getElementById('fk-swap-btn')?.addEventListener('click', () => {
+            const reference = document.getElementById('fk-reference') as HTMLSelectElement | null;
+            const target = document.getElementById('fk-target') as HTMLSelectElement | null;
+            if (!reference || !target) return;
+            [reference.value, target.value] = [target.value, reference.value];
+            this.updateResult();
+        });
+        document.getElementById('fk-copy-btn')?.addEventListener('click', () => this.copyOrigin());
+        // The toolbar toggle is wired first, so the button is already active when the panel opens
+        const toggleBtn = document.getElementById('toggle-fk-panel');
+        toggleBtn?.addEventListener('click', () => {
+            if (toggleBtn.classList.contains('active')) this.updateResult();
+        });
+
+        this.renderFrameGroups();
+    }
+
+    /**
+     * Fill the frame lists for a newly loaded model (null hides the toolbar button)
+     * Reference defaults to the root link, target to the last leaf link
+     */
+    updateForwardKinematicsPanel(model) {
+        const toggleBtn = document.getElementById('toggle-fk-panel');
+        const panel = document.getElementById('floating-fk-panel');
+        const hasFrames = !!model?.links && model.links.size > 0 && !!model.threeObject;
+
+        this.model = hasFrames ? model : null;
+
+        if (toggleBtn) {
+            toggleBtn.style.display = hasFrames ? '' : 'none';
+            if (!hasFrames) toggleBtn.classList.remove('active');
+        }
+        if (panel && !hasFrames) {
+            panel.style.display = 'none';
+        }
+
+        const reference = document.getElementById('fk-reference') as HTMLSelectElement | null;
+        const target = document.getElementById('fk-target') as HTMLSelectElement | null;
+        [reference, target].forEach(select => {
+            if (select) this.fillFrameOptions(select);
+        });
+
+        if (hasFrames && reference && target) {
+            const linkNames = [...model.links.keys()];
+            const parents = new Set([...model.joints.values()].map(joint => joint.parent));
+            const root = model.rootLink && model.links.has(model.rootLink) ? model.rootLink : linkNames[0];
+            reference.value = `link:${root}`;
+            target.value = `link:${linkNames.filter(name => !parents.has(name)).pop() || root}`;
+        }
+
+        this.updateResult();
+    }
+
+    /**
+     * Links and joints with a scene frame, grouped; values carry the kind so equal names stay apart
+     */
+    fillFrameOptions(select) {
+        select.innerHTML = '';
+        if (!this.model) return;
+
+        [['link', 'fkLinks', this.model.links], ['joint', 'fkJoints', this.model.joints]].forEach(([kind, labelKey, items]) => {
+            const group = document.createElement('optgroup');
+            group.label = window.i18n.t(labelKey);
+            group.dataset.labelKey = labelKey;
+            items.forEach((item, name) => {
+                if (!item.threeObject) return;
+                const option = document.createElement('option');
+                option.value = `${kind}:${name}`;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            if (group.children.length > 0) select.appendChild(group);
+        });
+    }
+
+    /**
+     * Translate the group labels of both frame lists and the swap button title
+     */
+    renderFrameGroups() {
+        document.getElementById('fk-swap-btn')?.setAttribute('title', window.i18n.t('fkSwap'));
+        document.querySelectorAll('#fk-reference optgroup, #fk-target optgroup').forEach((group: HTMLOptGroupElement) => {
+            group.label = window.i18n.t(group.dataset.labelKey);
+        });
+    }
+
+    /**
+     * Recompute the relative transform; skipped while the panel is hidden
+     */
+    updateResult() {
+        const panel = document.getElementById('floating-fk-panel');
+        if (!panel || panel.style.display === 'none') return;
+
+        const reference = (document.getElementById('fk-reference') as HTMLSelectElement | null)?.value;
+        const target = (document.getElementById('fk-target') as HTMLSelectElement | null)?.value;
+        this.transform = this.model && reference && target
+            ? this.model.getRelativeTransform(reference, target)
+            : null;
+
+        this.renderResult();
+    }
+
+    /**
+     * Render xyz, rpy, quaternion and the homogeneous matrix
+     */
+    renderResult() {
+        const container = document.getElementById('fk-result');
+        const copyBtn = document.getElementById('fk-copy-btn') as HTMLButtonElement | null;
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (copyBtn) copyBtn.disabled = !this.transform;
+
+        if (!this.transform) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('fkSelectFrames');
+            container.appendChild(empty);
+            return;
+        }
+
+        const { xyz, rpy, quaternion, matrix } = this.transform;
+        [
+            ['xyz (m)', xyz],
+            ['rpy (rad)', rpy],
+            [`${window.i18n.t('fkQuaternion')} (x y z w)`, quaternion]
+        ].forEach(([label, values]) => {
+            const row = document.createElement('div');
+            row.className = 'fk-row';
+
+            const name = document.createElement('span');
+            name.className = 'fk-label';
+            name.textContent = label;
+            row.appendChild(name);
+
+            values.forEach(value => {
+                const cell = document.createElement('span');
+                cell.className = 'fk-value';
+                cell.textContent = format(value);
+                row.appendChild(cell);
+            });
+            container.appendChild(row);
+        });
+
+        const matrixLabel = document.createElement('div');
+        matrixLabel.className = 'fk-label';
+        matrixLabel.textContent = window.i18n.t('fkMatrix');
+        container.appendChild(matrixLabel);
+
+        const grid = document.createElement('div');
+        grid.className = 'fk-matrix';
+        matrix.forEach(row => row.forEach(value => {
+            const cell = document.createElement('span');
+            cell.className = 'fk-value';
+            cell.textContent = format(value);
+            grid.appendChild(cell);
+        }));
+        container.appendChild(grid);
+    }
+
+    /**
+     * Copy the transform as a URDF <origin> element
+     */
+    async copyOrigin() {
+        const copyBtn = document.getElementById('fk-copy-btn');
+        if (!this.transform || !copyBtn) return;
+
+        const origin = URDFExporter.serializeOrigin(this.transform.xyz, this.transform.rpy);
+        const label = copyBtn.querySelector('span');
+        try {
+            await navigator.clipboard.writeText(origin);
+            if (label) label.textContent = window.i18n.t('fkCopied');
+        } catch (error) {
+            console.warn('Failed to copy origin to clipboard:', error);
+            if (label) label.textContent = window.i18n.t('fkCopyFailed');
+        }
+        setTimeout(() => {
+            if (label) label.textContent = window.i18n.t('fkCopyOrigin');
+        }, 1500);
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * IK Handler - Inverse kinematics panel: pick an end effector link and drag its target gizmo,
+ * the chain from the root follows and the joint sliders update live
+ */
+import { IKSolver } from '../../utils/IKSolver.js';
+
+// Remaining errors below these count as reached: meters / radians
+const REACHED_POSITION = 1e-3;
+const REACHED_ORIENTATION = 1e-2;
+
+export class IKHandler {
+    app: any;
+    model: any;
+    lastResult: any;
+
+    constructor(app: any) {
+        this.app = app;
+        this.model = null;
+        this.lastResult = null;
+    }
+
+    get gizmo() {
+        return this.app.sceneManager.ikGizmoManager;
+    }
+
+    /**
+     * Setup IK panel controls
+     */
+    setupIKPanel() {
+        this.gizmo.onSolve = (result) => {
+            this.lastResult = result;
+            this.renderStatus();
+        };
+        this.gizmo.onDetach = () => this.renderStatus();
+
+        // The toolbar toggle and close button are wired first, so the active class is already updated
+        const toggleBtn = document.getElementById('toggle-ik-panel');
+        toggleBtn?.addEventListener('click', () => this.syncAttachment());
+        document.querySelector('.panel-close-btn[data-panel="floating-ik-panel"]')?.addEventListener('click', () => {
+            this.gizmo.clear();
+        });
+
+        document.getElementById('ik-link')?.addEventListener('change', (event) => {
+            this.lastResult = null;
+            this.app.sceneManager.manipulabilityManager.setLink((event.target as HTMLSelectElement).value);
+            this.syncAttachment();
+        });
+        document.querySelectorAll('.ik-mode-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.gizmo.setMode(button.getAttribute('data-mode'));
+                this.updateModeButtons();
+            });
+        });
+        document.getElementById('ik-orientation')?.addEventListener('change', (event) => {
+            this.gizmo.orientation = (event.target as HTMLInputElement).checked;
+        });
+        document.getElementById('ik-reset-btn')?.addEventListener('click', () => {
+            this.lastResult = null;
+            this.gizmo.resetTarget();
+            this.renderStatus();
+        });
+
+        this.updateModeButtons();
+        this.renderStatus();
+    }
+
+    /**
+     * Fill the end effector list for a newly loaded model (null hides the toolbar button)
+     * Only links with movable joints above them are offered; the choice also sets the
+     * manipulability ellipsoid's end effector
+     */
+    updateIKPanel(model) {
+        const toggleBtn = document.getElementById('toggle-ik-panel');
+        const panel = document.getElementById('floating-ik-panel');
+        const select = document.getElementById('ik-link') as HTMLSelectElement | null;
+        const { names: linkNames, preferred } = IKSolver.getEndEffectors(model);
+        const canSolve = linkNames.length > 0;
+
+        this.model = canSolve ? model : null;
+        this.lastResult = null;
+
+        if (toggleBtn) {
+            toggleBtn.style.display = canSolve ? '' : 'none';
+            if (!canSolve) toggleBtn.classList.remove('active');
+        }
+        if (panel && !canSolve) {
+            panel.style.display = 'none';
+        }
+
+        if (select) {
+            select.innerHTML = '';
+            linkNames.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            if (preferred) select.value = preferred;
+        }
+
+        // The manipulability ellipsoid follows the same end effector
+        this.app.sceneManager.manipulabilityManager.setLink(canSolve ? select?.value || null : null);
+        this.syncAttachment();
+    }
+
+    /**
+     * Attach the gizmo to the selected link while the panel is open, detach it otherwise
+     */
+    syncAttachment() {
+        const toggleBtn = document.getElementById('toggle-ik-panel');
+        const select = document.getElementById('ik-link') as HTMLSelectElement | null;
+        const isOpen = !!toggleBtn?.classList.contains('active');
+
+        if (this.model && isOpen && select?.value) {
+            this.gizmo.attach(select.value);
+            this.app.jointControlsUI?.updateGizmoButtons();
+        } else {
+            this.gizmo.clear();
+        }
+        this.renderStatus();
+    }
+
+    /**
+     * Highlight the active gizmo mode (titles follow the language)
+     */
+    updateModeButtons() {
+        document.querySelectorAll('.ik-mode-btn').forEach(button => {
+            const mode = button.getAttribute('data-mode');
+            button.classList.toggle('active', mode === this.gizmo.mode);
+            button.setAttribute('title', window.i18n.t(mode === 'rotate' ? 'gizmoRotate' : 'gizmoTranslate'));
+        });
+    }
+
+    /**
+     * Remaining error of the last solve, or a hint while nothing is attached
+     */
+    renderStatus() {
+        const status = document.getElementById('ik-status');
+        if (!status) return;
+
+        status.classList.remove('reached', 'unreached');
+        if (!this.gizmo.linkName) {
+            status.textContent = window.i18n.t(this.model ? 'ikOpenHint' : 'ikNoChain');
+            return;
+        }
+        if (!this.lastResult) {
+            status.textContent = window.i18n.t('ikDragHint');
+            return;
+        }
+
+        const { positionError, orientationError } = this.lastResult;
+        const reached = positionError < REACHED_POSITION &&
+            (!this.gizmo.orientation || orientationError < REACHED_ORIENTATION);
+        status.classList.add(reached ? 'reached' : 'unreached');
+
+        const parts = [`Δp ${(positionError * 1000).toFixed(1)} mm`];
+        if (this.gizmo.orientation) {
+            parts.push(`Δθ ${(orientationError * 180 / Math.PI).toFixed(1)}°`);
+        }
+        status.textContent = `${window.i18n.t(reached ? 'ikReached' : 'ikUnreachable')} · ${parts.join(' · ')}`;
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Inertia Handler - Recomputes link inertials from geometry and a density, compares them
+ * to the declared values and writes corrected <inertial> blocks into the editor (URDF and MJCF)
+ */
+import { InertiaCalculator } from '../../utils/InertiaCalculator.js';
+import { XMLUpdater } from '../../utils/XMLUpdater.js';
+
+// Differences above these are highlighted: relative mass / tensor, COM offset in meters
+const MISMATCH_RATIO = 0.1;
+const MISMATCH_COM = 0.01;
+
+function format(value) {
+    return Number.isFinite(value) ? Number(value.toPrecision(4)).toString() : '—';
+}
+
+export class InertiaHandler {
+    app: any;
+    model: any;
+    results: any[];
+
+    constructor(app: any) {
+        this.app = app;
+        this.model = null;
+        this.results = [];
+    }
+
+    /**
+     * Setup inertia panel controls
+     */
+    setupInertiaPanel() {
+        // The toolbar toggle is wired first, so the button is already active when the panel opens
+        const toggleBtn = document.getElementById('toggle-inertia-panel');
+        toggleBtn?.addEventListener('click', () => {
+            if (toggleBtn.classList.contains('active') && this.results.length === 0) this.computeAll();
+        });
+        document.getElementById('inertia-compute-btn')?.addEventListener('click', () => {
+            this.computeAll();
+        });
+        document.getElementById('inertia-apply-all-btn')?.addEventListener('click', () => {
+            this.applyInertials(this.results.filter(result => result.computed));
+        });
+        document.getElementById('inertia-source')?.addEventListener('change', () => {
+            if (this.results.length > 0) this.computeAll();
+        });
+        document.getElementById('inertia-density')?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.computeAll();
+        });
+    }
+
+    /**
+     * Reset the panel for a newly loaded model (null hides the toolbar button)
+     * Results are recomputed right away when the panel is open
+     */
+    updateInertiaPanel(model) {
+        const toggleBtn = document.getElementById('toggle-inertia-panel');
+        const panel = document.getElementById('floating-inertia-panel');
+        const hasLinks = !!model?.links && model.links.size > 0;
+
+        this.model = hasLinks ? model : null;
+        this.results = [];
+
+        if (toggleBtn) {
+            toggleBtn.style.display = hasLinks ? '' : 'none';
+            if (!hasLinks) toggleBtn.classList.remove('active');
+        }
+        if (panel && !hasLinks) {
+            panel.style.display = 'none';
+        }
+
+        if (hasLinks && panel && panel.style.display !== 'none') {
+            this.computeAll();
+        } else {
+            this.renderResults();
+        }
+    }
+
+    /**
+     * Compute every link from the selected geometry and density
+     */
+    computeAll() {
+        if (!this.model) return;
+
+        const densityInput = document.getElementById('inertia-density') as HTMLInputElement | null;
+        const sourceSelect = document.getElementById('inertia-source') as HTMLSelectElement | null;
+        const density = parseFloat(densityInput?.value);
+        if (!(density > 0)) {
+            densityInput?.classList.add('invalid');
+            return;
+        }
+        densityInput?.classList.remove('invalid');
+
+        const source = sourceSelect?.value === 'visual' ? 'visual' : 'collision';
+        this.results = [...this.model.links.values()].map(link => {
+            const computed = InertiaCalculator.computeLink(link, density, source);
+            const declared = InertiaCalculator.declaredInertial(this.model, link);
+            return {
+                name: link.name,
+                declared,
+                computed,
+                difference: computed ? InertiaCalculator.compare(declared, computed) : null
+            };
+        });
+
+        this.renderResults();
+    }
+
+    /**
+     * Render one row per link: declared → computed mass, COM offset and tensor difference
+     */
+    renderResults() {
+        const container = document.getElementById('inertia-results');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const applyAllBtn = document.getElementById('inertia-apply-all-btn') as HTMLButtonElement | null;
+        const writeTarget = this.getWriteTarget();
+        if (applyAllBtn) {
+            applyAllBtn.disabled = !writeTarget || !this.results.some(result => result.computed);
+            applyAllBtn.title = writeTarget ? '' : window.i18n.t('inertiaWriteUnsupported');
+        }
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('inertiaComputeHint');
+            container.appendChild(empty);
+            return;
+        }
+
+        const header = document.createElement('div');
+        header.className = 'inertia-row inertia-header';
+        ['', window.i18n.t('inertiaMass'), 'ΔCOM (m)', 'ΔI', ''].forEach(text => {
+            const cell = document.createElement('span');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        container.appendChild(header);
+
+        this.results.forEach(result => {
+            container.appendChild(this.createResultRow(result, writeTarget));
+        });
+    }
+
+    createResultRow(result, writeTarget) {
+        const row = document.createElement('div');
+        row.className = 'inertia-row';
+
+        const name = document.createElement('span');
+        name.className = 'inertia-link-name';
+        name.textContent = result.name;
+        name.title = result.name;
+        name.addEventListener('click', () => this.app.modelGraphView?.selectElement('link', result.name));
+        row.appendChild(name);
+
+        if (!result.computed) {
+            const note = document.createElement('span');
+            note.className = 'inertia-note';
+            note.textContent = window.i18n.t('inertiaNoGeometry');
+            row.appendChild(note);
+            return row;
+        }
+
+        const { declared, computed, difference } = result;
+        if (difference.mass > MISMATCH_RATIO || difference.tensor > MISMATCH_RATIO || difference.com > MISMATCH_COM) {
+            row.classList.add('mismatch');
+        }
+
+        const mass = document.createElement('span');
+        mass.textContent = `${format(declared?.mass)} → ${format(computed.mass)}`;
+        mass.title = `${window.i18n.t('inertiaDeclared')}: ${format(declared?.mass)} kg\n${window.i18n.t('inertiaComputed')}: ${format(computed.mass)} kg`;
+
+        const com = document.createElement('span');
+        com.textContent = format(difference.com);
+        com.title = `${window.i18n.t('inertiaComputed')}: ${computed.com.map(format).join(' ')}`;
+
+        const tensor = document.createElement('span');
+        tensor.textContent = Number.isFinite(difference.tensor) ? `${format(difference.tensor * 100)}%` : '—';
+        tensor.title = ['ixx', 'iyy', 'izz', 'ixy', 'ixz', 'iyz']
+            .map(key => `${key}: ${format(declared?.[key])} → ${format(computed[key])}`)
+            .join('\n');
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'control-button';
+        applyBtn.textContent = window.i18n.t('inertiaApply');
+        applyBtn.disabled = !writeTarget;
+        applyBtn.title = writeTarget ? '' : window.i18n.t('inertiaWriteUnsupported');
+        applyBtn.addEventListener('click', () => this.applyInertials([result]));
+
+        row.appendChild(mass);
+        row.appendChild(com);
+        row.appendChild(tensor);
+        row.appendChild(applyBtn);
+        if (computed.skipped > 0) {
+            row.title = window.i18n.t('inertiaSkippedGeometry');
+        }
+        return row;
+    }
+
+    /**
+     * Format the editor holds the current model in, if its inertials can be written back
+     * Expanded xacro output is not what the editor shows, so it is not writable
+     * @returns {'urdf'|'mjcf'|null}
+     */
+    getWriteTarget() {
+        if (!this.model || this.model.userData?.xacroExpansion) return null;
+
+        const content = this.app.codeEditorManager?.getEditor()?.getValue();
+        if (!content) return null;
+
+        const type = this.model.userData?.type;
+        if (type === 'urdf' && content.includes('<robot')) return 'urdf';
+        if (type === 'mjcf' && content.includes('<mujoco')) return 'mjcf';
+        return null;
+    }
+
+    /**
+     * Write computed inertials into the editor; reloading from the editor applies them
+     */
+    applyInertials(results) {
+        const codeEditorManager = this.app.codeEditorManager;
+        const editor = codeEditorManager?.getEditor();
+        const target = this.getWriteTarget();
+        if (!editor || !target || results.length === 0) return;
+
+        const currentContent = editor.getValue();
+        const updatedXML = results.reduce((content, result) => (target === 'urdf'
+            ? XMLUpdater.updateURDFInertial(content, result.name, result.computed)
+            : XMLUpdater.updateMJCFInertial(content, result.name, result.computed)), currentContent);
+
+        codeEditorManager.showEditorPanel();
+        if (updatedXML === currentContent) {
+            codeEditorManager.showInlineMessage(window.i18n.t('inertiaWriteUnsupported'), 'warning');
+            return;
+        }
+
+        editor.setValue(updatedXML);
+        codeEditorManager.showInlineMessage(window.i18n.t('inertiaWritten'), 'success');
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Load Diagnostics Handler - Lists problems met while loading the current model
+ * Entries with a source location open it in the editor; referenced files are revealed in the file list
+ */
+
+// Category -> i18n key of its group title
+const CATEGORY_TITLES = {
+    loadError: 'diagLoadError',
+    missingFile: 'diagMissingFile',
+    fallbackMatch: 'diagFallbackMatch',
+    ignoredElement: 'diagIgnoredElement',
+    unitAssumption: 'diagUnitAssumption',
+    parseWarning: 'diagParseWarning'
+};
+
+const SEVERITY_ICONS = {
+    error: '✕',
+    warning: '⚠',
+    info: 'ℹ'
+};
+
+export class LoadDiagnosticsHandler {
+    app: any;
+    diagnostics: any;
+
+    constructor(app: any) {
+        this.app = app;
+        this.diagnostics = null;
+    }
+
+    /**
+     * Show diagnostics of the last load (null hides the toolbar button)
+     * @param {LoadDiagnostics} diagnostics - From model.userData.loadDiagnostics or a load error
+     */
+    updateDiagnostics(diagnostics) {
+        if (this.diagnostics) this.diagnostics.onChange = null;
+        this.diagnostics = diagnostics || null;
+
+        // Meshes and textures keep reporting after the model is shown
+        if (this.diagnostics) {
+            this.diagnostics.onChange = () => {
+                this.updateCount();
+                this.renderDiagnostics();
+            };
+        }
+
+        const toggleBtn = document.getElementById('toggle-diagnostics-panel');
+        const panel = document.getElementById('floating-diagnostics-panel');
+        if (toggleBtn) {
+            toggleBtn.style.display = this.diagnostics ? '' : 'none';
+            if (!this.diagnostics) toggleBtn.classList.remove('active');
+        }
+        if (panel && !this.diagnostics) {
+            panel.style.display = 'none';
+        }
+
+        this.updateCount();
+        this.renderDiagnostics();
+    }
+
+    /**
+     * Error and warning count on the toolbar button
+     */
+    updateCount() {
+        const badge = document.getElementById('diagnostics-count');
+        if (!badge) return;
+
+        const errors = this.diagnostics?.count('error') || 0;
+        const warnings = this.diagnostics?.count('warning') || 0;
+        badge.textContent = String(errors + warnings);
+        badge.style.display = errors + warnings > 0 ? '' : 'none';
+        badge.classList.toggle('has-errors', errors > 0);
+    }
+
+    /**
+     * Render entries grouped by category
+     */
+    renderDiagnostics() {
+        const container = document.getElementById('diagnostics-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const groups = this.diagnostics ? this.diagnostics.groupByCategory() : [];
+        if (groups.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('noDiagnostics');
+            container.appendChild(empty);
+            return;
+        }
+
+        const hint = document.createElement('div');
+        hint.className = 'diagnostics-hint';
+        hint.textContent = window.i18n.t('diagnosticsLocateHint');
+        container.appendChild(hint);
+
+        groups.forEach(group => {
+            const title = document.createElement('div');
+            title.className = 'diagnostics-group-title';
+            title.textContent = `${window.i18n.t(CATEGORY_TITLES[group.category])} (${group.entries.length})`;
+            container.appendChild(title);
+
+            group.entries.forEach(entry => {
+                container.appendChild(this.createEntryRow(entry));
+            });
+        });
+    }
+
+    createEntryRow(entry) {
+        const row = document.createElement('div');
+        row.className = `diagnostic-row ${entry.severity}`;
+
+        const icon = document.createElement('span');
+        icon.className = 'diagnostic-icon';
+        icon.textContent = SEVERITY_ICONS[entry.severity] || '';
+
+        const message = document.createElement('span');
+        message.className = 'diagnostic-message';
+        message.textContent = entry.message;
+        message.title = entry.message;
+
+        row.appendChild(icon);
+        row.appendChild(message);
+
+        const location = entry.line
+            ? `${entry.file.split('/').pop()}:${entry.line}`
+            : (entry.target || entry.file);
+        if (location) {
+            const locationEl = document.createElement('span');
+            locationEl.className = 'diagnostic-location';
+            locationEl.textContent = location;
+            row.appendChild(locationEl);
+            row.classList.add('locatable');
+            row.addEventListener('click', () => this.locateEntry(entry));
+        }
+
+        return row;
+    }
+
+    /**
+     * Open the entry's source line in the editor and reveal the file it concerns in the file list
+     */
+    async locateEntry(entry) {
+        if (entry.file && entry.line && this.app.codeEditorManager) {
+            await this.app.codeEditorManager.revealSource(entry.file, entry.line);
+        }
+
+        const fileMap = this.app.fileHandler?.getFileMap();
+        const path = entry.target || entry.file;
+        const file = path && fileMap ? (fileMap.get(path) || fileMap.get('/' + path)) : null;
+        if (file && this.app.fileTreeView) {
+            this.app.fileTreeView.expandAndScrollToFile(file, fileMap);
+        }
+    }
+}
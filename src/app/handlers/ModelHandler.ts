@@ -2,6 +2,7 @@
  * Model Handler - Handles model loading and UI updates
  */
 import * as d3 from 'd3';
+import { URDFAdapter } from '../../adapters/URDFAdapter.js';
 
 export class ModelHandler {
     app: any;
@@ -19,16 +20,17 @@ export class ModelHandler {
     }
 
     /**
-     * Setup MJCF simulation controls visibility
+     * Setup MuJoCo simulation controls visibility
+     * MJCF files are simulated directly, URDF, Xacro and SDF models are converted on the fly
      */
     setupMJCFSimulationControls(file, model) {
-        const isMJCF = this.isMJCF(file, model);
-
         const simulationBar = document.getElementById('mujoco-simulation-bar');
         const resetBtn = document.getElementById('mujoco-reset-btn-bar');
         const simulateBtn = document.getElementById('mujoco-simulate-btn-bar');
 
-        if (isMJCF && model.joints && model.joints.size > 0) {
+        // Xacro models are converted by URDFAdapter and share its type
+        const simulatable = file && (this.isMJCF(file, model) || ['urdf', 'sdf'].includes(model?.userData?.type));
+        if (simulatable && model.links && model.joints && model.joints.size > 0) {
             this.app.state.currentMJCFFile = file;
             this.app.state.currentMJCFModel = model;
             this.showSimulationBar(simulationBar, resetBtn, simulateBtn);
@@ -172,6 +174,7 @@ export class ModelHandler {
 
         // Add model to scene
         this.app.sceneManager.addModel(model);
+        this.updateSiteAndCameraControls(model);
 
         // Hide drop zone
         this.hideDropZone();
@@ -196,6 +199,36 @@ export class ModelHandler {
         this.updateModelInfo(model, file);
     }
 
+    /**
+     * Show sites toggle and camera list only when the model defines sites/cameras
+     */
+    updateSiteAndCameraControls(model) {
+        const sitesBtn = document.getElementById('toggle-sites-btn');
+        if (sitesBtn) {
+            sitesBtn.style.display = model?.sites?.size > 0 ? '' : 'none';
+            sitesBtn.setAttribute('data-checked', 'false');
+            sitesBtn.classList.remove('active');
+            this.app.sceneManager.axesManager.hideAllSites();
+        }
+
+        const cameraSelect = document.getElementById('camera-select') as HTMLSelectElement | null;
+        if (cameraSelect) {
+            // Leaving a model camera restores the free camera's field of view
+            if (cameraSelect.value) {
+                this.app.sceneManager.resetModelCameraView();
+            }
+
+            while (cameraSelect.options.length > 1) {
+                cameraSelect.remove(1);
+            }
+            this.app.sceneManager.getModelCameraNames().forEach(name => {
+                cameraSelect.add(new Option(name, name));
+            });
+            cameraSelect.value = '';
+            cameraSelect.style.display = cameraSelect.options.length > 1 ? '' : 'none';
+        }
+    }
+
     /**
      * Show canvas, hide USD viewer
      */
@@ -436,6 +469,9 @@ export class ModelHandler {
             info += `<span style="font-size: 11px; color: #888;">${typeDetails}</span><br>`;
         }
 
+        info += this.formatActuationInfo(model);
+        info += this.formatLoadReport(model);
+
         if (model.rootLink) {
             info += `Root Link: ${model.rootLink}`;
         }
@@ -444,6 +480,124 @@ export class ModelHandler {
         statusInfo.className = 'success';
     }
 
+    /**
+     * Format actuator, sensor, transmission and tendon summary for model info
+     */
+    formatActuationInfo(model) {
+        const formatNumber = (value) => String(+value.toFixed(4));
+        const formatRange = (range) => `[${range.map(formatNumber).join(', ')}]`;
+        const countByType = (items) => {
+            const counts = {};
+            items.forEach(item => {
+                counts[item.type] = (counts[item.type] || 0) + 1;
+            });
+            return Object.entries(counts).map(([type, count]) => `${type}: ${count}`).join(', ');
+        };
+
+        let info = '';
+
+        if (model.actuators && model.actuators.size > 0) {
+            const actuators = Array.from(model.actuators.values()) as any[];
+            info += `<span style="color: #ffaa00; font-weight: bold;">Actuators: ${actuators.length}</span><br>`;
+            info += `<span style="font-size: 11px; color: #888;">${countByType(actuators)}</span><br>`;
+
+            const items = actuators.map(actuator => {
+                let item = `${actuator.name} → ${actuator.target || '?'}`;
+                if (actuator.targetType && actuator.targetType !== 'joint') {
+                    item += ` (${actuator.targetType})`;
+                }
+                item += `, gear ${formatNumber(actuator.gear[0])}`;
+                if (actuator.ctrlRange) {
+                    item += `, ctrl ${formatRange(actuator.ctrlRange)}`;
+                }
+                if (actuator.forceRange) {
+                    item += `, force ${formatRange(actuator.forceRange)}`;
+                }
+                return `<li>${item}</li>`;
+            });
+            info += `<ul class="model-info-list">${items.join('')}</ul>`;
+
+            // Movable joints without any actuator
+            const drivenJoints = new Set(actuators.filter(a => a.targetType === 'joint').map(a => a.target));
+            const passiveJoints = (Array.from(model.joints.values()) as any[])
+                .filter(joint => joint.type !== 'fixed' && joint.type !== 'free' && !drivenJoints.has(joint.name));
+            if (passiveJoints.length > 0) {
+                info += `<span style="font-size: 11px; color: #888;">Unactuated joints: ${passiveJoints.map(j => j.name).join(', ')}</span><br>`;
+            }
+        }
+
+        if (model.sensors && model.sensors.size > 0) {
+            const sensors = Array.from(model.sensors.values()) as any[];
+            info += `<span style="color: #66cc66; font-weight: bold;">Sensors: ${sensors.length}</span><br>`;
+            info += `<span style="font-size: 11px; color: #888;">${countByType(sensors)}</span><br>`;
+
+            const items = sensors.map(sensor => {
+                const target = sensor.objectName ? ` → ${sensor.objectName}${sensor.objectType ? ` (${sensor.objectType})` : ''}` : '';
+                return `<li>${sensor.name}: ${sensor.type}${target}</li>`;
+            });
+            info += `<ul class="model-info-list">${items.join('')}</ul>`;
+        }
+
+        const transmissions = model.userData?.transmissions || [];
+        if (transmissions.length > 0) {
+            info += `<span style="color: #ffaa00; font-weight: bold;">Transmissions: ${transmissions.length}</span><br>`;
+
+            const items = transmissions.map(transmission => {
+                const joints = transmission.joints.map(joint => joint.name).join(', ');
+                return `<li>${joints} ← ${URDFAdapter.describeTransmission(transmission)}</li>`;
+            });
+            info += `<ul class="model-info-list">${items.join('')}</ul>`;
+        }
+
+        const gazebo = model.userData?.gazebo;
+        if (gazebo && (Object.keys(gazebo.references).length > 0 || gazebo.plugins.length > 0)) {
+            info += `<span style="color: #66aaff; font-weight: bold;">Gazebo: ${Object.keys(gazebo.references).length} references</span><br>`;
+            if (gazebo.plugins.length > 0) {
+                const plugins = gazebo.plugins.map(plugin => plugin.name || plugin.filename).join(', ');
+                info += `<span style="font-size: 11px; color: #888;">Plugins: ${plugins}</span><br>`;
+            }
+        }
+
+        if (model.tendons && model.tendons.size > 0) {
+            const tendons = Array.from(model.tendons.values()) as any[];
+            info += `<span style="color: #cc66ff; font-weight: bold;">Tendons: ${tendons.length}</span><br>`;
+
+            const items = tendons.map(tendon => {
+                const path = tendon.elements.filter(el => el.name).map(el => el.name).join(', ');
+                const range = tendon.range ? `, range ${formatRange(tendon.range)}` : '';
+                return `<li>${tendon.name} (${tendon.type}): ${path}${range}</li>`;
+            });
+            info += `<ul class="model-info-list">${items.join('')}</ul>`;
+        }
+
+        return info;
+    }
+
+    /**
+     * Format ROS packages found in the dropped folder and package references that did not resolve
+     */
+    formatLoadReport(model) {
+        const report = model.userData?.loadReport;
+        if (!report) return '';
+
+        let info = '';
+        if (report.packages.length > 0) {
+            const packages = report.packages.map(pkg => `${pkg.name} (${pkg.path || '/'})`).join(', ');
+            info += `<span style="font-size: 11px; color: #888;">Packages: ${packages}</span><br>`;
+        }
+
+        if (report.unresolved.length > 0) {
+            const reasons = {
+                'unknownPackage': 'no package.xml, matched by file name',
+                'missingFile': 'file not found'
+            };
+            info += `<span style="color: #ff6b6b; font-weight: bold;">Unresolved references: ${report.unresolved.length}</span><br>`;
+            const items = report.unresolved.map(entry => `<li>${entry.uri} (${reasons[entry.reason] || entry.reason})</li>`);
+            info += `<ul class="model-info-list">${items.join('')}</ul>`;
+        }
+        return info;
+    }
+
     /**
      * Main handler - handle model loaded
      */
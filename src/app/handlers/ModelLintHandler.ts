@@ -0,0 +1,136 @@
+/**
+ * Model Lint Handler - Runs the model checks after each load and lists the issues
+ * Clicking an issue selects its node in the structure graph, which highlights it and jumps to the code
+ */
+import { ModelLinter } from '../../utils/ModelLinter.js';
+
+// Files whose text is the model XML the duplicate-name check reads
+const XML_MODEL_EXTENSIONS = ['urdf', 'xml', 'sdf', 'world'];
+
+export class ModelLintHandler {
+    app: any;
+    issues: any[];
+
+    constructor(app: any) {
+        this.app = app;
+        this.issues = [];
+    }
+
+    /**
+     * Check a newly loaded model
+     * @param {UnifiedRobotModel} model - Loaded model (null clears the list)
+     * @param {File} file - Loaded file
+     */
+    async lintModel(model, file) {
+        const toggleBtn = document.getElementById('toggle-lint-panel');
+        const panel = document.getElementById('floating-lint-panel');
+        const canLint = !!model?.links;
+
+        if (toggleBtn) {
+            toggleBtn.style.display = canLint ? '' : 'none';
+            if (!canLint) toggleBtn.classList.remove('active');
+        }
+        if (panel && !canLint) {
+            panel.style.display = 'none';
+        }
+
+        this.issues = canLint ? ModelLinter.lint(model, await this.readSource(model, file)) : [];
+        if (canLint) {
+            model.userData.lintIssues = this.issues;
+            this.app.modelGraphView?.markLintIssues(this.issues);
+        }
+
+        this.updateCount();
+        this.renderIssues();
+    }
+
+    /**
+     * Model XML for the name checks: the expanded URDF for xacro, else the file itself
+     */
+    async readSource(model, file) {
+        if (model.userData?.xacroExpansion) {
+            return model.userData.xacroExpansion.text;
+        }
+        const ext = file?.name?.toLowerCase().split('.').pop();
+        if (!XML_MODEL_EXTENSIONS.includes(ext) || typeof file.text !== 'function') {
+            return null;
+        }
+        try {
+            return await file.text();
+        } catch (error) {
+            console.warn('Failed to read model source for checks:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Error and warning count on the toolbar button
+     */
+    updateCount() {
+        const badge = document.getElementById('lint-count');
+        if (!badge) return;
+
+        badge.textContent = String(this.issues.length);
+        badge.style.display = this.issues.length > 0 ? '' : 'none';
+        badge.classList.toggle('has-errors', this.issues.some(issue => issue.severity === 'error'));
+    }
+
+    /**
+     * Render one row per issue
+     */
+    renderIssues() {
+        const container = document.getElementById('lint-issues');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.issues.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('noLintIssues');
+            container.appendChild(empty);
+            return;
+        }
+
+        this.issues.forEach(issue => {
+            const row = document.createElement('div');
+            row.className = `diagnostic-row locatable ${issue.severity}`;
+
+            const icon = document.createElement('span');
+            icon.className = 'diagnostic-icon';
+            icon.textContent = issue.severity === 'error' ? '✕' : '⚠';
+
+            const ruleKey = 'lint' + issue.rule.charAt(0).toUpperCase() + issue.rule.slice(1);
+            const message = document.createElement('span');
+            message.className = 'diagnostic-message';
+            message.textContent = `${window.i18n.t(ruleKey)} (${issue.detail})`;
+            message.title = message.textContent;
+
+            const element = document.createElement('span');
+            element.className = 'diagnostic-location';
+            element.textContent = issue.name;
+
+            row.appendChild(icon);
+            row.appendChild(message);
+            row.appendChild(element);
+            row.addEventListener('click', () => this.selectIssue(issue));
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the element of an issue in the graph and the code editor
+     * Elements without a graph node (disconnected links) only jump to the code
+     */
+    selectIssue(issue) {
+        if (this.app.modelGraphView?.selectElement(issue.kind, issue.name)) return;
+
+        const codeEditorManager = this.app.codeEditorManager;
+        if (!codeEditorManager) return;
+        if (issue.kind === 'link') {
+            codeEditorManager.scrollToLink(issue.name);
+        } else {
+            codeEditorManager.scrollToJoint(issue.name);
+        }
+    }
+}
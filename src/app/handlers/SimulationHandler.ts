@@ -1,6 +1,17 @@
 /**
  * Simulation Handler - Handles MuJoCo simulation events
  */
+import { MJCFExporter } from '../../exporters/MJCFExporter.js';
+import { ModelLoaderFactory } from '../../loaders/ModelLoaderFactory.js';
+import { PackageIndex } from '../../loaders/PackageIndex.js';
+import { SDFAdapter } from '../../adapters/SDFAdapter.js';
+
+// Mesh formats the MuJoCo compiler can read
+const MUJOCO_MESH_EXTENSIONS = ['stl', 'obj', 'msh'];
+
+// Directory converted scenes reference meshes from
+const CONVERTED_MESH_DIR = 'meshes';
+
 export class SimulationHandler {
     app: any;
 
@@ -27,14 +38,20 @@ export class SimulationHandler {
             this.app.state.currentMJCFFile &&
             this.app.state.currentMJCFModel) {
             try {
-                const xmlContent = await this.app.state.currentMJCFFile.text();
+                const file = this.app.state.currentMJCFFile;
+                const model = this.app.state.currentMJCFModel;
+
+                // MJCF is loaded as-is, other formats are converted to MJCF first
+                const scene = this.app.modelHandler.isMJCF(file, model)
+                    ? { xmlContent: await file.text(), fileName: file.name, fileMap: this.app.fileHandler.getFileMap() }
+                    : await this.convertModelToScene(file, model);
 
                 // Load MuJoCo physics engine
                 await this.app.mujocoSimulationManager.loadScene(
-                    xmlContent,
-                    this.app.state.currentMJCFFile.name,
-                    this.app.fileHandler.getFileMap(),
-                    this.app.state.currentMJCFModel
+                    scene.xmlContent,
+                    scene.fileName,
+                    scene.fileMap,
+                    model
                 );
 
                 // Hide original model
@@ -47,6 +64,7 @@ export class SimulationHandler {
                 return true;
             } catch (error) {
                 console.error('MuJoCo scene loading failed:', error);
+                this.app.codeEditorManager?.showInlineMessage(`${window.i18n.t('mujocoLoadFailed')}: ${error.message}`, 'error');
                 return false;
             }
         }
@@ -64,4 +82,97 @@ export class SimulationHandler {
         }
         return false;
     }
+
+    /**
+     * Convert a non-MJCF model (URDF, Xacro, SDF) into a MuJoCo scene
+     * Mesh files are looked up in the loaded fileMap and exposed under a flat mesh directory
+     * @returns {Promise<{xmlContent: string, fileName: string, fileMap: Map}>}
+     */
+    async convertModelToScene(file, model) {
+        const sourceMap = this.app.fileHandler.getFileMap();
+
+        // Directory of the model file, mesh paths are resolved relative to it
+        let modelDir = '';
+        for (const [path, f] of sourceMap.entries()) {
+            if (f === file) {
+                modelDir = path.includes('/') ? path.substring(0, path.lastIndexOf('/') + 1) : '';
+                break;
+            }
+        }
+
+        const meshFilenames = new Set<string>();
+        model.links.forEach(link => {
+            [...(link.visuals || []), ...(link.collisions || [])].forEach(element => {
+                if (element.geometry?.type === 'mesh' && element.geometry.filename) {
+                    meshFilenames.add(element.geometry.filename);
+                }
+            });
+        });
+
+        // Resolve meshes up front, exporter path callback is synchronous
+        // package:// references into packages with a package.xml resolve exactly
+        const packageIndex = await PackageIndex.fromFileMap(sourceMap);
+        const diagnostics = model.userData?.loadDiagnostics;
+        const meshPaths = new Map<string, string>();
+        const assetNames = new Map<any, string>();
+        const assetMap = new Map();
+        for (const filename of meshFilenames) {
+            const ext = filename.split('.').pop().toLowerCase();
+            if (!MUJOCO_MESH_EXTENSIONS.includes(ext)) {
+                // Listed in the load report, the model itself shows these meshes
+                const message = `MuJoCo cannot load .${ext} meshes, geometry skipped in simulation: ${filename}`;
+                console.warn(message);
+                diagnostics?.add('warning', 'ignoredElement', message, { reference: filename });
+                continue;
+            }
+
+            // Meshes in indexed packages are never matched by file name
+            const packageMatch = packageIndex.resolve(filename, sourceMap);
+            let meshFile = packageMatch ? packageMatch.file : null;
+            if (!packageMatch) {
+                // SDF model:// URIs are looked up the way the SDF loader does
+                const sdfKey = model.userData?.type === 'sdf'
+                    ? SDFAdapter.resolveUri(filename, sourceMap, modelDir.replace(/\/$/, ''))
+                    : null;
+                meshFile = sdfKey
+                    ? sourceMap.get(sdfKey)
+                    : await ModelLoaderFactory.findFileInMapByPath(filename, sourceMap, modelDir);
+            }
+            if (!meshFile) {
+                const message = `Mesh file not found, geometry skipped in simulation: ${filename}`;
+                console.warn(message);
+                diagnostics?.add('warning', 'missingFile', message, { reference: filename });
+                continue;
+            }
+
+            let assetName = assetNames.get(meshFile);
+            if (!assetName) {
+                // Different files may share a basename, keep names unique in the flat directory
+                assetName = meshFile.name;
+                let suffix = 1;
+                while (assetMap.has(`${CONVERTED_MESH_DIR}/${assetName}`)) {
+                    assetName = `${suffix++}_${meshFile.name}`;
+                }
+                assetNames.set(meshFile, assetName);
+                assetMap.set(`${CONVERTED_MESH_DIR}/${assetName}`, meshFile);
+            }
+            meshPaths.set(filename, assetName);
+        }
+
+        const xmlContent = MJCFExporter.export(model, {
+            resolveMeshPath: (filename) => meshPaths.get(filename) || null,
+            compiler: {
+                meshdir: CONVERTED_MESH_DIR,
+                // Links without inertial (e.g. frames) would otherwise fail to compile
+                boundmass: '1e-6',
+                boundinertia: '1e-9'
+            }
+        });
+
+        return {
+            xmlContent,
+            fileName: `${file.name.replace(/\.[^/.]+$/, '')}.xml`,
+            fileMap: assetMap
+        };
+    }
 }
@@ -0,0 +1,200 @@
+/**
+ * Workspace Handler - Samples the joint space of an end effector's chain and shows the reachable
+ * positions as a point cloud, coloured by density or manipulability and sliceable along x/y/z
+ */
+import { IKSolver } from '../../utils/IKSolver.js';
+import { WorkspaceSampler } from '../../utils/WorkspaceSampler.js';
+
+const DEFAULT_SAMPLES = 5000;
+const MAX_SAMPLES = 100000;
+// Slider steps across the sampled extent of the slice axis
+const SLICE_STEPS = 200;
+
+export class WorkspaceHandler {
+    app: any;
+    model: any;
+    // Incremented per run and per model, stale runs stop at their next yield
+    runId: number;
+
+    constructor(app: any) {
+        this.app = app;
+        this.model = null;
+        this.runId = 0;
+    }
+
+    get workspaceManager() {
+        return this.app.sceneManager.workspaceManager;
+    }
+
+    /**
+     * Setup workspace panel controls
+     */
+    setupWorkspacePanel() {
+        document.getElementById('workspace-compute-btn')?.addEventListener('click', () => this.compute());
+        document.getElementById('workspace-clear-btn')?.addEventListener('click', () => {
+            this.runId++;
+            this.workspaceManager.clear();
+            this.renderStatus();
+        });
+        document.getElementById('workspace-color')?.addEventListener('change', (event) => {
+            this.workspaceManager.setColoring((event.target as HTMLSelectElement).value);
+        });
+        document.getElementById('workspace-slice-axis')?.addEventListener('change', () => {
+            this.resetSliceRange();
+            this.applySlice();
+        });
+        ['workspace-slice-position', 'workspace-slice-thickness'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.applySlice());
+        });
+
+        this.renderStatus();
+    }
+
+    /**
+     * Fill the end effector list for a newly loaded model (null hides the toolbar button)
+     */
+    updateWorkspacePanel(model) {
+        const toggleBtn = document.getElementById('toggle-workspace-panel');
+        const panel = document.getElementById('floating-workspace-panel');
+        const select = document.getElementById('workspace-link') as HTMLSelectElement | null;
+        const { names, preferred } = IKSolver.getEndEffectors(model);
+        const canSample = names.length > 0;
+
+        this.runId++;
+        this.model = canSample ? model : null;
+
+        if (toggleBtn) {
+            toggleBtn.style.display = canSample ? '' : 'none';
+            if (!canSample) toggleBtn.classList.remove('active');
+        }
+        if (panel && !canSample) {
+            panel.style.display = 'none';
+        }
+
+        if (select) {
+            select.innerHTML = '';
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            if (preferred) select.value = preferred;
+        }
+
+        this.resetSliceRange();
+        this.renderStatus();
+    }
+
+    /**
+     * Sample the selected chain and show the cloud
+     */
+    async compute() {
+        const select = document.getElementById('workspace-link') as HTMLSelectElement | null;
+        const samplesInput = document.getElementById('workspace-samples') as HTMLInputElement | null;
+        if (!this.model || !select?.value) return;
+
+        const requested = parseInt(samplesInput?.value, 10);
+        const count = Math.min(MAX_SAMPLES, Math.max(1, Number.isFinite(requested) ? requested : DEFAULT_SAMPLES));
+        if (samplesInput) samplesInput.value = String(count);
+
+        const runId = ++this.runId;
+        const sceneManager = this.app.sceneManager;
+        const ignoreLimits = sceneManager.ignoreLimits || !!this.model.userData?.ignoreLimits;
+        this.renderStatus(0);
+
+        const samples = await WorkspaceSampler.sample(this.model, select.value, count, {
+            ignoreLimits,
+            onProgress: (fraction) => {
+                if (runId === this.runId) this.renderStatus(fraction);
+            },
+            isCancelled: () => runId !== this.runId
+        });
+        if (runId !== this.runId) return;
+
+        if (!samples) {
+            this.workspaceManager.clear();
+            this.renderStatus(null, window.i18n.t('workspaceFailed'));
+            return;
+        }
+
+        const coloring = (document.getElementById('workspace-color') as HTMLSelectElement | null)?.value;
+        this.workspaceManager.coloring = coloring === 'manipulability' ? 'manipulability' : 'density';
+        this.workspaceManager.setSamples(samples);
+        this.resetSliceRange();
+        this.applySlice();
+        this.renderStatus();
+    }
+
+    /**
+     * Fit the slice slider to the sampled extent of the chosen axis, centered
+     */
+    resetSliceRange() {
+        const axis = parseInt((document.getElementById('workspace-slice-axis') as HTMLSelectElement | null)?.value, 10);
+        const slider = document.getElementById('workspace-slice-position') as HTMLInputElement | null;
+        const bounds = this.workspaceManager.bounds;
+        if (!slider) return;
+
+        const enabled = !!bounds && axis >= 0;
+        slider.disabled = !enabled;
+        if (!enabled) return;
+
+        const min = bounds.min[axis];
+        const max = bounds.max[axis];
+        slider.min = String(min);
+        slider.max = String(max);
+        slider.step = String((max - min) / SLICE_STEPS || 0.001);
+        slider.value = String((min + max) / 2);
+    }
+
+    /**
+     * Apply the slice controls to the cloud
+     */
+    applySlice() {
+        const axis = parseInt((document.getElementById('workspace-slice-axis') as HTMLSelectElement | null)?.value, 10);
+        const slider = document.getElementById('workspace-slice-position') as HTMLInputElement | null;
+        const thicknessInput = document.getElementById('workspace-slice-thickness') as HTMLInputElement | null;
+        const valueLabel = document.getElementById('workspace-slice-value');
+
+        const thickness = parseFloat(thicknessInput?.value);
+        thicknessInput?.classList.toggle('invalid', !(thickness > 0));
+        if (!(axis >= 0) || !slider || !(thickness > 0)) {
+            if (valueLabel) valueLabel.textContent = '';
+            this.workspaceManager.setSlice(null);
+            return;
+        }
+
+        const position = parseFloat(slider.value);
+        if (valueLabel) valueLabel.textContent = `${position.toFixed(3)} m`;
+        this.workspaceManager.setSlice({ axis, position, thickness });
+    }
+
+    /**
+     * Point count and extent of the cloud, sampling progress or a message
+     * @param {number|null} progress - Fraction done while sampling
+     * @param {string} message - Shown instead of the summary
+     */
+    renderStatus(progress = null, message = null) {
+        const status = document.getElementById('workspace-status');
+        if (!status) return;
+
+        if (message) {
+            status.textContent = message;
+            return;
+        }
+        if (progress !== null) {
+            status.textContent = `${window.i18n.t('workspaceSampling')} ${Math.round(progress * 100)}%`;
+            return;
+        }
+
+        const { samples, bounds } = this.workspaceManager;
+        if (!samples || !bounds) {
+            status.textContent = window.i18n.t('workspaceHint');
+            return;
+        }
+        const extent = ['x', 'y', 'z']
+            .map((axis, i) => `${axis} [${bounds.min[i].toFixed(3)}, ${bounds.max[i].toFixed(3)}]`)
+            .join(' ');
+        status.textContent = `${samples.positions.length / 3} ${window.i18n.t('workspacePoints')} · ${extent} m`;
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Xacro Args Handler - Edits <xacro:arg> values and re-expands the current xacro file
+ */
+
+export class XacroArgsHandler {
+    app: any;
+    currentFile: any;
+    args: any[];
+
+    constructor(app: any) {
+        this.app = app;
+        this.currentFile = null;
+        this.args = [];
+    }
+
+    /**
+     * Setup xacro argument panel buttons
+     */
+    setupXacroPanel() {
+        document.getElementById('xacro-apply-btn')?.addEventListener('click', () => {
+            this.applyArgs(this.readArgValues());
+        });
+        document.getElementById('xacro-defaults-btn')?.addEventListener('click', () => {
+            this.applyArgs({});
+        });
+    }
+
+    /**
+     * Refresh the panel for a newly loaded model
+     * The toolbar button is only shown for expanded xacro files
+     */
+    updateXacroPanel(model, file) {
+        const toggleBtn = document.getElementById('toggle-xacro-panel');
+        const panel = document.getElementById('floating-xacro-panel');
+        const isXacro = Array.isArray(model?.userData?.xacroArgs);
+
+        this.currentFile = isXacro ? file : null;
+        this.args = isXacro ? model.userData.xacroArgs : [];
+
+        if (toggleBtn) {
+            toggleBtn.style.display = isXacro ? '' : 'none';
+            if (!isXacro) toggleBtn.classList.remove('active');
+        }
+        if (panel && !isXacro) {
+            panel.style.display = 'none';
+        }
+
+        this.renderArgs();
+    }
+
+    /**
+     * Render one row per declared argument, with an editor matching its default's type
+     */
+    renderArgs() {
+        const container = document.getElementById('xacro-args');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (this.args.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-state';
+            empty.textContent = window.i18n.t('noXacroArgs');
+            container.appendChild(empty);
+            return;
+        }
+
+        this.args.forEach(arg => {
+            const row = document.createElement('div');
+            row.className = 'xacro-arg-row';
+            if (arg.value !== arg.defaultValue) {
+                row.classList.add('modified');
+            }
+
+            const label = document.createElement('label');
+            label.className = 'xacro-arg-name';
+            label.textContent = arg.name;
+            label.title = `${window.i18n.t('xacroArgDefault')}: ${arg.defaultValue === '' ? '""' : arg.defaultValue}`;
+
+            const input = document.createElement('input');
+            input.className = 'xacro-arg-input';
+            input.dataset.arg = arg.name;
+            input.dataset.type = arg.type;
+            if (arg.type === 'boolean') {
+                input.type = 'checkbox';
+                input.checked = String(arg.value).toLowerCase() === 'true';
+            } else {
+                input.type = arg.type === 'number' ? 'number' : 'text';
+                if (arg.type === 'number') input.step = 'any';
+                input.value = arg.value ?? '';
+            }
+
+            // Enter re-expands right away
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.applyArgs(this.readArgValues());
+                }
+            });
+
+            const defaultHint = document.createElement('span');
+            defaultHint.className = 'xacro-arg-default';
+            defaultHint.textContent = arg.defaultValue === '' ? '""' : arg.defaultValue;
+
+            row.appendChild(label);
+            row.appendChild(input);
+            row.appendChild(defaultHint);
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Collect edited values, keeping only those that differ from the defaults
+     * @returns {Object} Argument name -> value
+     */
+    readArgValues() {
+        const values = {};
+        document.querySelectorAll('#xacro-args .xacro-arg-input').forEach((element) => {
+            const input = element as HTMLInputElement;
+            const arg = this.args.find(a => a.name === input.dataset.arg);
+            if (!arg) return;
+
+            const value = input.dataset.type === 'boolean' ? String(input.checked) : input.value;
+            // Checkbox writes lowercase, so True/False defaults compare case-insensitively
+            const unchanged = input.dataset.type === 'boolean'
+                ? value === String(arg.defaultValue).toLowerCase()
+                : value === arg.defaultValue;
+            if (!unchanged) {
+                values[arg.name] = value;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Reload the current xacro file with the given argument values
+     */
+    async applyArgs(values) {
+        const fileHandler = this.app.fileHandler;
+        if (!this.currentFile || !fileHandler) return;
+
+        fileHandler.setXacroArgOverrides(this.currentFile, values);
+        await fileHandler.loadFile(this.currentFile);
+    }
+}
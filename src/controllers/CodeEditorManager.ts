@@ -7,15 +7,20 @@ import { readFileContent } from '../utils/FileUtils.js';
 
 export class CodeEditorManager {
     codeEditorInstance: any;
+    expandedEditorInstance: any;
+    expansion: any;
     editorState: any;
     onReload: any;
     onSaveAs: any;
+    onExport: any;
     fileMap: any;
     _reloadingInProgress: boolean;
     updateControlsVisibility: (() => void) | undefined;
 
     constructor() {
         this.codeEditorInstance = null;
+        this.expandedEditorInstance = null; // Read-only expanded URDF view (created on first use)
+        this.expansion = null; // Expanded URDF and source map of the loaded xacro file
         this.editorState = {
             currentFile: null,
             currentContent: '',
@@ -24,6 +29,7 @@ export class CodeEditorManager {
             defaultFileType: 'urdf' // urdf, mjcf, usd
         };
         this.onReload = null; // Reload callback
+        this.onExport = null; // Export callback (receives target format)
         this.fileMap = null; // File map reference
     }
 
@@ -103,6 +109,8 @@ export class CodeEditorManager {
             'urdf': 'urdf',
             'xacro': 'xacro',
             'mjcf': 'mjcf',
+            'sdf': 'sdf',
+            'world': 'sdf',
             'usd': 'usd',
             'usda': 'usd',
             'usdc': 'usd',
@@ -121,6 +129,9 @@ export class CodeEditorManager {
         const closeEditorBtn = document.getElementById('close-editor-btn');
         const saveBtn = document.getElementById('save-btn');
         const reloadBtn = document.getElementById('reload-btn');
+        const exportUrdfBtn = document.getElementById('export-urdf-btn');
+        const exportMjcfBtn = document.getElementById('export-mjcf-btn');
+        const expandedViewBtn = document.getElementById('expanded-view-btn');
 
         if (!openEditorBtn || !editorPanel) return;
 
@@ -268,6 +279,29 @@ export class CodeEditorManager {
             });
         }
 
+        // Export buttons - convert currently loaded model to another format
+        if (exportUrdfBtn) {
+            exportUrdfBtn.addEventListener('click', () => {
+                if (this.onExport) {
+                    this.onExport('urdf');
+                }
+            });
+        }
+        if (exportMjcfBtn) {
+            exportMjcfBtn.addEventListener('click', () => {
+                if (this.onExport) {
+                    this.onExport('mjcf');
+                }
+            });
+        }
+
+        // Expanded URDF view next to the xacro source
+        if (expandedViewBtn) {
+            expandedViewBtn.addEventListener('click', () => {
+                this.toggleExpandedView(!expandedViewBtn.classList.contains('active'));
+            });
+        }
+
     }
 
     /**
@@ -348,6 +382,137 @@ export class CodeEditorManager {
         if (this.codeEditorInstance) {
             this.codeEditorInstance.updateTheme(theme);
         }
+        if (this.expandedEditorInstance) {
+            this.expandedEditorInstance.updateTheme(theme);
+        }
+    }
+
+    /**
+     * Set the expanded URDF of the loaded xacro file
+     * @param {Object|null} expansion - From XacroAdapter.buildExpansion, null for other formats
+     */
+    setExpansion(expansion) {
+        this.expansion = expansion || null;
+
+        const expandedViewBtn = document.getElementById('expanded-view-btn');
+        if (expandedViewBtn) {
+            expandedViewBtn.style.display = this.expansion ? '' : 'none';
+        }
+
+        if (!this.expansion) {
+            this.toggleExpandedView(false);
+        } else if (this.expandedEditorInstance) {
+            this.expandedEditorInstance.setValue(this.expansion.text);
+        }
+    }
+
+    /**
+     * Show or hide the read-only expanded URDF view
+     */
+    toggleExpandedView(show) {
+        const content = document.getElementById('code-editor-content');
+        const container = document.getElementById('code-editor-expanded');
+        const expandedViewBtn = document.getElementById('expanded-view-btn');
+        if (!content || !container) return;
+
+        const visible = show && !!this.expansion;
+        content.classList.toggle('split', visible);
+        container.style.display = visible ? 'flex' : 'none';
+        expandedViewBtn?.classList.toggle('active', visible);
+
+        if (!visible) return;
+
+        if (!this.expandedEditorInstance) {
+            const wrapper = document.getElementById('code-editor-expanded-wrapper');
+            this.expandedEditorInstance = new CodeEditor(wrapper, undefined, true);
+            this.expandedEditorInstance.onLineClick((line) => this.handleExpandedLineClick(line));
+        }
+        this.expandedEditorInstance.setValue(this.expansion.text);
+    }
+
+    /**
+     * Jump from a line of the expanded URDF to the source that generated it
+     * Elements produced by a macro go to the macro call, others to their own line
+     * @param {number} line - Clicked line (starting from 1)
+     */
+    handleExpandedLineClick(line) {
+        const source = this.expansion?.lineSources[line - 1];
+        if (!source) return;
+
+        // Element location followed by the macro calls, innermost first
+        const chain = [source, ...source.calls];
+        const info = document.getElementById('expanded-source-info');
+        if (info) {
+            info.textContent = chain.map(loc => `${loc.file.split('/').pop()}:${loc.line}`).join(' ← ');
+            info.title = chain.map(loc => `${loc.file}:${loc.line}`).join('\n');
+        }
+
+        const target = source.calls[0] || source;
+        this.revealSource(target.file, target.line);
+    }
+
+    /**
+     * Show a file from the file map in the editor at the given line
+     * @param {string} filePath - File map path
+     * @param {number} line - Line number (starting from 1)
+     */
+    async revealSource(filePath, line) {
+        if (!this.codeEditorInstance) return false;
+
+        const baseName = filePath.split('/').pop();
+        if (this.editorState.currentFile?.name !== baseName) {
+            let file = this.fileMap?.get(filePath);
+            if (!file && this.fileMap) {
+                for (const [key, value] of this.fileMap.entries()) {
+                    if (key === baseName || key.endsWith('/' + baseName)) {
+                        file = value;
+                        break;
+                    }
+                }
+            }
+            if (!file) {
+                console.warn(`Cannot find source file: ${filePath}`);
+                return false;
+            }
+            await this.loadFile(file, false);
+        }
+
+        this.showEditorPanel();
+        this.codeEditorInstance.scrollToLine(line);
+        return true;
+    }
+
+    /**
+     * Show a model load error, opening the file and line it points to when known
+     * @param {Error} error - Load error, xacro errors carry a location {file, line}
+     */
+    showLoadError(error) {
+        this.showInlineMessage(error.message, 'error');
+
+        const location = error.location;
+        if (location?.line) {
+            this.revealSource(location.file, location.line);
+        }
+    }
+
+    /**
+     * Jump to the source of a link/joint generated by xacro
+     * Used when the element is not written literally in the open file
+     * @param {string} kind - 'link' or 'joint'
+     * @param {string} name - Element name
+     */
+    revealGeneratedElement(kind, name) {
+        const entry = this.expansion?.elements[kind]?.[name];
+        if (!entry?.source) return false;
+
+        // Keep the expanded view in step when it is open
+        if (this.expandedEditorInstance && document.getElementById('expanded-view-btn')?.classList.contains('active')) {
+            this.expandedEditorInstance.scrollToLine(entry.expandedLine);
+        }
+
+        const target = entry.source.calls[0] || entry.source;
+        this.revealSource(target.file, target.line);
+        return true;
     }
 
     /**
@@ -494,15 +659,9 @@ export class CodeEditorManager {
     }
 
     /**
-     * Scroll to link definition in code
-     * @param {string} linkName - Link name
+     * Ensure editor panel is visible
      */
-    scrollToLink(linkName) {
-        if (!this.codeEditorInstance || !linkName) {
-            return false;
-        }
-
-        // Ensure editor panel is visible
+    showEditorPanel() {
         const editorPanel = document.getElementById('code-editor-panel');
         const openEditorBtn = document.getElementById('open-editor-btn');
         if (editorPanel && !editorPanel.classList.contains('visible')) {
@@ -511,6 +670,18 @@ export class CodeEditorManager {
                 openEditorBtn.classList.add('active');
             }
         }
+    }
+
+    /**
+     * Scroll to link definition in code
+     * @param {string} linkName - Link name
+     */
+    scrollToLink(linkName) {
+        if (!this.codeEditorInstance || !linkName) {
+            return false;
+        }
+
+        this.showEditorPanel();
 
         // Search for link definition based on different XML formats
         // URDF format: <link name="link_name">
@@ -527,6 +698,11 @@ export class CodeEditorManager {
             found = this.codeEditorInstance.searchAndScroll(mjcfPattern, true);
         }
 
+        // Links generated by xacro macros are not written literally
+        if (!found) {
+            found = this.revealGeneratedElement('link', linkName);
+        }
+
         return found;
     }
 
@@ -539,22 +715,18 @@ export class CodeEditorManager {
             return false;
         }
 
-        // Ensure editor panel is visible
-        const editorPanel = document.getElementById('code-editor-panel');
-        const openEditorBtn = document.getElementById('open-editor-btn');
-        if (editorPanel && !editorPanel.classList.contains('visible')) {
-            editorPanel.classList.add('visible');
-            if (openEditorBtn) {
-                openEditorBtn.classList.add('active');
-            }
-        }
+        this.showEditorPanel();
 
         // Search for joint definition based on different XML formats
         // URDF format: <joint name="joint_name"
         // MJCF format: <joint name="joint_name"
 
         const pattern = `<joint name="${jointName}"`;
-        const found = this.codeEditorInstance.searchAndScroll(pattern, true);
+        let found = this.codeEditorInstance.searchAndScroll(pattern, true);
+
+        if (!found) {
+            found = this.revealGeneratedElement('joint', jointName);
+        }
 
         return found;
     }
@@ -11,17 +11,21 @@ export class FileHandler {
     availableModels: any[];
     currentModelFile: any;
     onModelLoaded: any;
+    onLoadError: ((error: any, file: any) => void) | null;
     onFilesLoaded: ((files: any[]) => void) | null;
     usdViewerManager: any;
     usdViewerInitializer: any;
+    xacroArgOverrides: Map<string, Record<string, string>>;
 
     constructor() {
         this.fileMap = new Map();
         this.availableModels = [];
         this.currentModelFile = null;
         this.onModelLoaded = null; // Callback function
+        this.onLoadError = null; // Callback for failed loads (error may carry a source location)
         this.onFilesLoaded = null; // Callback for when files are loaded
         this.usdViewerManager = null; // USD viewer manager (lazy loaded)
+        this.xacroArgOverrides = new Map(); // File map path -> xacro argument values, kept across editor reloads
     }
 
     /**
@@ -205,7 +209,7 @@ export class FileHandler {
      */
     async findAllLoadableFiles(files) {
         const supportedExtensions = {
-            model: ['urdf', 'xacro', 'xml', 'usd', 'usda', 'usdc', 'usdz'],
+            model: ['urdf', 'xacro', 'xml', 'sdf', 'world', 'usd', 'usda', 'usdc', 'usdz'],
             mesh: ['dae', 'stl', 'obj', 'collada']
         };
         const loadableFiles = [];
@@ -301,13 +305,7 @@ export class FileHandler {
             const fileName = file.name.toLowerCase();
 
             // Get the full path from fileMap
-            let fullPath = file.name;
-            for (const [path, f] of this.fileMap.entries()) {
-                if (f === file) {
-                    fullPath = path;
-                    break;
-                }
-            }
+            const fullPath = this.getFilePath(file);
 
             // Handle USD format files (all USD formats use WASM)
             const isUSD = fileName.endsWith('.usd') || fileName.endsWith('.usda') ||
@@ -369,7 +367,10 @@ export class FileHandler {
                 fullPath,  // Use full path instead of just file.name
                 this.fileMap,
                 file,
-                { usdViewerManager: this.usdViewerManager }
+                {
+                    usdViewerManager: this.usdViewerManager,
+                    xacroArgs: this.xacroArgOverrides.get(fullPath) || {}
+                }
             );
 
             // Notify model loaded (pass null as snapshot, let main.js create it)
@@ -388,6 +389,8 @@ export class FileHandler {
                 console.error(`${window.i18n.t('loadFailed')}: ${error.message}`);
             }
 
+            this.onLoadError?.(error, file);
+
             // Remove snapshot if exists
             const snapshot = document.getElementById('canvas-snapshot');
             if (snapshot?.parentNode) {
@@ -565,6 +568,34 @@ export class FileHandler {
         return this.availableModels;
     }
 
+    /**
+     * Set xacro argument values used when the file is (re)loaded
+     * @param {File} file - Xacro file
+     * @param {Object} args - Argument name -> value, empty to use the declared defaults
+     */
+    setXacroArgOverrides(file, args) {
+        const path = this.getFilePath(file);
+        if (args && Object.keys(args).length > 0) {
+            this.xacroArgOverrides.set(path, { ...args });
+        } else {
+            this.xacroArgOverrides.delete(path);
+        }
+    }
+
+    /**
+     * Path of a file in the file map, its name when it is not in the map
+     * @param {File} file - File object
+     * @returns {string}
+     */
+    getFilePath(file) {
+        for (const [path, f] of this.fileMap.entries()) {
+            if (f === file) {
+                return path;
+            }
+        }
+        return file.name;
+    }
+
     /**
      * Get current model file
      */
@@ -12,13 +12,17 @@ export class CodeEditor {
     parentElement: any;
     view: any;
     onChangeCallback: any;
+    onLineClickCallback: any;
     currentTheme: string;
+    readOnly: boolean;
 
-    constructor(parentElement: any, theme: string = 'vscode-dark') {
+    constructor(parentElement: any, theme: string = 'vscode-dark', readOnly: boolean = false) {
         this.parentElement = parentElement;
         this.view = null;
         this.onChangeCallback = null;
+        this.onLineClickCallback = null;
         this.currentTheme = theme;
+        this.readOnly = readOnly;
 
         this.setupEditor();
     }
@@ -101,6 +105,16 @@ export class CodeEditor {
                         this.onChangeCallback(this.getValue());
                     }
                 }),
+                EditorState.readOnly.of(this.readOnly),
+                EditorView.domEventHandlers({
+                    click: (event, view) => {
+                        const pos = view.posAtCoords({ x: event.clientX, y: event.clientY });
+                        if (pos !== null && this.onLineClickCallback) {
+                            this.onLineClickCallback(view.state.doc.lineAt(pos).number);
+                        }
+                        return false;
+                    }
+                }),
             ],
         });
 
@@ -145,6 +159,14 @@ export class CodeEditor {
         this.onChangeCallback = callback;
     }
 
+    /**
+     * Set line click callback
+     * @param {Function} callback - Receives the clicked line number (starting from 1)
+     */
+    onLineClick(callback) {
+        this.onLineClickCallback = callback;
+    }
+
     /**
      * Focus editor
      */
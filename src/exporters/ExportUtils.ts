@@ -0,0 +1,60 @@
+/**
+ * Export utilities
+ * Shared helpers for serializing UnifiedRobotModel to XML formats
+ * (pure math, no Three.js dependency so exporters also run outside the renderer)
+ */
+
+/**
+ * Format number for XML output (trim floating point noise, avoid "-0")
+ */
+export function formatNumber(value) {
+    const num = Number(value) || 0;
+    const trimmed = Number(num.toPrecision(10));
+    return Object.is(trimmed, -0) ? '0' : String(trimmed);
+}
+
+/**
+ * Format number array as space-separated string
+ */
+export function formatVector(values) {
+    return Array.from(values || []).map(formatNumber).join(' ');
+}
+
+/**
+ * Escape special characters in XML attribute values
+ */
+export function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Check if vector is (numerically) zero
+ */
+export function isZeroVector(values, epsilon = 1e-12) {
+    return !values || Array.from(values).every((v: number) => Math.abs(v || 0) < epsilon);
+}
+
+/**
+ * Get rgba array of a visual geometry (MJCF userData rgba or URDF material)
+ */
+export function getVisualRgba(visual) {
+    if (visual.userData && visual.userData.rgba) {
+        const rgba = visual.userData.rgba;
+        return [rgba.r, rgba.g, rgba.b, rgba.a !== undefined ? rgba.a : 1];
+    }
+    if (visual.material) {
+        if (visual.material.rgba) {
+            return [...visual.material.rgba];
+        }
+        if (visual.material.color) {
+            const c = visual.material.color;
+            return [c.r, c.g, c.b, 1];
+        }
+    }
+    return null;
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { MJCFExporter } from './MJCFExporter.js';
+import {
+    UnifiedRobotModel,
+    Link,
+    Joint,
+    JointLimits,
+    CollisionGeometry,
+    GeometryType,
+    InertialProperties,
+    JointMimic,
+    Constraint
+} from '../models/UnifiedRobotModel.js';
+
+function parse(xml) {
+    return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+describe('MJCFExporter', () => {
+    it('should nest URDF links as bodies placed at their joint origins', () => {
+        const model = new UnifiedRobotModel();
+        model.name = 'arm';
+        model.addLink(new Link('world'));
+
+        const base = new Link('base');
+        const collision = new CollisionGeometry();
+        collision.geometry = new GeometryType('mesh');
+        collision.geometry.filename = 'package://arm/meshes/base.stl';
+        base.collisions.push(collision);
+        model.addLink(base);
+        model.addLink(new Link('tip'));
+
+        const fixed = new Joint('world_joint', 'fixed');
+        fixed.parent = 'world';
+        fixed.child = 'base';
+        model.addJoint(fixed);
+
+        const joint = new Joint('j1', 'revolute');
+        joint.parent = 'base';
+        joint.child = 'tip';
+        joint.origin = { xyz: [0, 0, 0.5], rpy: [0, 0, 0] };
+        joint.axis = { xyz: [0, 1, 0] };
+        joint.limits = new JointLimits();
+        joint.limits.lower = -1;
+        joint.limits.upper = 1;
+        model.addJoint(joint);
+
+        const constraint = new Constraint('couple', 'joint');
+        constraint.joint1 = 'j1';
+        constraint.polycoef = [0, 1];
+        model.addConstraint(constraint);
+
+        const doc = parse(MJCFExporter.export(model));
+
+        // Empty "world" link maps onto worldbody
+        const baseBody = doc.querySelector('worldbody > body[name="base"]');
+        expect(baseBody).not.toBeNull();
+        expect(baseBody.querySelector(':scope > joint')).toBeNull();
+
+        const tip = baseBody.querySelector('body[name="tip"]');
+        expect(tip.getAttribute('pos')).toBe('0 0 0.5');
+        expect(tip.querySelector('joint').getAttribute('type')).toBe('hinge');
+        expect(tip.querySelector('joint').getAttribute('range')).toBe('-1 1');
+
+        expect(doc.querySelector('asset mesh').getAttribute('file')).toBe('meshes/base.stl');
+        expect(baseBody.querySelector('geom').getAttribute('mesh')).toBe('base');
+        expect(doc.querySelector('equality joint').getAttribute('joint1')).toBe('j1');
+    });
+
+    it('should rotate a tilted inertial tensor into the body frame instead of writing a quat', () => {
+        const model = new UnifiedRobotModel();
+        const base = new Link('base');
+        base.inertial = new InertialProperties();
+        base.inertial.mass = 2;
+        base.inertial.origin = { xyz: [0.1, 0, 0], rpy: [Math.PI / 4, 0, 0] };
+        base.inertial.ixx = 1;
+        base.inertial.iyy = 2;
+        base.inertial.izz = 3;
+        model.addLink(base);
+
+        const inertial = parse(MJCFExporter.export(model)).querySelector('body[name="base"] > inertial');
+        // MuJoCo does not accept fullinertia together with an inertial orientation
+        expect(inertial.hasAttribute('quat')).toBe(false);
+        expect(inertial.getAttribute('pos')).toBe('0.1 0 0');
+        const [ixx, iyy, izz, ixy, ixz, iyz] = inertial.getAttribute('fullinertia').split(' ').map(Number);
+        expect(ixx).toBeCloseTo(1, 9);
+        expect(iyy).toBeCloseTo(2.5, 9);
+        expect(izz).toBeCloseTo(2.5, 9);
+        expect(ixy).toBeCloseTo(0, 9);
+        expect(ixz).toBeCloseTo(0, 9);
+        expect(iyz).toBeCloseTo(-0.5, 9);
+    });
+
+    it('should couple mimic joints through joint equalities', () => {
+        const model = new UnifiedRobotModel();
+        ['hand', 'left', 'right'].forEach(name => model.addLink(new Link(name)));
+        ['left', 'right'].forEach(side => {
+            const joint = new Joint(`${side}_finger`, 'prismatic');
+            joint.parent = 'hand';
+            joint.child = side;
+            model.addJoint(joint);
+        });
+        const mimic = new JointMimic('left_finger');
+        mimic.multiplier = -1;
+        mimic.offset = 0.01;
+        model.getJoint('right_finger').mimic = mimic;
+
+        const equalities = parse(MJCFExporter.export(model)).querySelectorAll('equality > joint');
+        expect(equalities.length).toBe(1);
+        expect(equalities[0].getAttribute('joint1')).toBe('right_finger');
+        expect(equalities[0].getAttribute('joint2')).toBe('left_finger');
+        expect(equalities[0].getAttribute('polycoef')).toBe('0.01 -1 0 0 0');
+    });
+
+    it('should add freejoint to the root body when floatingBase is requested', () => {
+        const model = new UnifiedRobotModel();
+        model.addLink(new Link('base_link'));
+
+        const doc = parse(MJCFExporter.export(model, { floatingBase: true }));
+        expect(doc.querySelector('body[name="base_link"] > freejoint')).not.toBeNull();
+    });
+
+    it('should merge extra compiler attributes', () => {
+        const model = new UnifiedRobotModel();
+        model.addLink(new Link('base_link'));
+
+        const doc = parse(MJCFExporter.export(model, { compiler: { meshdir: 'meshes' } }));
+        const compiler = doc.querySelector('compiler');
+        expect(compiler.getAttribute('angle')).toBe('radian');
+        expect(compiler.getAttribute('meshdir')).toBe('meshes');
+    });
+});
@@ -0,0 +1,483 @@
+/**
+ * MJCF Exporter
+ * Serializes UnifiedRobotModel (from any source format) to a MuJoCo <mujoco> document
+ */
+import {
+    formatNumber,
+    formatVector,
+    escapeXml,
+    isZeroVector,
+    getVisualRgba
+} from './ExportUtils.js';
+import { rpyToQuat, rotateInertia, getBodyFrameInertia } from '../utils/RotationUtils.js';
+
+export class MJCFExporter {
+    /**
+     * Export model to MJCF XML string
+     * @param {UnifiedRobotModel} model
+     * @param {Object} options
+     * @param {Function} options.resolveMeshPath - Map mesh filename to path written in <asset> (return null to drop geometry)
+     * @param {boolean} options.floatingBase - Add freejoint to root bodies of URDF-style models
+     * @param {Object} options.compiler - Extra <compiler> attributes (e.g. meshdir, boundmass)
+     * @returns {string} MJCF XML content
+     */
+    static export(model, options: any = {}) {
+        const resolveMeshPath = options.resolveMeshPath || ((filename) => this.defaultMeshPath(filename));
+        const isMJCF = model.userData?.type === 'mjcf';
+
+        const context = {
+            model,
+            isMJCF,
+            resolveMeshPath,
+            meshAssets: new Map<string, { name: string, file: string, scale: number[] | null }>(),
+            usedGeomNames: new Set<string>()
+        };
+
+        const { worldLink, roots } = isMJCF
+            ? this.buildTreeFromMJCF(model)
+            : this.buildTreeFromURDF(model, options.floatingBase === true);
+
+        // Serialize bodies first so mesh assets are collected
+        const bodyLines = [];
+        if (worldLink) {
+            bodyLines.push(...this.serializeGeoms(context, worldLink, '    '));
+        }
+        roots.forEach(node => {
+            bodyLines.push(...this.serializeBody(context, node, '    '));
+        });
+
+        const lines = [];
+        lines.push(`<mujoco model="${escapeXml(model.name || 'robot')}">`);
+        lines.push(`  <compiler${this.serializeCompilerAttributes(options.compiler)}/>`);
+
+        if (context.meshAssets.size > 0) {
+            lines.push('  <asset>');
+            context.meshAssets.forEach(asset => {
+                const scaleAttr = asset.scale && !asset.scale.every(s => s === 1)
+                    ? ` scale="${formatVector(asset.scale)}"`
+                    : '';
+                lines.push(`    <mesh name="${escapeXml(asset.name)}" file="${escapeXml(asset.file)}"${scaleAttr}/>`);
+            });
+            lines.push('  </asset>');
+        }
+
+        lines.push('  <worldbody>');
+        lines.push(...bodyLines);
+        lines.push('  </worldbody>');
+
+        const equalityLines = this.serializeEquality(model);
+        if (equalityLines.length > 0) {
+            lines.push('  <equality>');
+            lines.push(...equalityLines);
+            lines.push('  </equality>');
+        }
+
+        lines.push('</mujoco>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Build <compiler> attribute string, exported values are always radians with autolimits
+     */
+    static serializeCompilerAttributes(extra = {}) {
+        const attributes = { angle: 'radian', autolimits: 'true', ...extra };
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => ` ${key}="${escapeXml(String(value))}"`)
+            .join('');
+    }
+
+    /**
+     * Default mesh path: strip ROS package:// and file:// schemes
+     */
+    static defaultMeshPath(filename) {
+        return filename
+            .replace(/^package:\/\/[^/]+\//, '')
+            .replace(/^file:\/\//, '');
+    }
+
+    /**
+     * URDF-style models: joint origin defines the child link frame, so each link becomes
+     * a body placed at its parent joint origin with the joint at the body origin
+     */
+    static buildTreeFromURDF(model, floatingBase) {
+        const nodes = new Map<string, any>();
+        model.links.forEach(link => {
+            nodes.set(link.name, { name: link.name, link, pos: [0, 0, 0], quat: null, joints: [], children: [] });
+        });
+
+        const childLinks = new Set<string>();
+        model.joints.forEach(joint => {
+            const parent = nodes.get(joint.parent);
+            const child = nodes.get(joint.child);
+            if (!parent || !child) return;
+
+            childLinks.add(joint.child);
+            child.pos = joint.origin?.xyz || [0, 0, 0];
+            child.quat = rpyToQuat(joint.origin?.rpy || [0, 0, 0]);
+            child.joints = this.mapURDFJoint(joint);
+            parent.children.push(child);
+        });
+
+        let roots = Array.from(nodes.values()).filter(node => !childLinks.has(node.name));
+
+        // A geometry-less "world" root link is the MuJoCo worldbody itself
+        let worldLink = null;
+        if (roots.length === 1 && this.isEmptyLink(roots[0].link) && roots[0].name === 'world') {
+            worldLink = roots[0].link;
+            roots = roots[0].children;
+        } else if (floatingBase) {
+            roots.forEach(node => {
+                if (node.joints.length === 0) {
+                    node.joints = [{ name: `${node.name}_freejoint`, type: 'free' }];
+                }
+            });
+        }
+
+        return { worldLink, roots };
+    }
+
+    /**
+     * Convert one URDF joint into MJCF joint descriptions
+     */
+    static mapURDFJoint(joint) {
+        const axis = joint.axis?.xyz || [1, 0, 0];
+        const range = joint.limits ? [joint.limits.lower, joint.limits.upper] : null;
+
+        switch (joint.type) {
+            case 'revolute':
+                return [{ name: joint.name, type: 'hinge', axis, range }];
+            case 'continuous':
+                return [{ name: joint.name, type: 'hinge', axis, range: null }];
+            case 'prismatic':
+                return [{ name: joint.name, type: 'slide', axis, range }];
+            case 'floating':
+            case 'free':
+                return [{ name: joint.name, type: 'free' }];
+            case 'planar': {
+                // Planar: translation in the plane normal to axis plus rotation about axis
+                const [u, v] = this.perpendicularAxes(axis);
+                return [
+                    { name: `${joint.name}_x`, type: 'slide', axis: u, range: null },
+                    { name: `${joint.name}_y`, type: 'slide', axis: v, range: null },
+                    { name: `${joint.name}_yaw`, type: 'hinge', axis, range: null }
+                ];
+            }
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * MJCF models: keep the original body nesting and joint placement
+     */
+    static buildTreeFromMJCF(model) {
+        const nodes = new Map<string, any>();
+        let worldLink = null;
+
+        model.links.forEach(link => {
+            if (link.userData.isWorldbody) {
+                worldLink = link;
+                return;
+            }
+            const bodyOrigin = link.userData.bodyOrigin || { xyz: [0, 0, 0], rpy: [0, 0, 0] };
+            nodes.set(link.name, {
+                name: link.name,
+                link,
+                pos: bodyOrigin.xyz,
+                quat: this.originQuat(bodyOrigin),
+                joints: [],
+                children: []
+            });
+        });
+
+        model.joints.forEach(joint => {
+            const node = nodes.get(joint.child);
+            if (!node) return;
+
+            const mjcfType = joint.userData?.mjcfType
+                || (joint.type === 'prismatic' ? 'slide' : joint.type === 'free' ? 'free' : 'hinge');
+            node.joints.push({
+                name: joint.name,
+                type: mjcfType,
+                pos: joint.origin?.xyz,
+                axis: joint.axis?.xyz,
+                range: joint.limits ? [joint.limits.lower, joint.limits.upper] : null
+            });
+        });
+
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.link.userData.parentName ? nodes.get(node.link.userData.parentName) : null;
+            if (parent) {
+                parent.children.push(node);
+            } else {
+                roots.push(node);
+            }
+        });
+
+        return { worldLink, roots };
+    }
+
+    /**
+     * Serialize body node recursively
+     */
+    static serializeBody(context, node, indent) {
+        const quatAttr = node.quat && !this.isIdentityQuat(node.quat) ? ` quat="${formatVector(node.quat)}"` : '';
+        const lines = [`${indent}<body name="${escapeXml(node.name)}" pos="${formatVector(node.pos)}"${quatAttr}>`];
+        const inner = indent + '  ';
+
+        const link = node.link;
+        if (link && link.inertial && link.inertial.mass > 0) {
+            const inertia = getBodyFrameInertia(context.model, link.inertial);
+            // MuJoCo rejects fullinertia together with an inertial quat, so the tensor is rotated into the body frame
+            const tensor = rotateInertia(inertia.rpy, inertia);
+            const fullinertia = [tensor.ixx, tensor.iyy, tensor.izz, tensor.ixy, tensor.ixz, tensor.iyz];
+            lines.push(`${inner}<inertial pos="${formatVector(inertia.xyz)}" mass="${formatNumber(inertia.mass)}" fullinertia="${formatVector(fullinertia)}"/>`);
+        }
+
+        node.joints.forEach(joint => {
+            lines.push(inner + this.serializeJoint(joint));
+        });
+
+        if (link) {
+            lines.push(...this.serializeGeoms(context, link, inner));
+        }
+
+        node.children.forEach(child => {
+            lines.push(...this.serializeBody(context, child, inner));
+        });
+
+        lines.push(`${indent}</body>`);
+        return lines;
+    }
+
+    /**
+     * Serialize joint description
+     */
+    static serializeJoint(joint) {
+        if (joint.type === 'free') {
+            return `<freejoint name="${escapeXml(joint.name)}"/>`;
+        }
+
+        let attrs = `name="${escapeXml(joint.name)}" type="${joint.type}"`;
+        if (joint.pos && !isZeroVector(joint.pos)) {
+            attrs += ` pos="${formatVector(joint.pos)}"`;
+        }
+        if (joint.axis && joint.type !== 'ball') {
+            attrs += ` axis="${formatVector(joint.axis)}"`;
+        }
+        if (joint.range) {
+            attrs += ` limited="true" range="${formatVector(joint.range)}"`;
+        }
+        return `<joint ${attrs}/>`;
+    }
+
+    /**
+     * Serialize visual and collision geometries of a link
+     * URDF visuals become non-colliding group 2 geoms, collisions become group 3 geoms
+     */
+    static serializeGeoms(context, link, indent) {
+        const lines = [];
+
+        link.visuals.forEach(visual => {
+            const attrs = this.getGeomAttributes(context, visual);
+            if (!attrs) return;
+
+            let extra = '';
+            if (context.isMJCF) {
+                if (visual.userData?.group !== undefined && visual.userData.group !== 0) {
+                    extra += ` group="${visual.userData.group}"`;
+                }
+            } else {
+                extra += ' contype="0" conaffinity="0" group="2" density="0"';
+            }
+            const rgba = getVisualRgba(visual);
+            if (rgba) {
+                extra += ` rgba="${formatVector(rgba.length >= 4 ? rgba : [...rgba, 1])}"`;
+            }
+            lines.push(`${indent}<geom${this.geomNameAttr(context, visual.name)} ${attrs}${extra}/>`);
+        });
+
+        link.collisions.forEach(collision => {
+            const attrs = this.getGeomAttributes(context, collision);
+            if (!attrs) return;
+            lines.push(`${indent}<geom${this.geomNameAttr(context, collision.name)} ${attrs} group="3"/>`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Geom names must be unique in MJCF, drop repeated ones
+     */
+    static geomNameAttr(context, name) {
+        if (!name || context.usedGeomNames.has(name)) return '';
+        context.usedGeomNames.add(name);
+        return ` name="${escapeXml(name)}"`;
+    }
+
+    /**
+     * Build type/size/placement attributes for a geometry (null if not representable)
+     */
+    static getGeomAttributes(context, element) {
+        const geometry = element.geometry;
+        if (!geometry) return null;
+
+        const size = geometry.size || {};
+        let shape;
+        switch (geometry.type) {
+            case 'box':
+                shape = `type="box" size="${formatVector([size.x / 2, size.y / 2, size.z / 2])}"`;
+                break;
+            case 'sphere':
+                shape = `type="sphere" size="${formatNumber(size.radius)}"`;
+                break;
+            case 'cylinder':
+            case 'capsule':
+                if (geometry.fromto) {
+                    const fromto = [...geometry.fromto.p1, ...geometry.fromto.p2];
+                    return `type="${geometry.type}" size="${formatNumber(size.radius)}" fromto="${formatVector(fromto)}"`;
+                }
+                shape = `type="${geometry.type}" size="${formatVector([size.radius, size.height / 2])}"`;
+                break;
+            case 'mesh': {
+                if (!geometry.filename) {
+                    console.warn('MJCF export: inline vertex meshes are not supported, skipping geometry');
+                    return null;
+                }
+                const meshName = this.registerMesh(context, geometry);
+                if (!meshName) return null;
+                shape = `type="mesh" mesh="${escapeXml(meshName)}"`;
+                break;
+            }
+            default:
+                console.warn(`MJCF export: geometry type "${geometry.type}" is not supported, skipping`);
+                return null;
+        }
+
+        const origin = element.origin || { xyz: [0, 0, 0], rpy: [0, 0, 0] };
+        let placement = '';
+        if (!isZeroVector(origin.xyz)) {
+            placement += ` pos="${formatVector(origin.xyz)}"`;
+        }
+        const quat = this.originQuat(origin);
+        if (!this.isIdentityQuat(quat)) {
+            placement += ` quat="${formatVector(quat)}"`;
+        }
+        return shape + placement;
+    }
+
+    /**
+     * Register mesh asset (deduplicated by file and scale), returns asset name
+     */
+    static registerMesh(context, geometry) {
+        const file = context.resolveMeshPath(geometry.filename);
+        if (!file) return null;
+
+        const scale = geometry.meshScale || null;
+        const key = `${file}|${scale ? scale.join(',') : ''}`;
+        if (context.meshAssets.has(key)) {
+            return context.meshAssets.get(key).name;
+        }
+
+        const baseName = file.split('/').pop().split('\\').pop().replace(/\.[^/.]+$/, '') || 'mesh';
+        const usedNames = new Set(Array.from(context.meshAssets.values()).map((asset: any) => asset.name));
+        let name = baseName;
+        let suffix = 1;
+        while (usedNames.has(name)) {
+            name = `${baseName}_${suffix++}`;
+        }
+
+        context.meshAssets.set(key, { name, file, scale });
+        return name;
+    }
+
+    /**
+     * Serialize Constraint map as equality constraints
+     */
+    static serializeEquality(model) {
+        const lines = [];
+        if (!model.constraints) return lines;
+
+        model.constraints.forEach(constraint => {
+            const name = `name="${escapeXml(constraint.name)}"`;
+            switch (constraint.type) {
+                case 'connect':
+                case 'weld': {
+                    let attrs = `${name} body1="${escapeXml(constraint.body1)}"`;
+                    if (constraint.body2) attrs += ` body2="${escapeXml(constraint.body2)}"`;
+                    if (constraint.anchor) attrs += ` anchor="${formatVector(constraint.anchor)}"`;
+                    if (constraint.type === 'weld' && constraint.torquescale !== null) {
+                        attrs += ` torquescale="${formatNumber(constraint.torquescale)}"`;
+                    }
+                    lines.push(`    <${constraint.type} ${attrs}/>`);
+                    break;
+                }
+                case 'joint': {
+                    let attrs = `${name} joint1="${escapeXml(constraint.joint1)}"`;
+                    if (constraint.joint2) attrs += ` joint2="${escapeXml(constraint.joint2)}"`;
+                    if (constraint.polycoef) attrs += ` polycoef="${formatVector(constraint.polycoef)}"`;
+                    lines.push(`    <joint ${attrs}/>`);
+                    break;
+                }
+                default:
+                    console.warn(`MJCF export: equality type "${constraint.type}" is not supported, skipping "${constraint.name}"`);
+            }
+        });
+
+        // URDF mimic joints: follower = offset + multiplier * leader
+        model.joints?.forEach((joint, name) => {
+            if (!joint.mimic || !model.joints.has(joint.mimic.joint)) return;
+            const polycoef = [joint.mimic.offset, joint.mimic.multiplier, 0, 0, 0];
+            lines.push(`    <joint joint1="${escapeXml(name)}" joint2="${escapeXml(joint.mimic.joint)}" polycoef="${formatVector(polycoef)}"/>`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Get wxyz quaternion of an origin (prefer original MJCF quat)
+     */
+    static originQuat(origin) {
+        if (origin.quat && origin.quat.w !== undefined) {
+            return [origin.quat.w, origin.quat.x, origin.quat.y, origin.quat.z];
+        }
+        return rpyToQuat(origin.rpy || [0, 0, 0]);
+    }
+
+    /**
+     * Check if wxyz quaternion is identity
+     */
+    static isIdentityQuat(quat) {
+        return Math.abs(Math.abs(quat[0]) - 1) < 1e-12 && isZeroVector(quat.slice(1));
+    }
+
+    /**
+     * Check if link has no geometry and no inertia
+     */
+    static isEmptyLink(link) {
+        return !link.inertial && link.visuals.length === 0 && link.collisions.length === 0;
+    }
+
+    /**
+     * Two unit vectors perpendicular to axis and each other
+     */
+    static perpendicularAxes(axis) {
+        const length = Math.sqrt(axis[0] ** 2 + axis[1] ** 2 + axis[2] ** 2) || 1;
+        const n = axis.map(v => v / length);
+        const reference = Math.abs(n[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+
+        const dot = reference[0] * n[0] + reference[1] * n[1] + reference[2] * n[2];
+        let u = reference.map((v, i) => v - dot * n[i]);
+        const uLength = Math.sqrt(u[0] ** 2 + u[1] ** 2 + u[2] ** 2);
+        u = u.map(v => v / uLength);
+
+        const v = [
+            n[1] * u[2] - n[2] * u[1],
+            n[2] * u[0] - n[0] * u[2],
+            n[0] * u[1] - n[1] * u[0]
+        ];
+        return [u, v];
+    }
+}
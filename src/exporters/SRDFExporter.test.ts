@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { SRDFExporter } from './SRDFExporter.js';
+import { UnifiedRobotModel } from '../models/UnifiedRobotModel.js';
+
+describe('SRDFExporter', () => {
+    it('should export disabled collision pairs', () => {
+        const model = new UnifiedRobotModel();
+        model.name = 'arm';
+
+        const xml = SRDFExporter.export(model, [
+            { link1: 'base', link2: 'upper', reason: 'Adjacent' },
+            { link1: 'base', link2: 'gripper&tip', reason: 'Never' }
+        ]);
+        const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+        expect(doc.documentElement.getAttribute('name')).toBe('arm');
+        const entries = [...doc.getElementsByTagName('disable_collisions')];
+        expect(entries.map(entry => [entry.getAttribute('link1'), entry.getAttribute('link2'), entry.getAttribute('reason')])).toEqual([
+            ['base', 'upper', 'Adjacent'],
+            ['base', 'gripper&tip', 'Never']
+        ]);
+    });
+});
@@ -0,0 +1,24 @@
+/**
+ * SRDF Exporter
+ * Serializes a disabled-collisions list to a MoveIt SRDF document (groups and states are left to the user)
+ */
+import { escapeXml } from './ExportUtils.js';
+
+export class SRDFExporter {
+    /**
+     * Export disabled collision pairs to SRDF XML string
+     * @param {UnifiedRobotModel} model
+     * @param {DisabledCollision[]} disabledCollisions
+     * @returns {string} SRDF XML content
+     */
+    static export(model, disabledCollisions) {
+        const lines = [];
+        lines.push('<?xml version="1.0" encoding="utf-8"?>');
+        lines.push(`<robot name="${escapeXml(model.name || 'robot')}">`);
+        disabledCollisions.forEach(({ link1, link2, reason }) => {
+            lines.push(`  <disable_collisions link1="${escapeXml(link1)}" link2="${escapeXml(link2)}" reason="${escapeXml(reason)}"/>`);
+        });
+        lines.push('</robot>');
+        return lines.join('\n') + '\n';
+    }
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { URDFExporter } from './URDFExporter.js';
+import {
+    UnifiedRobotModel,
+    Link,
+    Joint,
+    JointLimits,
+    JointMimic,
+    VisualGeometry,
+    GeometryType,
+    InertialProperties
+} from '../models/UnifiedRobotModel.js';
+
+function parse(xml) {
+    return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+describe('URDFExporter', () => {
+    it('should export URDF-style model with limits, inertial and mesh geometry', () => {
+        const model = new UnifiedRobotModel();
+        model.name = 'arm';
+
+        const base = new Link('base');
+        base.inertial = new InertialProperties();
+        base.inertial.mass = 2;
+        base.inertial.ixx = 0.1;
+        const visual = new VisualGeometry();
+        visual.geometry = new GeometryType('mesh');
+        visual.geometry.filename = 'package://arm/meshes/base.stl';
+        visual.geometry.meshScale = [0.001, 0.001, 0.001];
+        base.visuals.push(visual);
+        model.addLink(base);
+        model.addLink(new Link('tip'));
+
+        const joint = new Joint('j1', 'revolute');
+        joint.parent = 'base';
+        joint.child = 'tip';
+        joint.origin = { xyz: [0, 0, 0.5], rpy: [0, 0, 0] };
+        joint.limits = new JointLimits();
+        joint.limits.lower = -1;
+        joint.limits.upper = 1;
+        joint.limits.effort = 10;
+        joint.mimic = new JointMimic('j0');
+        joint.mimic.multiplier = -1;
+        model.addJoint(joint);
+
+        const doc = parse(URDFExporter.export(model));
+        expect(doc.querySelector('robot').getAttribute('name')).toBe('arm');
+        expect(doc.querySelector('link[name="base"] mass').getAttribute('value')).toBe('2');
+        expect(doc.querySelector('mesh').getAttribute('scale')).toBe('0.001 0.001 0.001');
+
+        const jointEl = doc.querySelector('joint[name="j1"]');
+        expect(jointEl.getAttribute('type')).toBe('revolute');
+        expect(jointEl.querySelector('origin').getAttribute('xyz')).toBe('0 0 0.5');
+        expect(jointEl.querySelector('limit').getAttribute('effort')).toBe('10');
+        expect(jointEl.querySelector('limit').getAttribute('velocity')).toBe('0');
+        expect(jointEl.querySelector('mimic').getAttribute('joint')).toBe('j0');
+        expect(jointEl.querySelector('mimic').getAttribute('multiplier')).toBe('-1');
+    });
+
+    it('should move MJCF joint position into the joint origin and shift child geometry', () => {
+        const model = new UnifiedRobotModel();
+        model.userData.type = 'mjcf';
+
+        const torso = new Link('torso');
+        torso.userData.bodyOrigin = { xyz: [0, 0, 1], rpy: [0, 0, 0] };
+        model.addLink(torso);
+
+        const upper = new Link('upper');
+        upper.userData.parentName = 'torso';
+        upper.userData.bodyOrigin = { xyz: [0.1, 0, 0], rpy: [0, 0, 0] };
+        const geom = new VisualGeometry();
+        geom.geometry = new GeometryType('sphere');
+        geom.geometry.size = { radius: 0.05 };
+        geom.origin = { xyz: [0, 0, -0.2], rpy: [0, 0, 0] };
+        upper.visuals.push(geom);
+        model.addLink(upper);
+
+        const free = new Joint('root', 'free');
+        free.parent = 'worldbody';
+        free.child = 'torso';
+        model.addJoint(free);
+
+        const hinge = new Joint('shoulder', 'revolute');
+        hinge.parent = 'torso';
+        hinge.child = 'upper';
+        hinge.origin = { xyz: [0, 0, 0.1], rpy: [0, 0, 0] };
+        model.addJoint(hinge);
+
+        const doc = parse(URDFExporter.export(model));
+
+        // Single free-floating root stays the URDF root
+        expect(doc.querySelector('link[name="world"]')).toBeNull();
+        expect(doc.querySelector('joint[name="root"]')).toBeNull();
+
+        const shoulder = doc.querySelector('joint[name="shoulder"]');
+        expect(shoulder.getAttribute('type')).toBe('continuous');
+        expect(shoulder.querySelector('origin').getAttribute('xyz')).toBe('0.1 0 0.1');
+        expect(doc.querySelector('link[name="upper"] visual origin').getAttribute('xyz')).toBe('0 0 -0.3');
+    });
+});
@@ -0,0 +1,436 @@
+/**
+ * URDF Exporter
+ * Serializes UnifiedRobotModel (from any source format) to a ROS-compatible URDF document
+ */
+import {
+    formatNumber,
+    formatVector,
+    escapeXml,
+    isZeroVector,
+    getVisualRgba
+} from './ExportUtils.js';
+import { rotateByRpy, directionToRpy, getBodyFrameInertia } from '../utils/RotationUtils.js';
+
+export class URDFExporter {
+    /**
+     * Export model to URDF XML string
+     * @param {UnifiedRobotModel} model
+     * @returns {string} URDF XML content
+     */
+    static export(model) {
+        const { links, joints } = model.userData?.type === 'mjcf'
+            ? this.buildTreeFromMJCF(model)
+            : this.buildTreeFromURDF(model);
+
+        const lines = [];
+        lines.push('<?xml version="1.0" encoding="utf-8"?>');
+        lines.push(`<robot name="${escapeXml(model.name || 'robot')}">`);
+
+        // Robot-level named materials
+        const namedMaterials = new Set<string>();
+        if (model.materials) {
+            model.materials.forEach((material, name) => {
+                if (!name || (!material.rgba && !material.texture)) return;
+                namedMaterials.add(name);
+                lines.push(...this.serializeMaterial(material.name, material.rgba, material.texture, '  '));
+            });
+        }
+
+        links.forEach(entry => {
+            lines.push(...this.serializeLink(model, entry, namedMaterials));
+        });
+
+        joints.forEach(entry => {
+            lines.push(...this.serializeJoint(entry));
+        });
+
+        lines.push('</robot>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * URDF-style models (URDF, Xacro): joint origin already defines child link frame
+     */
+    static buildTreeFromURDF(model) {
+        const links = [];
+        const joints = [];
+
+        model.links.forEach(link => {
+            links.push({ name: link.name, link, offset: [0, 0, 0] });
+        });
+
+        model.joints.forEach(joint => {
+            if (!joint.parent || !joint.child) return;
+            joints.push({
+                name: joint.name,
+                type: this.mapJointType(joint),
+                parent: joint.parent,
+                child: joint.child,
+                xyz: joint.origin?.xyz || [0, 0, 0],
+                rpy: joint.origin?.rpy || [0, 0, 0],
+                axis: joint.axis?.xyz || null,
+                limits: joint.limits,
+                mimic: joint.mimic
+            });
+        });
+
+        return { links, joints };
+    }
+
+    /**
+     * MJCF models: bodies are nested with body.pos/quat, joints sit at joint.pos inside the child body
+     * URDF requires the child link frame at the joint, so shift each body's contents by the joint offset,
+     * and insert dummy links when a body has several joints (ball joints expand to three hinges)
+     */
+    static buildTreeFromMJCF(model) {
+        const links = [];
+        const joints = [];
+        const offsets = new Map<string, number[]>();
+        const hasWorldbody = model.links.has('worldbody');
+
+        const bodyJoints = new Map<string, any[]>();
+        model.joints.forEach(joint => {
+            if (!joint.child) return;
+            if (!bodyJoints.has(joint.child)) bodyJoints.set(joint.child, []);
+            bodyJoints.get(joint.child).push(joint);
+        });
+
+        const getParentName = (link) => {
+            if (link.userData.isWorldbody) return null;
+            if (link.userData.parentName) return link.userData.parentName;
+            return hasWorldbody ? 'worldbody' : null;
+        };
+
+        // A world link is needed when several bodies hang off the world or a root body is jointed to it
+        const rootBodies = Array.from(model.links.values()).filter((link: any) => !getParentName(link));
+        const needsWorldLink = rootBodies.length > 1 || rootBodies.some((link: any) =>
+            (bodyJoints.get(link.name) || []).some(joint => joint.type !== 'free')
+        );
+        if (needsWorldLink) {
+            links.push({ name: 'world', link: null, offset: [0, 0, 0] });
+        }
+
+        // Visit bodies parent-first so parent offsets are known
+        const visit = (link, parentName) => {
+            const bodyOrigin = link.userData.bodyOrigin || { xyz: [0, 0, 0], rpy: [0, 0, 0] };
+            const parentOffset = parentName ? (offsets.get(parentName) || [0, 0, 0]) : [0, 0, 0];
+            const chain = this.expandMJCFJoints(bodyJoints.get(link.name) || []);
+
+            // Single root body keeps its floating/free joint implicit (URDF root floats)
+            const isRoot = !parentName;
+            if (isRoot && !needsWorldLink) {
+                offsets.set(link.name, [0, 0, 0]);
+                links.push({ name: link.name, link, offset: [0, 0, 0] });
+                return;
+            }
+
+            let previousLink = parentName || 'world';
+            let previousPos = null;
+            const baseXyz = [
+                parentOffset[0] + bodyOrigin.xyz[0],
+                parentOffset[1] + bodyOrigin.xyz[1],
+                parentOffset[2] + bodyOrigin.xyz[2]
+            ];
+
+            if (chain.length === 0) {
+                joints.push({
+                    name: `${previousLink}_to_${link.name}`,
+                    type: 'fixed',
+                    parent: previousLink,
+                    child: link.name,
+                    xyz: baseXyz,
+                    rpy: bodyOrigin.rpy,
+                    axis: null,
+                    limits: null
+                });
+                offsets.set(link.name, [0, 0, 0]);
+            } else {
+                chain.forEach((entry, index) => {
+                    const pos = entry.pos;
+                    const isLast = index === chain.length - 1;
+                    const childName = isLast ? link.name : `${link.name}_${entry.name}_link`;
+
+                    let xyz, rpy;
+                    if (previousPos === null) {
+                        const rotated = rotateByRpy(bodyOrigin.rpy, pos);
+                        xyz = [baseXyz[0] + rotated[0], baseXyz[1] + rotated[1], baseXyz[2] + rotated[2]];
+                        rpy = bodyOrigin.rpy;
+                    } else {
+                        xyz = [pos[0] - previousPos[0], pos[1] - previousPos[1], pos[2] - previousPos[2]];
+                        rpy = [0, 0, 0];
+                    }
+
+                    if (!isLast) {
+                        links.push({ name: childName, link: null, offset: [0, 0, 0] });
+                    }
+
+                    joints.push({
+                        name: entry.name,
+                        type: entry.type,
+                        parent: previousLink,
+                        child: childName,
+                        xyz,
+                        rpy,
+                        axis: entry.axis,
+                        limits: entry.limits,
+                        mimic: entry.mimic || null
+                    });
+
+                    previousLink = childName;
+                    previousPos = pos;
+                });
+                offsets.set(link.name, [-previousPos[0], -previousPos[1], -previousPos[2]]);
+            }
+
+            links.push({ name: link.name, link, offset: offsets.get(link.name) });
+        };
+
+        const visitTree = (parentName) => {
+            model.links.forEach(link => {
+                if (getParentName(link) === parentName) {
+                    visit(link, parentName === null && needsWorldLink ? 'world' : parentName);
+                    visitTree(link.name);
+                }
+            });
+        };
+        visitTree(null);
+
+        return { links, joints };
+    }
+
+    /**
+     * Convert joints of one MJCF body into a URDF joint chain
+     */
+    static expandMJCFJoints(bodyJoints) {
+        const chain = [];
+        bodyJoints.forEach(joint => {
+            const pos = joint.origin?.xyz || [0, 0, 0];
+            const mjcfType = joint.userData?.mjcfType;
+
+            if (mjcfType === 'ball') {
+                // URDF has no ball joint: approximate with three orthogonal continuous joints
+                ['x', 'y', 'z'].forEach((axisName, i) => {
+                    const axis = [0, 0, 0];
+                    axis[i] = 1;
+                    chain.push({ name: `${joint.name}_${axisName}`, type: 'continuous', pos, axis, limits: null });
+                });
+                return;
+            }
+
+            chain.push({
+                name: joint.name,
+                type: this.mapJointType(joint),
+                pos,
+                axis: joint.axis?.xyz || [0, 0, 1],
+                limits: joint.limits,
+                mimic: joint.mimic
+            });
+        });
+        return chain;
+    }
+
+    /**
+     * Map unified joint type to URDF joint type
+     */
+    static mapJointType(joint) {
+        switch (joint.type) {
+            case 'free':
+            case 'floating':
+                return 'floating';
+            case 'planar':
+                return 'planar';
+            case 'prismatic':
+                return 'prismatic';
+            case 'fixed':
+                return 'fixed';
+            case 'continuous':
+                return 'continuous';
+            case 'revolute':
+                // Revolute joints without limits (e.g. MJCF hinge without range) are continuous in URDF
+                return joint.limits ? 'revolute' : 'continuous';
+            default:
+                return joint.type || 'fixed';
+        }
+    }
+
+    /**
+     * Serialize a link entry
+     */
+    static serializeLink(model, entry, namedMaterials) {
+        const { name, link, offset } = entry;
+        if (!link || (!link.inertial && link.visuals.length === 0 && link.collisions.length === 0)) {
+            return [`  <link name="${escapeXml(name)}"/>`];
+        }
+
+        const lines = [`  <link name="${escapeXml(name)}">`];
+
+        if (link.inertial) {
+            const inertia = getBodyFrameInertia(model, link.inertial);
+            lines.push('    <inertial>');
+            lines.push(`      ${this.serializeOrigin(this.addOffset(inertia.xyz, offset), inertia.rpy)}`);
+            lines.push(`      <mass value="${formatNumber(inertia.mass)}"/>`);
+            lines.push(`      <inertia ixx="${formatNumber(inertia.ixx)}" ixy="${formatNumber(inertia.ixy)}" ixz="${formatNumber(inertia.ixz)}" iyy="${formatNumber(inertia.iyy)}" iyz="${formatNumber(inertia.iyz)}" izz="${formatNumber(inertia.izz)}"/>`);
+            lines.push('    </inertial>');
+        }
+
+        link.visuals.forEach((visual, index) => {
+            const geometryLines = this.serializeGeometry(visual.geometry);
+            if (!geometryLines) return;
+
+            const nameAttr = visual.name ? ` name="${escapeXml(visual.name)}"` : '';
+            const origin = this.getGeometryOrigin(visual, offset);
+            lines.push(`    <visual${nameAttr}>`);
+            lines.push(`      ${this.serializeOrigin(origin.xyz, origin.rpy)}`);
+            lines.push(...geometryLines.map(l => '      ' + l));
+
+            const materialName = visual.material?.name;
+            if (materialName && namedMaterials.has(materialName)) {
+                lines.push(`      <material name="${escapeXml(materialName)}"/>`);
+            } else {
+                const rgba = getVisualRgba(visual);
+                const texture = visual.material?.texture || null;
+                if (rgba || texture) {
+                    const inlineName = materialName || `${name}_material_${index}`;
+                    lines.push(...this.serializeMaterial(inlineName, rgba, texture, '      '));
+                }
+            }
+            lines.push('    </visual>');
+        });
+
+        link.collisions.forEach(collision => {
+            const geometryLines = this.serializeGeometry(collision.geometry);
+            if (!geometryLines) return;
+
+            const nameAttr = collision.name ? ` name="${escapeXml(collision.name)}"` : '';
+            const origin = this.getGeometryOrigin(collision, offset);
+            lines.push(`    <collision${nameAttr}>`);
+            lines.push(`      ${this.serializeOrigin(origin.xyz, origin.rpy)}`);
+            lines.push(...geometryLines.map(l => '      ' + l));
+            lines.push('    </collision>');
+        });
+
+        lines.push('  </link>');
+        return lines;
+    }
+
+    /**
+     * Get geometry origin in link frame (fromto capsules/cylinders define their own placement)
+     */
+    static getGeometryOrigin(element, offset) {
+        const geometry = element.geometry;
+        if (geometry && geometry.fromto) {
+            const { p1, p2, center } = geometry.fromto;
+            return {
+                xyz: this.addOffset(center, offset),
+                rpy: directionToRpy([p2[0] - p1[0], p2[1] - p1[1], p2[2] - p1[2]])
+            };
+        }
+        return {
+            xyz: this.addOffset(element.origin?.xyz || [0, 0, 0], offset),
+            rpy: element.origin?.rpy || [0, 0, 0]
+        };
+    }
+
+    /**
+     * Serialize GeometryType to URDF geometry lines (null if not representable)
+     */
+    static serializeGeometry(geometry) {
+        if (!geometry) return null;
+
+        const size = geometry.size || {};
+        let shape;
+        switch (geometry.type) {
+            case 'box':
+                shape = `<box size="${formatVector([size.x, size.y, size.z])}"/>`;
+                break;
+            case 'sphere':
+                shape = `<sphere radius="${formatNumber(size.radius)}"/>`;
+                break;
+            case 'cylinder':
+            case 'capsule':
+                // URDF has no capsule primitive, use the cylinder part
+                shape = `<cylinder radius="${formatNumber(size.radius)}" length="${formatNumber(size.height)}"/>`;
+                break;
+            case 'mesh':
+                if (!geometry.filename) {
+                    console.warn('URDF export: inline vertex meshes are not supported, skipping geometry');
+                    return null;
+                }
+                shape = geometry.meshScale && !geometry.meshScale.every(s => s === 1)
+                    ? `<mesh filename="${escapeXml(geometry.filename)}" scale="${formatVector(geometry.meshScale)}"/>`
+                    : `<mesh filename="${escapeXml(geometry.filename)}"/>`;
+                break;
+            default:
+                console.warn(`URDF export: geometry type "${geometry.type}" is not supported, skipping`);
+                return null;
+        }
+
+        return ['<geometry>', '  ' + shape, '</geometry>'];
+    }
+
+    /**
+     * Serialize material definition
+     */
+    static serializeMaterial(name, rgba, texture, indent) {
+        const lines = [`${indent}<material name="${escapeXml(name)}">`];
+        if (rgba) {
+            const values = rgba.length >= 4 ? rgba : [...rgba, 1];
+            lines.push(`${indent}  <color rgba="${formatVector(values)}"/>`);
+        }
+        if (texture) {
+            lines.push(`${indent}  <texture filename="${escapeXml(texture)}"/>`);
+        }
+        lines.push(`${indent}</material>`);
+        return lines;
+    }
+
+    /**
+     * Serialize a joint entry
+     */
+    static serializeJoint(entry) {
+        const lines = [`  <joint name="${escapeXml(entry.name)}" type="${entry.type}">`];
+        lines.push(`    <parent link="${escapeXml(entry.parent)}"/>`);
+        lines.push(`    <child link="${escapeXml(entry.child)}"/>`);
+        lines.push(`    ${this.serializeOrigin(entry.xyz, entry.rpy)}`);
+
+        if (entry.type !== 'fixed' && entry.type !== 'floating' && entry.axis) {
+            lines.push(`    <axis xyz="${formatVector(entry.axis)}"/>`);
+        }
+
+        if (entry.type === 'revolute' || entry.type === 'prismatic') {
+            const limits = entry.limits;
+            const effort = formatNumber(limits?.effort ?? 0);
+            const velocity = formatNumber(limits?.velocity ?? 0);
+            if (limits) {
+                lines.push(`    <limit lower="${formatNumber(limits.lower)}" upper="${formatNumber(limits.upper)}" effort="${effort}" velocity="${velocity}"/>`);
+            } else {
+                console.warn(`URDF export: joint "${entry.name}" has no range, writing limit without bounds`);
+                lines.push(`    <limit effort="${effort}" velocity="${velocity}"/>`);
+            }
+        } else if (entry.type === 'continuous' && entry.limits && (entry.limits.effort !== null || entry.limits.velocity !== null)) {
+            lines.push(`    <limit effort="${formatNumber(entry.limits.effort ?? 0)}" velocity="${formatNumber(entry.limits.velocity ?? 0)}"/>`);
+        }
+
+        if (entry.mimic) {
+            lines.push(`    <mimic joint="${escapeXml(entry.mimic.joint)}" multiplier="${formatNumber(entry.mimic.multiplier)}" offset="${formatNumber(entry.mimic.offset)}"/>`);
+        }
+
+        lines.push('  </joint>');
+        return lines;
+    }
+
+    /**
+     * Serialize origin element
+     */
+    static serializeOrigin(xyz, rpy) {
+        return `<origin xyz="${formatVector(xyz || [0, 0, 0])}" rpy="${formatVector(rpy || [0, 0, 0])}"/>`;
+    }
+
+    /**
+     * Add translation offset to position
+     */
+    static addOffset(xyz, offset) {
+        if (isZeroVector(offset)) return xyz;
+        return [xyz[0] + offset[0], xyz[1] + offset[1], xyz[2] + offset[2]];
+    }
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from 'vitest';
+import { LoadDiagnostics } from './LoadDiagnostics.js';
+import { findFileInMap } from '../utils/MeshLoader.js';
+
+describe('LoadDiagnostics', () => {
+    it('should collect reports only while a load is in progress', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const diagnostics = LoadDiagnostics.begin('robot/robot.urdf');
+        LoadDiagnostics.warn('ignoredElement', 'Unsupported mesh format: ply', { reference: 'part.ply' });
+        LoadDiagnostics.warn('ignoredElement', 'Unsupported mesh format: ply', { reference: 'part.ply' });
+        LoadDiagnostics.record('info', 'unitAssumption', 'Angles read in degrees');
+        LoadDiagnostics.end(diagnostics);
+        LoadDiagnostics.warn('missingFile', 'Reported after the load');
+
+        expect(warn).toHaveBeenCalledTimes(3);
+        expect(diagnostics.entries.map(entry => entry.category)).toEqual(['ignoredElement', 'unitAssumption']);
+        expect(diagnostics.count('warning')).toBe(1);
+        expect(LoadDiagnostics.active).toBeNull();
+
+        warn.mockRestore();
+    });
+
+    it('should locate references in the loaded file and through the xacro expansion', () => {
+        const diagnostics = new LoadDiagnostics('robot/robot.urdf');
+        diagnostics.add('error', 'missingFile', 'Cannot find mesh file', { reference: 'package://robot/meshes/base.stl' });
+        diagnostics.add('warning', 'fallbackMatch', 'Matched by file name', { reference: 'meshes/arm.stl' });
+        diagnostics.add('warning', 'parseWarning', 'Not in the file', { reference: 'nowhere.stl' });
+
+        diagnostics.locate(`<robot name="r">
+  <link name="base">
+    <visual><geometry><mesh filename="package://robot/meshes/base.stl"/></geometry></visual>
+  </link>
+  <link name="arm">
+    <visual><geometry><mesh filename="package://robot/meshes/arm.stl"/></geometry></visual>
+  </link>
+</robot>`);
+
+        expect(diagnostics.entries.map(entry => [entry.file, entry.line])).toEqual([
+            ['robot/robot.urdf', 3],
+            ['robot/robot.urdf', 6],
+            [null, null]
+        ]);
+
+        const xacro = new LoadDiagnostics('robot/robot.xacro');
+        xacro.add('error', 'missingFile', 'Cannot find mesh file', { reference: 'package://robot/meshes/arm.stl' });
+        xacro.locate('<robot/>', {
+            text: '<?xml version="1.0"?>\n<robot>\n  <mesh filename="package://robot/meshes/arm.stl"/>\n</robot>',
+            lineSources: [null, null, { file: 'robot/parts.xacro', line: 7, calls: [{ file: 'robot/robot.xacro', line: 4 }] }, null]
+        });
+        expect([xacro.entries[0].file, xacro.entries[0].line]).toEqual(['robot/robot.xacro', 4]);
+    });
+
+    it('should record file name fallback matches of mesh references', () => {
+        const fileMap = new Map<string, any>([
+            ['robot/meshes/base.stl', { name: 'base.stl' }],
+            ['robot/other/arm.STL', { name: 'arm.STL' }]
+        ]);
+
+        const diagnostics = LoadDiagnostics.begin('robot/robot.xml');
+        expect(findFileInMap('meshes/base.stl', fileMap)).toBe(fileMap.get('robot/meshes/base.stl'));
+        expect(findFileInMap('meshes/arm.stl', fileMap)).toBe(fileMap.get('robot/other/arm.STL'));
+        LoadDiagnostics.end(diagnostics);
+
+        expect(diagnostics.entries).toHaveLength(1);
+        expect(diagnostics.entries[0]).toMatchObject({ category: 'fallbackMatch', target: 'robot/other/arm.STL' });
+    });
+
+    it('should keep late reports of a load in its own report', () => {
+        const diagnostics = LoadDiagnostics.begin('robot/robot.urdf');
+        const report = LoadDiagnostics.capture();
+        LoadDiagnostics.end(diagnostics);
+        diagnostics.locate('<robot>\n  <mesh filename="meshes/arm.dae"/>\n</robot>');
+
+        let changes = 0;
+        diagnostics.onChange = () => changes++;
+        const next = LoadDiagnostics.begin('other.urdf');
+        report.record('error', 'missingFile', 'Cannot find file: textures/arm.png', { reference: 'textures/arm.png' });
+        report.record('error', 'missingFile', 'Cannot find mesh file: meshes/arm.dae', { reference: 'meshes/arm.dae' });
+        LoadDiagnostics.end(next);
+
+        expect(next.entries).toHaveLength(0);
+        expect(diagnostics.entries.map(entry => [entry.reference, entry.line])).toEqual([
+            ['textures/arm.png', null],
+            ['meshes/arm.dae', 2]
+        ]);
+        expect(changes).toBe(2);
+    });
+});
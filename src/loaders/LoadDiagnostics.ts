@@ -0,0 +1,246 @@
+/**
+ * LoadDiagnostics - Structured record of problems met while loading a model
+ * Adapters and mesh loaders report through the static helpers, which log to the
+ * console as before and add an entry to the collector of the load in progress
+ * Callbacks that outlive the load (mesh decoding, texture requests) report through
+ * capture(), their entries still reach the report of the load that started them
+ */
+
+export type DiagnosticSeverity = 'error' | 'warning' | 'info';
+
+// missingFile: referenced file not in the dropped files
+// fallbackMatch: file found only by a looser match (file name, case, extension)
+// ignoredElement: element skipped or unsupported
+// unitAssumption: unit or default applied because the file does not say
+// parseWarning: anything else the parser worked around
+// loadError: the load failed
+export type DiagnosticCategory = 'missingFile' | 'fallbackMatch' | 'ignoredElement' | 'unitAssumption' | 'parseWarning' | 'loadError';
+
+export interface DiagnosticEntry {
+    severity: DiagnosticSeverity;
+    category: DiagnosticCategory;
+    message: string;
+    file: string | null;      // Source file the entry points to
+    line: number | null;      // Line in that file (starting from 1)
+    reference: string | null; // Text as written in the source (a path, an attribute), used to find the line
+    target: string | null;    // File map path the entry is about (a fallback match, a skipped mesh)
+}
+
+export const DIAGNOSTIC_CATEGORIES: DiagnosticCategory[] = [
+    'loadError', 'missingFile', 'fallbackMatch', 'ignoredElement', 'unitAssumption', 'parseWarning'
+];
+
+// Collector of the load in progress (loads run one at a time)
+let activeDiagnostics: LoadDiagnostics | null = null;
+
+function log(severity: DiagnosticSeverity, message, details: any) {
+    const write = severity === 'error' ? console.error : console.warn;
+    if (details.cause !== undefined) {
+        write(message, details.cause);
+    } else {
+        write(message);
+    }
+}
+
+export class LoadDiagnostics {
+    fileName: string | null;
+    entries: DiagnosticEntry[];
+    // Documents of the last locate(), entries added after the load are located against them
+    source: { content: any, expansion: any } | null;
+    // Called when an entry arrives after the load ended
+    onChange: (() => void) | null;
+
+    constructor(fileName = null) {
+        this.fileName = fileName; // Loaded file (file map path)
+        this.entries = [];
+        this.source = null;
+        this.onChange = null;
+    }
+
+    /**
+     * Start collecting for a load
+     * @param {string} fileName - Loaded file
+     * @returns {LoadDiagnostics}
+     */
+    static begin(fileName) {
+        activeDiagnostics = new LoadDiagnostics(fileName);
+        return activeDiagnostics;
+    }
+
+    /**
+     * Stop collecting; later static reports (e.g. from a previous load's callbacks) are only logged
+     * @param {LoadDiagnostics} diagnostics - Collector returned by begin()
+     */
+    static end(diagnostics) {
+        if (activeDiagnostics === diagnostics) {
+            activeDiagnostics = null;
+        }
+    }
+
+    static get active() {
+        return activeDiagnostics;
+    }
+
+    /**
+     * Add an entry to the active collector without logging
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} category - Diagnostic category
+     * @param {string} message - Message
+     * @param {Object} details - {file, line, reference, target}, all optional
+     */
+    static record(severity: DiagnosticSeverity, category: DiagnosticCategory, message, details: any = {}) {
+        activeDiagnostics?.add(severity, category, message, details);
+    }
+
+    /**
+     * Log a warning and record it
+     * @param {Object} details - {file, line, reference, target, cause}; cause is only logged
+     */
+    static warn(category: DiagnosticCategory, message, details: any = {}) {
+        log('warning', message, details);
+        this.record('warning', category, message, details);
+    }
+
+    /**
+     * Log an error and record it
+     * @param {Object} details - {file, line, reference, target, cause}; cause is only logged
+     */
+    static error(category: DiagnosticCategory, message, details: any = {}) {
+        log('error', message, details);
+        this.record('error', category, message, details);
+    }
+
+    /**
+     * Reporter bound to the collector of the load in progress, with the record/warn/error
+     * signatures of the static helpers
+     * @returns {Object} Reporter that keeps adding to this load's collector after end()
+     */
+    static capture() {
+        const diagnostics = activeDiagnostics;
+        return {
+            record(severity: DiagnosticSeverity, category: DiagnosticCategory, message, details: any = {}) {
+                diagnostics?.add(severity, category, message, details);
+            },
+            warn(category: DiagnosticCategory, message, details: any = {}) {
+                log('warning', message, details);
+                this.record('warning', category, message, details);
+            },
+            error(category: DiagnosticCategory, message, details: any = {}) {
+                log('error', message, details);
+                this.record('error', category, message, details);
+            }
+        };
+    }
+
+    /**
+     * Add an entry; repeats of the same message for the same place are dropped
+     */
+    add(severity: DiagnosticSeverity, category: DiagnosticCategory, message, details: any = {}) {
+        const entry: DiagnosticEntry = {
+            severity,
+            category,
+            message,
+            file: details.file ?? null,
+            line: details.line ?? null,
+            reference: details.reference ?? null,
+            target: details.target ?? null
+        };
+
+        const duplicate = this.entries.some(e =>
+            e.category === entry.category && e.message === entry.message &&
+            e.file === entry.file && e.line === entry.line);
+        if (!duplicate) {
+            this.entries.push(entry);
+
+            // Late entry: the load has ended and its report may already be shown
+            if (activeDiagnostics !== this) {
+                if (this.source) this.locate(this.source.content, this.source.expansion);
+                if (this.onChange) this.onChange();
+            }
+        }
+        return entry;
+    }
+
+    /**
+     * Record the error that made the load fail
+     * @param {Error} error - Load error, xacro errors carry a location {file, line}
+     */
+    addLoadError(error) {
+        this.add('error', 'loadError', error.message, {
+            file: error.location?.file ?? null,
+            line: error.location?.line ?? null
+        });
+    }
+
+    /**
+     * Fill in file/line of entries that only carry a reference
+     * References are looked up in the expanded URDF first when there is one (mapped back
+     * through its line sources), then in the loaded file itself
+     * @param {string} content - Loaded file content
+     * @param {Object} expansion - Xacro expansion {text, lineSources} (optional)
+     */
+    locate(content, expansion = null) {
+        this.source = { content, expansion };
+        const expandedLines = expansion?.text ? expansion.text.split('\n') : null;
+        const lines = typeof content === 'string' ? content.split('\n') : null;
+
+        this.entries.forEach(entry => {
+            if (entry.line || !entry.reference) return;
+
+            if (expandedLines) {
+                const index = LoadDiagnostics.findLineIndex(expandedLines, entry.reference);
+                const source = index >= 0 ? expansion.lineSources[index] : null;
+                if (source) {
+                    const target = source.calls?.[0] || source;
+                    entry.file = target.file;
+                    entry.line = target.line;
+                    return;
+                }
+            }
+
+            if (lines && (!entry.file || entry.file === this.fileName)) {
+                const index = LoadDiagnostics.findLineIndex(lines, entry.reference);
+                if (index >= 0) {
+                    entry.file = this.fileName;
+                    entry.line = index + 1;
+                }
+            }
+        });
+    }
+
+    /**
+     * Find the first line containing a reference
+     * Paths that are not written as given (resolved, prefixed) are matched by file name
+     * @param {string[]} lines - Lines of the document
+     * @param {string} reference - Text to look for
+     * @returns {number} Line index, -1 if not found
+     */
+    static findLineIndex(lines, reference) {
+        let index = lines.findIndex(line => line.includes(reference));
+        if (index < 0 && reference.includes('/')) {
+            const baseName = reference.split('/').pop();
+            if (baseName) {
+                index = lines.findIndex(line => line.includes(baseName));
+            }
+        }
+        return index;
+    }
+
+    hasReference(reference) {
+        return this.entries.some(entry => entry.reference === reference);
+    }
+
+    count(severity: DiagnosticSeverity) {
+        return this.entries.filter(entry => entry.severity === severity).length;
+    }
+
+    /**
+     * Entries grouped by category, in DIAGNOSTIC_CATEGORIES order
+     * @returns {Array<{category: string, entries: DiagnosticEntry[]}>} Empty categories left out
+     */
+    groupByCategory() {
+        return DIAGNOSTIC_CATEGORIES
+            .map(category => ({ category, entries: this.entries.filter(entry => entry.category === category) }))
+            .filter(group => group.entries.length > 0);
+    }
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { ModelLoaderFactory } from './ModelLoaderFactory.js';
+import { UnifiedRobotModel, Joint, JointMimic } from '../models/UnifiedRobotModel.js';
+
+describe('ModelLoaderFactory', () => {
+    it('should drive mimic followers when setting a joint angle', () => {
+        const model = new UnifiedRobotModel();
+        model.addJoint(new Joint('finger_left', 'prismatic'));
+
+        const right = new Joint('finger_right', 'prismatic');
+        right.mimic = new JointMimic('finger_left');
+        right.mimic.multiplier = -1;
+        model.addJoint(right);
+
+        const tip = new Joint('finger_tip', 'revolute');
+        tip.mimic = new JointMimic('finger_right');
+        tip.mimic.multiplier = 2;
+        tip.mimic.offset = 0.1;
+        model.addJoint(tip);
+
+        ModelLoaderFactory.setJointAngle(model, 'finger_left', 0.02);
+
+        expect(model.getJoint('finger_left').currentValue).toBe(0.02);
+        expect(model.getJoint('finger_right').currentValue).toBe(-0.02);
+        expect(model.getJoint('finger_tip').currentValue).toBeCloseTo(0.06, 9);
+    });
+});
@@ -6,7 +6,12 @@ import * as THREE from 'three';
 import { URDFAdapter } from '../adapters/URDFAdapter.js';
 import { MJCFAdapter } from '../adapters/MJCFAdapter.js';
 import { USDAdapter } from '../adapters/USDAdapter.js';
+import { SDFAdapter } from '../adapters/SDFAdapter.js';
 import { XacroAdapter } from '../adapters/XacroAdapter.js';
+import { PackageIndex } from './PackageIndex.js';
+import { LoadDiagnostics } from './LoadDiagnostics.js';
+import { JointPose, isMultiDofJoint } from '../models/UnifiedRobotModel.js';
+import { MathUtils } from '../utils/MathUtils.js';
 
 export class ModelLoaderFactory {
     /**
@@ -31,6 +36,9 @@ export class ModelLoaderFactory {
                     }
                 }
                 return null;
+            case 'sdf':
+            case 'world':
+                return 'sdf';
             case 'usd':
             case 'usda':
             case 'usdc':
@@ -99,9 +107,9 @@ export class ModelLoaderFactory {
      * @param {string} fileName - File name (key in fileMap)
      * @param {Map} fileMap - File map (path -> File object), for loading mesh files
      * @param {File} file - Original file object (optional)
-     * @param {Object} options - Additional options (e.g., usdViewerManager)
+     * @param {Object} options - Additional options (e.g., usdViewerManager, xacroArgs)
      */
-    static async loadModel(fileType, content, fileName, fileMap = null, file = null, options = {}) {
+    static async loadModel(fileType, content, fileName, fileMap = null, file = null, options: any = {}) {
         // Extract base path from fileName for MJCF include resolution
         let basePath = null;
         if (fileName) {
@@ -111,18 +119,44 @@ export class ModelLoaderFactory {
             }
         }
 
-        switch (fileType) {
-            case 'urdf':
-                return await this.loadURDF(content, fileName, fileMap, file);
-            case 'xacro':
-                return await this.loadXacro(content, fileName, fileMap, file);
-            case 'mjcf':
-                return await this.loadMJCF(content, fileMap, basePath);
-            case 'usd':
-                return await this.loadUSD(content, fileMap, file, options);
-            default:
-                throw new Error(`Unsupported file type: ${fileType}`);
+        // Missing files, fallback matches etc. reported by the adapters while loading
+        const diagnostics = LoadDiagnostics.begin(fileName);
+
+        let model;
+        try {
+            switch (fileType) {
+                case 'urdf':
+                    model = await this.loadURDF(content, fileName, fileMap, file);
+                    break;
+                case 'xacro':
+                    model = await this.loadXacro(content, fileName, fileMap, file, options.xacroArgs);
+                    break;
+                case 'mjcf':
+                    model = await this.loadMJCF(content, fileMap, basePath);
+                    break;
+                case 'sdf':
+                    model = await this.loadSDF(content, fileMap, basePath);
+                    break;
+                case 'usd':
+                    model = await this.loadUSD(content, fileMap, file, options);
+                    break;
+                default:
+                    throw new Error(`Unsupported file type: ${fileType}`);
+            }
+        } catch (error) {
+            diagnostics.addLoadError(error);
+            diagnostics.locate(content);
+            error.diagnostics = diagnostics;
+            throw error;
+        } finally {
+            LoadDiagnostics.end(diagnostics);
+        }
+
+        if (model?.userData) {
+            diagnostics.locate(content, model.userData.xacroExpansion);
+            model.userData.loadDiagnostics = diagnostics;
         }
+        return model;
     }
 
     /**
@@ -142,8 +176,13 @@ export class ModelLoaderFactory {
             throw new Error('Failed to load urdf-loader: ' + error.message);
         }
 
+        // package:// references into packages with a package.xml resolve exactly
+        const packageIndex = fileMap ? await PackageIndex.fromFileMap(fileMap) : null;
+
         return new Promise((resolve, reject) => {
             const loader = new URDFLoader();
+            // Meshes and textures finish loading after the load has ended
+            const report = LoadDiagnostics.capture();
 
             // Enable collision parsing
             loader.parseCollision = true;
@@ -167,6 +206,11 @@ export class ModelLoaderFactory {
                     // resolvePath returns: packages['go2w_description'] + '/' + 'meshes/file.stl'
                     // We return a virtual path, actual loading handled in loadMeshCb
                     packageMap[pkg as string] = pkg as string; // Return package name itself
+
+                    // Indexed packages keep their URI so it can be resolved exactly
+                    if (packageIndex.has(pkg)) {
+                        packageMap[pkg as string] = `package://${pkg}`;
+                    }
                 });
 
                 // Add default empty package mapping
@@ -177,6 +221,11 @@ export class ModelLoaderFactory {
                 // Set URL Modifier to intercept all URL requests (including textures)
                 // This MUST be set on loader.manager to catch TextureLoader requests
                 const urlModifier = (url) => {
+                    const packageMatch = packageIndex.resolve(url, fileMap);
+                    if (packageMatch?.file) {
+                        return URL.createObjectURL(packageMatch.file);
+                    }
+
                     // Check if this is a malformed blob URL (blob:http://host/filename instead of blob:http://host/uuid)
                     // This can happen when ColladaLoader or other loaders incorrectly create blob URLs
                     if (url.startsWith('blob:')) {
@@ -280,6 +329,7 @@ export class ModelLoaderFactory {
                             const keyFileName = key.split('/').pop();
                             if (keyFileName === targetFileName) {
                                 matchedFile = file;
+                                report.record('warning', 'fallbackMatch', `${url} matched ${key} by file name only`, { reference: url, target: key });
                                 break;
                             }
                         }
@@ -293,6 +343,9 @@ export class ModelLoaderFactory {
                     }
 
                     // If not found, return original URL - urdf-loader will handle it
+                    if (isTextureFile || isMeshFile) {
+                        report.record('error', 'missingFile', `Cannot find file: ${url}`, { reference: url });
+                    }
                     return url;
                 };
 
@@ -302,8 +355,19 @@ export class ModelLoaderFactory {
                 // Custom loadMeshCb to load mesh files from fileMap
                 const originalLoadMeshCb = loader.loadMeshCb || loader.defaultMeshLoader.bind(loader);
                 loader.loadMeshCb = (path, manager, done) => {
+                    // Meshes in indexed packages are never matched by file name
+                    const packageMatch = packageIndex.resolve(path, fileMap);
+                    if (packageMatch && !packageMatch.file) {
+                        report.record('error', 'missingFile', `Cannot find mesh file: ${path}`, { reference: path });
+                        done(null, new Error(`Cannot find mesh file: ${path}`));
+                        return;
+                    }
+                    const findFile = packageMatch
+                        ? Promise.resolve(packageMatch.file)
+                        : this.findFileInMapByPath(path, fileMap, urdfDir);
+
                     // Use Promise but don't await, let loading happen in background
-                    this.findFileInMapByPath(path, fileMap, urdfDir).then(file => {
+                    findFile.then(file => {
                         if (file) {
                             // Directly use Three.js loaders to load mesh file
 
@@ -311,17 +375,18 @@ export class ModelLoaderFactory {
                             const ext = (file.name || path).toLowerCase().split('.').pop();
 
                             // Dynamically import corresponding loader and load file
-                            this.loadMeshFileAsync(file, ext, manager).then(meshObject => {
+                            this.loadMeshFileAsync(file, ext, manager, report).then(meshObject => {
                                 if (meshObject) {
                                     done(meshObject, null);
                                 } else {
                                     done(null, new Error(`Failed to load mesh file: ${path}`));
                                 }
                             }).catch(err => {
-                                console.error(`Failed to load mesh: ${path}`, err);
+                                report.error('parseWarning', `Failed to load mesh: ${path}`, { reference: path, cause: err });
                                 done(null, err);
                             });
                         } else {
+                            report.record('error', 'missingFile', `Cannot find mesh file: ${path}`, { reference: path });
                             // If not found, try using original path loader
                             originalLoadMeshCb(path, manager, done);
                         }
@@ -343,6 +408,10 @@ export class ModelLoaderFactory {
                 // Convert to unified model
                 try {
                     const model = URDFAdapter.convert(robot, content); // Pass original XML content
+                    if (packageIndex) {
+                        model.userData.loadReport = packageIndex.checkReferences(content, fileMap);
+                        PackageIndex.warnUnresolved(model.userData.loadReport, fileName);
+                    }
                     resolve(model);
                 } catch (error) {
                     console.error('URDF conversion error:', error);
@@ -362,10 +431,11 @@ export class ModelLoaderFactory {
      * @param {string} fileName - Xacro file key in fileMap (includes path)
      * @param {Map} fileMap - File map
      * @param {File} file - Original file object (optional)
+     * @param {Object} xacroArgs - Argument values overriding the <xacro:arg> defaults (optional)
      */
-    static async loadXacro(content, fileName, fileMap = null, file = null) {
+    static async loadXacro(content, fileName, fileMap = null, file = null, xacroArgs = {}) {
         try {
-            const model = await XacroAdapter.parse(content, fileName, fileMap, file);
+            const model = await XacroAdapter.parse(content, fileName, fileMap, file, xacroArgs);
             return model;
         } catch (error) {
             console.error('Xacro parsing error:', error);
@@ -402,6 +472,19 @@ export class ModelLoaderFactory {
         // path is already relative path with package:// prefix removed
         // Example: meshes/wheel.stl or wheel.stl
 
+        // Packages with a package.xml in the dropped folder resolve exactly
+        if (pkg) {
+            const packageIndex = await PackageIndex.fromFileMap(fileMap);
+            const packageMatch = packageIndex.resolve(`package://${pkg}/${path}`, fileMap);
+            if (packageMatch) {
+                if (packageMatch.file) {
+                    return await packageMatch.file.arrayBuffer();
+                }
+                LoadDiagnostics.warn('missingFile', `Cannot find URDF file: ${path} (package: ${pkg})`, { reference: path });
+                return new ArrayBuffer(0);
+            }
+        }
+
         // Build list of possible paths
         const possiblePaths = [];
 
@@ -476,7 +559,7 @@ export class ModelLoaderFactory {
         }
 
         // If not found, log warning but don't throw error
-        console.warn(`Cannot find URDF file: ${path} (package: ${pkg})`);
+        LoadDiagnostics.warn('missingFile', `Cannot find URDF file: ${path} (package: ${pkg})`, { reference: path });
 
         // Return empty ArrayBuffer instead of throwing error
         return new ArrayBuffer(0);
@@ -545,6 +628,7 @@ export class ModelLoaderFactory {
         for (const [key, f] of fileMap.entries()) {
             const keyFileName = key.split('/').pop();
             if (keyFileName === targetFileName) {
+                LoadDiagnostics.record('warning', 'fallbackMatch', `${path} matched ${key} by file name only`, { reference: path, target: key });
                 return f;
             }
         }
@@ -561,6 +645,11 @@ export class ModelLoaderFactory {
      * @returns {Promise<File|null>}
      */
     static async findFileInMap(path, fileMap, fileName) {
+        const packageMatch = (await PackageIndex.fromFileMap(fileMap)).resolve(path, fileMap);
+        if (packageMatch) {
+            return packageMatch.file;
+        }
+
         // Remove package:// prefix (if present)
         let searchPath = path.replace(/^package:\/\//, '');
 
@@ -744,9 +833,10 @@ export class ModelLoaderFactory {
      * @param {File} file - File object
      * @param {string} ext - File extension
      * @param {THREE.LoadingManager} manager - Three.js loading manager
+     * @param {Object} report - Diagnostics reporter from LoadDiagnostics.capture()
      * @returns {Promise<THREE.Group|THREE.Mesh|null>}
      */
-    static async loadMeshFileAsync(file, ext, manager) {
+    static async loadMeshFileAsync(file, ext, manager, report: any = LoadDiagnostics) {
         const blobUrl = URL.createObjectURL(file);
 
         try {
@@ -815,7 +905,7 @@ export class ModelLoaderFactory {
                 }
 
                 default:
-                    console.warn(`Unsupported file format: ${ext}`);
+                    report.warn('ignoredElement', `Unsupported mesh format: ${ext}`, { reference: file.name });
                     URL.revokeObjectURL(blobUrl);
                     return null;
             }
@@ -843,6 +933,18 @@ export class ModelLoaderFactory {
         }
     }
 
+    /**
+     * Load SDF
+     */
+    static async loadSDF(content, fileMap = null, basePath = null) {
+        try {
+            return await SDFAdapter.parse(content, fileMap, basePath);
+        } catch (error) {
+            console.error('SDF parsing error:', error);
+            throw new Error('SDF parsing failed: ' + error.message);
+        }
+    }
+
     /**
      * Load USD
      * @param {string|ArrayBuffer} content - USD content
@@ -861,8 +963,9 @@ export class ModelLoaderFactory {
 
     /**
      * Set joint angle (universal method)
+     * Mimic followers of the joint are updated as well
      */
-    static setJointAngle(model, jointName, angle, ignoreLimits = false) {
+    static setJointAngle(model, jointName, angle, ignoreLimits = false, visited = new Set<string>()) {
         const joint = model.getJoint(jointName);
         if (!joint) {
             console.warn(`Joint ${jointName} does not exist`);
@@ -883,10 +986,83 @@ export class ModelLoaderFactory {
             MJCFAdapter.setJointAngle(joint, angle);
         }
 
+        // Drive joints that mimic this one (e.g. parallel gripper fingers)
+        if (model.getMimicFollowers) {
+            visited.add(jointName);
+            model.getMimicFollowers(jointName).forEach(follower => {
+                if (visited.has(follower.name)) {
+                    console.warn(`Mimic loop detected at joint ${follower.name}`);
+                    return;
+                }
+                const followerAngle = angle * follower.mimic.multiplier + follower.mimic.offset;
+                this.setJointAngle(model, follower.name, followerAngle, ignoreLimits, visited);
+            });
+        }
+
         // Ensure model matrix is updated
         if (model.threeObject) {
             model.threeObject.updateMatrixWorld(true);
         }
     }
-}
 
+    /**
+     * Get the object a multi-DOF joint moves
+     * URDF joints and MJCF joints with a parent body have their own object; a free root body moves itself
+     */
+    static getJointPoseTarget(model, joint) {
+        if (joint.threeObject) {
+            return joint.threeObject;
+        }
+        const childLink = joint.child ? model.getLink(joint.child) : null;
+        return childLink?.threeObject || null;
+    }
+
+    /**
+     * Set pose of a floating, planar or free joint
+     * @param {UnifiedRobotModel} model
+     * @param {string} jointName
+     * @param {JointPose} pose - Translation and rpy in the parent frame
+     */
+    static setJointPose(model, jointName, pose) {
+        const joint = model.getJoint(jointName);
+        if (!joint) {
+            console.warn(`Joint ${jointName} does not exist`);
+            return;
+        }
+        if (!isMultiDofJoint(joint)) {
+            console.warn(`Joint ${jointName} (${joint.type}) does not take a pose`);
+            return;
+        }
+
+        if (joint.threeObject && typeof joint.threeObject.setJointValue === 'function') {
+            URDFAdapter.setJointPose(joint, pose);
+        } else {
+            MJCFAdapter.setJointPose(joint, pose, this.getJointPoseTarget(model, joint));
+        }
+
+        if (model.threeObject) {
+            model.threeObject.updateMatrixWorld(true);
+        }
+    }
+
+    /**
+     * Read the current pose of a multi-DOF joint back from its object (e.g. after a gizmo drag)
+     * @returns {JointPose|null}
+     */
+    static readJointPose(model, jointName) {
+        const joint = model.getJoint(jointName);
+        const target = joint ? this.getJointPoseTarget(model, joint) : null;
+        if (!target) {
+            return null;
+        }
+
+        // urdf-loader keeps the zero-pose transform in origPosition/origQuaternion
+        const initialPosition = target.origPosition || target.userData.initialPosition;
+        const initialQuaternion = target.origQuaternion || target.userData.initialQuaternion;
+        if (!initialPosition || !initialQuaternion) {
+            return joint.pose ? joint.pose.clone() : new JointPose();
+        }
+
+        return MathUtils.transformToJointPose(joint, target.position, target.quaternion, initialPosition, initialQuaternion);
+    }
+}
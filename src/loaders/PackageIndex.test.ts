@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { PackageIndex } from './PackageIndex.js';
+
+function textFile(content) {
+    return { name: 'file', text: async () => content };
+}
+
+describe('PackageIndex', () => {
+    it('should resolve package references exactly when packages share file names', async () => {
+        const armMesh = textFile('');
+        const gripperMesh = textFile('');
+        const fileMap = new Map<string, any>([
+            ['ws/src/arm/package.xml', textFile('<package format="3"><name>arm_description</name></package>')],
+            ['ws/src/arm/meshes/base_link.stl', armMesh],
+            ['ws/src/gripper/package.xml', textFile('<package><version>1.0.0</version></package>')],
+            ['ws/src/gripper/meshes/base_link.stl', gripperMesh]
+        ]);
+
+        const index = await PackageIndex.fromFileMap(fileMap);
+
+        expect(index.getPackagePath('arm_description')).toBe('ws/src/arm');
+        // Falls back to the directory name without <name>
+        expect(index.getPackagePath('gripper')).toBe('ws/src/gripper');
+
+        expect(index.resolve('package://arm_description/meshes/base_link.stl', fileMap).file).toBe(armMesh);
+        expect(index.resolve('$(find gripper)/meshes/base_link.stl', fileMap).file).toBe(gripperMesh);
+        expect(index.resolve('package://arm_description/meshes/missing.stl', fileMap).file).toBeNull();
+        expect(index.resolve('package://other/meshes/base_link.stl', fileMap)).toBeNull();
+        expect(index.resolve('meshes/base_link.stl', fileMap)).toBeNull();
+
+        const report = index.checkReferences(`<robot>
+  <mesh filename="package://arm_description/meshes/base_link.stl"/>
+  <mesh filename="package://arm_description/meshes/missing.stl"/>
+  <mesh filename="package://other/meshes/base_link.stl"/>
+</robot>`, fileMap);
+        expect(report.unresolved).toEqual([
+            { uri: 'package://arm_description/meshes/missing.stl', reason: 'missingFile' },
+            { uri: 'package://other/meshes/base_link.stl', reason: 'unknownPackage' }
+        ]);
+
+        // Unchanged file maps reuse the index
+        expect(await PackageIndex.fromFileMap(fileMap)).toBe(index);
+    });
+});
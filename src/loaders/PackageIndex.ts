@@ -0,0 +1,158 @@
+/**
+ * PackageIndex - ROS package lookup for dropped folders
+ * Maps package names (from package.xml) to their directory in the file map, so
+ * package:// and $(find pkg) references resolve to exactly one file
+ */
+import { LoadDiagnostics } from './LoadDiagnostics.js';
+
+// package://pkg/path or $(find pkg)/path
+const PACKAGE_URI_PATTERN = /^(?:package:\/\/([^/]+)|\$\(find\s+([^)\s]+)\s*\))\/?(.*)$/;
+const PACKAGE_REFERENCE_PATTERN = /package:\/\/[^\s"'<>]+|\$\(find\s+[^)\s]+\s*\)[^\s"'<>]*/g;
+
+// Index cache per file map, rebuilt when its package.xml files change
+const indexCache = new WeakMap<Map<string, any>, { manifests: any[]; index: PackageIndex }>();
+
+export class PackageIndex {
+    packages: Map<string, string>;
+
+    constructor() {
+        this.packages = new Map(); // Package name -> directory in the file map ('' for the root)
+    }
+
+    /**
+     * Build the index from every package.xml in the file map
+     * @param {Map} fileMap - File map (path -> File object)
+     * @returns {Promise<PackageIndex>}
+     */
+    static async fromFileMap(fileMap) {
+        const manifests = [...fileMap.entries()].filter(([path]) => path.split('/').pop() === 'package.xml');
+
+        const cached = indexCache.get(fileMap);
+        if (cached && cached.manifests.length === manifests.length &&
+            cached.manifests.every(([path, file], i) => manifests[i][0] === path && manifests[i][1] === file)) {
+            return cached.index;
+        }
+
+        const index = new PackageIndex();
+        for (const [path, file] of manifests) {
+            const directory = path.replace(/^\/+/, '').split('/').slice(0, -1).join('/');
+            let name = null;
+            try {
+                name = this.readPackageName(await file.text());
+            } catch (error) {
+                console.warn(`Failed to read ${path}:`, error);
+            }
+            // Packages are named by their directory when package.xml has no <name>
+            name = name || directory.split('/').pop();
+            if (!name) continue;
+
+            if (index.packages.has(name) && index.packages.get(name) !== directory) {
+                console.warn(`Package ${name} found in both ${index.packages.get(name) || '/'} and ${directory || '/'}, using the first`);
+                continue;
+            }
+            index.packages.set(name, directory);
+        }
+
+        indexCache.set(fileMap, { manifests, index });
+        return index;
+    }
+
+    /**
+     * Read the package name from package.xml content
+     * @param {string} content - package.xml content
+     * @returns {string|null}
+     */
+    static readPackageName(content) {
+        const match = content.match(/<name>\s*([^<\s]+)\s*<\/name>/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Split a package:// or $(find pkg) reference
+     * @param {string} uri - Reference
+     * @returns {{packageName: string, relativePath: string}|null} null for other paths
+     */
+    static parseUri(uri) {
+        const match = typeof uri === 'string' ? uri.match(PACKAGE_URI_PATTERN) : null;
+        if (!match) return null;
+        return { packageName: match[1] || match[2], relativePath: match[3] };
+    }
+
+    has(packageName) {
+        return this.packages.has(packageName);
+    }
+
+    /**
+     * Directory of a package in the file map
+     * @param {string} packageName
+     * @returns {string|null} '' for a package at the root of the dropped folder
+     */
+    getPackagePath(packageName) {
+        return this.packages.has(packageName) ? this.packages.get(packageName) : null;
+    }
+
+    /**
+     * Resolve a package reference to its file map entry
+     * @param {string} uri - package:// or $(find pkg) reference
+     * @param {Map} fileMap - File map
+     * @returns {{path: string, file: File|null}|null} null when the reference is not to an indexed
+     *   package; file is null when the package is known but has no such file
+     */
+    resolve(uri, fileMap) {
+        const parsed = PackageIndex.parseUri(uri);
+        if (!parsed || !this.packages.has(parsed.packageName)) return null;
+
+        const directory = this.packages.get(parsed.packageName);
+        const path = directory ? `${directory}/${parsed.relativePath}` : parsed.relativePath;
+        const file = fileMap.get(path) || fileMap.get('/' + path) || null;
+        return { path, file };
+    }
+
+    /**
+     * Check every package reference in a document
+     * @param {string} content - URDF/xacro content
+     * @param {Map} fileMap - File map
+     * @returns {{packages: Array<{name: string, path: string}>, unresolved: Array<{uri: string, reason: string}>}}
+     *   reason is 'unknownPackage' (no package.xml for it) or 'missingFile'
+     */
+    checkReferences(content, fileMap) {
+        const unresolved = [];
+        const references = new Set<string>(content.match(PACKAGE_REFERENCE_PATTERN) || []);
+
+        references.forEach(uri => {
+            const parsed = PackageIndex.parseUri(uri);
+            if (!parsed) return;
+
+            if (!this.packages.has(parsed.packageName)) {
+                unresolved.push({ uri, reason: 'unknownPackage' });
+            } else if (parsed.relativePath && !this.resolve(uri, fileMap).file) {
+                unresolved.push({ uri, reason: 'missingFile' });
+            }
+        });
+
+        return {
+            packages: [...this.packages.entries()].map(([name, path]) => ({ name, path })),
+            unresolved
+        };
+    }
+
+    /**
+     * Log unresolved package references of a load report and add them to the load diagnostics
+     * @param {Object} report - From checkReferences
+     * @param {string} fileName - Loaded file
+     */
+    static warnUnresolved(report, fileName) {
+        if (report.unresolved.length === 0) return;
+        const lines = report.unresolved.map(entry => `  ${entry.uri} (${entry.reason})`);
+        console.warn(`${fileName}: ${report.unresolved.length} unresolved package reference(s)\n${lines.join('\n')}`);
+
+        report.unresolved.forEach(entry => {
+            // Meshes the loader already failed on are reported once
+            if (LoadDiagnostics.active?.hasReference(entry.uri)) return;
+            const message = entry.reason === 'unknownPackage'
+                ? `No package.xml for package ${PackageIndex.parseUri(entry.uri)?.packageName}: ${entry.uri}`
+                : `Cannot find file: ${entry.uri}`;
+            LoadDiagnostics.record('warning', 'missingFile', message, { reference: entry.uri });
+        });
+    }
+}
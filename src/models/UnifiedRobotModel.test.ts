@@ -0,0 +1,95 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import { UnifiedRobotModel, Link, Joint } from './UnifiedRobotModel.js';
+
+// Frames are real scene objects
+vi.unmock('three');
+
+function expectVector(actual, expected) {
+    expect(actual).toHaveLength(expected.length);
+    expected.forEach((value, i) => expect(actual[i]).toBeCloseTo(value, 9));
+}
+
+/**
+ * base -> joint "arm" (1 m up, yawed 90°) -> link "arm" (0.5 m along the joint x axis)
+ * The model root sits away from the world origin, transforms are expressed in it
+ */
+function createModel() {
+    const model = new UnifiedRobotModel();
+    model.threeObject = new THREE.Object3D();
+    model.threeObject.position.set(5, 0, 0);
+    model.threeObject.rotation.x = -Math.PI / 2;
+
+    const base = new Link('base');
+    base.threeObject = new THREE.Object3D();
+    base.threeObject.position.set(0, 0, 0.1);
+    model.threeObject.add(base.threeObject);
+    model.addLink(base);
+
+    const joint = new Joint('arm', 'revolute');
+    joint.parent = 'base';
+    joint.child = 'arm';
+    joint.threeObject = new THREE.Object3D();
+    joint.threeObject.position.set(0, 0, 1);
+    joint.threeObject.rotation.z = Math.PI / 2;
+    base.threeObject.add(joint.threeObject);
+    model.addJoint(joint);
+
+    const arm = new Link('arm');
+    arm.threeObject = new THREE.Object3D();
+    arm.threeObject.position.set(0.5, 0, 0);
+    joint.threeObject.add(arm.threeObject);
+    model.addLink(arm);
+
+    return model;
+}
+
+describe('UnifiedRobotModel', () => {
+    it('should pick links first and joints by prefix', () => {
+        const model = createModel();
+
+        expect(model.getFrameObject('arm')).toBe(model.getLink('arm').threeObject);
+        expect(model.getFrameObject('link:arm')).toBe(model.getLink('arm').threeObject);
+        expect(model.getFrameObject('joint:arm')).toBe(model.getJoint('arm').threeObject);
+        expect(model.getFrameObject('joint:base')).toBeNull();
+        expect(model.getFrameObject('tool')).toBeNull();
+    });
+
+    it('should express frames in the model root frame', () => {
+        const model = createModel();
+
+        const base = model.getFrameTransform('base');
+        expectVector(new THREE.Vector3().setFromMatrixPosition(base).toArray(), [0, 0, 0.1]);
+        expect(model.getFrameTransform('tool')).toBeNull();
+
+        model.threeObject = null;
+        expect(model.getFrameTransform('base')).toBeNull();
+    });
+
+    it('should give the pose of one frame relative to another', () => {
+        const model = createModel();
+        const half = Math.SQRT1_2;
+
+        const joint = model.getRelativeTransform('base', 'joint:arm');
+        expectVector(joint.xyz, [0, 0, 1]);
+        expectVector(joint.rpy, [0, 0, Math.PI / 2]);
+        expectVector(joint.quaternion, [0, 0, half, half]);
+        expectVector(joint.matrix.flat(), [
+            0, -1, 0, 0,
+            1, 0, 0, 0,
+            0, 0, 1, 1,
+            0, 0, 0, 1
+        ]);
+
+        // Plain and link: names give the link, offset along the yawed joint x axis
+        expectVector(model.getRelativeTransform('base', 'arm').xyz, [0, 0.5, 1]);
+        expectVector(model.getRelativeTransform('link:base', 'link:arm').xyz, [0, 0.5, 1]);
+
+        const inverse = model.getRelativeTransform('arm', 'base');
+        expectVector(inverse.xyz, [-0.5, 0, -1]);
+        expectVector(inverse.rpy, [0, 0, -Math.PI / 2]);
+        expectVector(inverse.quaternion, [0, 0, -half, half]);
+
+        expect(model.getRelativeTransform('base', 'tool')).toBeNull();
+    });
+});
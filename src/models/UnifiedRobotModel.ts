@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { matrixToRpy } from '../utils/RotationUtils.js';
 
 /**
  * Unified robot model data interface
@@ -10,6 +11,11 @@ export class UnifiedRobotModel {
     joints: Map<string, Joint> = new Map();
     materials: Map<string, Material> = new Map();
     constraints: Map<string, Constraint> = new Map();
+    actuators: Map<string, Actuator> = new Map();
+    sensors: Map<string, Sensor> = new Map();
+    tendons: Map<string, Tendon> = new Map();
+    sites: Map<string, Site> = new Map();
+    cameras: Map<string, Camera> = new Map();
     rootLink: string | null = null;
     threeObject: THREE.Object3D | null = null;
     userData: Record<string, any> = {};
@@ -26,6 +32,26 @@ export class UnifiedRobotModel {
         this.constraints.set(constraint.name, constraint);
     }
 
+    addActuator(actuator: Actuator): void {
+        this.actuators.set(actuator.name, actuator);
+    }
+
+    addSensor(sensor: Sensor): void {
+        this.sensors.set(sensor.name, sensor);
+    }
+
+    addTendon(tendon: Tendon): void {
+        this.tendons.set(tendon.name, tendon);
+    }
+
+    addSite(site: Site): void {
+        this.sites.set(site.name, site);
+    }
+
+    addCamera(camera: Camera): void {
+        this.cameras.set(camera.name, camera);
+    }
+
     getLink(name: string): Link | undefined {
         return this.links.get(name);
     }
@@ -37,6 +63,100 @@ export class UnifiedRobotModel {
     getConstraint(name: string): Constraint | undefined {
         return this.constraints.get(name);
     }
+
+    getActuator(name: string): Actuator | undefined {
+        return this.actuators.get(name);
+    }
+
+    getSensor(name: string): Sensor | undefined {
+        return this.sensors.get(name);
+    }
+
+    getTendon(name: string): Tendon | undefined {
+        return this.tendons.get(name);
+    }
+
+    getSite(name: string): Site | undefined {
+        return this.sites.get(name);
+    }
+
+    getCamera(name: string): Camera | undefined {
+        return this.cameras.get(name);
+    }
+
+    /**
+     * Get joints whose <mimic> follows the given joint
+     */
+    getMimicFollowers(name: string): Joint[] {
+        return Array.from(this.joints.values()).filter(joint => joint.mimic?.joint === name);
+    }
+
+    /**
+     * Scene object of a link or joint frame
+     * Plain names resolve links first, prefix with 'link:' or 'joint:' where a link and a joint share a name
+     */
+    getFrameObject(frame: string): THREE.Object3D | null {
+        const [kind, name] = frame.startsWith('link:') || frame.startsWith('joint:')
+            ? [frame.slice(0, frame.indexOf(':')), frame.slice(frame.indexOf(':') + 1)]
+            : [null, frame];
+
+        if (kind !== 'joint' && this.links.get(name)?.threeObject) {
+            return this.links.get(name).threeObject;
+        }
+        if (kind !== 'link' && this.joints.get(name)?.threeObject) {
+            return this.joints.get(name).threeObject;
+        }
+        return null;
+    }
+
+    /**
+     * Forward kinematics: transform of a frame in the model root frame at the current joint values
+     * @returns {THREE.Matrix4|null} null when the frame is unknown or the model is not loaded in a scene
+     */
+    getFrameTransform(frame: string): THREE.Matrix4 | null {
+        const object = this.getFrameObject(frame);
+        if (!object || !this.threeObject) return null;
+
+        this.threeObject.updateMatrixWorld(true);
+        return this.threeObject.matrixWorld.clone().invert().multiply(object.matrixWorld);
+    }
+
+    /**
+     * Forward kinematics: pose of a target frame expressed in a reference frame
+     * (e.g. camera_link in base_link), at the current joint values
+     */
+    getRelativeTransform(reference: string, target: string): FrameTransform | null {
+        const referenceMatrix = this.getFrameTransform(reference);
+        const targetMatrix = this.getFrameTransform(target);
+        if (!referenceMatrix || !targetMatrix) return null;
+
+        const matrix = referenceMatrix.invert().multiply(targetMatrix);
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        matrix.decompose(position, quaternion, new THREE.Vector3());
+
+        // Matrix4 elements are column-major
+        const e = matrix.elements;
+        const rows = [0, 1, 2, 3].map(row => [0, 1, 2, 3].map(col => e[col * 4 + row]));
+        return {
+            xyz: position.toArray(),
+            rpy: matrixToRpy(rows),
+            quaternion: [quaternion.x, quaternion.y, quaternion.z, quaternion.w],
+            matrix: rows
+        };
+    }
+}
+
+/**
+ * Relative transform between two frames
+ */
+export interface FrameTransform {
+    xyz: number[];
+    rpy: number[];
+    // x y z w
+    quaternion: number[];
+    // Row-major homogeneous 4x4
+    matrix: number[][];
 }
 
 /**
@@ -98,6 +218,7 @@ export class GeometryType {
     fromto: any = null;
     inlineVertices: boolean | null = null;
     inlineScale: number[] | null = null;
+    hfield: any = null;
 
     constructor(type: string = '') {
         this.type = type;
@@ -111,6 +232,7 @@ export class GeometryType {
         cloned.fromto = this.fromto;
         cloned.inlineVertices = this.inlineVertices;
         cloned.inlineScale = this.inlineScale ? [...this.inlineScale] : null;
+        cloned.hfield = this.hfield;
         return cloned;
     }
 }
@@ -141,7 +263,9 @@ export class Joint {
     origin: Origin = { xyz: [0, 0, 0], rpy: [0, 0, 0] };
     axis: { xyz: number[] } = { xyz: [0, 0, 1] };
     limits: JointLimits | null = null;
+    mimic: JointMimic | null = null;
     currentValue: number = 0;
+    pose: JointPose | null = null;
     threeObject: THREE.Object3D | null = null;
     userData: Record<string, any> = {};
 
@@ -151,6 +275,33 @@ export class Joint {
     }
 }
 
+/**
+ * Joint types with more than one degree of freedom, driven by a pose instead of a single value
+ */
+export const MULTI_DOF_JOINT_TYPES = ['floating', 'planar', 'free'];
+
+export function isMultiDofJoint(joint: Joint | null | undefined): boolean {
+    return !!joint && MULTI_DOF_JOINT_TYPES.includes(joint.type);
+}
+
+/**
+ * Pose of a multi-DOF joint, applied in the parent frame on top of the joint origin
+ * rpy follows the URDF convention (fixed-axis XYZ); planar joints use xyz[0..1] and rpy[2] (angle about the axis)
+ */
+export class JointPose {
+    xyz: number[] = [0, 0, 0];
+    rpy: number[] = [0, 0, 0];
+
+    constructor(xyz: number[] = [0, 0, 0], rpy: number[] = [0, 0, 0]) {
+        this.xyz = [...xyz];
+        this.rpy = [...rpy];
+    }
+
+    clone(): JointPose {
+        return new JointPose(this.xyz, this.rpy);
+    }
+}
+
 /**
  * JointLimits interface
  */
@@ -161,6 +312,19 @@ export class JointLimits {
     velocity: number | null = null;
 }
 
+/**
+ * Mimic relationship: value = leader value * multiplier + offset
+ */
+export class JointMimic {
+    joint: string;
+    multiplier: number = 1;
+    offset: number = 0;
+
+    constructor(joint: string = '') {
+        this.joint = joint;
+    }
+}
+
 /**
  * Material interface
  */
@@ -210,3 +374,118 @@ export class Constraint {
         this.type = type;
     }
 }
+
+/**
+ * Actuator interface - MuJoCo <actuator> elements (motor, position, velocity, general, ...)
+ */
+export class Actuator {
+    name: string;
+    type: string = 'general';
+
+    // Transmission target: joint, tendon, site or body
+    targetType: string | null = null;
+    target: string | null = null;
+
+    gear: number[] = [1, 0, 0, 0, 0, 0];
+    ctrlRange: number[] | null = null;
+    forceRange: number[] | null = null;
+
+    // Gains of position/velocity servos
+    kp: number | null = null;
+    kv: number | null = null;
+
+    userData: Record<string, any> = {};
+
+    constructor(name: string = '', type: string = 'general') {
+        this.name = name;
+        this.type = type;
+    }
+}
+
+/**
+ * Sensor interface - MuJoCo <sensor> elements (jointpos, accelerometer, touch, ...)
+ */
+export class Sensor {
+    name: string;
+    type: string;
+
+    // Sensed object: joint, site, body, tendon, actuator, ...
+    objectType: string | null = null;
+    objectName: string | null = null;
+
+    // Body the sensed object is attached to (for graph display)
+    body: string | null = null;
+
+    noise: number | null = null;
+    cutoff: number | null = null;
+
+    userData: Record<string, any> = {};
+
+    constructor(name: string = '', type: string = '') {
+        this.name = name;
+        this.type = type;
+    }
+}
+
+/**
+ * Tendon path element (joint for fixed tendons, site/geom/pulley for spatial tendons)
+ */
+export interface TendonElement {
+    type: string;
+    name: string | null;
+    coef?: number;
+    divisor?: number;
+    body?: string | null;
+}
+
+/**
+ * Tendon interface - MuJoCo <tendon> elements (fixed, spatial)
+ */
+export class Tendon {
+    name: string;
+    type: string = 'fixed';
+    elements: TendonElement[] = [];
+    range: number[] | null = null;
+    stiffness: number | null = null;
+    damping: number | null = null;
+    userData: Record<string, any> = {};
+
+    constructor(name: string = '', type: string = 'fixed') {
+        this.name = name;
+        this.type = type;
+    }
+}
+
+/**
+ * Site interface - MuJoCo <site> elements (named frames on a body, e.g. IMU or end-effector points)
+ */
+export class Site {
+    name: string;
+    body: string | null = null;
+    type: string = 'sphere';
+    size: number[] = [0.005, 0.005, 0.005];
+    rgba: number[] = [0.5, 0.5, 0.5, 1];
+    origin: Origin = { xyz: [0, 0, 0], rpy: [0, 0, 0] };
+    userData: Record<string, any> = {};
+
+    constructor(name: string = '') {
+        this.name = name;
+    }
+}
+
+/**
+ * Camera interface - MuJoCo <camera> elements (looks along -Z of its frame, Y up)
+ */
+export class Camera {
+    name: string;
+    body: string | null = null;
+    origin: Origin = { xyz: [0, 0, 0], rpy: [0, 0, 0] };
+    // Vertical field of view in degrees
+    fovy: number = 45;
+    mode: string = 'fixed';
+    userData: Record<string, any> = {};
+
+    constructor(name: string = '') {
+        this.name = name;
+    }
+}
@@ -0,0 +1,156 @@
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+import { CollisionChecker } from '../utils/CollisionChecker.js';
+
+// Collision geometry of the environment (MJCF floors and terrain), not part of the robot
+const ENVIRONMENT_GEOMETRY_TYPES = ['plane', 'hfield'];
+
+/**
+ * CollisionManager - Live self-collision check of the current pose
+ * Collision meshes are reduced to the convex hull of their vertices once per geometry; while enabled,
+ * every joint change re-tests all non-adjacent link pairs and colours colliding links via HighlightManager
+ */
+export class CollisionManager {
+    sceneManager: any;
+    enabled: boolean;
+    padding: number;
+    model: any;
+    bodies: any[] | null;
+    adjacent: Set<string>;
+    // [link1, link2] per colliding pair at the current pose
+    collisions: string[][];
+    hulls: WeakMap<any, Float32Array | null>;
+    onChange: ((collisions: string[][]) => void) | null;
+
+    constructor(sceneManager: any) {
+        this.sceneManager = sceneManager;
+        this.enabled = false;
+        this.padding = 0;
+        this.model = null;
+        this.bodies = null;
+        this.adjacent = new Set();
+        this.collisions = [];
+        this.hulls = new WeakMap();
+        this.onChange = null;
+    }
+
+    /**
+     * Toggle live checking
+     */
+    toggle(enabled) {
+        this.enabled = enabled;
+        if (enabled) {
+            this.update();
+        } else {
+            this.setCollisions([]);
+        }
+    }
+
+    /**
+     * Distance (m) below which shapes count as colliding
+     */
+    setPadding(padding) {
+        this.padding = Math.max(0, padding);
+        if (this.enabled) this.update();
+    }
+
+    /**
+     * Collision bodies of the current model; rebuilt when requested, as meshes load asynchronously
+     * @param {boolean} rebuild
+     * @returns {CollisionBody[]}
+     */
+    getBodies(rebuild = false) {
+        const model = this.sceneManager.currentModel;
+        if (!model?.links) return [];
+        if (rebuild || !this.bodies || this.model !== model) {
+            this.model = model;
+            this.bodies = this.buildBodies(model);
+            this.adjacent = CollisionChecker.getAdjacentPairs(model, new Set(this.bodies.map(body => body.link)));
+        }
+        return this.bodies;
+    }
+
+    buildBodies(model) {
+        const bodies = [];
+        model.links.forEach((link, name) => {
+            link.collisions.forEach(collision => {
+                if (ENVIRONMENT_GEOMETRY_TYPES.includes(collision.geometry?.type)) return;
+                collision.threeObject?.traverse(object => {
+                    const points = object.isMesh ? this.getHullPoints(object.geometry) : null;
+                    if (points) bodies.push({ link: name, points, object });
+                });
+            });
+        });
+        return bodies;
+    }
+
+    /**
+     * Convex hull vertices of a geometry in its local frame (cached per geometry)
+     * Falls back to all vertices when no hull can be built (flat or tiny geometry)
+     */
+    getHullPoints(geometry) {
+        const position = geometry?.attributes?.position;
+        if (!position || position.count === 0) return null;
+        if (this.hulls.has(geometry)) return this.hulls.get(geometry);
+
+        const vertices = [];
+        for (let i = 0; i < position.count; i++) {
+            vertices.push(new THREE.Vector3().fromBufferAttribute(position, i));
+        }
+
+        let points = vertices;
+        if (vertices.length > 4) {
+            try {
+                const hull = new ConvexHull().setFromPoints(vertices);
+                const hullPoints = new Set<any>();
+                hull.faces.forEach(face => {
+                    let edge = face.edge;
+                    do {
+                        hullPoints.add(edge.head().point);
+                        edge = edge.next;
+                    } while (edge !== face.edge);
+                });
+                if (hullPoints.size >= 4) points = [...hullPoints];
+            } catch (error) {
+                console.warn('Failed to compute convex hull of collision geometry:', error);
+            }
+        }
+
+        const result = new Float32Array(points.length * 3);
+        points.forEach((point, i) => point.toArray(result, i * 3));
+        this.hulls.set(geometry, result);
+        return result;
+    }
+
+    /**
+     * Re-test the current pose; called on every joint change while enabled
+     */
+    update() {
+        const model = this.sceneManager.currentModel;
+        if (!this.enabled || !model?.threeObject) return;
+
+        const bodies = this.getBodies();
+        model.threeObject.updateMatrixWorld(true);
+        this.setCollisions(CollisionChecker.findCollisions(CollisionChecker.getShapes(bodies), this.adjacent, this.padding));
+    }
+
+    setCollisions(collisions) {
+        this.collisions = collisions;
+        const links = new Set<string>();
+        collisions.forEach(pair => pair.forEach(link => links.add(link)));
+        this.sceneManager.highlightManager.highlightCollisions([...links], this.sceneManager.currentModel);
+        if (this.onChange) this.onChange(collisions);
+    }
+
+    /**
+     * Forget the model's bodies and collisions (model removed)
+     */
+    clear() {
+        this.model = null;
+        this.bodies = null;
+        this.adjacent = new Set();
+        this.collisions = [];
+        this.sceneManager.highlightManager?.highlightCollisions([], null);
+        if (this.onChange) this.onChange([]);
+    }
+}
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 
 /**
- * CoordinateAxesManager - Handles link coordinate axes and joint axes visualization
+ * CoordinateAxesManager - Handles link coordinate axes, joint axes and site marker visualization
  */
 export class CoordinateAxesManager {
     sceneManager: any;
@@ -9,13 +9,17 @@ export class CoordinateAxesManager {
     jointAxesHelpers: any;
     showAxesEnabled: boolean;
     showJointAxesEnabled: boolean;
+    siteMarkers: any;
+    showSitesEnabled: boolean;
 
     constructor(sceneManager: any) {
         this.sceneManager = sceneManager;
         this.linkAxesHelpers = new Map();
         this.jointAxesHelpers = new Map();
+        this.siteMarkers = new Map();
         this.showAxesEnabled = false;
         this.showJointAxesEnabled = false;
+        this.showSitesEnabled = false;
     }
 
     /**
@@ -396,6 +400,90 @@ export class CoordinateAxesManager {
         return group;
     }
 
+    /**
+     * Create site marker (small shape in the site color plus its local axes)
+     * @param {object} site - Site from the unified model
+     * @param {THREE.Object3D} parentObject - Object of the body the site is attached to
+     */
+    createSiteMarker(site, parentObject) {
+        if (!parentObject) {
+            return null;
+        }
+
+        const markerGroup = new THREE.Group();
+        markerGroup.name = `site_${site.name}`;
+        markerGroup.userData.isSiteMarker = true;
+        markerGroup.position.set(site.origin.xyz[0], site.origin.xyz[1], site.origin.xyz[2]);
+        markerGroup.rotation.set(site.origin.rpy[0], site.origin.rpy[1], site.origin.rpy[2], 'ZYX');
+
+        // Keep tiny sites visible
+        const size = site.size.map(s => Math.max(s, 0.005));
+        let geometry;
+        switch (site.type) {
+            case 'box':
+                geometry = new THREE.BoxGeometry(size[0] * 2, size[1] * 2, size[2] * 2);
+                break;
+            case 'cylinder':
+            case 'capsule':
+                // Site cylinders/capsules are Z-aligned, size = [radius, half-height]
+                geometry = new THREE.CylinderGeometry(size[0], size[0], size[1] * 2, 16);
+                geometry.rotateX(Math.PI / 2);
+                break;
+            case 'ellipsoid':
+                geometry = new THREE.SphereGeometry(1, 16, 12);
+                geometry.scale(size[0], size[1], size[2]);
+                break;
+            default:
+                geometry = new THREE.SphereGeometry(size[0], 16, 12);
+        }
+
+        const [r, g, b, a] = site.rgba;
+        const marker = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial({
+            color: new THREE.Color(r, g, b),
+            transparent: a < 1,
+            opacity: a,
+            shininess: 30
+        }));
+        markerGroup.add(marker);
+
+        // Short axes show the site orientation
+        const axes = CoordinateAxesManager.createAxesGeometry(Math.max(size[0] * 4, 0.02));
+        markerGroup.add(axes);
+
+        markerGroup.traverse((child: any) => {
+            if (child.isMesh) {
+                child.castShadow = false;
+                child.receiveShadow = false;
+            }
+        });
+
+        parentObject.add(markerGroup);
+        markerGroup.visible = this.showSitesEnabled;
+        this.siteMarkers.set(site.name, markerGroup);
+
+        return markerGroup;
+    }
+
+    /**
+     * Show all site markers
+     */
+    showAllSites() {
+        this.showSitesEnabled = true;
+        this.siteMarkers.forEach((marker) => {
+            marker.visible = true;
+        });
+    }
+
+    /**
+     * Hide all site markers
+     */
+    hideAllSites() {
+        this.showSitesEnabled = false;
+        this.siteMarkers.forEach((marker) => {
+            marker.visible = false;
+        });
+    }
+
     /**
      * Show all link axes
      */
@@ -541,12 +629,25 @@ export class CoordinateAxesManager {
         this.jointAxesHelpers.clear();
     }
 
+    /**
+     * Clear all site markers
+     */
+    clearAllSiteMarkers() {
+        this.siteMarkers.forEach((marker) => {
+            if (marker.parent) {
+                marker.parent.remove(marker);
+            }
+        });
+        this.siteMarkers.clear();
+    }
+
     /**
      * Clear all axes
      */
     clear() {
         this.clearAllLinkAxes();
         this.clearAllJointAxes();
+        this.clearAllSiteMarkers();
     }
 }
 
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { URDFAdapter } from '../adapters/URDFAdapter.js';
+import { IKSolver } from '../utils/IKSolver.js';
 
 /**
  * HighlightManager - Handles link highlighting and hover information display
@@ -7,6 +9,10 @@ export class HighlightManager {
     sceneManager: any;
     currentHighlightedLink: any;
     highlightMaterial: any;
+    collisionMaterial: any;
+    colliderCollisionMaterial: any;
+    // Link name -> meshes marked as colliding
+    collidingLinks: Map<string, any[]>;
 
     constructor(sceneManager: any) {
         this.sceneManager = sceneManager;
@@ -19,6 +25,23 @@ export class HighlightManager {
             emissive: 0xffffff,
             emissiveIntensity: 0.25
         });
+
+        // Self-collision materials: solid for visual meshes, translucent for collision meshes
+        this.collidingLinks = new Map();
+        this.collisionMaterial = new THREE.MeshPhongMaterial({
+            shininess: 10,
+            color: 0xe74c3c,
+            emissive: 0xe74c3c,
+            emissiveIntensity: 0.35
+        });
+        this.colliderCollisionMaterial = new THREE.MeshPhongMaterial({
+            transparent: true,
+            opacity: 0.6,
+            color: 0xe74c3c,
+            emissive: 0xe74c3c,
+            emissiveIntensity: 0.35,
+            depthWrite: false
+        });
     }
 
     /**
@@ -228,6 +251,74 @@ export class HighlightManager {
         traverseNonRecursive(linkObject, true);
     }
 
+    /**
+     * Mark links in self-collision red and restore links no longer colliding
+     * Hover highlighting still works on top: restoring a hovered mesh returns it to the collision colour
+     * @param {string[]} linkNames - Colliding links
+     */
+    highlightCollisions(linkNames, currentModel) {
+        const names = new Set<string>(linkNames);
+
+        this.collidingLinks.forEach((meshes, name) => {
+            if (names.has(name)) return;
+            meshes.forEach(mesh => this.restoreCollisionMaterial(mesh));
+            this.collidingLinks.delete(name);
+        });
+
+        names.forEach(name => {
+            const linkObject = currentModel?.getLink(name)?.threeObject;
+            if (this.collidingLinks.has(name) || !linkObject) return;
+            const meshes = this.getOwnMeshes(linkObject);
+            meshes.forEach(({ mesh, isCollider }) => {
+                this.applyCollisionMaterial(mesh, isCollider ? this.colliderCollisionMaterial : this.collisionMaterial);
+            });
+            this.collidingLinks.set(name, meshes.map(({ mesh }) => mesh));
+        });
+
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Visual and collision meshes of a link itself, without child links or markers
+     * @returns {Array<{mesh, isCollider: boolean}>}
+     */
+    getOwnMeshes(linkObject) {
+        const meshes = [];
+        const visit = (obj, inCollider) => {
+            if (obj !== linkObject && (obj.isURDFLink || obj.isURDFJoint)) return;
+
+            const isCollider = inCollider || !!obj.isURDFCollider || !!obj.userData?.isCollision;
+            if (!isCollider && this.isAuxiliaryVisualization(obj)) return;
+            if (obj.isMesh) meshes.push({ mesh: obj, isCollider });
+
+            obj.children.forEach(child => visit(child, isCollider));
+        };
+        visit(linkObject, false);
+        return meshes;
+    }
+
+    applyCollisionMaterial(mesh, material) {
+        if (mesh.__collisionOrigMaterial) return;
+        if (mesh.__origMaterial) {
+            // Hovered: the hover restores to the collision colour
+            mesh.__collisionOrigMaterial = mesh.__origMaterial;
+            mesh.__origMaterial = material;
+        } else {
+            mesh.__collisionOrigMaterial = mesh.material;
+            mesh.material = material;
+        }
+    }
+
+    restoreCollisionMaterial(mesh) {
+        if (!mesh.__collisionOrigMaterial) return;
+        if (mesh.__origMaterial) {
+            mesh.__origMaterial = mesh.__collisionOrigMaterial;
+        } else {
+            mesh.material = mesh.__collisionOrigMaterial;
+        }
+        delete mesh.__collisionOrigMaterial;
+    }
+
     /**
      * Check if object is auxiliary visualization object (should not be highlighted)
      */
@@ -236,6 +327,7 @@ export class HighlightManager {
         if (obj.userData?.isInertiaBox) return true;
         if (obj.userData?.isCOMMarker) return true;
         if (obj.userData?.isCenterOfMass) return true;
+        if (obj.userData?.isSiteMarker) return true;
         if (obj.userData?.isCollision) return true;
 
         return false;
@@ -349,6 +441,22 @@ export class HighlightManager {
             linkMassEl.textContent = 'Mass: N/A';
         }
 
+        // Velocity manipulability with the hovered link as end effector
+        const manipulabilityEl = document.getElementById('hover-link-manipulability');
+        if (manipulabilityEl) {
+            const jacobian = currentModel ? IKSolver.computeJacobian(currentModel, link.name) : null;
+            if (jacobian) {
+                const { measure, condition, nearSingular } = IKSolver.manipulability(jacobian.rows);
+                const conditionText = Number.isFinite(condition) ? condition.toFixed(2) : '∞';
+                manipulabilityEl.textContent = `Manipulability: w=${measure.toPrecision(4)} κ=${conditionText}` +
+                    (nearSingular ? ' (near singularity)' : '');
+                manipulabilityEl.classList.toggle('near-singular', nearSingular);
+                manipulabilityEl.style.display = 'block';
+            } else {
+                manipulabilityEl.style.display = 'none';
+            }
+        }
+
         // Line 4: Display merged links (if any)
         const mergedLinksEl = document.getElementById('hover-merged-links');
         if (mergedLinksEl) {
@@ -360,6 +468,23 @@ export class HighlightManager {
             }
         }
 
+        // ROS extensions: the link's gazebo block and transmissions of its joint
+        const extensionsEl = document.getElementById('hover-link-extensions');
+        if (extensionsEl) {
+            const lines = [];
+            const gazeboBlock = currentModel?.userData?.gazebo?.references?.[link.name];
+            if (gazeboBlock) {
+                lines.push(URDFAdapter.describeGazeboReference(gazeboBlock));
+            }
+            if (parentJointType) {
+                URDFAdapter.getJointTransmissions(currentModel, parentJointName).forEach(transmission => {
+                    lines.push(URDFAdapter.describeTransmission(transmission));
+                });
+            }
+            extensionsEl.textContent = lines.join('\n');
+            extensionsEl.style.display = lines.length > 0 ? 'block' : 'none';
+        }
+
         // Line 5: Display link position and orientation
         if (linkPoseEl && link.threeObject) {
             const linkPos = new THREE.Vector3();
@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { IKSolver } from '../utils/IKSolver.js';
+import { CoordinateAxesManager } from './CoordinateAxesManager.js';
+
+/**
+ * IKGizmoManager - 6-DOF target gizmo for an end effector link
+ * Dragging the target solves the chain from the root with damped least squares and syncs the joint sliders
+ */
+export class IKGizmoManager {
+    sceneManager: any;
+    transformControls: any;
+    target: any;
+    linkName: string | null;
+    mode: string;
+    orientation: boolean;
+    onSolve: any;
+    onDetach: any;
+
+    constructor(sceneManager: any) {
+        this.sceneManager = sceneManager;
+        this.transformControls = null;
+        this.target = null;
+        this.linkName = null;
+        this.mode = 'translate';
+        this.orientation = true;
+        this.onSolve = null; // (result) => void, used to show the remaining error
+        this.onDetach = null; // () => void, used to sync the IK panel
+    }
+
+    /**
+     * Create the target and transform controls on first use
+     */
+    getControls() {
+        if (this.transformControls) {
+            return this.transformControls;
+        }
+
+        const sceneManager = this.sceneManager;
+        this.target = new THREE.Group();
+        this.target.name = 'ikTarget';
+        this.target.add(CoordinateAxesManager.createAxesGeometry(0.1));
+        this.target.traverse(child => { child.raycast = () => {}; });
+        this.target.visible = false;
+        sceneManager.scene.add(this.target);
+
+        const controls: any = new TransformControls(sceneManager.camera, sceneManager.canvas);
+        controls.setSize(0.8);
+
+        // Orbit controls would fight the gizmo while dragging
+        controls.addEventListener('dragging-changed', (event) => {
+            sceneManager.controls.enabled = !event.value;
+        });
+        controls.addEventListener('change', () => sceneManager.redraw());
+        controls.addEventListener('objectChange', () => this.handleObjectChange());
+        controls.addEventListener('mouseUp', () => sceneManager.updateEnvironment());
+
+        // Newer three.js releases split the scene helper from the controls
+        const helper = typeof controls.getHelper === 'function' ? controls.getHelper() : controls;
+        helper.name = 'ikGizmo';
+        sceneManager.scene.add(helper);
+        this.transformControls = controls;
+        return controls;
+    }
+
+    /**
+     * Attach the target to an end effector link, starting at its current pose
+     * @param {string} linkName
+     * @returns {boolean} false when the link has no movable joints above it
+     */
+    attach(linkName) {
+        const model = this.sceneManager.currentModel;
+        const link = model?.getLink(linkName);
+        if (!link?.threeObject || IKSolver.getChain(model, linkName).length === 0) {
+            console.warn(`Link ${linkName} has no movable joints to solve for`);
+            return false;
+        }
+
+        // Only one gizmo owns the pointer at a time
+        if (this.sceneManager.poseGizmoManager.jointName) {
+            this.sceneManager.poseGizmoManager.detach();
+        }
+
+        const controls = this.getControls();
+        this.linkName = linkName;
+        this.resetTarget();
+        this.target.visible = true;
+        controls.attach(this.target);
+        controls.setMode(this.mode);
+
+        // Link dragging would also grab the clicks meant for the gizmo
+        if (this.sceneManager.dragControls) {
+            this.sceneManager.dragControls.enabled = false;
+        }
+
+        this.sceneManager.redraw();
+        return true;
+    }
+
+    /**
+     * Detach the target and restore link dragging
+     */
+    detach() {
+        if (this.transformControls) {
+            this.transformControls.detach();
+            this.target.visible = false;
+        }
+        const wasAttached = !!this.linkName;
+        this.linkName = null;
+
+        if (this.sceneManager.dragControls) {
+            this.sceneManager.dragControls.enabled = true;
+        }
+
+        this.sceneManager.redraw();
+        if (wasAttached && this.onDetach) {
+            this.onDetach();
+        }
+    }
+
+    /**
+     * @param {string} mode - 'translate' or 'rotate'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        if (this.transformControls) {
+            this.transformControls.setMode(mode);
+        }
+    }
+
+    /**
+     * Move the target back onto the end effector
+     */
+    resetTarget() {
+        const link = this.linkName && this.sceneManager.currentModel?.getLink(this.linkName);
+        if (!this.target || !link?.threeObject) return;
+
+        link.threeObject.updateWorldMatrix(true, false);
+        link.threeObject.matrixWorld.decompose(this.target.position, this.target.quaternion, new THREE.Vector3());
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Solve for the dragged target and sync the joint panel
+     */
+    handleObjectChange() {
+        const model = this.sceneManager.currentModel;
+        if (!model || !this.linkName) return;
+
+        const sceneManager = this.sceneManager;
+        const ignoreLimits = sceneManager.ignoreLimits || !!model.userData?.ignoreLimits;
+        const result = IKSolver.solve(model, this.linkName, this.target.position, this.target.quaternion, {
+            orientation: this.orientation,
+            ignoreLimits
+        });
+        if (!result) return;
+
+        // Apply parallel mechanism constraints, then update sliders including mimic followers
+        result.joints.forEach(joint => sceneManager.constraintManager.applyConstraints(model, joint));
+        result.joints.forEach(joint => sceneManager.updateJointSlider(joint.name, joint.currentValue));
+        model.joints.forEach(follower => {
+            if (follower.mimic) {
+                sceneManager.updateJointSlider(follower.name, follower.currentValue);
+            }
+        });
+
+        sceneManager.redraw();
+        if (this.onSolve) {
+            this.onSolve(result);
+        }
+        if (sceneManager.onMeasurementUpdate) {
+            sceneManager.onMeasurementUpdate();
+        }
+    }
+
+    clear() {
+        if (this.linkName) {
+            this.detach();
+        }
+    }
+}
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { IKSolver } from '../utils/IKSolver.js';
+
+// Displayed length (m) of the longest semi-axis; the ellipsoid shows the shape, hover info the magnitude
+const ELLIPSOID_SIZE = 0.15;
+
+const NORMAL_COLOR = 0x4a9eff;
+const WARNING_COLOR = 0xe74c3c;
+
+/**
+ * ManipulabilityManager - Velocity manipulability ellipsoid at an end effector
+ * Built from the geometric Jacobian of the chain from the root, with principal axes along the
+ * directions the tool moves most and least easily; turns red near singularities
+ * Refreshed every frame while shown, so it follows sliders, link dragging and IK
+ */
+export class ManipulabilityManager {
+    sceneManager: any;
+    enabled: boolean;
+    linkName: string | null;
+    group: any;
+    ellipsoid: any;
+    axesLines: any;
+    result: any;
+
+    constructor(sceneManager: any) {
+        this.sceneManager = sceneManager;
+        this.enabled = false;
+        this.linkName = null;
+        this.group = null;
+        this.result = null;
+    }
+
+    /**
+     * Toggle display
+     */
+    toggle(show) {
+        this.enabled = show;
+        if (show) {
+            if (!this.group) this.createObjects();
+            this.update();
+        } else if (this.group) {
+            this.group.visible = false;
+        }
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * @param {string|null} linkName - End effector link
+     */
+    setLink(linkName) {
+        this.linkName = linkName;
+        this.update();
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Unit sphere and principal axes, scaled and rotated on every update
+     */
+    createObjects() {
+        this.group = new THREE.Group();
+        this.group.name = 'manipulabilityEllipsoid';
+
+        this.ellipsoid = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 32, 16),
+            new THREE.MeshPhongMaterial({
+                color: NORMAL_COLOR,
+                transparent: true,
+                opacity: 0.35,
+                shininess: 2.5,
+                depthWrite: false
+            })
+        );
+        this.group.add(this.ellipsoid);
+
+        const axesGeometry = new THREE.BufferGeometry();
+        axesGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array([
+            -1, 0, 0, 1, 0, 0,
+            0, -1, 0, 0, 1, 0,
+            0, 0, -1, 0, 0, 1
+        ]), 3));
+        this.axesLines = new THREE.LineSegments(axesGeometry, new THREE.LineBasicMaterial({ color: NORMAL_COLOR }));
+        this.ellipsoid.add(this.axesLines);
+
+        this.group.traverse(child => { child.raycast = () => {}; });
+        this.group.visible = false;
+        this.sceneManager.scene.add(this.group);
+    }
+
+    /**
+     * Recompute the Jacobian of the end effector for the current pose
+     */
+    update() {
+        if (!this.enabled || !this.group) return;
+
+        const model = this.sceneManager.currentModel;
+        const jacobian = model && this.linkName ? IKSolver.computeJacobian(model, this.linkName) : null;
+        if (!jacobian) {
+            this.result = null;
+            this.group.visible = false;
+            return;
+        }
+
+        this.result = IKSolver.manipulability(jacobian.rows);
+        const { radii, axes, nearSingular } = this.result;
+        if (!(radii[0] > 0)) {
+            this.group.visible = false;
+            return;
+        }
+
+        // Principal axes as a right-handed basis
+        const basis = axes.map(axis => new THREE.Vector3(...axis));
+        if (basis[0].clone().cross(basis[1]).dot(basis[2]) < 0) basis[2].negate();
+        this.ellipsoid.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(basis[0], basis[1], basis[2]));
+
+        // Degenerate directions keep a sliver of thickness so the ellipsoid stays visible
+        const [a, b, c] = radii.map(radius => Math.max(radius * ELLIPSOID_SIZE / radii[0], ELLIPSOID_SIZE * 0.01));
+        this.ellipsoid.scale.set(a, b, c);
+        this.group.position.copy(jacobian.position);
+
+        const color = nearSingular ? WARNING_COLOR : NORMAL_COLOR;
+        this.ellipsoid.material.color.setHex(color);
+        this.axesLines.material.color.setHex(color);
+        this.group.visible = true;
+    }
+
+    /**
+     * Forget the end effector of the previous model; the display stays enabled
+     */
+    clear() {
+        this.linkName = null;
+        this.result = null;
+        if (this.group) this.group.visible = false;
+    }
+}
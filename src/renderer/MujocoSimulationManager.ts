@@ -6,6 +6,8 @@
 import * as THREE from 'three';
 import { DragStateManager } from '../utils/DragStateManager.js';
 import { MathUtils } from '../utils/MathUtils.js';
+import { createHeightfieldGeometry, createPlaneGeometry } from '../utils/TerrainUtils.js';
+import { createDataTexture, withTextureRepeat } from '../utils/TextureUtils.js';
 import { CoordinateAxesManager } from './CoordinateAxesManager.js';
 import { InertialVisualization } from './InertialVisualization.js';
 import { VisualizationManager } from './VisualizationManager.js';
@@ -224,6 +226,8 @@ export class MujocoSimulationManager {
         groundGeom.setAttribute('conaffinity', '1');
         groundGeom.setAttribute('condim', '3');
         groundGeom.setAttribute('friction', '1 0.005 0.0001');
+        // Collision only: the viewer's own ground plane already draws it
+        groundGeom.setAttribute('group', '4');
 
         // Insert at beginning of worldbody
         if (worldbody.firstChild) {
@@ -245,8 +249,9 @@ export class MujocoSimulationManager {
 
         // Get compiler settings
         const compilerEl = doc.querySelector('compiler');
-        const meshdir = compilerEl?.getAttribute('meshdir') || 'assets';
-        const texturedir = compilerEl?.getAttribute('texturedir') || meshdir;
+        const assetdir = compilerEl?.getAttribute('assetdir');
+        const meshdir = compilerEl?.getAttribute('meshdir') || assetdir || 'assets';
+        const texturedir = compilerEl?.getAttribute('texturedir') || assetdir || meshdir;
 
         // Parse all asset references
         const assetPaths = new Set<string>();
@@ -262,6 +267,11 @@ export class MujocoSimulationManager {
             }
         });
 
+        // Parse heightfield images (resolved against meshdir like meshes)
+        doc.querySelectorAll('hfield[file]').forEach(el => {
+            assetPaths.add(this.resolvePath(filename, meshdir, el.getAttribute('file')));
+        });
+
         // Parse texture files
         doc.querySelectorAll('texture[file]').forEach(el => {
             const file = el.getAttribute('file');
@@ -454,6 +464,8 @@ export class MujocoSimulationManager {
 
         this.bodies = {};
         const meshes = {};
+        const hfields = {};
+        const textures = {};
 
         // Parse body names
         const textDecoder = new TextDecoder('utf-8');
@@ -576,6 +588,15 @@ export class MujocoSimulationManager {
                 geometry = new THREE.BoxGeometry(size[0] * 2.0, size[2] * 2.0, size[1] * 2.0);
             } else if (type == this.mujoco.mjtGeom.mjGEOM_ELLIPSOID.value) {
                 geometry = new THREE.SphereGeometry(1, 32, 32);
+            } else if (type == this.mujoco.mjtGeom.mjGEOM_PLANE.value) {
+                // Built in the MuJoCo frame (Z up), rotate into the Y-up scene
+                geometry = createPlaneGeometry(size[0], size[1]).rotateX(-Math.PI / 2);
+            } else if (type == this.mujoco.mjtGeom.mjGEOM_HFIELD.value) {
+                const hfieldID = model.geom_dataid[g];
+                if (!(hfieldID in hfields)) {
+                    hfields[hfieldID] = this.createHeightfieldGeometry(hfieldID);
+                }
+                geometry = hfields[hfieldID];
             } else if (type == this.mujoco.mjtGeom.mjGEOM_MESH.value) {
                 const meshID = model.geom_dataid[g];
                 if (!(meshID in meshes)) {
@@ -831,14 +852,10 @@ export class MujocoSimulationManager {
 
             // Strategy 4: Create material using rgba from original model or MuJoCo colors
             if (!usedOriginalMaterial) {
+                const matID = model.geom_matid[g];
                 const color = rgbaFromOriginal ?
                     [rgbaFromOriginal.r, rgbaFromOriginal.g, rgbaFromOriginal.b, rgbaFromOriginal.a] :
-                    [
-                        model.geom_rgba[g * 4 + 0],
-                        model.geom_rgba[g * 4 + 1],
-                        model.geom_rgba[g * 4 + 2],
-                        model.geom_rgba[g * 4 + 3]
-                    ];
+                    this.getGeomRgba(g);
 
                 // If group=3 collision geom, set semi-transparent green for debugging
                 const isCollisionGeom = group === 3;
@@ -855,6 +872,10 @@ export class MujocoSimulationManager {
                 // Save original properties for lighting toggle
                 material.userData.originalShininess = 30;
                 material.userData.originalSpecular = null; // New material, no original specular
+
+                if (!isCollisionGeom && matID >= 0) {
+                    material.map = this.getMaterialTexture(matID, geometry, textures);
+                }
             }
 
             // Ensure material has correct lighting state applied
@@ -1099,11 +1120,100 @@ export class MujocoSimulationManager {
         geometry.setAttribute('position', new THREE.BufferAttribute(vertex_buffer, 3));
         geometry.setAttribute('normal', new THREE.BufferAttribute(normal_buffer, 3));
         geometry.setIndex(Array.from(triangle_buffer));
+
+        // Texture coordinates are indexed per face corner; assign them per vertex
+        // (MuJoCo stores V flipped to image row order, flip back for Three.js)
+        const texcoordAdr = model.mesh_texcoordadr[meshID];
+        if (texcoordAdr >= 0) {
+            const uvs = new Float32Array(model.mesh_vertnum[meshID] * 2);
+            const faceTexcoords = model.mesh_facetexcoord.subarray(
+                model.mesh_faceadr[meshID] * 3,
+                (model.mesh_faceadr[meshID] + model.mesh_facenum[meshID]) * 3
+            );
+            for (let i = 0; i < triangle_buffer.length; i++) {
+                const t = texcoordAdr + faceTexcoords[i];
+                uvs[triangle_buffer[i] * 2] = model.mesh_texcoord[t * 2];
+                uvs[triangle_buffer[i] * 2 + 1] = 1 - model.mesh_texcoord[t * 2 + 1];
+            }
+            geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        }
         geometry.computeVertexNormals();
 
         return geometry;
     }
 
+    /**
+     * Get geom color, MuJoCo uses the material rgba unless the geom sets its own
+     */
+    getGeomRgba(g) {
+        const model = this.model;
+        const rgba = Array.from(model.geom_rgba.subarray(g * 4, g * 4 + 4)) as number[];
+        const matID = model.geom_matid[g];
+        const isDefaultRgba = rgba[0] === 0.5 && rgba[1] === 0.5 && rgba[2] === 0.5 && rgba[3] === 1;
+        if (matID >= 0 && isDefaultRgba) {
+            return Array.from(model.mat_rgba.subarray(matID * 4, matID * 4 + 4)) as number[];
+        }
+        return rgba;
+    }
+
+    /**
+     * Get the color texture of a material (from compiled MuJoCo texture data)
+     * @returns {THREE.Texture|null} Texture with the material's texrepeat applied
+     */
+    getMaterialTexture(matID, geometry, textures) {
+        const model = this.model;
+        const roles = this.mujoco.mjtTextureRole;
+        const nroles = roles.mjNTEXROLE.value;
+        let texID = model.mat_texid[matID * nroles + roles.mjTEXROLE_RGB.value];
+        if (texID < 0) {
+            texID = model.mat_texid[matID * nroles + roles.mjTEXROLE_RGBA.value];
+        }
+        if (texID < 0) {
+            return null;
+        }
+
+        if (!(texID in textures)) {
+            // Cube textures store six square faces stacked vertically, geoms use the first one
+            const width = model.tex_width[texID];
+            const isCube = model.tex_type[texID] === this.mujoco.mjtTexture.mjTEXTURE_CUBE.value;
+            const height = isCube ? width : model.tex_height[texID];
+            const channels = model.tex_nchannel[texID];
+            const adr = model.tex_adr[texID];
+            textures[texID] = createDataTexture(
+                width, height, model.tex_data.subarray(adr, adr + width * height * channels), channels
+            );
+        }
+
+        geometry.computeBoundingBox();
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        // Scene geometry is Y-up, the texture plane follows MuJoCo's X/Y (Three.js X/Z)
+        return withTextureRepeat(
+            textures[texID],
+            Array.from(model.mat_texrepeat.subarray(matID * 2, matID * 2 + 2)) as number[],
+            model.mat_texuniform[matID] === 1,
+            [size.x, size.z]
+        );
+    }
+
+    /**
+     * Create heightfield geometry (from MuJoCo data, already normalized to [0, 1])
+     */
+    createHeightfieldGeometry(hfieldID) {
+        const model = this.model;
+        const nrow = model.hfield_nrow[hfieldID];
+        const ncol = model.hfield_ncol[hfieldID];
+        const adr = model.hfield_adr[hfieldID];
+
+        const geometry = createHeightfieldGeometry({
+            nrow,
+            ncol,
+            data: model.hfield_data.subarray(adr, adr + nrow * ncol),
+            size: Array.from(model.hfield_size.subarray(hfieldID * 4, hfieldID * 4 + 4))
+        });
+
+        // Coordinate system conversion: MuJoCo -> Three.js
+        return geometry ? geometry.rotateX(-Math.PI / 2) : new THREE.BufferGeometry();
+    }
 
     /**
      * Get position (coordinate system conversion MuJoCo -> Three.js)
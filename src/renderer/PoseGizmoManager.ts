@@ -0,0 +1,135 @@
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
+import { JointPose, isMultiDofJoint } from '../models/UnifiedRobotModel.js';
+
+/**
+ * PoseGizmoManager - Translate/rotate gizmo for floating, planar and free joints
+ */
+export class PoseGizmoManager {
+    sceneManager: any;
+    transformControls: any;
+    jointName: string | null;
+    mode: string;
+    onPoseChange: any;
+
+    constructor(sceneManager: any) {
+        this.sceneManager = sceneManager;
+        this.transformControls = null;
+        this.jointName = null;
+        this.mode = 'translate';
+        this.onPoseChange = null; // (jointName, pose) => void, used to sync the joint panel
+    }
+
+    /**
+     * Create transform controls on first use
+     */
+    getControls() {
+        if (this.transformControls) {
+            return this.transformControls;
+        }
+
+        const sceneManager = this.sceneManager;
+        const controls: any = new TransformControls(sceneManager.camera, sceneManager.canvas);
+        controls.setSize(0.8);
+
+        // Orbit controls would fight the gizmo while dragging
+        controls.addEventListener('dragging-changed', (event) => {
+            sceneManager.controls.enabled = !event.value;
+        });
+        controls.addEventListener('change', () => sceneManager.redraw());
+        controls.addEventListener('objectChange', () => this.handleObjectChange());
+        controls.addEventListener('mouseUp', () => sceneManager.updateEnvironment());
+
+        // Newer three.js releases split the scene helper from the controls
+        const helper = typeof controls.getHelper === 'function' ? controls.getHelper() : controls;
+        helper.name = 'poseGizmo';
+        sceneManager.scene.add(helper);
+        this.transformControls = controls;
+        return controls;
+    }
+
+    /**
+     * Attach gizmo to a multi-DOF joint
+     * @param {string} jointName
+     * @param {string} mode - 'translate' or 'rotate'
+     */
+    attach(jointName, mode = 'translate') {
+        const model = this.sceneManager.currentModel;
+        const joint = model?.getJoint(jointName);
+        if (!isMultiDofJoint(joint)) {
+            console.warn(`Joint ${jointName} does not take a pose`);
+            return;
+        }
+
+        // Apply the current pose once so the zero-pose transform is recorded before dragging
+        ModelLoaderFactory.setJointPose(model, jointName, joint.pose || new JointPose());
+        const target = ModelLoaderFactory.getJointPoseTarget(model, joint);
+        if (!target) {
+            console.warn(`Joint ${jointName} has no object to attach the gizmo to`);
+            return;
+        }
+
+        // Only one gizmo owns the pointer at a time
+        this.sceneManager.ikGizmoManager?.clear();
+
+        const controls = this.getControls();
+        controls.attach(target);
+        controls.setMode(mode);
+        this.jointName = jointName;
+        this.mode = mode;
+
+        // Link dragging would also grab the clicks meant for the gizmo
+        if (this.sceneManager.dragControls) {
+            this.sceneManager.dragControls.enabled = false;
+        }
+
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Detach gizmo and restore link dragging
+     */
+    detach() {
+        if (this.transformControls) {
+            this.transformControls.detach();
+        }
+        this.jointName = null;
+
+        if (this.sceneManager.dragControls) {
+            this.sceneManager.dragControls.enabled = true;
+        }
+
+        this.sceneManager.redraw();
+    }
+
+    isAttachedTo(jointName, mode = null) {
+        return this.jointName === jointName && (!mode || this.mode === mode);
+    }
+
+    /**
+     * Read the dragged transform back into the joint pose
+     * Re-applying it keeps planar joints in their plane and urdf-loader joint values in sync
+     */
+    handleObjectChange() {
+        const model = this.sceneManager.currentModel;
+        if (!model || !this.jointName) return;
+
+        const pose = ModelLoaderFactory.readJointPose(model, this.jointName);
+        if (!pose) return;
+
+        ModelLoaderFactory.setJointPose(model, this.jointName, pose);
+
+        if (this.onPoseChange) {
+            this.onPoseChange(this.jointName, pose);
+        }
+        if (this.sceneManager.onMeasurementUpdate) {
+            this.sceneManager.onMeasurementUpdate();
+        }
+    }
+
+    clear() {
+        if (this.jointName) {
+            this.detach();
+        }
+    }
+}
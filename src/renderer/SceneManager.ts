@@ -9,6 +9,15 @@ import { ConstraintManager } from './ConstraintManager.js';
 import { CoordinateAxesManager } from './CoordinateAxesManager.js';
 import { HighlightManager } from './HighlightManager.js';
 import { MeasurementManager } from './MeasurementManager.js';
+import { PoseGizmoManager } from './PoseGizmoManager.js';
+import { SupportPolygonManager } from './SupportPolygonManager.js';
+import { IKGizmoManager } from './IKGizmoManager.js';
+import { ManipulabilityManager } from './ManipulabilityManager.js';
+import { WorkspaceManager } from './WorkspaceManager.js';
+import { CollisionManager } from './CollisionManager.js';
+
+// Vertical field of view of the free camera (degrees)
+const DEFAULT_FOV = 75;
 
 /**
  * SceneManager - Core scene management and coordination
@@ -39,12 +48,19 @@ export class SceneManager {
     axesManager: any;
     highlightManager: any;
     measurementManager: any;
+    poseGizmoManager: any;
+    supportPolygonManager: any;
+    ikGizmoManager: any;
+    manipulabilityManager: any;
+    workspaceManager: any;
+    collisionManager: any;
     currentModel: any;
     ignoreLimits: boolean;
     dragControls: any;
     onMeasurementUpdate: any;
     meshCoordinateAxes: any;
     meshWireframe: any;
+    modelCameraAnchors: any;
 
     constructor(canvas: any) {
         this.canvas = canvas;
@@ -61,7 +77,7 @@ export class SceneManager {
         // Camera
         const width = canvas.clientWidth;
         const height = canvas.clientHeight;
-        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+        this.camera = new THREE.PerspectiveCamera(DEFAULT_FOV, width / height, 0.1, 1000);
         this.camera.position.set(2, 2, 2);
         this.camera.lookAt(0, 0, 0);
 
@@ -125,6 +141,12 @@ export class SceneManager {
         this.axesManager = new CoordinateAxesManager(this);
         this.highlightManager = new HighlightManager(this);
         this.measurementManager = new MeasurementManager(this);
+        this.poseGizmoManager = new PoseGizmoManager(this);
+        this.supportPolygonManager = new SupportPolygonManager(this);
+        this.ikGizmoManager = new IKGizmoManager(this);
+        this.manipulabilityManager = new ManipulabilityManager(this);
+        this.workspaceManager = new WorkspaceManager(this);
+        this.collisionManager = new CollisionManager(this);
 
         // Current model
         this.currentModel = null;
@@ -133,6 +155,9 @@ export class SceneManager {
         // Drag controls
         this.dragControls = null;
 
+        // Model-defined cameras (anchors follow the body each camera is attached to)
+        this.modelCameraAnchors = new Map();
+
         // Window resize - use ResizeObserver to listen for canvas container size changes
         this.setupResizeObserver();
 
@@ -276,6 +301,18 @@ export class SceneManager {
             });
         }
 
+        // Create site markers (MJCF <site>)
+        this.axesManager.clearAllSiteMarkers();
+        if (model.sites) {
+            model.sites.forEach((site) => {
+                const parentObject = model.links?.get(site.body)?.threeObject || model.threeObject;
+                this.axesManager.createSiteMarker(site, parentObject);
+            });
+        }
+
+        // Attach anchors for model-defined cameras
+        this.createModelCameraAnchors(model);
+
         // Extract COM and inertia information
         this.inertialVisualization.extractInertialProperties(model);
 
@@ -335,7 +372,14 @@ export class SceneManager {
         this.inertialVisualization.clear();
         this.constraintManager.clear();
         this.measurementManager.clear();
+        this.poseGizmoManager.clear();
+        this.supportPolygonManager.clear();
+        this.ikGizmoManager.clear();
+        this.manipulabilityManager.clear();
+        this.workspaceManager.clear();
+        this.collisionManager.clear();
         this.highlightManager.clearHighlight();
+        this.modelCameraAnchors.clear();
 
         // Clear drag controls
         if (this.dragControls) {
@@ -481,6 +525,83 @@ export class SceneManager {
         this.redraw();
     }
 
+    /**
+     * Create anchor objects for model-defined cameras (MJCF <camera>)
+     * Anchors are attached to the camera's body so they follow joint motion
+     */
+    createModelCameraAnchors(model) {
+        this.modelCameraAnchors.forEach((anchor) => anchor.parent?.remove(anchor));
+        this.modelCameraAnchors.clear();
+
+        if (!model.cameras) {
+            return;
+        }
+
+        model.cameras.forEach((camera, name) => {
+            const parentObject = model.links?.get(camera.body)?.threeObject || model.threeObject;
+            if (!parentObject) {
+                return;
+            }
+
+            const anchor = new THREE.Object3D();
+            anchor.name = `camera_${name}`;
+            anchor.position.set(camera.origin.xyz[0], camera.origin.xyz[1], camera.origin.xyz[2]);
+            anchor.rotation.set(camera.origin.rpy[0], camera.origin.rpy[1], camera.origin.rpy[2], 'ZYX');
+            parentObject.add(anchor);
+            this.modelCameraAnchors.set(name, anchor);
+        });
+    }
+
+    /**
+     * Names of cameras defined by the current model
+     */
+    getModelCameraNames() {
+        return Array.from(this.modelCameraAnchors.keys());
+    }
+
+    /**
+     * Jump view to a model-defined camera
+     * MJCF cameras look along their local -Z with Y up, same as three.js cameras
+     * @param {string} name - Camera name
+     * @returns {boolean} Whether the camera was found
+     */
+    viewFromModelCamera(name) {
+        const anchor = this.modelCameraAnchors.get(name);
+        const camera = this.currentModel?.cameras?.get(name);
+        if (!anchor || !camera) {
+            return false;
+        }
+
+        anchor.updateWorldMatrix(true, false);
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        anchor.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(quaternion);
+
+        // Orbit around the point in front of the camera at the depth of the model center
+        const center = new THREE.Box3().setFromObject(this.currentModel.threeObject).getCenter(new THREE.Vector3());
+        const depth = Math.max(center.sub(position).dot(forward), 0.1);
+
+        this.camera.fov = camera.fovy;
+        this.camera.position.copy(position);
+        this.camera.quaternion.copy(quaternion);
+        this.camera.updateProjectionMatrix();
+        this.controls.target.copy(position).addScaledVector(forward, depth);
+        this.controls.update();
+
+        this.redraw();
+        return true;
+    }
+
+    /**
+     * Return from a model-defined camera to the default free camera
+     */
+    resetModelCameraView() {
+        this.camera.fov = DEFAULT_FOV;
+        this.camera.updateProjectionMatrix();
+        this.updateEnvironment(true);
+    }
+
     /**
      * Set coordinate system up direction
      */
@@ -599,6 +720,13 @@ export class SceneManager {
         this.dragControls.model = model;
 
         this.dragControls.onUpdateJoint = (joint, angle) => {
+            // Dragging a mimic follower drives its leader instead
+            const leader = joint.mimic && model.getJoint(joint.mimic.joint);
+            if (leader && joint.mimic.multiplier !== 0) {
+                angle = (angle - joint.mimic.offset) / joint.mimic.multiplier;
+                joint = leader;
+            }
+
             // Check ignoreLimits flag (try getting from multiple locations, ensure reading latest value)
             const checkIgnoreLimits = this.ignoreLimits ||
                                      (model && model.userData && model.userData.ignoreLimits) ||
@@ -616,22 +744,13 @@ export class SceneManager {
             // Apply parallel mechanism constraints
             this.constraintManager.applyConstraints(model, joint);
 
-            // Update corresponding slider (if exists)
-            const slider = document.querySelector(`input[data-joint="${joint.name}"]`) as HTMLInputElement | null;
-            if (slider) {
-                slider.value = String(angle);
-
-                // Update input box
-                const valueInput = document.querySelector(`input[data-joint-input="${joint.name}"]`) as HTMLInputElement | null;
-                if (valueInput) {
-                    const angleUnit = document.querySelector('#unit-deg.active') ? 'deg' : 'rad';
-                    if (angleUnit === 'deg') {
-                        valueInput.value = (angle * 180 / Math.PI).toFixed(2);
-                    } else {
-                        valueInput.value = angle.toFixed(2);
-                    }
+            // Update corresponding sliders (if exist), including mimic followers
+            this.updateJointSlider(joint.name, angle);
+            model.joints.forEach(follower => {
+                if (follower.mimic) {
+                    this.updateJointSlider(follower.name, follower.currentValue);
                 }
-            }
+            });
 
             // Only render during drag, no complex calculations
             this.redraw();
@@ -690,6 +809,27 @@ export class SceneManager {
         };
     }
 
+    /**
+     * Sync a joint's slider and value input with its current angle
+     */
+    updateJointSlider(jointName, angle) {
+        const slider = document.querySelector(`input[data-joint="${jointName}"]`) as HTMLInputElement | null;
+        if (!slider) return;
+
+        slider.value = String(angle);
+
+        // Update input box
+        const valueInput = document.querySelector(`input[data-joint-input="${jointName}"]`) as HTMLInputElement | null;
+        if (valueInput) {
+            const angleUnit = document.querySelector('#unit-deg.active') ? 'deg' : 'rad';
+            if (angleUnit === 'deg') {
+                valueInput.value = (angle * 180 / Math.PI).toFixed(2);
+            } else {
+                valueInput.value = angle.toFixed(2);
+            }
+        }
+    }
+
     // ==================== Core Settings ====================
 
     setIgnoreLimits(ignore) {
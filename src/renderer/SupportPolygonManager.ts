@@ -0,0 +1,312 @@
+import * as THREE from 'three';
+import { MathUtils } from '../utils/MathUtils.js';
+import { InertialVisualization } from './InertialVisualization.js';
+
+// Geometry closer to the ground than this (m) counts as touching it
+const CONTACT_TOLERANCE = 0.005;
+// Vertices sampled per mesh for contact detection (dense meshes are strided)
+const MAX_SAMPLES_PER_MESH = 512;
+// Capacity of the preallocated polygon buffers
+const MAX_POLYGON_POINTS = 256;
+// Lift above the ground so the polygon does not z-fight with it
+const GROUND_OFFSET = 0.001;
+
+const STABLE_COLOR = 0x2ecc71;
+const UNSTABLE_COLOR = 0xe74c3c;
+
+/**
+ * SupportPolygonManager - Whole-robot center of mass and support polygon
+ * Shows the aggregate COM of the current pose, its projection onto the ground plane and the convex hull
+ * of geometry touching the ground, green while the projection is inside the hull (statically stable)
+ * Follows joint changes and the MuJoCo simulation, as it is refreshed every frame while shown
+ */
+export class SupportPolygonManager {
+    sceneManager: any;
+    enabled: boolean;
+    group: any;
+    comMarker: any;
+    plumbLine: any;
+    groundMarker: any;
+    polygonLine: any;
+    polygonFill: any;
+    marginLabel: any;
+    labelText: string;
+    samples: WeakMap<any, Float32Array>;
+    centerOfMass: any;
+    margin: number;
+
+    constructor(sceneManager: any) {
+        this.sceneManager = sceneManager;
+        this.enabled = false;
+        this.group = null;
+        this.labelText = '';
+        this.samples = new WeakMap();
+        this.centerOfMass = null;
+        this.margin = -Infinity;
+    }
+
+    /**
+     * Toggle display
+     */
+    toggle(show) {
+        this.enabled = show;
+        if (show) {
+            if (!this.group) this.createObjects();
+            this.update();
+        } else if (this.group) {
+            this.group.visible = false;
+        }
+        this.sceneManager.redraw();
+    }
+
+    /**
+     * Build the scene objects once; buffers are preallocated and refilled on every update
+     */
+    createObjects() {
+        this.group = new THREE.Group();
+        this.group.name = 'supportPolygon';
+
+        this.comMarker = InertialVisualization.createCOMGeometry(0.03);
+        this.group.add(this.comMarker);
+
+        const plumbGeometry = new THREE.BufferGeometry();
+        plumbGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+        this.plumbLine = new THREE.Line(plumbGeometry, new THREE.LineDashedMaterial({
+            color: STABLE_COLOR,
+            dashSize: 0.02,
+            gapSize: 0.01,
+            depthTest: false
+        }));
+        this.plumbLine.renderOrder = 999;
+        this.group.add(this.plumbLine);
+
+        this.groundMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.015, 0.025, 24),
+            new THREE.MeshBasicMaterial({ color: STABLE_COLOR, side: THREE.DoubleSide, depthTest: false })
+        );
+        this.groundMarker.rotation.x = -Math.PI / 2;
+        this.groundMarker.renderOrder = 999;
+        this.group.add(this.groundMarker);
+
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_POLYGON_POINTS * 3), 3));
+        this.polygonLine = new THREE.LineLoop(lineGeometry, new THREE.LineBasicMaterial({ color: STABLE_COLOR }));
+        this.group.add(this.polygonLine);
+
+        // Triangle fan of the convex hull
+        const fillGeometry = new THREE.BufferGeometry();
+        fillGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_POLYGON_POINTS * 9), 3));
+        this.polygonFill = new THREE.Mesh(fillGeometry, new THREE.MeshBasicMaterial({
+            color: STABLE_COLOR,
+            transparent: true,
+            opacity: 0.25,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        this.group.add(this.polygonFill);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        this.marginLabel = new THREE.Sprite(new THREE.SpriteMaterial({
+            map: new THREE.CanvasTexture(canvas),
+            depthTest: false,
+            depthWrite: false,
+            transparent: true
+        }));
+        this.marginLabel.scale.set(0.18, 0.045, 1);
+        this.marginLabel.renderOrder = 1000;
+        this.group.add(this.marginLabel);
+
+        this.group.traverse(child => { child.raycast = () => {}; });
+        this.sceneManager.scene.add(this.group);
+    }
+
+    /**
+     * Recompute COM and support polygon for the current pose
+     */
+    update() {
+        if (!this.enabled || !this.group) return;
+
+        const bodies = this.collectBodies();
+        const totalMass = bodies.reduce((sum, body) => sum + body.mass, 0);
+        if (totalMass <= 0) {
+            this.group.visible = false;
+            this.centerOfMass = null;
+            return;
+        }
+
+        const com = new THREE.Vector3();
+        bodies.forEach(body => com.addScaledVector(body.com, body.mass));
+        com.divideScalar(totalMass);
+
+        const groundY = this.sceneManager.environmentManager?.groundPlane?.position.y ?? 0;
+        const hull = MathUtils.convexHull2D(this.findContactPoints(bodies, groundY));
+        this.centerOfMass = com;
+        this.margin = MathUtils.polygonMargin([com.x, com.z], hull);
+
+        this.drawObjects(com, groundY, hull);
+    }
+
+    /**
+     * Mass, world COM and contact geometry of every body
+     * During a MuJoCo simulation the simulated bodies replace the model links
+     */
+    collectBodies() {
+        const mujocoManager = window.app?.mujocoSimulationManager;
+        if (mujocoManager?.hasScene() && mujocoManager.model) {
+            const mjModel = mujocoManager.model;
+            const bodies = [];
+            // Body 0 is the world
+            for (let b = 1; b < mjModel.nbody; b++) {
+                const bodyGroup = mujocoManager.bodies[b];
+                const mass = mjModel.body_mass[b];
+                if (!bodyGroup || !(mass > 0)) continue;
+
+                bodyGroup.updateWorldMatrix(true, false);
+                const com = bodyGroup.localToWorld(mujocoManager.getPosition(mjModel.body_ipos, b, new THREE.Vector3()));
+                bodies.push({ mass, com, objects: [bodyGroup] });
+            }
+            return bodies;
+        }
+
+        const model = this.sceneManager.currentModel;
+        if (!model?.links || !model.threeObject) return [];
+
+        model.threeObject.updateMatrixWorld(true);
+        const bodies = [];
+        model.links.forEach(link => {
+            const mass = link.inertial?.mass;
+            if (!link.threeObject || !(mass > 0)) return;
+
+            const com = link.threeObject.localToWorld(new THREE.Vector3(...(link.inertial.origin?.xyz || [0, 0, 0])));
+            // Collision geometry is what rests on the ground; visuals stand in when there is none
+            const geometries = link.collisions.length > 0 ? link.collisions : link.visuals;
+            bodies.push({ mass, com, objects: geometries.map(geometry => geometry.threeObject).filter(Boolean) });
+        });
+        return bodies;
+    }
+
+    /**
+     * Ground plane coordinates [x, z] of sampled vertices within the contact tolerance
+     */
+    findContactPoints(bodies, groundY) {
+        const points = [];
+        const vertex = new THREE.Vector3();
+
+        bodies.forEach(body => {
+            body.objects.forEach(object => {
+                object.traverse(child => {
+                    if (!child.isMesh || child.userData.isVisualization || child.parent?.userData?.isVisualization) return;
+
+                    const samples = this.getSamples(child);
+                    for (let i = 0; i < samples.length; i += 3) {
+                        vertex.set(samples[i], samples[i + 1], samples[i + 2]).applyMatrix4(child.matrixWorld);
+                        if (vertex.y <= groundY + CONTACT_TOLERANCE) {
+                            points.push([vertex.x, vertex.z]);
+                        }
+                    }
+                });
+            });
+        });
+
+        return points;
+    }
+
+    /**
+     * Local vertex samples of a mesh, cached per mesh
+     */
+    getSamples(mesh) {
+        let samples = this.samples.get(mesh);
+        if (samples) return samples;
+
+        const position = mesh.geometry?.attributes?.position;
+        const count = position ? position.count : 0;
+        const stride = Math.max(1, Math.ceil(count / MAX_SAMPLES_PER_MESH));
+        samples = new Float32Array(Math.ceil(count / stride) * 3);
+        for (let i = 0, j = 0; i < count; i += stride, j += 3) {
+            samples[j] = position.getX(i);
+            samples[j + 1] = position.getY(i);
+            samples[j + 2] = position.getZ(i);
+        }
+
+        this.samples.set(mesh, samples);
+        return samples;
+    }
+
+    /**
+     * Place the markers and refill the polygon buffers
+     */
+    drawObjects(com, groundY, hull) {
+        const color = this.margin >= 0 ? STABLE_COLOR : UNSTABLE_COLOR;
+        const y = groundY + GROUND_OFFSET;
+        this.group.visible = true;
+
+        this.comMarker.position.copy(com);
+        this.groundMarker.position.set(com.x, y, com.z);
+        this.groundMarker.material.color.setHex(color);
+
+        const plumb = this.plumbLine.geometry.attributes.position;
+        plumb.setXYZ(0, com.x, com.y, com.z);
+        plumb.setXYZ(1, com.x, y, com.z);
+        plumb.needsUpdate = true;
+        this.plumbLine.computeLineDistances();
+        this.plumbLine.material.color.setHex(color);
+
+        const points = hull.slice(0, MAX_POLYGON_POINTS);
+        const line = this.polygonLine.geometry.attributes.position;
+        points.forEach(([x, z], i) => line.setXYZ(i, x, y, z));
+        line.needsUpdate = true;
+        this.polygonLine.geometry.setDrawRange(0, points.length);
+        this.polygonLine.geometry.computeBoundingSphere();
+        this.polygonLine.material.color.setHex(color);
+
+        const fill = this.polygonFill.geometry.attributes.position;
+        let vertexCount = 0;
+        for (let i = 1; i + 1 < points.length; i++) {
+            [points[0], points[i], points[i + 1]].forEach(([x, z]) => fill.setXYZ(vertexCount++, x, y, z));
+        }
+        fill.needsUpdate = true;
+        this.polygonFill.geometry.setDrawRange(0, vertexCount);
+        this.polygonFill.geometry.computeBoundingSphere();
+        this.polygonFill.material.color.setHex(color);
+
+        // Signed distance from the COM projection to the polygon edge
+        this.marginLabel.visible = points.length > 0;
+        this.marginLabel.position.set(com.x, y + 0.04, com.z);
+        this.setLabelText(Number.isFinite(this.margin)
+            ? `${this.margin >= 0 ? '+' : ''}${(this.margin * 1000).toFixed(1)}mm`
+            : '', this.margin >= 0 ? '#2ecc71' : '#e74c3c');
+    }
+
+    /**
+     * Redraw the label canvas only when its text changes
+     */
+    setLabelText(text, color) {
+        if (text === this.labelText) return;
+        this.labelText = text;
+
+        const texture = this.marginLabel.material.map;
+        const canvas = texture.image;
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.font = 'Bold 32px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+        context.lineWidth = 4;
+        context.strokeText(text, 128, 32);
+        context.fillStyle = color;
+        context.fillText(text, 128, 32);
+        texture.needsUpdate = true;
+    }
+
+    /**
+     * Forget cached samples of the previous model; the display stays enabled
+     */
+    clear() {
+        this.samples = new WeakMap();
+        this.centerOfMass = null;
+        if (this.group) this.group.visible = false;
+    }
+}
@@ -827,6 +827,7 @@ export class VisualizationManager {
         // Check if in auxiliary object lists (will be set by InertialVisualization)
         if (obj.userData?.isInertiaBox) return true;
         if (obj.userData?.isCOMMarker) return true;
+        if (obj.userData?.isSiteMarker) return true;
         if (obj.userData?.isCollision) return true;
 
         return false;
@@ -0,0 +1,163 @@
+import * as THREE from 'three';
+import { WorkspaceSampler } from '../utils/WorkspaceSampler.js';
+
+// Voxels per bounding box edge for density colouring
+const DENSITY_RESOLUTION = 40;
+// Point size relative to the bounding box diagonal
+const POINT_SIZE_RATIO = 0.004;
+
+/**
+ * WorkspaceManager - Reachable end effector positions as a coloured point cloud
+ * Points are kept in the model root frame, so slicing axes are the robot's own x/y/z;
+ * colour runs blue (low) to red (high) by sample density or manipulability
+ */
+export class WorkspaceManager {
+    sceneManager: any;
+    points: any;
+    samples: any;
+    coloring: string;
+    slice: { axis: number; position: number; thickness: number } | null;
+    values: Float32Array | null;
+    bounds: { min: number[]; max: number[] } | null;
+
+    constructor(sceneManager: any) {
+        this.sceneManager = sceneManager;
+        this.points = null;
+        this.samples = null;
+        this.coloring = 'density';
+        this.slice = null;
+        this.values = null;
+        this.bounds = null;
+    }
+
+    /**
+     * Show a new sample set
+     * @param {WorkspaceSamples} samples
+     */
+    setSamples(samples) {
+        this.samples = samples;
+        this.bounds = this.computeBounds(samples.positions);
+        if (!this.points) this.createPoints();
+
+        const extent = Math.hypot(...this.bounds.max.map((value, i) => value - this.bounds.min[i]));
+        this.points.material.size = Math.max(extent * POINT_SIZE_RATIO, 0.002);
+        this.updateValues();
+    }
+
+    createPoints() {
+        const geometry = new THREE.BufferGeometry();
+        const material = new THREE.PointsMaterial({ size: 0.005, vertexColors: true, sizeAttenuation: true });
+        this.points = new THREE.Points(geometry, material);
+        this.points.name = 'workspacePointCloud';
+        // Follows the model root frame, see update()
+        this.points.matrixAutoUpdate = false;
+        this.points.raycast = () => {};
+        this.sceneManager.scene.add(this.points);
+    }
+
+    /**
+     * @param {WorkspaceColoring} coloring - 'density' or 'manipulability'
+     */
+    setColoring(coloring) {
+        this.coloring = coloring;
+        if (this.samples) this.updateValues();
+    }
+
+    /**
+     * Only show points within thickness/2 of position along an axis (null shows all)
+     * @param {{axis: number, position: number, thickness: number}|null} slice - axis 0/1/2 is x/y/z
+     */
+    setSlice(slice) {
+        this.slice = slice;
+        if (this.samples) this.fillGeometry();
+    }
+
+    /**
+     * Normalized colour value per sample
+     */
+    updateValues() {
+        const { positions, manipulability } = this.samples;
+        let raw;
+        if (this.coloring === 'manipulability') {
+            raw = manipulability;
+        } else {
+            const size = Math.max(...this.bounds.max.map((value, i) => value - this.bounds.min[i])) / DENSITY_RESOLUTION;
+            raw = WorkspaceSampler.voxelCounts(positions, size || 1);
+        }
+
+        let max = 0;
+        raw.forEach(value => { if (value > max) max = value; });
+        this.values = raw.map(value => (max > 0 ? value / max : 0));
+        this.fillGeometry();
+    }
+
+    /**
+     * Copy the visible (sliced) points and their colours into the geometry
+     */
+    fillGeometry() {
+        const { positions } = this.samples;
+        const count = positions.length / 3;
+        const visible = [];
+        for (let i = 0; i < count; i++) {
+            if (!this.slice || Math.abs(positions[i * 3 + this.slice.axis] - this.slice.position) <= this.slice.thickness / 2) {
+                visible.push(i);
+            }
+        }
+
+        const position = new Float32Array(visible.length * 3);
+        const color = new Float32Array(visible.length * 3);
+        const rgb = new THREE.Color();
+        visible.forEach((index, i) => {
+            position.set(positions.subarray(index * 3, index * 3 + 3), i * 3);
+            // Hue from blue (low) to red (high)
+            rgb.setHSL(0.66 * (1 - this.values[index]), 0.9, 0.5);
+            color[i * 3] = rgb.r;
+            color[i * 3 + 1] = rgb.g;
+            color[i * 3 + 2] = rgb.b;
+        });
+
+        const geometry = this.points.geometry;
+        geometry.setAttribute('position', new THREE.BufferAttribute(position, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(color, 3));
+        geometry.computeBoundingSphere();
+        this.points.visible = true;
+        this.update();
+        this.sceneManager.redraw();
+    }
+
+    computeBounds(positions) {
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < positions.length; i++) {
+            const axis = i % 3;
+            if (positions[i] < min[axis]) min[axis] = positions[i];
+            if (positions[i] > max[axis]) max[axis] = positions[i];
+        }
+        return { min, max };
+    }
+
+    /**
+     * Keep the cloud on the model root frame (the model may be re-grounded or rotated to Y-up)
+     */
+    update() {
+        const root = this.sceneManager.currentModel?.threeObject;
+        if (!this.points?.visible || !root) return;
+        this.points.matrix.copy(root.matrixWorld);
+        this.points.matrixWorldNeedsUpdate = true;
+    }
+
+    /**
+     * Remove the cloud
+     */
+    clear() {
+        this.samples = null;
+        this.values = null;
+        this.bounds = null;
+        if (this.points) {
+            this.points.visible = false;
+            this.points.geometry.dispose();
+            this.points.geometry = new THREE.BufferGeometry();
+            this.sceneManager.redraw();
+        }
+    }
+}
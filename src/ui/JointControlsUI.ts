@@ -4,6 +4,7 @@
  */
 import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
 import { XMLUpdater } from '../utils/XMLUpdater.js';
+import { JointPose, isMultiDofJoint } from '../models/UnifiedRobotModel.js';
 
 export class JointControlsUI {
     sceneManager: any;
@@ -127,7 +128,9 @@ export class JointControlsUI {
         // Save initial joint values when model loads
         this.initialJointValues.clear();
         model.joints.forEach((joint, name) => {
-            if (joint.type !== 'fixed') {
+            if (isMultiDofJoint(joint)) {
+                this.initialJointValues.set(name, joint.pose ? joint.pose.clone() : new JointPose());
+            } else if (joint.type !== 'fixed') {
                 const limits = joint.limits || {};
                 const lower = limits.lower !== undefined ? limits.lower : -Math.PI;
                 const upper = limits.upper !== undefined ? limits.upper : Math.PI;
@@ -138,9 +141,161 @@ export class JointControlsUI {
 
         model.joints.forEach((joint, name) => {
             if (joint.type === 'fixed') return;
-            const control = this.createJointControl(joint, model);
+            const control = isMultiDofJoint(joint) ?
+                this.createPoseControl(joint, model) :
+                this.createJointControl(joint, model);
             container.appendChild(control);
         });
+
+        // Keep pose inputs in sync while dragging the viewport gizmo
+        if (this.sceneManager.poseGizmoManager) {
+            this.sceneManager.poseGizmoManager.onPoseChange = (jointName) => this.refreshPoseControl(jointName);
+        }
+    }
+
+    /**
+     * Create pose control for floating, planar and free joints
+     * Translation in meters and rotation as roll/pitch/yaw (planar: x, y and angle about the axis)
+     */
+    createPoseControl(joint, model) {
+        const div = document.createElement('div');
+        div.className = 'joint-control joint-pose-control';
+        div.setAttribute('data-joint-pose', joint.name);
+
+        // First row: name + type + gizmo toggles
+        const header = document.createElement('div');
+        header.className = 'joint-header';
+
+        const name = document.createElement('div');
+        name.className = 'joint-name';
+        name.textContent = joint.name;
+        name.title = joint.name;
+
+        const typeBadge = document.createElement('span');
+        typeBadge.className = 'joint-type-badge';
+        typeBadge.textContent = joint.type;
+
+        const gizmoButtons = document.createElement('div');
+        gizmoButtons.className = 'joint-gizmo-buttons';
+        [['translate', '✥', 'gizmoTranslate'], ['rotate', '⟳', 'gizmoRotate']].forEach(([mode, icon, titleKey]) => {
+            const button = document.createElement('button');
+            button.className = 'joint-gizmo-btn';
+            button.setAttribute('data-joint', joint.name);
+            button.setAttribute('data-mode', mode);
+            button.textContent = icon;
+            button.title = window.i18n.t(titleKey);
+            button.addEventListener('click', () => {
+                const gizmo = this.sceneManager.poseGizmoManager;
+                if (gizmo.isAttachedTo(joint.name, mode)) {
+                    gizmo.detach();
+                } else {
+                    gizmo.attach(joint.name, mode);
+                }
+                this.updateGizmoButtons();
+            });
+            gizmoButtons.appendChild(button);
+        });
+
+        header.appendChild(name);
+        header.appendChild(typeBadge);
+        header.appendChild(gizmoButtons);
+
+        // Second row: pose fields
+        const grid = document.createElement('div');
+        grid.className = 'joint-pose-grid';
+
+        const fields = joint.type === 'planar' ?
+            [['x', 'xyz', 0], ['y', 'xyz', 1], ['θ', 'rpy', 2]] :
+            [['x', 'xyz', 0], ['y', 'xyz', 1], ['z', 'xyz', 2], ['R', 'rpy', 0], ['P', 'rpy', 1], ['Y', 'rpy', 2]];
+
+        const inputs = fields.map(([label, key, index]) => {
+            const field = document.createElement('div');
+            field.className = 'joint-pose-field';
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'joint-pose-label';
+            labelEl.textContent = label as string;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.className = 'joint-value-input';
+            input.step = '0.01';
+
+            input.addEventListener('change', () => {
+                const inputValue = parseFloat(input.value);
+                if (isNaN(inputValue)) {
+                    updateInputs();
+                    return;
+                }
+
+                const pose = joint.pose ? joint.pose.clone() : new JointPose();
+                pose[key][index] = key === 'rpy' && this.angleUnit === 'deg' ?
+                    inputValue * Math.PI / 180 :
+                    inputValue;
+
+                ModelLoaderFactory.setJointPose(model, joint.name, pose);
+                updateInputs();
+                this.sceneManager.redraw();
+                this.sceneManager.render();
+
+                // Trigger measurement update
+                if (this.sceneManager.onMeasurementUpdate) {
+                    this.sceneManager.onMeasurementUpdate();
+                }
+            });
+
+            field.appendChild(labelEl);
+            field.appendChild(input);
+            grid.appendChild(field);
+            return { input, key, index };
+        });
+
+        const updateInputs = () => {
+            const pose = joint.pose || new JointPose();
+            inputs.forEach(({ input, key, index }) => {
+                const value = pose[key as string][index as number];
+                if (key === 'rpy') {
+                    input.value = this.angleUnit === 'deg' ?
+                        (value * 180 / Math.PI).toFixed(1) :
+                        value.toFixed(2);
+                    input.title = this.angleUnit === 'deg' ? '°' : 'rad';
+                } else {
+                    input.value = value.toFixed(3);
+                    input.title = 'm';
+                }
+            });
+        };
+
+        updateInputs();
+
+        div.appendChild(header);
+        div.appendChild(grid);
+
+        // Save update function
+        (div as any)._updateDisplay = updateInputs;
+
+        return div;
+    }
+
+    /**
+     * Refresh a pose control from its joint's current pose
+     */
+    refreshPoseControl(jointName) {
+        const control = document.querySelector(`[data-joint-pose="${jointName}"]`) as HTMLDivElement | null;
+        if (control && (control as any)._updateDisplay) {
+            (control as any)._updateDisplay();
+        }
+    }
+
+    /**
+     * Highlight the gizmo toggle matching the attached joint and mode
+     */
+    updateGizmoButtons() {
+        const gizmo = this.sceneManager.poseGizmoManager;
+        document.querySelectorAll('.joint-gizmo-btn').forEach(button => {
+            const active = gizmo.isAttachedTo(button.getAttribute('data-joint'), button.getAttribute('data-mode'));
+            button.classList.toggle('active', active);
+        });
     }
 
     /**
@@ -161,6 +316,16 @@ export class JointControlsUI {
 
         header.appendChild(name);
 
+        // Mimic followers are driven by their leader joint
+        if (joint.mimic) {
+            const mimicBadge = document.createElement('span');
+            mimicBadge.className = 'joint-mimic-badge';
+            mimicBadge.textContent = `↳ ${joint.mimic.joint}`;
+            mimicBadge.title = `${window.i18n.t('mimicsJoint')} ${joint.mimic.joint}: `
+                + `× ${joint.mimic.multiplier} + ${joint.mimic.offset}`;
+            header.appendChild(mimicBadge);
+        }
+
         // Second row: editable limit labels + slider
         const sliderRow = document.createElement('div');
         sliderRow.className = 'joint-slider-row';
@@ -184,6 +349,7 @@ export class JointControlsUI {
         let initialValue = joint.currentValue !== undefined ? joint.currentValue : (lower + upper) / 2;
         slider.value = String(initialValue);
         slider.step = String((upper - lower) / 1000);
+        slider.disabled = !!joint.mimic;
 
         // Editable lower limit label
         const minLabel = document.createElement('input');
@@ -205,6 +371,7 @@ export class JointControlsUI {
         valueInput.className = 'joint-value-input';
         valueInput.setAttribute('data-joint-input', joint.name);
         valueInput.step = '0.01';
+        valueInput.disabled = !!joint.mimic;
 
         const valueUnit = document.createElement('span');
         valueUnit.className = 'joint-value-unit';
@@ -481,6 +648,7 @@ export class JointControlsUI {
             ModelLoaderFactory.setJointAngle(model, joint.name, value);
             joint.currentValue = value;
             updateValueInput();
+            this.syncMimicSliders(model);
 
             // Apply parallel mechanism constraints
             if (this.sceneManager.constraintManager) {
@@ -523,6 +691,7 @@ export class JointControlsUI {
             slider.value = String(valueInRad);
             ModelLoaderFactory.setJointAngle(model, joint.name, valueInRad);
             joint.currentValue = valueInRad;
+            this.syncMimicSliders(model);
 
             // Apply parallel mechanism constraints
             if (this.sceneManager.constraintManager) {
@@ -549,6 +718,23 @@ export class JointControlsUI {
         return div;
     }
 
+    /**
+     * Move mimic follower sliders to their joints' current values
+     */
+    syncMimicSliders(model) {
+        model.joints.forEach((joint, name) => {
+            if (!joint.mimic) return;
+            const slider = document.querySelector(`input[data-joint="${name}"]`) as HTMLInputElement | null;
+            if (slider) {
+                slider.value = String(joint.currentValue);
+                const control = slider.closest('.joint-control') as HTMLDivElement | null;
+                if (control && (control as any)._updateDisplay) {
+                    (control as any)._updateDisplay();
+                }
+            }
+        });
+    }
+
     /**
      * Set angle unit
      */
@@ -569,7 +755,15 @@ export class JointControlsUI {
         if (!model || !model.joints) return;
 
         model.joints.forEach((joint, name) => {
-            if (joint.type !== 'fixed') {
+            if (isMultiDofJoint(joint)) {
+                const initialPose = this.initialJointValues.get(name);
+                ModelLoaderFactory.setJointPose(model, name, initialPose ? initialPose.clone() : new JointPose());
+                this.refreshPoseControl(name);
+                return;
+            }
+
+            // Mimic followers are reset through their leader
+            if (joint.type !== 'fixed' && !joint.mimic) {
                 // Use saved initial value, if not saved use middle value
                 let initialValue = this.initialJointValues.get(name);
 
@@ -595,6 +789,7 @@ export class JointControlsUI {
                 }
             }
         });
+        this.syncMimicSliders(model);
 
         this.sceneManager.render();
 
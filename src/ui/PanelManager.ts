@@ -265,6 +265,14 @@ export class PanelManager {
         this.registerPanel('floating-files-panel');
         this.registerPanel('floating-joints-panel');
         this.registerPanel('floating-model-tree');
+        this.registerPanel('floating-xacro-panel');
+        this.registerPanel('floating-diagnostics-panel');
+        this.registerPanel('floating-lint-panel');
+        this.registerPanel('floating-inertia-panel');
+        this.registerPanel('floating-ik-panel');
+        this.registerPanel('floating-fk-panel');
+        this.registerPanel('floating-workspace-panel');
+        this.registerPanel('floating-collision-panel');
         this.registerPanel('floating-help-panel');
         this.registerPanel('code-editor-panel', '.code-editor-header');
 
@@ -28,6 +28,8 @@ export class UIController {
         const showCollisionBtn = document.getElementById('show-collision');
         const showComBtn = document.getElementById('show-com');
         const showInertiaBtn = document.getElementById('show-inertia');
+        const showSupportBtn = document.getElementById('show-support');
+        const showManipulabilityBtn = document.getElementById('show-manipulability');
         const ignoreLimitsBtn = document.getElementById('ignore-limits');
 
         // Helper function: toggle button state
@@ -121,6 +123,24 @@ export class UIController {
             });
         }
 
+        if (showSupportBtn) {
+            showSupportBtn.addEventListener('click', () => {
+                toggleButton(showSupportBtn, (newState) => {
+                    this.sceneManager.supportPolygonManager.toggle(newState);
+                    this.sceneManager.render();
+                });
+            });
+        }
+
+        if (showManipulabilityBtn) {
+            showManipulabilityBtn.addEventListener('click', () => {
+                toggleButton(showManipulabilityBtn, (newState) => {
+                    this.sceneManager.manipulabilityManager.toggle(newState);
+                    this.sceneManager.render();
+                });
+            });
+        }
+
         if (showInertiaBtn) {
             showInertiaBtn.addEventListener('click', () => {
                 toggleButton(showInertiaBtn, (newState) => {
@@ -156,6 +176,19 @@ export class UIController {
             });
         }
 
+        // Model-defined camera selection (empty value = free camera)
+        const cameraSelect = document.getElementById('camera-select') as HTMLSelectElement | null;
+        if (cameraSelect) {
+            cameraSelect.addEventListener('change', (e) => {
+                const target = e.target as HTMLSelectElement;
+                if (target.value) {
+                    this.sceneManager.viewFromModelCamera(target.value);
+                } else {
+                    this.sceneManager.resetModelCameraView();
+                }
+            });
+        }
+
         // Angle unit toggle
         const unitRad = document.getElementById('unit-rad');
         const unitDeg = document.getElementById('unit-deg');
@@ -298,6 +331,14 @@ export class UIController {
             'floating-files-panel': 'toggle-files-panel',
             'floating-joints-panel': 'toggle-joints-panel',
             'floating-model-tree': 'toggle-model-tree',
+            'floating-xacro-panel': 'toggle-xacro-panel',
+            'floating-diagnostics-panel': 'toggle-diagnostics-panel',
+            'floating-lint-panel': 'toggle-lint-panel',
+            'floating-inertia-panel': 'toggle-inertia-panel',
+            'floating-ik-panel': 'toggle-ik-panel',
+            'floating-fk-panel': 'toggle-fk-panel',
+            'floating-workspace-panel': 'toggle-workspace-panel',
+            'floating-collision-panel': 'toggle-collision-panel',
             'floating-help-panel': 'help-button'
         };
 
@@ -460,6 +501,29 @@ export class UIController {
         });
     }
 
+    /**
+     * Setup site markers toggle button
+     */
+    setupSitesToggle() {
+        const sitesBtn = document.getElementById('toggle-sites-btn');
+        if (!sitesBtn) {
+            return;
+        }
+
+        sitesBtn.addEventListener('click', () => {
+            const newState = sitesBtn.getAttribute('data-checked') !== 'true';
+
+            sitesBtn.setAttribute('data-checked', newState.toString());
+            sitesBtn.classList.toggle('active', newState);
+            if (newState) {
+                this.sceneManager.axesManager.showAllSites();
+            } else {
+                this.sceneManager.axesManager.hideAllSites();
+            }
+            this.sceneManager.redraw();
+        });
+    }
+
     /**
      * Setup shadow toggle button
      */
@@ -534,6 +598,7 @@ export class UIController {
         this.setupPanelCloseButtons();
         this.setupAxesToggle();
         this.setupJointAxesToggle();
+        this.setupSitesToggle();
         this.setupShadowToggle();
         this.setupLightingToggle();
         this.setupReloadFolderButton();
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { CollisionChecker } from './CollisionChecker.js';
+import { UnifiedRobotModel, Link, Joint } from '../models/UnifiedRobotModel.js';
+
+const CUBE = new Float32Array([
+    -0.5, -0.5, -0.5, 0.5, -0.5, -0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5,
+    -0.5, -0.5, 0.5, 0.5, -0.5, 0.5, -0.5, 0.5, 0.5, 0.5, 0.5, 0.5
+]);
+
+// Unit cube at a position, optionally turned about z (column-major matrix)
+function cube(link, x, y = 0, z = 0, yaw = 0) {
+    const c = Math.cos(yaw);
+    const s = Math.sin(yaw);
+    return { link, points: CUBE, matrix: [c, s, 0, 0, -s, c, 0, 0, 0, 0, 1, 0, x, y, z, 1] };
+}
+
+function addJoint(model, name, parent, child) {
+    const joint = new Joint(name, 'revolute');
+    joint.parent = parent;
+    joint.child = child;
+    model.addJoint(joint);
+}
+
+describe('CollisionChecker', () => {
+    it('should test convex shapes for intersection', () => {
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 0.9))).toBe(true);
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 1.1))).toBe(false);
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 0.6, 0.6, 0.6))).toBe(true);
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 1.05, 1.05, 0))).toBe(false);
+
+        // Turned by 45°, the corner reaches sqrt(2)/2 from the center
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 1.15, 0, 0, Math.PI / 4))).toBe(true);
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 1.25, 0, 0, Math.PI / 4))).toBe(false);
+
+        // Padding inflates both shapes
+        expect(CollisionChecker.intersects(cube('a', 0), cube('b', 1.1), 0.06)).toBe(true);
+
+        // Small shapes: 1 mm cubes 0.5 mm apart
+        const small = (link, x) => ({ ...cube(link, 0), matrix: [0.001, 0, 0, 0, 0, 0.001, 0, 0, 0, 0, 0.001, 0, x, 0, 0, 1] });
+        expect(CollisionChecker.intersects(small('a', 0), small('b', 0.0015))).toBe(false);
+        expect(CollisionChecker.intersects(small('a', 0), small('b', 0.0009))).toBe(true);
+    });
+
+    it('should find colliding link pairs, skipping excluded pairs and shapes of the same link', () => {
+        const shapes = [cube('base', 0), cube('arm', 0.9), cube('arm', 1.8), cube('tool', 2.7), cube('tool', 0, 0.9)];
+        const collisions = CollisionChecker.findCollisions(shapes, new Set([CollisionChecker.pairKey('base', 'arm')]));
+        expect(collisions).toEqual([['arm', 'tool'], ['base', 'tool']]);
+    });
+
+    it('should treat links as adjacent through links without collision geometry', () => {
+        const model = new UnifiedRobotModel();
+        ['base', 'mount', 'arm', 'tool'].forEach(name => model.addLink(new Link(name)));
+        addJoint(model, 'j1', 'base', 'mount');
+        addJoint(model, 'j2', 'mount', 'arm');
+        // MJCF body without a joint
+        model.getLink('tool').userData.parentName = 'arm';
+
+        const pairs = CollisionChecker.getAdjacentPairs(model, new Set(['base', 'arm', 'tool']));
+        expect([...pairs].sort()).toEqual(['arm|base', 'arm|mount', 'arm|tool', 'base|mount']);
+    });
+
+    it('should classify link pairs from the sweep statistics', () => {
+        const key = CollisionChecker.pairKey;
+        const { entries, enabledPairs } = CollisionChecker.classifyPairs(
+            ['a', 'b', 'c', 'd'],
+            new Set([key('a', 'b')]),
+            new Set([key('c', 'd')]),
+            new Map([[key('a', 'c'), 98], [key('b', 'c'), 40]]),
+            100
+        );
+        expect(entries).toEqual([
+            { link1: 'a', link2: 'b', reason: 'Adjacent' },
+            { link1: 'a', link2: 'c', reason: 'Always' },
+            { link1: 'a', link2: 'd', reason: 'Never' },
+            { link1: 'b', link2: 'd', reason: 'Never' },
+            { link1: 'c', link2: 'd', reason: 'Default' }
+        ]);
+        expect(enabledPairs).toBe(1);
+    });
+});
@@ -0,0 +1,333 @@
+import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
+import { WorkspaceSampler } from './WorkspaceSampler.js';
+
+/**
+ * Self-collision checker
+ * Every collision primitive or mesh is tested as the convex hull of its vertices (as MuJoCo does for meshes),
+ * with an AABB broad phase and a GJK intersection test. Links joined by a joint never collide with each other.
+ * The sweep samples joint values within the limits and classifies link pairs the way the MoveIt Setup Assistant
+ * does for the SRDF disabled-collisions list.
+ */
+
+// Joints set by the sweep; mimic followers are driven by their leader
+const SWEEP_JOINT_TYPES = ['revolute', 'continuous', 'prismatic'];
+// Share of sampled poses a pair must collide in to be disabled as "Always"
+const ALWAYS_RATIO = 0.95;
+// Poses computed between yields to the browser
+const POSES_PER_CHUNK = 50;
+const GJK_MAX_ITERATIONS = 64;
+// Relative length below which a search direction counts as zero (origin on the simplex)
+const DEGENERATE_RATIO = 1e-9;
+
+export type DisabledCollisionReason = 'Adjacent' | 'Default' | 'Always' | 'Never';
+
+export interface DisabledCollision {
+    link1: string;
+    link2: string;
+    reason: DisabledCollisionReason;
+}
+
+export interface CollisionBody {
+    link: string;
+    // Convex hull vertices in the object's local frame, x y z per point
+    points: Float32Array;
+    // Object whose matrixWorld places the points
+    object: any;
+}
+
+export interface CollisionShape {
+    link: string;
+    points: Float32Array;
+    // Column-major 4x4 world matrix (THREE.Matrix4 elements)
+    matrix: ArrayLike<number>;
+}
+
+export interface CollisionSweepResult {
+    samples: number;
+    entries: DisabledCollision[];
+    // Link pairs left enabled: they collide in some sampled poses only
+    enabledPairs: number;
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const negate = (a) => [-a[0], -a[1], -a[2]];
+const cross = (a, b) => [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0]
+];
+const length = (a) => Math.sqrt(dot(a, a));
+// v, or zero when it vanishes relative to the lengths it was built from
+const orZero = (v, scale) => (length(v) > DEGENERATE_RATIO * scale ? v : [0, 0, 0]);
+// Direction perpendicular to ab, in the plane of ab and ao, pointing at the origin
+const towardOrigin = (ab, ao) => orZero(cross(cross(ab, ao), ab), dot(ab, ab) * length(ao));
+
+export class CollisionChecker {
+    /**
+     * Order-independent key of a link pair
+     */
+    static pairKey(link1, link2) {
+        return link1 < link2 ? `${link1}|${link2}` : `${link2}|${link1}`;
+    }
+
+    /**
+     * Parent link of a link: the parent of its joint, or the body it hangs off (MJCF bodies without a joint)
+     */
+    static getParentLink(model, linkName) {
+        for (const joint of model.joints.values()) {
+            if (joint.child === linkName) return joint.parent;
+        }
+        return model.getLink(linkName)?.userData?.parentName || null;
+    }
+
+    /**
+     * Adjacent link pairs, which never count as colliding
+     * Each link is adjacent to its parent and, skipping links without collision geometry, to its nearest ancestor with geometry
+     * @param {UnifiedRobotModel} model
+     * @param {Set<string>} withGeometry - Links that have collision bodies
+     * @returns {Set<string>} Pair keys
+     */
+    static getAdjacentPairs(model, withGeometry: Set<string> = new Set()) {
+        const pairs = new Set<string>();
+        model.links.forEach((link, name) => {
+            let parent = this.getParentLink(model, name);
+            if (parent) pairs.add(this.pairKey(name, parent));
+
+            const visited = new Set([name]);
+            while (parent && !withGeometry.has(parent) && !visited.has(parent)) {
+                visited.add(parent);
+                parent = this.getParentLink(model, parent);
+            }
+            if (parent && withGeometry.has(parent)) pairs.add(this.pairKey(name, parent));
+        });
+        return pairs;
+    }
+
+    /**
+     * Farthest point of a shape along a direction (world frame), optionally inflated by padding
+     */
+    static support(shape: CollisionShape, direction, padding = 0) {
+        const m = shape.matrix;
+        const points = shape.points;
+        // Direction in the shape's local frame: transpose of the linear part
+        const lx = m[0] * direction[0] + m[1] * direction[1] + m[2] * direction[2];
+        const ly = m[4] * direction[0] + m[5] * direction[1] + m[6] * direction[2];
+        const lz = m[8] * direction[0] + m[9] * direction[1] + m[10] * direction[2];
+
+        let best = 0;
+        let bestDot = -Infinity;
+        for (let i = 0; i < points.length; i += 3) {
+            const value = points[i] * lx + points[i + 1] * ly + points[i + 2] * lz;
+            if (value > bestDot) {
+                bestDot = value;
+                best = i;
+            }
+        }
+
+        const x = points[best];
+        const y = points[best + 1];
+        const z = points[best + 2];
+        const result = [
+            m[0] * x + m[4] * y + m[8] * z + m[12],
+            m[1] * x + m[5] * y + m[9] * z + m[13],
+            m[2] * x + m[6] * y + m[10] * z + m[14]
+        ];
+        if (padding > 0) {
+            const scale = padding / (length(direction) || 1);
+            for (let i = 0; i < 3; i++) result[i] += scale * direction[i];
+        }
+        return result;
+    }
+
+    /**
+     * World axis-aligned bounds of a shape
+     * @returns {{min: number[], max: number[]}}
+     */
+    static computeBounds(shape: CollisionShape, padding = 0) {
+        const min = [0, 1, 2].map(axis => this.support(shape, [0, 1, 2].map(i => (i === axis ? -1 : 0)), padding)[axis]);
+        const max = [0, 1, 2].map(axis => this.support(shape, [0, 1, 2].map(i => (i === axis ? 1 : 0)), padding)[axis]);
+        return { min, max };
+    }
+
+    /**
+     * GJK intersection test of two convex shapes; touching shapes do not intersect
+     * Padding inflates both shapes, so shapes closer than twice the padding count as intersecting
+     */
+    static intersects(a: CollisionShape, b: CollisionShape, padding = 0) {
+        const minkowski = (direction) => sub(this.support(a, direction, padding), this.support(b, negate(direction), padding));
+
+        let direction = sub(this.support(a, [1, 0, 0]), this.support(b, [1, 0, 0]));
+        if (dot(direction, direction) === 0) direction = [1, 0, 0];
+        let simplex = [minkowski(direction)];
+        direction = negate(simplex[0]);
+
+        for (let i = 0; i < GJK_MAX_ITERATIONS; i++) {
+            // Origin on the simplex
+            if (dot(direction, direction) === 0) return true;
+
+            const point = minkowski(direction);
+            if (dot(point, direction) <= 0) return false;
+
+            simplex.push(point);
+            const next = this.nextSimplex(simplex);
+            if (!next) return true;
+            [simplex, direction] = next;
+        }
+        // Not converged: only happens on numerically touching shapes, report them
+        return true;
+    }
+
+    /**
+     * Reduce the simplex (newest point last) to the feature closest to the origin
+     * @returns {Array|null} [simplex, search direction], or null when the simplex contains the origin
+     */
+    static nextSimplex(simplex) {
+        if (simplex.length === 2) {
+            const [b, a] = simplex;
+            const ab = sub(b, a);
+            const ao = negate(a);
+            if (dot(ab, ao) > 0) return [simplex, towardOrigin(ab, ao)];
+            return [[a], ao];
+        }
+
+        if (simplex.length === 3) {
+            const [c, b, a] = simplex;
+            const ab = sub(b, a);
+            const ac = sub(c, a);
+            const ao = negate(a);
+            const abc = cross(ab, ac);
+
+            if (dot(cross(abc, ac), ao) > 0) {
+                return dot(ac, ao) > 0 ? [[c, a], towardOrigin(ac, ao)] : this.nextSimplex([b, a]);
+            }
+            if (dot(cross(ab, abc), ao) > 0) {
+                return this.nextSimplex([b, a]);
+            }
+            const normal = orZero(abc, length(ab) * length(ac));
+            return dot(abc, ao) > 0 ? [[c, b, a], normal] : [[b, c, a], negate(normal)];
+        }
+
+        // Tetrahedron: keep the face through the newest point that faces the origin
+        const [d, c, b, a] = simplex;
+        const ao = negate(a);
+        for (const [p, q, opposite] of [[b, c, d], [c, d, b], [d, b, c]]) {
+            let normal = cross(sub(p, a), sub(q, a));
+            if (dot(normal, sub(opposite, a)) > 0) normal = negate(normal);
+            if (dot(normal, ao) > 0) return this.nextSimplex([q, p, a]);
+        }
+        return null;
+    }
+
+    /**
+     * Link pairs whose shapes intersect
+     * @param {CollisionShape[]} shapes
+     * @param {Set<string>} excluded - Pair keys never tested (adjacent links)
+     * @returns {string[][]} [link1, link2] per colliding pair, sorted by link names
+     */
+    static findCollisions(shapes: CollisionShape[], excluded: Set<string> = new Set(), padding = 0) {
+        const bounds = shapes.map(shape => this.computeBounds(shape, padding));
+        const found = new Map<string, string[]>();
+
+        for (let i = 0; i < shapes.length; i++) {
+            for (let j = i + 1; j < shapes.length; j++) {
+                const link1 = shapes[i].link;
+                const link2 = shapes[j].link;
+                const key = this.pairKey(link1, link2);
+                if (link1 === link2 || excluded.has(key) || found.has(key)) continue;
+
+                const overlap = [0, 1, 2].every(axis =>
+                    bounds[i].min[axis] <= bounds[j].max[axis] && bounds[j].min[axis] <= bounds[i].max[axis]);
+                if (overlap && this.intersects(shapes[i], shapes[j], padding)) {
+                    found.set(key, [link1, link2].sort());
+                }
+            }
+        }
+        return [...found.keys()].sort().map(key => found.get(key));
+    }
+
+    /**
+     * Shapes of the bodies at the current pose
+     */
+    static getShapes(bodies: CollisionBody[]): CollisionShape[] {
+        return bodies.map(body => ({ link: body.link, points: body.points, matrix: body.object.matrixWorld.elements }));
+    }
+
+    /**
+     * Disabled-collisions list from sweep statistics; pairs colliding only sometimes stay enabled
+     * @param {string[]} links - Links with collision geometry
+     * @param {Set<string>} adjacent - Adjacent pair keys
+     * @param {Set<string>} defaults - Pair keys colliding in the default pose
+     * @param {Map<string, number>} counts - Sampled poses each pair collided in
+     * @param {number} samples - Number of sampled poses
+     */
+    static classifyPairs(links, adjacent, defaults, counts, samples, alwaysRatio = ALWAYS_RATIO) {
+        const entries: DisabledCollision[] = [];
+        let enabledPairs = 0;
+        const sorted = [...links].sort();
+
+        sorted.forEach((link1, i) => sorted.slice(i + 1).forEach(link2 => {
+            const key = this.pairKey(link1, link2);
+            const count = counts.get(key) || 0;
+            let reason: DisabledCollisionReason | null = null;
+            if (adjacent.has(key)) reason = 'Adjacent';
+            else if (defaults.has(key)) reason = 'Default';
+            else if (samples > 0 && count >= samples * alwaysRatio) reason = 'Always';
+            else if (count === 0) reason = 'Never';
+
+            if (reason) entries.push({ link1, link2, reason });
+            else enabledPairs++;
+        }));
+
+        return { entries, enabledPairs };
+    }
+
+    /**
+     * Sweep joint values within their limits and suggest the disabled-collisions list
+     * The current pose is the default pose and is restored before every yield, so the displayed model does not move
+     * @param {UnifiedRobotModel} model
+     * @param {CollisionBody[]} bodies
+     * @param {number} count - Number of sampled poses
+     * @param {Object} options - { ignoreLimits, padding, random, onProgress(fraction), isCancelled() }
+     * @returns {Promise<CollisionSweepResult|null>} null when the run was cancelled
+     */
+    static async sweep(model, bodies: CollisionBody[], count, options: any = {}): Promise<CollisionSweepResult | null> {
+        const { ignoreLimits = false, padding = 0, random = Math.random, onProgress = null, isCancelled = null } = options;
+        const links = [...new Set(bodies.map(body => body.link))];
+        const adjacent = this.getAdjacentPairs(model, new Set(links));
+        const joints = [...model.joints.values()].filter(joint => SWEEP_JOINT_TYPES.includes(joint.type) && !joint.mimic);
+        const ranges = WorkspaceSampler.getSampleRanges(joints, ignoreLimits);
+        const saved = joints.map(joint => joint.currentValue || 0);
+        const restore = () => joints.forEach((joint, i) => ModelLoaderFactory.setJointAngle(model, joint.name, saved[i], true));
+
+        model.threeObject?.updateMatrixWorld(true);
+        const shapes = this.getShapes(bodies);
+        const defaults = new Set(this.findCollisions(shapes, adjacent, padding).map(([a, b]) => this.pairKey(a, b)));
+        const excluded = new Set([...adjacent, ...defaults]);
+        const counts = new Map<string, number>();
+
+        try {
+            for (let s = 0; s < count; s++) {
+                joints.forEach((joint, i) => {
+                    const [lower, upper] = ranges[i];
+                    ModelLoaderFactory.setJointAngle(model, joint.name, lower + (upper - lower) * random(), true);
+                });
+                this.findCollisions(shapes, excluded, padding).forEach(([a, b]) => {
+                    const key = this.pairKey(a, b);
+                    counts.set(key, (counts.get(key) || 0) + 1);
+                });
+
+                if ((s + 1) % POSES_PER_CHUNK === 0 && s + 1 < count) {
+                    restore();
+                    if (onProgress) onProgress((s + 1) / count);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (isCancelled && isCancelled()) return null;
+                }
+            }
+        } finally {
+            restore();
+        }
+
+        return { samples: count, ...this.classifyPairs(links, adjacent, defaults, counts, count) };
+    }
+}
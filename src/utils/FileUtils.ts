@@ -67,6 +67,8 @@ export function getFileTypeFromExtension(ext) {
         'urdf': 'urdf',
         'xacro': 'xacro',
         'xml': 'mjcf',
+        'sdf': 'sdf',
+        'world': 'sdf',
         'usd': 'usd',
         'usda': 'usd',
         'usdc': 'usd',
@@ -79,7 +81,7 @@ export function getFileTypeFromExtension(ext) {
  * Get file display type
  */
 export function getFileDisplayType(ext, fileName) {
-    const modelExts = ['urdf', 'xacro', 'xml', 'usd', 'usda', 'usdc', 'usdz'];
+    const modelExts = ['urdf', 'xacro', 'xml', 'sdf', 'world', 'usd', 'usda', 'usdc', 'usdz'];
     const meshExts = ['dae', 'stl', 'obj', 'collada'];
 
     if (modelExts.includes(ext)) {
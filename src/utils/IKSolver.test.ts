@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { IKSolver } from './IKSolver.js';
+import { UnifiedRobotModel, Link, Joint, JointMimic } from '../models/UnifiedRobotModel.js';
+
+function addJoint(model, name, type, parent, child) {
+    const joint = new Joint(name, type);
+    joint.parent = parent;
+    joint.child = child;
+    model.addJoint(joint);
+    return joint;
+}
+
+describe('IKSolver', () => {
+    it('should collect the movable chain from the root, skipping fixed and mimic joints', () => {
+        const model = new UnifiedRobotModel();
+        ['base', 'upper', 'lower', 'flange', 'finger', 'tool'].forEach(name => model.addLink(new Link(name)));
+        addJoint(model, 'shoulder', 'revolute', 'base', 'upper');
+        addJoint(model, 'slide', 'prismatic', 'upper', 'lower');
+        addJoint(model, 'mount', 'fixed', 'lower', 'flange');
+        addJoint(model, 'grip', 'revolute', 'flange', 'finger').mimic = new JointMimic('shoulder');
+        // MJCF bodies without a joint hang off their parent body
+        model.getLink('tool').userData.parentName = 'finger';
+
+        expect(IKSolver.getChain(model, 'tool').map(joint => joint.name)).toEqual(['shoulder', 'slide']);
+        expect(IKSolver.getChain(model, 'base')).toEqual([]);
+    });
+
+    it('should take damped least squares steps', () => {
+        // Square, well-conditioned Jacobian: without damping the step is the exact inverse
+        const step = IKSolver.dampedLeastSquares([[2, 0], [0, 4]], [1, 2], 0);
+        expect(step[0]).toBeCloseTo(0.5, 12);
+        expect(step[1]).toBeCloseTo(0.5, 12);
+
+        // Redundant 1x2 task: minimum norm solution, shrunk by damping
+        const redundant = IKSolver.dampedLeastSquares([[1, 1]], [2], 0);
+        expect(redundant[0]).toBeCloseTo(1, 12);
+        expect(redundant[1]).toBeCloseTo(1, 12);
+        const damped = IKSolver.dampedLeastSquares([[1, 1]], [2], 1);
+        expect(damped[0]).toBeCloseTo(2 / 3, 12);
+
+        // Singular Jacobian stays finite
+        expect(IKSolver.dampedLeastSquares([[1, 0], [1, 0]], [1, 1], 0.1).every(Number.isFinite)).toBe(true);
+    });
+
+    it('should measure velocity manipulability over the reachable directions', () => {
+        // Two joints moving the tool along x (2 m/s per rad/s) and y (1 m/s per rad/s)
+        const result = IKSolver.manipulability([[2, 0], [0, 1], [0, 0], [0, 0], [0, 0], [1, 1]]);
+        expect(result.radii[0]).toBeCloseTo(2, 12);
+        expect(result.radii[1]).toBeCloseTo(1, 12);
+        expect(result.radii[2]).toBeCloseTo(0, 12);
+        expect(Math.abs(result.axes[0][0])).toBeCloseTo(1, 12);
+        expect(Math.abs(result.axes[1][1])).toBeCloseTo(1, 12);
+        expect(result.measure).toBeCloseTo(2, 12);
+        expect(result.condition).toBeCloseTo(2, 12);
+        expect(result.nearSingular).toBe(false);
+
+        // Coupled joints: the longest axis lies between x and y
+        const coupled = IKSolver.manipulability([[1, 0], [1, 1], [0, 0]]);
+        const golden = (1 + Math.sqrt(5)) / 2;
+        const expected = [1, golden, 0].map(value => value / Math.hypot(1, golden));
+        expect(Math.abs(coupled.axes[0].reduce((sum, value, i) => sum + value * expected[i], 0))).toBeCloseTo(1, 9);
+
+        // Stretched planar arm: both joints move the tool the same way
+        const stretched = IKSolver.manipulability([[0, 0], [2, 1], [0, 0]]);
+        expect(stretched.condition).toBe(Infinity);
+        expect(stretched.measure).toBeCloseTo(0, 12);
+        expect(stretched.nearSingular).toBe(true);
+    });
+});
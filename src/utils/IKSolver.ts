@@ -0,0 +1,264 @@
+import * as THREE from 'three';
+import { ModelLoaderFactory } from '../loaders/ModelLoaderFactory.js';
+import { MathUtils } from './MathUtils.js';
+
+/**
+ * Inverse kinematics solver
+ * Damped least squares over the single-DOF joints between the root and an end effector link,
+ * with the geometric Jacobian read from the posed Three.js scene graph (world frame).
+ * The Jacobian and its velocity manipulability are also used on their own for singularity display.
+ */
+
+// Joints the solver moves; mimic followers move with their leader instead
+const IK_JOINT_TYPES = ['revolute', 'continuous', 'prismatic'];
+// Largest position error (m) corrected in one iteration, keeps steps inside the linear range
+const MAX_POSITION_STEP = 0.1;
+// Inverse condition number below which a pose counts as near singular
+const SINGULARITY_THRESHOLD = 0.1;
+
+export interface IKOptions {
+    orientation?: boolean;
+    ignoreLimits?: boolean;
+    iterations?: number;
+    damping?: number;
+    tolerance?: number;
+}
+
+export interface IKResult {
+    positionError: number;
+    orientationError: number;
+    iterations: number;
+    joints: any[];
+}
+
+export class IKSolver {
+    /**
+     * Movable joints from the root down to a link, root first
+     * Bodies nested without a joint (MJCF) are walked through their parent body
+     * @param {UnifiedRobotModel} model
+     * @param {string} linkName - End effector link
+     * @returns {Joint[]}
+     */
+    static getChain(model, linkName) {
+        const chain = [];
+        const visited = new Set<string>();
+        let current = linkName;
+
+        while (current && !visited.has(current)) {
+            visited.add(current);
+            const parentJoints = [...model.joints.values()].filter(joint => joint.child === current);
+            if (parentJoints.length === 0) {
+                current = model.getLink(current)?.userData?.parentName || null;
+                continue;
+            }
+            // An MJCF body may carry several joints; they all move it
+            chain.unshift(...parentJoints.filter(joint => IK_JOINT_TYPES.includes(joint.type) && !joint.mimic));
+            current = parentJoints[0].parent;
+        }
+
+        return chain;
+    }
+
+    /**
+     * Links that can serve as end effector (movable joints above them), with a leaf link as default
+     * @returns {{names: string[], preferred: string|null}}
+     */
+    static getEndEffectors(model) {
+        const names = model?.links ? [...model.links.keys()].filter(name => this.getChain(model, name).length > 0) : [];
+        const parents = new Set([...(model?.joints?.values() || [])].map(joint => joint.parent));
+        return {
+            names,
+            preferred: names.filter(name => !parents.has(name)).pop() || names[names.length - 1] || null
+        };
+    }
+
+    /**
+     * Geometric Jacobian of a link at the current joint values (world frame)
+     * @param {UnifiedRobotModel} model
+     * @param {string} linkName - End effector link
+     * @returns {{rows: number[][], joints: Joint[], position: THREE.Vector3}|null} rows are
+     *   [vx, vy, vz, ωx, ωy, ωz] by joint column, null when the link has no movable joints
+     */
+    static computeJacobian(model, linkName) {
+        const link = model.getLink(linkName);
+        const joints = this.getChain(model, linkName).filter(joint => joint.threeObject);
+        if (!link?.threeObject || joints.length === 0) return null;
+
+        link.threeObject.updateWorldMatrix(true, false);
+        const position = new THREE.Vector3().setFromMatrixPosition(link.threeObject.matrixWorld);
+        return { rows: this.jacobianRows(joints, position), joints, position };
+    }
+
+    /**
+     * Jacobian rows for joints whose world matrices are current
+     * Columns: revolute [a × (p_e - p_j); a], prismatic [a; 0]
+     */
+    static jacobianRows(joints, endPosition) {
+        const axis = new THREE.Vector3();
+        const jointPosition = new THREE.Vector3();
+        const lever = new THREE.Vector3();
+
+        const columns = joints.map(joint => {
+            const object = joint.threeObject;
+            const localAxis = object.axis || new THREE.Vector3(...(joint.axis?.xyz || [1, 0, 0]));
+            axis.copy(localAxis).transformDirection(object.matrixWorld);
+            if (joint.type === 'prismatic') {
+                return [axis.x, axis.y, axis.z, 0, 0, 0];
+            }
+            jointPosition.setFromMatrixPosition(object.matrixWorld);
+            lever.subVectors(endPosition, jointPosition).crossVectors(axis, lever);
+            return [lever.x, lever.y, lever.z, axis.x, axis.y, axis.z];
+        });
+        return [0, 1, 2, 3, 4, 5].map(row => columns.map(column => column[row]));
+    }
+
+    /**
+     * Velocity manipulability of the translational Jacobian J_v (first three rows)
+     * The ellipsoid {J_v q̇ : |q̇| ≤ 1} has the singular values of J_v as semi-axes
+     * @param {number[][]} rows - Jacobian rows (at least the three linear ones)
+     * @returns {{radii: number[], axes: number[][], measure: number, condition: number, nearSingular: boolean}}
+     *   radii descending with their unit axes; measure is Yoshikawa's √det(J_v J_vᵀ) over the reachable
+     *   directions, condition is σmax / σmin over them (Infinity at a singularity)
+     */
+    static manipulability(rows) {
+        const linear = rows.slice(0, 3);
+        const columns = linear[0].length;
+        const product = linear.map(a => linear.map(b => a.reduce((sum, value, k) => sum + value * b[k], 0)));
+        const { eigenvalues, eigenvectors } = MathUtils.computeEigenDecomposition3x3({ elements: product.flat() });
+
+        const order = [0, 1, 2].sort((a, b) => eigenvalues[b] - eigenvalues[a]);
+        const radii = order.map(i => Math.sqrt(Math.max(eigenvalues[i], 0)));
+        const axes = order.map(i => eigenvectors[i]);
+
+        // With fewer than three joints only that many directions can ever move
+        const reachable = radii.slice(0, Math.min(3, columns));
+        const smallest = reachable[reachable.length - 1];
+        const condition = smallest > radii[0] * 1e-9 ? radii[0] / smallest : Infinity;
+        return {
+            radii,
+            axes,
+            measure: reachable.reduce((product, radius) => product * radius, 1),
+            condition,
+            nearSingular: 1 / condition < SINGULARITY_THRESHOLD
+        };
+    }
+
+    /**
+     * One damped least squares step: Δθ = Jᵀ (J Jᵀ + λ² I)⁻¹ e
+     * @param {number[][]} jacobian - Rows per task coordinate, columns per joint
+     * @param {number[]} error - Task error
+     * @param {number} damping - λ, trades accuracy for stability near singularities
+     * @returns {number[]} Joint increments
+     */
+    static dampedLeastSquares(jacobian, error, damping) {
+        const rows = jacobian.length;
+        const columns = rows > 0 ? jacobian[0].length : 0;
+        const system = jacobian.map((row, i) => jacobian.map((other, j) => {
+            let sum = i === j ? damping * damping : 0;
+            for (let k = 0; k < columns; k++) sum += row[k] * other[k];
+            return sum;
+        }));
+
+        const y = this.solveLinear(system, error);
+        return Array.from({ length: columns }, (_, k) => jacobian.reduce((sum, row, i) => sum + row[k] * y[i], 0));
+    }
+
+    /**
+     * Solve A x = b by Gaussian elimination with partial pivoting (A is small and positive definite here)
+     */
+    static solveLinear(matrix, vector) {
+        const n = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            if (Math.abs(a[col][col]) < 1e-15) continue;
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            if (Math.abs(a[row][row]) < 1e-15) continue;
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+
+    /**
+     * Move the chain of a link towards a world target pose
+     * Joint values are written through ModelLoaderFactory.setJointAngle, so the scene follows every step
+     * @param {UnifiedRobotModel} model
+     * @param {string} linkName - End effector link
+     * @param {THREE.Vector3} targetPosition - World position
+     * @param {THREE.Quaternion} targetQuaternion - World orientation (used when options.orientation is set)
+     * @param {IKOptions} options
+     * @returns {IKResult|null} null when the link has no movable joints
+     */
+    static solve(model, linkName, targetPosition, targetQuaternion, options: IKOptions = {}): IKResult | null {
+        const { orientation = true, ignoreLimits = false, iterations = 30, damping = 0.05, tolerance = 1e-4 } = options;
+        const link = model.getLink(linkName);
+        const chain = this.getChain(model, linkName).filter(joint => joint.threeObject);
+        if (!link?.threeObject || chain.length === 0) return null;
+
+        const endPosition = new THREE.Vector3();
+        const endQuaternion = new THREE.Quaternion();
+        const positionError = new THREE.Vector3();
+        const rotationError = new THREE.Quaternion();
+        const orientationError = new THREE.Vector3();
+        const scale = new THREE.Vector3();
+
+        const measure = () => {
+            link.threeObject.updateWorldMatrix(true, false);
+            link.threeObject.matrixWorld.decompose(endPosition, endQuaternion, scale);
+            positionError.subVectors(targetPosition, endPosition);
+
+            // Rotation vector of target * current⁻¹, shortest way round
+            rotationError.copy(targetQuaternion).multiply(endQuaternion.clone().invert());
+            if (rotationError.w < 0) rotationError.set(-rotationError.x, -rotationError.y, -rotationError.z, -rotationError.w);
+            const sinHalf = Math.hypot(rotationError.x, rotationError.y, rotationError.z);
+            const angle = 2 * Math.atan2(sinHalf, rotationError.w);
+            orientationError.set(rotationError.x, rotationError.y, rotationError.z)
+                .multiplyScalar(sinHalf > 1e-12 ? angle / sinHalf : 2);
+        };
+
+        let iteration = 0;
+        measure();
+        for (; iteration < iterations; iteration++) {
+            if (positionError.length() < tolerance && (!orientation || orientationError.length() < tolerance)) break;
+
+            const step = positionError.clone();
+            if (step.length() > MAX_POSITION_STEP) step.setLength(MAX_POSITION_STEP);
+            const error = orientation ? [...step.toArray(), ...orientationError.toArray()] : step.toArray();
+
+            const rows = this.jacobianRows(chain, endPosition);
+            const jacobian = orientation ? rows : rows.slice(0, 3);
+
+            const delta = this.dampedLeastSquares(jacobian, error, damping);
+            chain.forEach((joint, i) => {
+                let value = (joint.currentValue || 0) + delta[i];
+                if (!ignoreLimits && joint.limits && joint.type !== 'continuous') {
+                    value = Math.max(joint.limits.lower, Math.min(joint.limits.upper, value));
+                }
+                ModelLoaderFactory.setJointAngle(model, joint.name, value, ignoreLimits);
+            });
+            measure();
+        }
+
+        return {
+            positionError: positionError.length(),
+            orientationError: orientationError.length(),
+            iterations: iteration,
+            joints: chain
+        };
+    }
+}
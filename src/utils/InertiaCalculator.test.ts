@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { InertiaCalculator } from './InertiaCalculator.js';
+import { UnifiedRobotModel, Link, CollisionGeometry, GeometryType, InertialProperties } from '../models/UnifiedRobotModel.js';
+
+function collision(type, size, xyz = [0, 0, 0], rpy = [0, 0, 0]) {
+    const item = new CollisionGeometry();
+    item.geometry = Object.assign(new GeometryType(type), { size });
+    item.origin = { xyz, rpy };
+    return item;
+}
+
+// Triangle soup of an axis-aligned box, wound outwards (or inwards when flipped)
+function boxTriangles([sx, sy, sz], [cx, cy, cz], flipped = false) {
+    const corner = (i) => [cx + ((i & 1) ? 0.5 : -0.5) * sx, cy + ((i & 2) ? 0.5 : -0.5) * sy, cz + ((i & 4) ? 0.5 : -0.5) * sz];
+    const faces = [[0, 2, 3, 1], [4, 5, 7, 6], [0, 1, 5, 4], [2, 6, 7, 3], [0, 4, 6, 2], [1, 3, 7, 5]];
+    const positions = [];
+    faces.forEach(([a, b, c, d]) => {
+        const triangles = [[a, b, c], [a, c, d]];
+        triangles.forEach(triangle => {
+            (flipped ? [...triangle].reverse() : triangle).forEach(i => positions.push(...corner(i)));
+        });
+    });
+    return positions;
+}
+
+describe('InertiaCalculator', () => {
+    it('should compute primitives in the link frame', () => {
+        const link = new Link('arm');
+        link.collisions.push(collision('box', { x: 0.1, y: 0.2, z: 0.3 }, [0, 0, 0.5]));
+        link.collisions.push(collision('cylinder', { radius: 0.05, height: 0.4 }, [0, 0, -0.5], [Math.PI / 2, 0, 0]));
+
+        const result = InertiaCalculator.computeLink(link, 1000);
+        const boxMass = 1000 * 0.1 * 0.2 * 0.3;
+        const cylinderMass = 1000 * Math.PI * 0.05 ** 2 * 0.4;
+        const mass = boxMass + cylinderMass;
+        const comZ = (boxMass * 0.5 - cylinderMass * 0.5) / mass;
+
+        expect(result.mass).toBeCloseTo(mass, 9);
+        expect(result.com[2]).toBeCloseTo(comZ, 9);
+        // Cylinder axis rotated onto -Y, so its polar moment shows up in iyy
+        const cylinderSide = cylinderMass * (3 * 0.05 ** 2 + 0.4 ** 2) / 12;
+        const cylinderPolar = cylinderMass * 0.05 ** 2 / 2;
+        expect(result.iyy).toBeCloseTo(boxMass * (0.1 ** 2 + 0.3 ** 2) / 12 + cylinderPolar +
+            boxMass * (0.5 - comZ) ** 2 + cylinderMass * (0.5 + comZ) ** 2, 9);
+        expect(result.izz).toBeCloseTo(boxMass * (0.1 ** 2 + 0.2 ** 2) / 12 + cylinderSide, 9);
+        expect(result.ixy).toBeCloseTo(0, 12);
+        expect(result.skipped).toBe(0);
+    });
+
+    it('should integrate closed meshes regardless of winding', () => {
+        const primitive = InertiaCalculator.primitiveSolid(
+            Object.assign(new GeometryType('box'), { size: { x: 0.2, y: 0.4, z: 0.6 } }),
+            { xyz: [0.1, -0.2, 0.3], rpy: [0, 0, 0] }
+        );
+
+        [false, true].forEach(flipped => {
+            const mesh = InertiaCalculator.integrateTriangles(boxTriangles([0.2, 0.4, 0.6], [0.1, -0.2, 0.3], flipped));
+            expect(mesh.volume).toBeCloseTo(primitive.volume, 12);
+            mesh.center.forEach((value, i) => expect(value).toBeCloseTo(primitive.center[i], 12));
+            mesh.tensor.forEach((row, i) => row.forEach((value, j) => expect(value).toBeCloseTo(primitive.tensor[i][j], 12)));
+        });
+
+        // A flat box encloses nothing
+        expect(InertiaCalculator.integrateTriangles(boxTriangles([1, 1, 0], [0, 0, 1]))).toBeNull();
+    });
+
+    it('should compare against the declared inertial in the link frame', () => {
+        const model = new UnifiedRobotModel();
+        model.userData.type = 'urdf';
+        const link = new Link('base');
+        link.collisions.push(collision('box', { x: 0.1, y: 0.2, z: 0.3 }));
+        // Same box declared in an inertial frame rotated 90° about Z, so ixx and iyy swap
+        link.inertial = Object.assign(new InertialProperties(), {
+            mass: 6,
+            origin: { xyz: [0, 0, 0], rpy: [0, 0, Math.PI / 2] },
+            ixx: 6 * (0.1 ** 2 + 0.3 ** 2) / 12,
+            iyy: 6 * (0.2 ** 2 + 0.3 ** 2) / 12,
+            izz: 6 * (0.1 ** 2 + 0.2 ** 2) / 12
+        });
+
+        const computed = InertiaCalculator.computeLink(link, 1000);
+        const difference = InertiaCalculator.compare(InertiaCalculator.declaredInertial(model, link), computed);
+        expect(difference.mass).toBeCloseTo(0, 9);
+        expect(difference.com).toBeCloseTo(0, 9);
+        expect(difference.tensor).toBeCloseTo(0, 9);
+
+        expect(InertiaCalculator.compare(null, computed).mass).toBe(Infinity);
+    });
+});
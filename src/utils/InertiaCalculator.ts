@@ -0,0 +1,314 @@
+import * as THREE from 'three';
+import { rpyToMatrix, getBodyFrameInertia } from './RotationUtils.js';
+
+/**
+ * Inertia calculator
+ * Computes mass, center of mass and inertia tensor of each link from its geometry and a uniform density:
+ * primitives in closed form, meshes by signed tetrahedron volume integration.
+ * Everything is expressed in the link frame of the source file, tensors about the center of mass.
+ */
+
+// Geometry volume below this (m³) counts as empty (flat meshes, zero-size primitives)
+const MIN_VOLUME = 1e-12;
+
+export type InertiaSource = 'collision' | 'visual';
+
+export interface LinkInertial {
+    mass: number;
+    com: number[];
+    ixx: number;
+    iyy: number;
+    izz: number;
+    ixy: number;
+    ixz: number;
+    iyz: number;
+}
+
+export interface ComputedInertial extends LinkInertial {
+    volume: number;
+    // Geometries that could not be integrated (planes, height fields, meshes not loaded)
+    skipped: number;
+}
+
+// Unit density solid: volume, centroid and inertia tensor about the centroid (3x3, link frame)
+interface Solid {
+    volume: number;
+    center: number[];
+    tensor: number[][];
+}
+
+function multiply(a, b) {
+    return a.map((row, i) => b[0].map((_, j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+function transpose(m) {
+    return m[0].map((_, j) => m.map(row => row[j]));
+}
+
+/**
+ * Tensor term of the parallel axis theorem: m (|d|² E - d dᵀ)
+ */
+function steiner(mass, d) {
+    const d2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    return [0, 1, 2].map(i => [0, 1, 2].map(j => mass * ((i === j ? d2 : 0) - d[i] * d[j])));
+}
+
+function addTensor(a, b, sign = 1) {
+    return a.map((row, i) => row.map((value, j) => value + sign * b[i][j]));
+}
+
+function toInertial(mass, com, tensor): LinkInertial {
+    return {
+        mass,
+        com,
+        ixx: tensor[0][0],
+        iyy: tensor[1][1],
+        izz: tensor[2][2],
+        ixy: tensor[0][1],
+        ixz: tensor[0][2],
+        iyz: tensor[1][2]
+    };
+}
+
+export class InertiaCalculator {
+    /**
+     * Compute the inertial of a link from its collision or visual geometry
+     * @param {Link} link - Link with geometry (meshes need their loaded threeObject)
+     * @param {number} density - Uniform density (kg/m³)
+     * @param {InertiaSource} source - Geometry to integrate
+     * @returns {ComputedInertial|null} null when the link has no geometry with volume
+     */
+    static computeLink(link, density, source: InertiaSource = 'collision'): ComputedInertial | null {
+        const geometries = source === 'visual' ? link.visuals : link.collisions;
+        const solids: Solid[] = [];
+        let skipped = 0;
+
+        geometries.forEach(item => {
+            const solid = this.primitiveSolid(item.geometry, item.origin) || this.meshSolid(item, link.threeObject);
+            if (solid) {
+                solids.push(solid);
+            } else {
+                skipped++;
+            }
+        });
+
+        const combined = this.combine(solids);
+        if (!combined) return null;
+
+        const tensor = combined.tensor.map(row => row.map(value => value * density));
+        return {
+            ...toInertial(combined.volume * density, combined.center, tensor),
+            volume: combined.volume,
+            skipped
+        };
+    }
+
+    /**
+     * Closed form solid of a primitive, placed by its origin
+     * Cylinders and capsules are aligned with local Z (MJCF fromto geoms carry their own placement)
+     * @returns {Solid|null} null for meshes and shapes without volume
+     */
+    static primitiveSolid(geometry, origin) {
+        const size = geometry?.size;
+        if (!size) return null;
+
+        let volume = 0;
+        let moments = null;
+        switch (geometry.type) {
+            case 'box': {
+                const { x, y, z } = size;
+                volume = x * y * z;
+                moments = [y * y + z * z, x * x + z * z, x * x + y * y].map(s => volume * s / 12);
+                break;
+            }
+            case 'sphere': {
+                const r = size.radius;
+                volume = 4 / 3 * Math.PI * r ** 3;
+                moments = [1, 1, 1].map(() => 0.4 * volume * r * r);
+                break;
+            }
+            case 'ellipsoid': {
+                const { x, y, z } = size;
+                volume = 4 / 3 * Math.PI * x * y * z;
+                moments = [y * y + z * z, x * x + z * z, x * x + y * y].map(s => volume * s / 5);
+                break;
+            }
+            case 'cylinder': {
+                const { radius: r, height: h } = size;
+                volume = Math.PI * r * r * h;
+                const side = volume * (3 * r * r + h * h) / 12;
+                moments = [side, side, volume * r * r / 2];
+                break;
+            }
+            case 'capsule': {
+                // Cylinder of length h plus two hemispheres whose centroids sit 3r/8 beyond its ends
+                const { radius: r, height: h } = size;
+                const cylinder = Math.PI * r * r * h;
+                const sphere = 4 / 3 * Math.PI * r ** 3;
+                volume = cylinder + sphere;
+                const side = cylinder * (h * h / 12 + r * r / 4) + sphere * (0.4 * r * r + h * h / 4 + 3 * h * r / 8);
+                moments = [side, side, cylinder * r * r / 2 + 0.4 * sphere * r * r];
+                break;
+            }
+            default:
+                return null;
+        }
+        if (!(volume > MIN_VOLUME) || moments.some(m => !Number.isFinite(m))) return null;
+
+        const fromto = geometry.fromto;
+        const xyz = fromto ? fromto.center : (origin?.xyz || [0, 0, 0]);
+        const baseRpy = origin?.rpy || [0, 0, 0];
+        // Same placement as the MJCF loader: fromto rotation plus the geom's own rpy
+        const rpy = fromto ? fromto.rpy.map((value, i) => value + baseRpy[i]) : baseRpy;
+
+        const rotation = rpyToMatrix(rpy);
+        const diagonal = [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? moments[i] : 0)));
+        return {
+            volume,
+            center: [...xyz],
+            tensor: multiply(multiply(rotation, diagonal), transpose(rotation))
+        };
+    }
+
+    /**
+     * Solid of the loaded meshes of a geometry, transformed into the link frame
+     * Each mesh is integrated on its own so inside-out meshes still add their volume
+     */
+    static meshSolid(item, linkObject) {
+        if (!item.threeObject || !linkObject) return null;
+
+        linkObject.updateWorldMatrix(true, true);
+        const toLink = new THREE.Matrix4().copy(linkObject.matrixWorld).invert();
+        const matrix = new THREE.Matrix4();
+        const vertex = new THREE.Vector3();
+        const solids: Solid[] = [];
+
+        item.threeObject.traverse(child => {
+            const position = child.isMesh ? child.geometry?.attributes?.position : null;
+            if (!position) return;
+
+            matrix.multiplyMatrices(toLink, child.matrixWorld);
+            const index = child.geometry.index;
+            const count = index ? index.count : position.count;
+            const positions = new Float64Array(count * 3);
+            for (let i = 0; i < count; i++) {
+                vertex.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(matrix);
+                positions[i * 3] = vertex.x;
+                positions[i * 3 + 1] = vertex.y;
+                positions[i * 3 + 2] = vertex.z;
+            }
+
+            const solid = this.integrateTriangles(positions);
+            if (solid) solids.push(solid);
+        });
+
+        return this.combine(solids);
+    }
+
+    /**
+     * Volume integration over a closed triangle soup, one signed tetrahedron per triangle
+     * @param {ArrayLike<number>} positions - Triangle vertices (x, y, z per vertex, three vertices per triangle)
+     * @returns {Solid|null} null for meshes without volume (flat or degenerate)
+     */
+    static integrateTriangles(positions) {
+        let volume = 0;
+        const first = [0, 0, 0];
+        // Second moments ∫ xi xj dV
+        const second = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+        for (let t = 0; t + 8 < positions.length; t += 9) {
+            const a = [positions[t], positions[t + 1], positions[t + 2]];
+            const b = [positions[t + 3], positions[t + 4], positions[t + 5]];
+            const c = [positions[t + 6], positions[t + 7], positions[t + 8]];
+
+            const v = (a[0] * (b[1] * c[2] - b[2] * c[1])
+                - a[1] * (b[0] * c[2] - b[2] * c[0])
+                + a[2] * (b[0] * c[1] - b[1] * c[0])) / 6;
+            if (v === 0) continue;
+
+            const sum = [a[0] + b[0] + c[0], a[1] + b[1] + c[1], a[2] + b[2] + c[2]];
+            volume += v;
+            for (let i = 0; i < 3; i++) {
+                first[i] += v * sum[i] / 4;
+                for (let j = i; j < 3; j++) {
+                    const value = v / 20 * (a[i] * a[j] + b[i] * b[j] + c[i] * c[j] + sum[i] * sum[j]);
+                    second[i][j] += value;
+                    if (j !== i) second[j][i] += value;
+                }
+            }
+        }
+
+        // Clockwise winding yields the same solid with a negative sign
+        const sign = volume < 0 ? -1 : 1;
+        volume *= sign;
+        if (!(volume > MIN_VOLUME)) return null;
+
+        const center = first.map(value => sign * value / volume);
+        const trace = sign * (second[0][0] + second[1][1] + second[2][2]);
+        const aboutOrigin = second.map((row, i) => row.map((value, j) => (i === j ? trace : 0) - sign * value));
+
+        return {
+            volume,
+            center,
+            tensor: addTensor(aboutOrigin, steiner(volume, center), -1)
+        };
+    }
+
+    /**
+     * Combine solids into one, tensor about the common centroid
+     */
+    static combine(solids: Solid[]): Solid | null {
+        const volume = solids.reduce((sum, solid) => sum + solid.volume, 0);
+        if (!(volume > MIN_VOLUME)) return null;
+
+        const center = [0, 1, 2].map(i => solids.reduce((sum, solid) => sum + solid.volume * solid.center[i], 0) / volume);
+        let tensor = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        solids.forEach(solid => {
+            const offset = solid.center.map((value, i) => value - center[i]);
+            tensor = addTensor(addTensor(tensor, solid.tensor), steiner(solid.volume, offset));
+        });
+
+        return { volume, center, tensor };
+    }
+
+    /**
+     * Declared inertial of a link in the same frame as the computed one
+     * (link frame axes, tensor about the center of mass)
+     * @returns {LinkInertial|null}
+     */
+    static declaredInertial(model, link): LinkInertial | null {
+        if (!link.inertial) return null;
+
+        const body = getBodyFrameInertia(model, link.inertial);
+        const rotation = rpyToMatrix(body.rpy);
+        const tensor = [
+            [body.ixx, body.ixy, body.ixz],
+            [body.ixy, body.iyy, body.iyz],
+            [body.ixz, body.iyz, body.izz]
+        ];
+        return toInertial(body.mass, body.xyz, multiply(multiply(rotation, tensor), transpose(rotation)));
+    }
+
+    /**
+     * Relative differences between a declared and a computed inertial
+     * @returns {{mass: number, com: number, tensor: number}} Mass and tensor relative to the computed values,
+     *   COM offset in meters
+     */
+    static compare(declared: LinkInertial | null, computed: LinkInertial) {
+        if (!declared) {
+            return { mass: Infinity, com: Infinity, tensor: Infinity };
+        }
+
+        const keys = ['ixx', 'iyy', 'izz', 'ixy', 'ixz', 'iyz'];
+        // Off-diagonal terms appear twice in the tensor
+        const norm = (inertial) => Math.sqrt(keys.reduce((sum, key, i) => sum + (i < 3 ? 1 : 2) * inertial[key] ** 2, 0));
+        const difference = {};
+        keys.forEach(key => { difference[key] = declared[key] - computed[key]; });
+
+        return {
+            mass: Math.abs(declared.mass - computed.mass) / computed.mass,
+            com: Math.hypot(...declared.com.map((value, i) => value - computed.com[i])),
+            tensor: norm(difference) / (norm(computed) || 1)
+        };
+    }
+}
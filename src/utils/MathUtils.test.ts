@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { MathUtils } from './MathUtils.js';
+
+describe('MathUtils', () => {
+    it('should build a counter-clockwise convex hull without interior or collinear points', () => {
+        const hull = MathUtils.convexHull2D([[0, 0], [1, 0], [2, 0], [2, 2], [1, 1], [0, 2], [0, 1]]);
+        expect(hull).toEqual([[0, 0], [2, 0], [2, 2], [0, 2]]);
+        expect(MathUtils.convexHull2D([[1, 1], [0, 0]])).toEqual([[0, 0], [1, 1]]);
+    });
+
+    it('should measure the signed margin to a support polygon', () => {
+        const square = MathUtils.convexHull2D([[0, 0], [2, 0], [2, 2], [0, 2]]);
+        expect(MathUtils.polygonMargin([1, 0.5], square)).toBeCloseTo(0.5, 12);
+        expect(MathUtils.polygonMargin([3, 1], square)).toBeCloseTo(-1, 12);
+        // A single foot line: never inside, distance to the segment
+        expect(MathUtils.polygonMargin([1, 1], [[0, 0], [2, 0]])).toBeCloseTo(-1, 12);
+        expect(MathUtils.polygonMargin([0, 0], [])).toBe(-Infinity);
+    });
+});
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { JointPose } from '../models/UnifiedRobotModel.js';
 
 /**
  * Math utilities class
@@ -53,7 +54,8 @@ export class MathUtils {
             }
 
             const tau = (aqq - app) / (2 * apq);
-            const t = Math.sign(tau) / (Math.abs(tau) + Math.sqrt(1 + tau * tau));
+            // sign(0) must be 1, otherwise equal diagonal entries never rotate
+            const t = (tau >= 0 ? 1 : -1) / (Math.abs(tau) + Math.sqrt(1 + tau * tau));
             const c = 1 / Math.sqrt(1 + t * t);
             const s = t * c;
 
@@ -389,5 +391,90 @@ export class MathUtils {
         }
         return new THREE.Vector3(xyz[0], xyz[1], xyz[2]);
     }
-}
 
+    /**
+     * Convert a multi-DOF joint pose to the transform it applies in the parent frame
+     * Planar joints translate in the parent XY plane and rotate about the joint axis, like urdf-loader
+     * @returns {{position: THREE.Vector3, quaternion: THREE.Quaternion}}
+     */
+    static jointPoseToTransform(joint, pose) {
+        const position = new THREE.Vector3(...pose.xyz);
+        const quaternion = new THREE.Quaternion();
+        if (joint.type === 'planar') {
+            position.z = 0;
+            quaternion.setFromAxisAngle(new THREE.Vector3(...joint.axis.xyz).normalize(), pose.rpy[2]);
+        } else {
+            // URDF rpy is fixed-axis XYZ, i.e. Three.js 'ZYX'
+            quaternion.setFromEuler(new THREE.Euler(pose.rpy[0], pose.rpy[1], pose.rpy[2], 'ZYX'));
+        }
+        return { position, quaternion };
+    }
+
+    /**
+     * Recover a multi-DOF joint pose from an object's transform and its transform at zero pose
+     * Planar joints keep only the in-plane translation and the rotation about the joint axis
+     */
+    static transformToJointPose(joint, position, quaternion, initialPosition, initialQuaternion) {
+        const poseQuat = quaternion.clone().multiply(initialQuaternion.clone().invert());
+        const poseXyz = position.clone().sub(initialPosition.clone().applyQuaternion(poseQuat));
+
+        if (joint.type === 'planar') {
+            const axis = new THREE.Vector3(...joint.axis.xyz).normalize();
+            const angle = 2 * Math.atan2(axis.dot(new THREE.Vector3(poseQuat.x, poseQuat.y, poseQuat.z)), poseQuat.w);
+            return new JointPose([poseXyz.x, poseXyz.y, 0], [0, 0, angle]);
+        }
+
+        const euler = new THREE.Euler().setFromQuaternion(poseQuat, 'ZYX');
+        return new JointPose([poseXyz.x, poseXyz.y, poseXyz.z], [euler.x, euler.y, euler.z]);
+    }
+
+    /**
+     * Convex hull of 2D points (monotone chain), counter-clockwise without collinear points
+     * @param {number[][]} points - [x, y] pairs
+     * @returns {number[][]} Hull vertices
+     */
+    static convexHull2D(points) {
+        const sorted = [...points].sort((a, b) => (a[0] - b[0]) || (a[1] - b[1]));
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const half = (list) => {
+            const chain = [];
+            list.forEach(point => {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+                    chain.pop();
+                }
+                chain.push(point);
+            });
+            chain.pop();
+            return chain;
+        };
+
+        return [...half(sorted), ...half([...sorted].reverse())];
+    }
+
+    /**
+     * Signed distance from a point to the boundary of a convex polygon
+     * @param {number[]} point - [x, y]
+     * @param {number[][]} polygon - Counter-clockwise vertices (fewer than 3 is a point or segment)
+     * @returns {number} Positive inside, negative outside, -Infinity for an empty polygon
+     */
+    static polygonMargin(point, polygon) {
+        if (polygon.length === 0) return -Infinity;
+
+        const [px, py] = point;
+        let distance = Infinity;
+        let inside = polygon.length >= 3;
+        polygon.forEach((a, i) => {
+            const b = polygon[(i + 1) % polygon.length];
+            const dx = b[0] - a[0];
+            const dy = b[1] - a[1];
+            const lengthSq = dx * dx + dy * dy;
+            const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((px - a[0]) * dx + (py - a[1]) * dy) / lengthSq)) : 0;
+            distance = Math.min(distance, Math.hypot(px - a[0] - t * dx, py - a[1] - t * dy));
+            if (dx * (py - a[1]) - dy * (px - a[0]) < 0) inside = false;
+        });
+
+        return inside ? distance : -distance;
+    }
+}
@@ -3,6 +3,7 @@
  * Unified management of STL, OBJ, DAE, GLTF and other format loading
  */
 import * as THREE from 'three';
+import { LoadDiagnostics } from '../loaders/LoadDiagnostics.js';
 
 // Cache loaders for performance
 let loadersCache = null;
@@ -44,6 +45,61 @@ function normalizePath(path) {
     return path.replace(/\\/g, '/').replace(/^\/+/, '').replace(/\/+/g, '/');
 }
 
+/**
+ * Find a file in the file map by path, tolerating leading slashes,
+ * missing directories and case differences
+ * @param {string} filePath - Referenced file path
+ * @param {Map} fileMap - File map
+ * @returns {File|null}
+ */
+export function findFileInMap(filePath, fileMap) {
+    const normalizedPath = normalizePath(filePath);
+    const fileNameOnly = normalizedPath.split('/').pop();
+    const baseName = fileNameOnly.split('.').slice(0, -1).join('.') || fileNameOnly;
+
+    // Try multiple path formats to find file
+    const tryPaths = [
+        filePath,
+        normalizedPath,
+        '/' + normalizedPath,
+        fileNameOnly,
+        baseName
+    ];
+
+    for (const tryPath of tryPaths) {
+        if (fileMap.has(tryPath)) {
+            if (normalizePath(tryPath) !== normalizedPath) {
+                LoadDiagnostics.record('warning', 'fallbackMatch', `${filePath} matched ${tryPath} by file name only`, { reference: filePath, target: tryPath });
+            }
+            return fileMap.get(tryPath);
+        }
+    }
+
+    // Case-insensitive fuzzy matching
+    const searchNameLower = fileNameOnly.toLowerCase();
+    const baseNameLower = baseName.toLowerCase();
+
+    for (const [key, value] of fileMap.entries()) {
+        const keyNormalized = normalizePath(key);
+        const keyLower = keyNormalized.toLowerCase();
+        const keyFileName = keyNormalized.split('/').pop().toLowerCase();
+        const keyBaseName = keyFileName.split('.').slice(0, -1).join('.') || keyFileName;
+
+        if (keyLower === searchNameLower ||
+            keyFileName === searchNameLower ||
+            keyBaseName === baseNameLower ||
+            keyLower.endsWith('/' + searchNameLower)) {
+            // Paths relative to the model folder end with the reference; anything else is a guess
+            if (!keyNormalized.endsWith(normalizedPath)) {
+                LoadDiagnostics.record('warning', 'fallbackMatch', `${filePath} matched ${key} by file name only`, { reference: filePath, target: key });
+            }
+            return value;
+        }
+    }
+
+    return null;
+}
+
 /**
  * Load single mesh file
  * @param {string} meshPath - Mesh file path
@@ -53,50 +109,7 @@ function normalizePath(path) {
 export async function loadMeshFile(meshPath, fileMap) {
     try {
         const normalizedPath = normalizePath(meshPath);
-        const fileNameOnly = normalizedPath.split('/').pop();
-        const baseName = fileNameOnly.split('.').slice(0, -1).join('.') || fileNameOnly;
-
-        let file = null;
-        let foundKey = null;
-
-        // Try multiple path formats to find file
-        const tryPaths = [
-            meshPath,
-            normalizedPath,
-            '/' + normalizedPath,
-            fileNameOnly,
-            baseName
-        ];
-
-        for (const tryPath of tryPaths) {
-            if (fileMap.has(tryPath)) {
-                file = fileMap.get(tryPath);
-                foundKey = tryPath;
-                break;
-            }
-        }
-
-        // Case-insensitive fuzzy matching
-        if (!file) {
-            const searchNameLower = fileNameOnly.toLowerCase();
-            const baseNameLower = baseName.toLowerCase();
-
-            for (const [key, value] of fileMap.entries()) {
-                const keyNormalized = normalizePath(key);
-                const keyLower = keyNormalized.toLowerCase();
-                const keyFileName = keyNormalized.split('/').pop().toLowerCase();
-                const keyBaseName = keyFileName.split('.').slice(0, -1).join('.') || keyFileName;
-
-                if (keyLower === searchNameLower ||
-                    keyFileName === searchNameLower ||
-                    keyBaseName === baseNameLower ||
-                    keyLower.endsWith('/' + searchNameLower)) {
-                    file = value;
-                    foundKey = key;
-                    break;
-                }
-            }
-        }
+        let file = findFileInMap(meshPath, fileMap);
 
         // Try adding extensions
         if (!file && !normalizedPath.includes('.')) {
@@ -105,14 +118,13 @@ export async function loadMeshFile(meshPath, fileMap) {
                 const pathWithExt = normalizedPath + ext;
                 if (fileMap.has(pathWithExt)) {
                     file = fileMap.get(pathWithExt);
-                    foundKey = pathWithExt;
                     break;
                 }
             }
         }
 
         if (!file) {
-            console.error(`Cannot find mesh file: ${meshPath}`);
+            LoadDiagnostics.error('missingFile', `Cannot find mesh file: ${meshPath}`, { reference: meshPath });
             return null;
         }
 
@@ -175,7 +187,7 @@ export async function loadMeshFile(meshPath, fileMap) {
                     break;
 
                 default:
-                    console.warn(`Unsupported mesh file format: ${fileExt}`);
+                    LoadDiagnostics.warn('ignoredElement', `Unsupported mesh file format: ${fileExt}`, { reference: meshPath });
                     URL.revokeObjectURL(url);
                     return null;
             }
@@ -191,7 +203,7 @@ export async function loadMeshFile(meshPath, fileMap) {
             return geometry;
         } catch (error) {
             URL.revokeObjectURL(url);
-            console.error(`Failed to load mesh file: ${meshPath}`, error);
+            LoadDiagnostics.error('parseWarning', `Failed to load mesh file: ${meshPath}`, { reference: meshPath, cause: error });
             return null;
         }
     } catch (error) {
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { ModelLinter } from './ModelLinter.js';
+import { UnifiedRobotModel, Link, Joint, JointLimits, InertialProperties } from '../models/UnifiedRobotModel.js';
+
+function inertial(mass, ixx, iyy, izz, ixy = 0, ixz = 0, iyz = 0) {
+    return Object.assign(new InertialProperties(), { mass, ixx, iyy, izz, ixy, ixz, iyz });
+}
+
+function joint(name, parent, child, type = 'revolute') {
+    return Object.assign(new Joint(name, type), { parent, child });
+}
+
+function buildModel() {
+    const model = new UnifiedRobotModel();
+    ['base', 'upper', 'lower'].forEach(name => model.addLink(new Link(name)));
+    model.rootLink = 'base';
+    model.addJoint(joint('shoulder', 'base', 'upper'));
+    model.addJoint(joint('elbow', 'upper', 'lower'));
+    return model;
+}
+
+describe('ModelLinter', () => {
+    it('should accept a consistent model', () => {
+        const model = buildModel();
+        model.getLink('upper').inertial = inertial(2, 0.02, 0.03, 0.04, 0.001);
+        expect(ModelLinter.lint(model)).toEqual([]);
+    });
+
+    it('should flag bad inertials, limits, axes and connectivity', () => {
+        const model = buildModel();
+        model.getLink('base').inertial = inertial(-1, 0.1, 0.1, 0.1);
+        // Principal moments 0.01, 0.01, 0.05 break a + b >= c
+        model.getLink('upper').inertial = inertial(1, 0.01, 0.01, 0.05);
+        // Off-diagonal term makes the tensor indefinite
+        model.getLink('lower').inertial = inertial(1, 0.01, 0.01, 0.01, 0.02);
+
+        const elbow = model.getJoint('elbow');
+        elbow.limits = Object.assign(new JointLimits(), { lower: 1, upper: -1 });
+        elbow.axis = { xyz: [0, 0, 0] };
+
+        model.addLink(new Link('loose'));
+        model.addJoint(joint('dangling', 'lower', 'missing', 'fixed'));
+
+        const found = ModelLinter.lint(model).map(issue => `${issue.severity} ${issue.rule} ${issue.name}`);
+        expect(found).toEqual([
+            'error nonPositiveMass base',
+            'error inertiaTriangleInequality upper',
+            'error inertiaNotPositiveDefinite lower',
+            'error invertedLimits elbow',
+            'error zeroAxis elbow',
+            'error missingJointLink dangling',
+            'warning disconnectedLink loose'
+        ]);
+    });
+
+    it('should find names declared twice in the source', () => {
+        const source = `<robot name="r">
+  <link name="base"/>
+  <link name="arm"/>
+  <link name="arm"/>
+  <joint name="j" type="fixed"><parent link="base"/><child link="arm"/></joint>
+  <transmission name="t"><joint name="j"/></transmission>
+</robot>`;
+        const issues = ModelLinter.lint(buildModel(), source).filter(issue => issue.rule === 'duplicateName');
+        expect(issues).toEqual([{ rule: 'duplicateName', severity: 'error', kind: 'link', name: 'arm', detail: '× 2' }]);
+    });
+});
@@ -0,0 +1,255 @@
+import * as THREE from 'three';
+import { MathUtils } from './MathUtils.js';
+
+/**
+ * Model linter
+ * Flags physically implausible or inconsistent models: bad inertia tensors and masses,
+ * inverted limits, zero joint axes, dangling joints, disconnected links, duplicate names
+ * and collision geometry that does not overlap the visual geometry
+ */
+
+// Masses outside this range (kg) are almost always unit or typing mistakes
+const MIN_PLAUSIBLE_MASS = 1e-6;
+const MAX_PLAUSIBLE_MASS = 1e4;
+// Relative tolerance for inertia checks, so round-off in exported files is not flagged
+const INERTIA_TOLERANCE = 1e-6;
+// Collision may stick out of the visual box by this fraction of its diagonal (at least the minimum, m)
+const COLLISION_OFFSET_RATIO = 0.25;
+const COLLISION_OFFSET_MIN = 0.02;
+
+// Joint types without an axis
+const AXISLESS_JOINT_TYPES = ['fixed', 'floating', 'free', 'ball'];
+
+// Element selectors per root tag, for names that the model maps would silently merge
+const NAMED_ELEMENTS = {
+    robot: { link: 'robot > link', joint: 'robot > joint' },
+    mujoco: { link: 'worldbody body', joint: 'worldbody joint' },
+    sdf: { link: 'model > link', joint: 'model > joint' }
+};
+
+export interface LintIssue {
+    rule: string;
+    severity: 'error' | 'warning';
+    kind: 'link' | 'joint';
+    name: string;
+    detail: string;
+}
+
+function format(value) {
+    return Number.isFinite(value) ? Number(value.toPrecision(4)).toString() : String(value);
+}
+
+export class ModelLinter {
+    /**
+     * Run every check over a model
+     * @param {UnifiedRobotModel} model - Model to check
+     * @param {string} source - Model XML (expanded URDF for xacro), used to find duplicate names (optional)
+     * @returns {LintIssue[]} Errors first, then warnings
+     */
+    static lint(model, source = null) {
+        const issues: LintIssue[] = [];
+        if (!model?.links) return issues;
+
+        model.links.forEach(link => this.checkInertial(link, issues));
+        model.joints.forEach(joint => this.checkJoint(joint, model, issues));
+        this.checkConnectivity(model, issues);
+        if (typeof source === 'string') {
+            this.checkDuplicateNames(source, issues);
+        }
+        model.links.forEach(link => this.checkCollisionOffset(link, issues));
+
+        return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    }
+
+    /**
+     * Mass range, positive definite inertia and the triangle inequality of principal moments
+     */
+    static checkInertial(link, issues) {
+        const inertial = link.inertial;
+        if (!inertial) return;
+
+        const add = (rule, severity, detail) => issues.push({ rule, severity, kind: 'link', name: link.name, detail });
+
+        if (inertial.mass < 0) {
+            add('nonPositiveMass', 'error', `mass = ${format(inertial.mass)}`);
+        } else if (inertial.mass === 0) {
+            add('nonPositiveMass', 'warning', 'mass = 0');
+        } else if (inertial.mass < MIN_PLAUSIBLE_MASS || inertial.mass > MAX_PLAUSIBLE_MASS) {
+            add('implausibleMass', 'warning', `mass = ${format(inertial.mass)} kg`);
+        }
+
+        const moments = this.principalMoments(inertial);
+        if (!moments) return;
+
+        const scale = Math.max(...moments.map(Math.abs));
+        const tolerance = scale * INERTIA_TOLERANCE;
+        const detail = `λ = ${moments.map(format).join(', ')}`;
+
+        if (moments.some(m => m <= tolerance)) {
+            // An all-zero tensor is a massless placeholder, not a broken one
+            if (scale > 0 || inertial.mass > 0) {
+                add('inertiaNotPositiveDefinite', 'error', detail);
+            }
+            return;
+        }
+
+        const [a, b, c] = moments;
+        if (a + b < c - tolerance || a + c < b - tolerance || b + c < a - tolerance) {
+            add('inertiaTriangleInequality', 'error', detail);
+        }
+    }
+
+    /**
+     * Principal moments of the declared inertia tensor, ascending
+     * @returns {number[]|null} null when the tensor is not a set of finite numbers
+     */
+    static principalMoments(inertial) {
+        const { ixx = 0, iyy = 0, izz = 0, ixy = 0, ixz = 0, iyz = 0 } = inertial;
+        const values = [ixx, iyy, izz, ixy, ixz, iyz];
+        if (values.some(v => !Number.isFinite(v))) return null;
+
+        // Only the elements array is read, so no THREE.Matrix3 is needed
+        const { eigenvalues } = MathUtils.computeEigenDecomposition3x3({
+            elements: [ixx, ixy, ixz, ixy, iyy, iyz, ixz, iyz, izz]
+        });
+        return eigenvalues.sort((p, q) => p - q);
+    }
+
+    /**
+     * Limits, axis and the links a joint connects
+     */
+    static checkJoint(joint, model, issues) {
+        const add = (rule, severity, detail) => issues.push({ rule, severity, kind: 'joint', name: joint.name, detail });
+
+        [['parent', joint.parent], ['child', joint.child]].forEach(([role, linkName]) => {
+            // 'world' is the implicit root in SDF and MJCF
+            if (linkName && linkName !== 'world' && !model.links.has(linkName)) {
+                add('missingJointLink', 'error', `${role} = ${linkName}`);
+            }
+        });
+
+        if (joint.limits && ['revolute', 'prismatic', 'hinge', 'slide'].includes(joint.type) &&
+            joint.limits.lower > joint.limits.upper) {
+            add('invertedLimits', 'error', `lower = ${format(joint.limits.lower)}, upper = ${format(joint.limits.upper)}`);
+        }
+
+        if (!AXISLESS_JOINT_TYPES.includes(joint.type)) {
+            const axis = joint.axis?.xyz || [0, 0, 0];
+            if (Math.hypot(axis[0] || 0, axis[1] || 0, axis[2] || 0) < 1e-9) {
+                add('zeroAxis', 'error', `axis = ${axis.map(format).join(' ')}`);
+            }
+        }
+    }
+
+    /**
+     * Links that cannot be reached from the root through joints or body nesting
+     */
+    static checkConnectivity(model, issues) {
+        const children = new Map<string, string[]>();
+        const hasParent = new Set<string>();
+        const connect = (parent, child) => {
+            if (!children.has(parent)) children.set(parent, []);
+            children.get(parent).push(child);
+            hasParent.add(child);
+        };
+
+        model.joints.forEach(joint => {
+            if (joint.parent && joint.child) connect(joint.parent, joint.child);
+        });
+        model.links.forEach((link, name) => {
+            // MJCF bodies nested without a joint
+            if (link.userData?.parentName && !hasParent.has(name)) connect(link.userData.parentName, name);
+        });
+
+        // The declared root and anything hanging from a parent that is not a link (the world)
+        const roots = new Set<string>();
+        const rootLink = model.rootLink && model.links.has(model.rootLink)
+            ? model.rootLink
+            : [...model.links.keys()].find(name => !hasParent.has(name));
+        if (rootLink) roots.add(rootLink);
+        children.forEach((childNames, parent) => {
+            if (!model.links.has(parent)) childNames.forEach(name => roots.add(name));
+        });
+
+        const reached = new Set<string>();
+        const stack = [...roots];
+        while (stack.length > 0) {
+            const name = stack.pop();
+            if (reached.has(name)) continue;
+            reached.add(name);
+            (children.get(name) || []).forEach(child => stack.push(child));
+        }
+
+        model.links.forEach((link, name) => {
+            if (!reached.has(name)) {
+                issues.push({
+                    rule: 'disconnectedLink',
+                    severity: 'warning',
+                    kind: 'link',
+                    name,
+                    detail: hasParent.has(name) ? 'closed loop' : 'no parent joint'
+                });
+            }
+        });
+    }
+
+    /**
+     * Names declared more than once (later definitions replace earlier ones when loading)
+     */
+    static checkDuplicateNames(source, issues) {
+        const doc = new DOMParser().parseFromString(source, 'text/xml');
+        const root = doc.documentElement;
+        if (!root || doc.querySelector('parsererror')) return;
+
+        const selectors = NAMED_ELEMENTS[root.tagName];
+        if (!selectors) return;
+
+        (['link', 'joint'] as const).forEach(kind => {
+            const counts = new Map<string, number>();
+            doc.querySelectorAll(selectors[kind]).forEach(element => {
+                const name = element.getAttribute('name');
+                if (name) counts.set(name, (counts.get(name) || 0) + 1);
+            });
+            counts.forEach((count, name) => {
+                if (count > 1) {
+                    issues.push({ rule: 'duplicateName', severity: 'error', kind, name, detail: `× ${count}` });
+                }
+            });
+        });
+    }
+
+    /**
+     * Collision geometry that does not overlap the (slightly grown) visual bounding box
+     * Needs the loaded Three.js objects, so it is skipped for models without them
+     */
+    static checkCollisionOffset(link, issues) {
+        const visualObjects = link.visuals.map(v => v.threeObject).filter(Boolean);
+        const collisionObjects = link.collisions.map(c => c.threeObject).filter(Boolean);
+        if (visualObjects.length === 0 || collisionObjects.length === 0) return;
+
+        const boundsOf = (objects) => {
+            const box = new THREE.Box3();
+            objects.forEach(object => {
+                object.updateWorldMatrix(true, true);
+                box.expandByObject(object);
+            });
+            return box;
+        };
+        const visualBox = boundsOf(visualObjects);
+        const collisionBox = boundsOf(collisionObjects);
+        if (visualBox.isEmpty() || collisionBox.isEmpty()) return;
+
+        const diagonal = visualBox.getSize(new THREE.Vector3()).length();
+        const grown = visualBox.clone().expandByScalar(Math.max(diagonal * COLLISION_OFFSET_RATIO, COLLISION_OFFSET_MIN));
+        if (!grown.intersectsBox(collisionBox)) {
+            const distance = visualBox.getCenter(new THREE.Vector3()).distanceTo(collisionBox.getCenter(new THREE.Vector3()));
+            issues.push({
+                rule: 'collisionOffset',
+                severity: 'warning',
+                kind: 'link',
+                name: link.name,
+                detail: `${format(distance)} m`
+            });
+        }
+    }
+}
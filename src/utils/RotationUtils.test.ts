@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { rpyToMatrix, matrixToRpy, rpyToQuat, quatToMatrix, multiplyMatrices, transposeMatrix } from './RotationUtils.js';
+
+describe('RotationUtils', () => {
+    it('should recover rpy from a rotation matrix, folding roll into yaw at pitch ±90°', () => {
+        const rpy = [0.3, -0.7, 2.1];
+        matrixToRpy(rpyToMatrix(rpy)).forEach((value, i) => expect(value).toBeCloseTo(rpy[i], 12));
+
+        // Gimbal lock: only roll - yaw (or roll + yaw) is defined, the same rotation must come back
+        const locked = rpyToMatrix([0.4, Math.PI / 2, 1.0]);
+        const recovered = matrixToRpy(locked);
+        expect(recovered[0]).toBe(0);
+        rpyToMatrix(recovered).flat().forEach((value, i) => expect(value).toBeCloseTo(locked.flat()[i], 12));
+    });
+
+    it('should build the same matrix from a quaternion as from rpy', () => {
+        const rpy = [0.3, -0.7, 2.1];
+        const m = rpyToMatrix(rpy);
+        const fromQuat = quatToMatrix(...(rpyToQuat(rpy) as [number, number, number, number]));
+        fromQuat.flat().forEach((value, i) => expect(value).toBeCloseTo(m.flat()[i], 12));
+
+        // Transpose undoes the rotation
+        multiplyMatrices(m, transposeMatrix(m)).flat()
+            .forEach((value, i) => expect(value).toBeCloseTo([1, 0, 0, 0, 1, 0, 0, 0, 1][i], 12));
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Rotation utilities
+ * URDF rpy / rotation matrix / quaternion conversions and inertia frames shared by the model, the adapters,
+ * the exporters and the calculators
+ * (pure math, no Three.js dependency)
+ */
+
+/**
+ * Convert URDF rpy (fixed-axis roll-pitch-yaw, R = Rz * Ry * Rx) to rotation matrix (row-major 3x3)
+ */
+export function rpyToMatrix(rpy) {
+    const [r, p, y] = rpy || [0, 0, 0];
+    const cr = Math.cos(r), sr = Math.sin(r);
+    const cp = Math.cos(p), sp = Math.sin(p);
+    const cy = Math.cos(y), sy = Math.sin(y);
+
+    return [
+        [cy * cp, cy * sp * sr - sy * cr, cy * sp * cr + sy * sr],
+        [sy * cp, sy * sp * sr + cy * cr, sy * sp * cr - cy * sr],
+        [-sp, cp * sr, cp * cr]
+    ];
+}
+
+/**
+ * Convert rotation matrix (row-major 3x3) to URDF rpy, inverse of rpyToMatrix
+ * At pitch ±90° roll and yaw share one axis; all of it is put in yaw
+ */
+export function matrixToRpy(m) {
+    const pitch = Math.asin(Math.max(-1, Math.min(1, -m[2][0])));
+    if (Math.abs(m[2][0]) < 1 - 1e-9) {
+        return [Math.atan2(m[2][1], m[2][2]), pitch, Math.atan2(m[1][0], m[0][0])];
+    }
+    return [0, pitch, Math.atan2(-m[0][1], m[1][1])];
+}
+
+/**
+ * Convert quaternion (wxyz) to rotation matrix (row-major 3x3)
+ */
+export function quatToMatrix(w, x, y, z) {
+    const norm = Math.sqrt(w * w + x * x + y * y + z * z) || 1;
+    w /= norm; x /= norm; y /= norm; z /= norm;
+
+    return [
+        [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+        [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+        [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)]
+    ];
+}
+
+/**
+ * Product of two rotation matrices (row-major 3x3)
+ */
+export function multiplyMatrices(a, b) {
+    return a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+}
+
+/**
+ * Transpose of a rotation matrix (row-major 3x3), its inverse
+ */
+export function transposeMatrix(m) {
+    return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+}
+
+/**
+ * Rotate vector by rotation matrix (row-major 3x3)
+ */
+export function rotateByMatrix(m, v) {
+    return [
+        m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+        m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+        m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+    ];
+}
+
+/**
+ * Rotate vector by URDF rpy
+ */
+export function rotateByRpy(rpy, v) {
+    return rotateByMatrix(rpyToMatrix(rpy), v);
+}
+
+/**
+ * Convert URDF rpy to quaternion (MJCF wxyz order)
+ */
+export function rpyToQuat(rpy) {
+    const [r, p, y] = rpy || [0, 0, 0];
+    const cr = Math.cos(r / 2), sr = Math.sin(r / 2);
+    const cp = Math.cos(p / 2), sp = Math.sin(p / 2);
+    const cy = Math.cos(y / 2), sy = Math.sin(y / 2);
+
+    return [
+        cr * cp * cy + sr * sp * sy,
+        sr * cp * cy - cr * sp * sy,
+        cr * sp * cy + sr * cp * sy,
+        cr * cp * sy - sr * sp * cy
+    ];
+}
+
+/**
+ * Convert quaternion (wxyz) to URDF rpy
+ */
+export function quatToRpy(w, x, y, z) {
+    const norm = Math.sqrt(w * w + x * x + y * y + z * z) || 1;
+    w /= norm; x /= norm; y /= norm; z /= norm;
+
+    const roll = Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y));
+    const sinp = 2 * (w * y - z * x);
+    const pitch = Math.abs(sinp) >= 1 ? Math.sign(sinp) * Math.PI / 2 : Math.asin(sinp);
+    const yaw = Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z));
+
+    return [roll, pitch, yaw];
+}
+
+/**
+ * Compute rpy that rotates +Z onto the given direction
+ * (URDF cylinders and MJCF capsules are aligned with local Z)
+ */
+export function directionToRpy(direction) {
+    const [dx, dy, dz] = direction;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (length < 1e-12) return [0, 0, 0];
+
+    const pitch = Math.acos(Math.max(-1, Math.min(1, dz / length)));
+    const yaw = Math.atan2(dy, dx);
+    return [0, pitch, yaw];
+}
+
+/**
+ * Get inertia tensor expressed in the link/body frame
+ * MJCFAdapter stores the tensor rotated 180° around Y for Three.js display,
+ * which flips the sign of ixy and iyz, so undo that for MJCF models
+ * @returns {{mass, xyz, ixx, iyy, izz, ixy, ixz, iyz, rpy}}
+ */
+export function getBodyFrameInertia(model, inertial) {
+    const isMJCF = model?.userData?.type === 'mjcf';
+    const sign = isMJCF ? -1 : 1;
+
+    return {
+        mass: inertial.mass || 0,
+        xyz: inertial.origin?.xyz ? [...inertial.origin.xyz] : [0, 0, 0],
+        // MJCF tensor already includes the inertial quat rotation
+        rpy: isMJCF ? [0, 0, 0] : (inertial.origin?.rpy ? [...inertial.origin.rpy] : [0, 0, 0]),
+        ixx: inertial.ixx || 0,
+        iyy: inertial.iyy || 0,
+        izz: inertial.izz || 0,
+        ixy: sign * (inertial.ixy || 0),
+        ixz: inertial.ixz || 0,
+        iyz: sign * (inertial.iyz || 0)
+    };
+}
+
+/**
+ * Rotate an inertia tensor from its inertial frame into the link frame: R·I·Rᵀ with R from the inertial rpy
+ * @returns {{ixx, iyy, izz, ixy, ixz, iyz}}
+ */
+export function rotateInertia(rpy, inertia) {
+    const r = rpyToMatrix(rpy);
+    const tensor = [
+        [inertia.ixx, inertia.ixy, inertia.ixz],
+        [inertia.ixy, inertia.iyy, inertia.iyz],
+        [inertia.ixz, inertia.iyz, inertia.izz]
+    ];
+    const element = (i, j) => {
+        let sum = 0;
+        for (let k = 0; k < 3; k++) {
+            for (let l = 0; l < 3; l++) sum += r[i][k] * tensor[k][l] * r[j][l];
+        }
+        return sum;
+    };
+    return {
+        ixx: element(0, 0),
+        iyy: element(1, 1),
+        izz: element(2, 2),
+        ixy: element(0, 1),
+        ixz: element(0, 2),
+        iyz: element(1, 2)
+    };
+}
@@ -0,0 +1,131 @@
+/**
+ * Terrain geometry utilities (heightfields and planes)
+ * Shared by the static MJCF model and the MuJoCo simulation scene so both build identical terrain
+ */
+import * as THREE from 'three';
+import { findFileInMap } from './MeshLoader.js';
+
+// Half-extent used to render MJCF planes declared infinite (size 0)
+const INFINITE_PLANE_HALF_EXTENT = 50;
+
+/**
+ * Build plane geometry in the MuJoCo frame (XY plane, normal +Z)
+ * @param {number} halfX - Half-size along X, 0 means infinite
+ * @param {number} halfY - Half-size along Y, 0 means infinite
+ * @returns {THREE.PlaneGeometry}
+ */
+export function createPlaneGeometry(halfX, halfY) {
+    const x = halfX > 0 ? halfX : INFINITE_PLANE_HALF_EXTENT;
+    const y = halfY > 0 ? halfY : INFINITE_PLANE_HALF_EXTENT;
+    return new THREE.PlaneGeometry(x * 2, y * 2);
+}
+
+/**
+ * Normalize elevation samples to [0, 1] (MuJoCo rescales hfield data the same way)
+ * @param {ArrayLike<number>} values - Raw elevation samples
+ * @returns {Float32Array}
+ */
+export function normalizeElevation(values) {
+    const data = new Float32Array(values.length);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+        min = Math.min(min, values[i]);
+        max = Math.max(max, values[i]);
+    }
+    const range = max - min;
+    for (let i = 0; i < values.length; i++) {
+        data[i] = range > 0 ? (values[i] - min) / range : 0;
+    }
+    return data;
+}
+
+/**
+ * Decode a grayscale PNG heightfield from the file map
+ * Image rows run top to bottom while hfield rows run along +Y, so rows are flipped
+ * @param {string} path - Image path referenced by the hfield asset
+ * @param {Map} fileMap - File map
+ * @returns {Promise<{nrow: number, ncol: number, data: Float32Array}|null>}
+ */
+export async function loadHeightfieldImage(path, fileMap) {
+    const file = fileMap ? findFileInMap(path, fileMap) : null;
+    if (!file) {
+        console.error(`Cannot find heightfield image: ${path}`);
+        return null;
+    }
+
+    try {
+        const bitmap = await createImageBitmap(file);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(bitmap, 0, 0);
+        const pixels = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+        const nrow = bitmap.height;
+        const ncol = bitmap.width;
+        const gray = new Float32Array(nrow * ncol);
+        for (let r = 0; r < nrow; r++) {
+            for (let c = 0; c < ncol; c++) {
+                const p = ((nrow - 1 - r) * ncol + c) * 4;
+                gray[r * ncol + c] = (pixels[p] + pixels[p + 1] + pixels[p + 2]) / 3;
+            }
+        }
+        bitmap.close?.();
+
+        return { nrow, ncol, data: normalizeElevation(gray) };
+    } catch (error) {
+        console.error(`Failed to decode heightfield image: ${path}`, error);
+        return null;
+    }
+}
+
+/**
+ * Compute heightfield surface vertices in the MuJoCo frame (Z up, centered on the geom)
+ * @param {object} hfield - { nrow, ncol, data (normalized), size: [radiusX, radiusY, elevationZ, baseZ] }
+ * @returns {Float32Array} xyz triplets in row-major order
+ */
+export function computeHeightfieldVertices(hfield) {
+    const { nrow, ncol, data, size } = hfield;
+    const vertices = new Float32Array(nrow * ncol * 3);
+    for (let r = 0; r < nrow; r++) {
+        for (let c = 0; c < ncol; c++) {
+            const i = r * ncol + c;
+            vertices[i * 3] = (2 * c / (ncol - 1) - 1) * size[0];
+            vertices[i * 3 + 1] = (2 * r / (nrow - 1) - 1) * size[1];
+            vertices[i * 3 + 2] = data[i] * size[2];
+        }
+    }
+    return vertices;
+}
+
+/**
+ * Build the heightfield surface geometry in the MuJoCo frame
+ * @param {object} hfield - See computeHeightfieldVertices
+ * @returns {THREE.BufferGeometry|null}
+ */
+export function createHeightfieldGeometry(hfield) {
+    if (!hfield || hfield.nrow < 2 || hfield.ncol < 2 || !hfield.data) {
+        console.warn('⚠️ Heightfield needs at least 2x2 elevation samples');
+        return null;
+    }
+
+    const { nrow, ncol } = hfield;
+    const indices = [];
+    for (let r = 0; r < nrow - 1; r++) {
+        for (let c = 0; c < ncol - 1; c++) {
+            const a = r * ncol + c;
+            const b = a + 1;
+            const d = a + ncol;
+            const e = d + 1;
+            indices.push(a, b, e, a, e, d);
+        }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(computeHeightfieldVertices(hfield), 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+}
@@ -0,0 +1,181 @@
+/**
+ * Texture utilities
+ * Builds Three.js textures for MJCF <texture> assets, shared by the kinematic and simulation views
+ */
+import * as THREE from 'three';
+import { findFileInMap } from './MeshLoader.js';
+import { LoadDiagnostics } from '../loaders/LoadDiagnostics.js';
+
+// Size used for builtin textures that do not declare width/height
+const DEFAULT_BUILTIN_SIZE = 128;
+
+/**
+ * Generate pixels for an MJCF builtin texture (checker, gradient, flat)
+ * Cube textures produce a single face, which is what gets mapped onto geoms
+ * @param {object} spec - Texture spec from MJCFAdapter.parseTextures
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels, top row first
+ */
+export function generateBuiltinTexture(spec) {
+    const width = spec.width || DEFAULT_BUILTIN_SIZE;
+    const height = spec.type === '2d' ? (spec.height || width) : width;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const rgb1 = spec.rgb1.map(v => v * 255);
+    const rgb2 = spec.rgb2.map(v => v * 255);
+    const markrgb = spec.markrgb.map(v => v * 255);
+
+    const setPixel = (r, c, rgb) => {
+        const i = (r * width + c) * 4;
+        data[i] = rgb[0];
+        data[i + 1] = rgb[1];
+        data[i + 2] = rgb[2];
+        data[i + 3] = 255;
+    };
+    const mix = (t) => rgb1.map((v, k) => v * (1 - t) + rgb2[k] * t);
+
+    for (let r = 0; r < height; r++) {
+        for (let c = 0; c < width; c++) {
+            let rgb = rgb1;
+            if (spec.builtin === 'checker') {
+                // Quadrants: rgb1 on the diagonal, rgb2 off it
+                const sameHalf = (r < height / 2) === (c < width / 2);
+                rgb = sameHalf ? rgb1 : rgb2;
+            } else if (spec.builtin === 'gradient') {
+                if (spec.type === '2d') {
+                    // Radial, rgb1 at the center and rgb2 at the corners
+                    const x = 2 * c / Math.max(width - 1, 1) - 1;
+                    const y = 2 * r / Math.max(height - 1, 1) - 1;
+                    rgb = mix(Math.min(Math.sqrt((x * x + y * y) / 2), 1));
+                } else {
+                    // Vertical, rgb1 at the top and rgb2 at the bottom
+                    rgb = mix(r / Math.max(height - 1, 1));
+                }
+            }
+            setPixel(r, c, rgb);
+        }
+    }
+
+    if (spec.mark === 'edge') {
+        for (let r = 0; r < height; r++) {
+            setPixel(r, 0, markrgb);
+            setPixel(r, width - 1, markrgb);
+        }
+        for (let c = 0; c < width; c++) {
+            setPixel(0, c, markrgb);
+            setPixel(height - 1, c, markrgb);
+        }
+    } else if (spec.mark === 'cross') {
+        const midRow = Math.floor(height / 2);
+        const midCol = Math.floor(width / 2);
+        for (let r = 0; r < height; r++) setPixel(r, midCol, markrgb);
+        for (let c = 0; c < width; c++) setPixel(midRow, c, markrgb);
+    } else if (spec.mark === 'random') {
+        for (let r = 0; r < height; r++) {
+            for (let c = 0; c < width; c++) {
+                if (Math.random() < spec.random) setPixel(r, c, markrgb);
+            }
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Create a texture from RGB/RGBA pixels stored top row first (image order)
+ * Rows are flipped so the result samples like an image texture loaded with flipY
+ * @param {number} width
+ * @param {number} height
+ * @param {ArrayLike<number>} pixels
+ * @param {number} channels - 3 or 4
+ * @returns {THREE.DataTexture}
+ */
+export function createDataTexture(width, height, pixels, channels = 4) {
+    const rgba = new Uint8Array(width * height * 4);
+    for (let r = 0; r < height; r++) {
+        const srcRow = (height - 1 - r) * width;
+        for (let c = 0; c < width; c++) {
+            const src = (srcRow + c) * channels;
+            const dst = (r * width + c) * 4;
+            rgba[dst] = pixels[src];
+            rgba[dst + 1] = channels > 1 ? pixels[src + 1] : pixels[src];
+            rgba[dst + 2] = channels > 2 ? pixels[src + 2] : pixels[src];
+            rgba[dst + 3] = channels > 3 ? pixels[src + 3] : 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(rgba, width, height, THREE.RGBAFormat);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.magFilter = THREE.NearestFilter;
+    texture.generateMipmaps = true;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/**
+ * Load an image texture from the file map
+ * @param {string} path - Image path referenced by the texture asset
+ * @param {Map} fileMap - File map
+ * @returns {Promise<THREE.Texture|null>}
+ */
+export async function loadTextureImage(path, fileMap) {
+    const file = fileMap ? findFileInMap(path, fileMap) : null;
+    if (!file) {
+        LoadDiagnostics.error('missingFile', `Cannot find texture file: ${path}`, { reference: path });
+        return null;
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const texture = await new THREE.TextureLoader().loadAsync(url);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+        return texture;
+    } catch (error) {
+        console.error(`Failed to load texture file: ${path}`, error);
+        return null;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Create the texture for an MJCF texture spec (builtin pattern or image file)
+ * @param {object} spec - Texture spec from MJCFAdapter.parseTextures
+ * @param {Map} fileMap - File map
+ * @returns {Promise<THREE.Texture|null>}
+ */
+export async function createMJCFTexture(spec, fileMap) {
+    if (spec.builtin && spec.builtin !== 'none') {
+        const { width, height, data } = generateBuiltinTexture(spec);
+        return createDataTexture(width, height, data);
+    }
+    if (spec.path) {
+        return loadTextureImage(spec.path, fileMap);
+    }
+    console.warn(`⚠️ Texture "${spec.name}" has neither a builtin pattern nor a file`);
+    return null;
+}
+
+/**
+ * Get a texture configured with a material's texrepeat
+ * With texuniform the repeat counts are per unit length, so they scale with the object extent
+ * @param {THREE.Texture} texture - Shared base texture
+ * @param {number[]} repeat - texrepeat [x, y]
+ * @param {boolean} uniform - texuniform
+ * @param {number[]} extent - Object size along the texture's x/y directions
+ * @returns {THREE.Texture} The base texture, or a clone sharing its image
+ */
+export function withTextureRepeat(texture, repeat = [1, 1], uniform = false, extent = [1, 1]) {
+    const repeatX = uniform ? repeat[0] * extent[0] : repeat[0];
+    const repeatY = uniform ? repeat[1] * extent[1] : repeat[1];
+    if (repeatX === 1 && repeatY === 1) {
+        return texture;
+    }
+    const repeated = texture.clone();
+    repeated.repeat.set(repeatX, repeatY);
+    repeated.needsUpdate = true;
+    return repeated;
+}
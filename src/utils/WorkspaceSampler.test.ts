@@ -0,0 +1,122 @@
+import { describe, it, expect, vi } from 'vitest';
+import * as THREE from 'three';
+import { WorkspaceSampler } from './WorkspaceSampler.js';
+import { UnifiedRobotModel, Link, Joint, JointLimits } from '../models/UnifiedRobotModel.js';
+
+// Sampling runs on real matrices
+vi.unmock('three');
+
+function joint(type, lower = null, upper = null, currentValue = 0) {
+    const result = new Joint(type, type);
+    if (lower !== null) {
+        result.limits = new JointLimits();
+        result.limits.lower = lower;
+        result.limits.upper = upper;
+    }
+    result.currentValue = currentValue;
+    return result;
+}
+
+/**
+ * Planar RR arm in the xy plane as urdf-loader builds it: joint objects at the joint origins,
+ * link objects inside them; the shoulder is posed at 0.5 rad when the chain is snapshot
+ */
+function planarArm(l1, l2) {
+    const model = new UnifiedRobotModel();
+    model.threeObject = new THREE.Object3D();
+    ['base', 'upper', 'lower', 'tool'].forEach(name => {
+        const link = new Link(name);
+        link.threeObject = new THREE.Object3D();
+        model.addLink(link);
+    });
+    model.getLink('base').threeObject.position.set(0, 0, 0.2);
+    model.threeObject.add(model.getLink('base').threeObject);
+
+    [['shoulder', 'continuous', 'base', 'upper', 0], ['elbow', 'continuous', 'upper', 'lower', l1], ['tip', 'fixed', 'lower', 'tool', l2]]
+        .forEach(([name, type, parent, child, x]: any[]) => {
+            const result = new Joint(name, type);
+            result.parent = parent;
+            result.child = child;
+            result.axis.xyz = [0, 0, 1];
+            const object: any = new THREE.Object3D();
+            object.axis = new THREE.Vector3(0, 0, 1);
+            object.position.set(x, 0, 0);
+            result.threeObject = object;
+            model.getLink(parent).threeObject.add(object);
+            object.add(model.getLink(child).threeObject);
+            model.addJoint(result);
+        });
+
+    model.getJoint('shoulder').currentValue = 0.5;
+    model.getJoint('shoulder').threeObject.rotation.z = 0.5;
+    return model;
+}
+
+describe('WorkspaceSampler', () => {
+    it('should sample within the joint limits', () => {
+        const joints = [
+            joint('revolute', -1, 2),
+            joint('continuous'),
+            joint('prismatic', 0, 0.5),
+            // Prismatic joint without travel stays put
+            joint('prismatic', null, null, 0.3)
+        ];
+        expect(WorkspaceSampler.getSampleRanges(joints)).toEqual([
+            [-1, 2],
+            [-Math.PI, Math.PI],
+            [0, 0.5],
+            [0.3, 0.3]
+        ]);
+
+        // Ignored limits free the revolute joint but not the prismatic one
+        const ignored = WorkspaceSampler.getSampleRanges(joints, true);
+        expect(ignored[0]).toEqual([-Math.PI, Math.PI]);
+        expect(ignored[2]).toEqual([0, 0.5]);
+    });
+
+    it('should count samples per voxel', () => {
+        const positions = new Float32Array([
+            0.01, 0.01, 0.01,
+            0.02, 0.03, 0.04,
+            0.15, 0.01, 0.01,
+            -0.01, 0.01, 0.01
+        ]);
+        expect(Array.from(WorkspaceSampler.voxelCounts(positions, 0.1))).toEqual([2, 2, 1, 1]);
+    });
+
+    it('should sample a planar arm within its reach ring', async () => {
+        const l1 = 1;
+        const l2 = 0.4;
+        const model = planarArm(l1, l2);
+
+        const samples = await WorkspaceSampler.sample(model, 'tool', 500);
+        for (let s = 0; s < 500; s++) {
+            const [x, y, z] = samples.positions.slice(s * 3, s * 3 + 3);
+            const r = Math.hypot(x, y);
+            expect(r).toBeGreaterThanOrEqual(l1 - l2 - 1e-5);
+            expect(r).toBeLessThanOrEqual(l1 + l2 + 1e-5);
+            expect(z).toBeCloseTo(0.2, 5);
+        }
+        // The displayed model is not moved
+        expect(model.getJoint('shoulder').threeObject.rotation.z).toBe(0.5);
+    });
+
+    it('should apply sampled values from the posed joint and compute their manipulability', async () => {
+        const l1 = 1;
+        const l2 = 0.4;
+        const model = planarArm(l1, l2);
+
+        // Values drawn per sample in chain order (shoulder, elbow), mapped onto [-π, π]
+        const draws = [0.5, 0.75, 0.6, 0.1, 0.25, 0.5, 0.9, 0.3];
+        let next = 0;
+        const random = () => draws[next++];
+        const samples = await WorkspaceSampler.sample(model, 'tool', 4, { random });
+
+        for (let s = 0; s < 4; s++) {
+            const [q1, q2] = draws.slice(s * 2, s * 2 + 2).map(value => -Math.PI + 2 * Math.PI * value);
+            expect(samples.positions[s * 3]).toBeCloseTo(l1 * Math.cos(q1) + l2 * Math.cos(q1 + q2), 5);
+            expect(samples.positions[s * 3 + 1]).toBeCloseTo(l1 * Math.sin(q1) + l2 * Math.sin(q1 + q2), 5);
+            expect(samples.manipulability[s]).toBeCloseTo(Math.abs(l1 * l2 * Math.sin(q2)), 5);
+        }
+    });
+});
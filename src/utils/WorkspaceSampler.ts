@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { IKSolver } from './IKSolver.js';
+
+/**
+ * Workspace sampler
+ * Samples joint configurations of the chain from the root to an end effector within the joint limits
+ * and collects the reachable end effector positions (model root frame) with their manipulability.
+ * The chain is snapshot once from the posed scene graph, so sampling never moves the displayed model;
+ * joints outside the chain (and mimic followers on it) keep their current values.
+ */
+
+// Range of continuous joints and of revolute joints without (or with ignored) limits
+const FULL_TURN: [number, number] = [-Math.PI, Math.PI];
+// Samples computed between yields to the browser
+const SAMPLES_PER_CHUNK = 2000;
+
+export type WorkspaceColoring = 'density' | 'manipulability';
+
+export interface WorkspaceSamples {
+    // x y z per sample, model root frame
+    positions: Float32Array;
+    // Yoshikawa manipulability per sample
+    manipulability: Float32Array;
+    joints: any[];
+}
+
+export class WorkspaceSampler {
+    /**
+     * Sampling range of each joint
+     * Revolute limits apply unless ignored; prismatic joints without limits stay at their current value
+     * @returns {number[][]} [lower, upper] per joint
+     */
+    static getSampleRanges(joints, ignoreLimits = false) {
+        return joints.map(joint => {
+            const limits = joint.limits;
+            const hasRange = !!limits && limits.upper > limits.lower;
+            if (joint.type !== 'prismatic') {
+                return joint.type === 'revolute' && hasRange && !ignoreLimits ? [limits.lower, limits.upper] : [...FULL_TURN];
+            }
+            // Prismatic travel has no natural bound, so its limits apply even when ignored
+            const current = joint.currentValue || 0;
+            return hasRange ? [limits.lower, limits.upper] : [current, current];
+        });
+    }
+
+    /**
+     * Snapshot of the chain: per joint its local matrix at the current value and the fixed transform
+     * to the next joint (or the end effector); joint motion is applied on the right of the local matrix
+     * @returns {Object|null} null when the chain is not a simple parent-to-child path in the scene graph
+     */
+    static createChain(model, linkName) {
+        const link = model.getLink(linkName);
+        const joints = IKSolver.getChain(model, linkName).filter(joint => joint.threeObject);
+        const root = model.threeObject;
+        if (!link?.threeObject || !root || joints.length === 0 || !joints[0].threeObject.parent) return null;
+
+        const objects = joints.map(joint => joint.threeObject);
+        const descends = (object, ancestor) => {
+            for (let current = object; current; current = current.parent) {
+                if (current === ancestor) return true;
+            }
+            return false;
+        };
+        const targets = [...objects.slice(1), link.threeObject];
+        if (targets.some((object, i) => !descends(object, objects[i]))) {
+            console.warn(`Chain of ${linkName} is not a single path in the scene graph`);
+            return null;
+        }
+
+        root.updateMatrixWorld(true);
+        const rootInverse = root.matrixWorld.clone().invert();
+        return {
+            joints,
+            base: rootInverse.multiply(objects[0].parent.matrixWorld),
+            steps: joints.map((joint, i) => {
+                const object = objects[i];
+                const next = i + 1 < objects.length ? objects[i + 1].parent : link.threeObject;
+                return {
+                    prismatic: joint.type === 'prismatic',
+                    axis: (object.axis ? object.axis.clone() : new THREE.Vector3(...(joint.axis?.xyz || [1, 0, 0]))).normalize(),
+                    current: joint.currentValue || 0,
+                    local: object.matrix.clone(),
+                    toNext: object.matrixWorld.clone().invert().multiply(next.matrixWorld)
+                };
+            })
+        };
+    }
+
+    /**
+     * Sample the reachable positions of an end effector
+     * Yields to the browser between chunks; isCancelled is checked after each yield
+     * @param {UnifiedRobotModel} model
+     * @param {string} linkName - End effector link
+     * @param {number} count - Number of configurations
+     * @param {Object} options - { ignoreLimits, random, onProgress(fraction), isCancelled() }
+     * @returns {Promise<WorkspaceSamples|null>} null when the link has no usable chain or the run was cancelled
+     */
+    static async sample(model, linkName, count, options: any = {}): Promise<WorkspaceSamples | null> {
+        const { ignoreLimits = false, random = Math.random, onProgress = null, isCancelled = null } = options;
+        const chain = this.createChain(model, linkName);
+        if (!chain) return null;
+
+        const ranges = this.getSampleRanges(chain.joints, ignoreLimits);
+        const positions = new Float32Array(count * 3);
+        const manipulability = new Float32Array(count);
+
+        const frame = new THREE.Matrix4();
+        const motion = new THREE.Matrix4();
+        const end = new THREE.Vector3();
+        const origins = chain.steps.map(() => new THREE.Vector3());
+        const axes = chain.steps.map(() => new THREE.Vector3());
+        const lever = new THREE.Vector3();
+        const rows = [0, 1, 2].map(() => new Array(chain.steps.length).fill(0));
+
+        for (let s = 0; s < count; s++) {
+            frame.copy(chain.base);
+            chain.steps.forEach((step, i) => {
+                const [lower, upper] = ranges[i];
+                const delta = lower + (upper - lower) * random() - step.current;
+                frame.multiply(step.local);
+                if (step.prismatic) {
+                    motion.makeTranslation(step.axis.x * delta, step.axis.y * delta, step.axis.z * delta);
+                } else {
+                    motion.makeRotationAxis(step.axis, delta);
+                }
+                frame.multiply(motion);
+                origins[i].setFromMatrixPosition(frame);
+                axes[i].copy(step.axis).transformDirection(frame);
+                frame.multiply(step.toNext);
+            });
+
+            end.setFromMatrixPosition(frame);
+            positions[s * 3] = end.x;
+            positions[s * 3 + 1] = end.y;
+            positions[s * 3 + 2] = end.z;
+
+            // Linear Jacobian of this configuration
+            chain.steps.forEach((step, i) => {
+                if (step.prismatic) {
+                    lever.copy(axes[i]);
+                } else {
+                    lever.subVectors(end, origins[i]).crossVectors(axes[i], lever);
+                }
+                rows[0][i] = lever.x;
+                rows[1][i] = lever.y;
+                rows[2][i] = lever.z;
+            });
+            manipulability[s] = IKSolver.manipulability(rows).measure;
+
+            if ((s + 1) % SAMPLES_PER_CHUNK === 0 && s + 1 < count) {
+                if (onProgress) onProgress((s + 1) / count);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (isCancelled && isCancelled()) return null;
+            }
+        }
+
+        return { positions, manipulability, joints: chain.joints };
+    }
+
+    /**
+     * Number of samples sharing each sample's voxel
+     * @param {Float32Array} positions - x y z per sample
+     * @param {number} cellSize - Voxel edge (m)
+     * @returns {Float32Array} Count per sample
+     */
+    static voxelCounts(positions, cellSize) {
+        const count = positions.length / 3;
+        const keys = new Array(count);
+        const counts = new Map<string, number>();
+        for (let i = 0; i < count; i++) {
+            const key = `${Math.floor(positions[i * 3] / cellSize)},${Math.floor(positions[i * 3 + 1] / cellSize)},${Math.floor(positions[i * 3 + 2] / cellSize)}`;
+            keys[i] = key;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        return Float32Array.from(keys, key => counts.get(key));
+    }
+}
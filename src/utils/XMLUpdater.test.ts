@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { XMLUpdater } from './XMLUpdater.js';
+
+const inertial = { mass: 2, com: [0, 0, 0.1], ixx: 0.01, iyy: 0.02, izz: 0.03, ixy: 0, ixz: 0.001, iyz: 0 };
+
+describe('XMLUpdater', () => {
+    it('should replace or add URDF inertial blocks', () => {
+        const urdf = `<robot name="r">
+  <link name="base">
+    <inertial>
+      <mass value="1"/>
+      <inertia ixx="1" ixy="0" ixz="0" iyy="1" iyz="0" izz="1"/>
+    </inertial>
+    <visual><geometry><box size="1 1 1"/></geometry></visual>
+  </link>
+  <link name="tool"/>
+</robot>`;
+
+        const updated = XMLUpdater.updateURDFInertial(XMLUpdater.updateURDFInertial(urdf, 'base', inertial), 'tool', inertial);
+        const doc = new DOMParser().parseFromString(updated, 'text/xml');
+
+        const base = doc.querySelector('link[name="base"]');
+        expect(base.querySelectorAll('inertial')).toHaveLength(1);
+        expect(base.querySelector('inertial > origin').getAttribute('xyz')).toBe('0 0 0.1');
+        expect(base.querySelector('inertial > mass').getAttribute('value')).toBe('2');
+        expect(base.querySelector('inertial > inertia').getAttribute('ixz')).toBe('0.001');
+        expect(base.querySelector('visual')).not.toBeNull();
+        expect(doc.querySelector('link[name="tool"] > inertial > inertia').getAttribute('izz')).toBe('0.03');
+
+        expect(XMLUpdater.updateURDFInertial(urdf, 'missing', inertial)).toBe(urdf);
+    });
+
+    it('should only touch the direct inertial of an MJCF body', () => {
+        const mjcf = `<mujoco>
+  <worldbody>
+    <body name="upper">
+      <geom type="box" size="0.1 0.1 0.1"/>
+      <body name="lower">
+        <inertial pos="0 0 0" quat="1 0 0 0" mass="1" diaginertia="1 1 1"/>
+      </body>
+    </body>
+  </worldbody>
+</mujoco>`;
+
+        const updated = XMLUpdater.updateMJCFInertial(XMLUpdater.updateMJCFInertial(mjcf, 'upper', inertial), 'lower', inertial);
+        const doc = new DOMParser().parseFromString(updated, 'text/xml');
+
+        const upper = doc.querySelector('body[name="upper"] > inertial');
+        expect(upper.getAttribute('fullinertia')).toBe('0.01 0.02 0.03 0 0.001 0');
+        const lower = doc.querySelectorAll('body[name="lower"] > inertial');
+        expect(lower).toHaveLength(1);
+        expect(lower[0].getAttribute('quat')).toBeNull();
+        expect(lower[0].getAttribute('pos')).toBe('0 0 0.1');
+    });
+});
@@ -2,6 +2,11 @@
  * XMLUpdater - XML update utility
  * Used for updating URDF/MJCF XML content
  */
+import { formatNumber, formatVector } from '../exporters/ExportUtils.js';
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 export class XMLUpdater {
     /**
@@ -110,5 +115,113 @@ export class XMLUpdater {
 
         return updatedXML;
     }
-}
 
+    /**
+     * Replace (or add) the <inertial> block of a URDF link
+     * The inertia is written about the center of mass with the link frame axes (rpy 0 0 0)
+     * @param {string} xmlContent - Original XML content
+     * @param {string} linkName - Link name
+     * @param {Object} inertial - { mass, com: [x, y, z], ixx, iyy, izz, ixy, ixz, iyz }
+     * @returns {string} Updated XML content
+     */
+    static updateURDFInertial(xmlContent, linkName, inertial) {
+        try {
+            const linkRegex = new RegExp(`<link\\b[^>]*\\bname="${escapeRegExp(linkName)}"[^>]*?(/?)>`);
+            const match = linkRegex.exec(xmlContent);
+            if (!match) {
+                console.warn(`Link not found: ${linkName}`);
+                return xmlContent;
+            }
+
+            const indent = this.lineIndent(xmlContent, match.index);
+            const inner = indent + '  ';
+            const block = [
+                `${inner}<inertial>`,
+                `${inner}  <origin xyz="${formatVector(inertial.com)}" rpy="0 0 0"/>`,
+                `${inner}  <mass value="${formatNumber(inertial.mass)}"/>`,
+                `${inner}  <inertia ixx="${formatNumber(inertial.ixx)}" ixy="${formatNumber(inertial.ixy)}" ixz="${formatNumber(inertial.ixz)}" ` +
+                    `iyy="${formatNumber(inertial.iyy)}" iyz="${formatNumber(inertial.iyz)}" izz="${formatNumber(inertial.izz)}"/>`,
+                `${inner}</inertial>`
+            ].join('\n');
+
+            // Self-closing link: expand it to hold the block
+            if (match[1] === '/') {
+                const openTag = match[0].replace(/\s*\/>$/, '>');
+                return xmlContent.slice(0, match.index) + `${openTag}\n${block}\n${indent}</link>` +
+                    xmlContent.slice(match.index + match[0].length);
+            }
+
+            const bodyStart = match.index + match[0].length;
+            const bodyEnd = xmlContent.indexOf('</link>', bodyStart);
+            if (bodyEnd < 0) {
+                console.warn(`Link not closed: ${linkName}`);
+                return xmlContent;
+            }
+
+            const linkBody = xmlContent.slice(bodyStart, bodyEnd);
+            const inertialMatch = /([ \t]*)<inertial\b[\s\S]*?<\/inertial>/.exec(linkBody);
+            const updatedBody = inertialMatch
+                ? linkBody.replace(inertialMatch[0], block)
+                : `\n${block}` + linkBody;
+
+            return xmlContent.slice(0, bodyStart) + updatedBody + xmlContent.slice(bodyEnd);
+
+        } catch (error) {
+            console.error('Failed to update URDF inertial:', error);
+            return xmlContent;
+        }
+    }
+
+    /**
+     * Replace (or add) the <inertial> element of an MJCF body
+     * Written as pos + fullinertia in the body frame, dropping any previous quat/diaginertia
+     * @param {string} xmlContent - Original XML content
+     * @param {string} bodyName - Body name
+     * @param {Object} inertial - { mass, com: [x, y, z], ixx, iyy, izz, ixy, ixz, iyz }
+     * @returns {string} Updated XML content
+     */
+    static updateMJCFInertial(xmlContent, bodyName, inertial) {
+        try {
+            const bodyRegex = new RegExp(`<body\\b[^>]*\\bname="${escapeRegExp(bodyName)}"[^>]*?(/?)>`);
+            const match = bodyRegex.exec(xmlContent);
+            if (!match) {
+                console.warn(`Body not found: ${bodyName}`);
+                return xmlContent;
+            }
+
+            const indent = this.lineIndent(xmlContent, match.index);
+            const fullinertia = [inertial.ixx, inertial.iyy, inertial.izz, inertial.ixy, inertial.ixz, inertial.iyz];
+            const element = `<inertial pos="${formatVector(inertial.com)}" mass="${formatNumber(inertial.mass)}" fullinertia="${formatVector(fullinertia)}"/>`;
+
+            if (match[1] === '/') {
+                const openTag = match[0].replace(/\s*\/>$/, '>');
+                return xmlContent.slice(0, match.index) + `${openTag}\n${indent}  ${element}\n${indent}</body>` +
+                    xmlContent.slice(match.index + match[0].length);
+            }
+
+            // Only a direct child counts: it must come before any nested body or the closing tag
+            const bodyStart = match.index + match[0].length;
+            const rest = xmlContent.slice(bodyStart);
+            const inertialMatch = /<inertial\b[^>]*?(\/>|>[\s\S]*?<\/inertial>)/.exec(rest);
+            const nextBody = rest.search(/<\/?body\b/);
+            if (inertialMatch && (nextBody < 0 || inertialMatch.index < nextBody)) {
+                const start = bodyStart + inertialMatch.index;
+                return xmlContent.slice(0, start) + element + xmlContent.slice(start + inertialMatch[0].length);
+            }
+
+            return xmlContent.slice(0, bodyStart) + `\n${indent}  ${element}` + xmlContent.slice(bodyStart);
+
+        } catch (error) {
+            console.error('Failed to update MJCF inertial:', error);
+            return xmlContent;
+        }
+    }
+
+    /**
+     * Leading whitespace of the line containing a position
+     */
+    static lineIndent(xmlContent, position) {
+        const lineStart = xmlContent.lastIndexOf('\n', position - 1) + 1;
+        return /^[ \t]*/.exec(xmlContent.slice(lineStart, position))[0];
+    }
+}
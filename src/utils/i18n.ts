@@ -14,9 +14,13 @@ export const translations = {
         'visual': '视觉',
         'collision': '碰撞',
         'com': '质心',
+        'supportPolygon': '支撑',
+        'manipulability': '可操作度',
         'inertia': '惯量',
         'axes': '坐标轴',
         'jointAxes': '关节轴',
+        'sites': '站点',
+        'freeCamera': '自由视角',
         'shadow': '阴影',
         'lighting': '光照',
         'files': '文件',
@@ -31,7 +35,12 @@ export const translations = {
         'fileList': '文件',
         'jointControl': '关节',
         'modelStructure': '结构',
+        'modelInfo': '模型信息',
         'codeEditor': '编辑',
+        'xacroArgs': 'Xacro 参数',
+        'loadDiagnostics': '加载报告',
+        'modelCheck': '模型检查',
+        'inertiaCalculator': '惯量计算',
 
         // 关节控制
         'radian': '弧度',
@@ -43,10 +52,13 @@ export const translations = {
         'mujocoReset': '重置',
         'mujocoSimulate': '仿真',
         'mujocoPause': '暂停',
+        'mujocoLoadFailed': '仿真加载失败',
 
         // 代码编辑器
         'reload': '重新加载',
         'download': '下载',
+        'exportURDF': '导出 URDF',
+        'exportMJCF': '导出 MJCF',
         'saved': '已保存',
         'unsaved': '未保存',
         'noFileOpen': '未打开文件',
@@ -54,7 +66,7 @@ export const translations = {
         // 帮助对话框
         'helpTitle': `Attic Viewer v${APP_VERSION}`,
         'about': '关于',
-        'aboutContent': 'Attic Viewer 是一个基于 Three.js 的网页端机器人模型 3D 查看器，提供直观的可视化界面，帮助您在浏览器中查看和分析机器人的结构、关节和物理属性，无需安装任何软件。<br><br>本项目基于 <strong>robot_viewer</strong> 使用 TypeScript 重构。<br><br>格式支持：URDF、Xacro、MJCF、USD（部分支持）<br><br>主要功能：<br>• 可视化：视觉/碰撞几何、惯性张量、质心、坐标系<br>• 交互控制：实时拖动关节<br>• 测量工具：测量关节和连杆之间的距离<br>• 代码编辑器：内置 CodeMirror 编辑器，支持语法高亮<br>• 物理仿真：集成 MuJoCo 引擎（MJCF 模型）<br><br>由 <strong>Atticlmr</strong> 开发。',
+        'aboutContent': 'Attic Viewer 是一个基于 Three.js 的网页端机器人模型 3D 查看器，提供直观的可视化界面，帮助您在浏览器中查看和分析机器人的结构、关节和物理属性，无需安装任何软件。<br><br>本项目基于 <strong>robot_viewer</strong> 使用 TypeScript 重构。<br><br>格式支持：URDF、Xacro、MJCF、SDF、USD（部分支持）<br><br>主要功能：<br>• 可视化：视觉/碰撞几何、惯性张量、质心、坐标系<br>• 交互控制：实时拖动关节<br>• 测量工具：测量关节和连杆之间的距离<br>• 代码编辑器：内置 CodeMirror 编辑器，支持语法高亮<br>• 物理仿真：集成 MuJoCo 引擎（MJCF 模型）<br><br>由 <strong>Atticlmr</strong> 开发。',
         'projectHome': '项目主页',
         'email': '邮箱',
         'myGithub': 'GitHub主页',
@@ -80,10 +92,99 @@ export const translations = {
         'loadFolder': '加载文件夹',
         'orClickButton': '或点击下面的按钮加载',
         'noControllableJoints': '未找到可控制关节',
+        'mimicsJoint': '跟随关节',
+        'gizmoTranslate': '在视图中拖动平移',
+        'gizmoRotate': '在视图中拖动旋转',
+        'xacroApply': '重新展开',
+        'xacroDefaults': '默认值',
+        'xacroArgDefault': '默认',
+        'noXacroArgs': '此文件未声明 xacro:arg 参数',
+        'expandedURDF': '展开',
+        'expandedSourceHint': '点击元素跳转到生成它的宏调用或源文件行',
+        'noDiagnostics': '加载时未发现问题',
+        'diagnosticsLocateHint': '点击条目在编辑器和文件列表中定位',
+        'diagLoadError': '加载失败',
+        'diagMissingFile': '缺失文件',
+        'diagFallbackMatch': '模糊匹配的文件',
+        'diagIgnoredElement': '忽略的元素',
+        'diagUnitAssumption': '单位与默认值假设',
+        'diagParseWarning': '解析警告',
+        'noLintIssues': '未发现模型问题',
+        'lintNonPositiveMass': '质量为零或负',
+        'lintImplausibleMass': '质量不合理',
+        'lintInertiaNotPositiveDefinite': '惯性张量非正定',
+        'lintInertiaTriangleInequality': '主惯量不满足三角不等式',
+        'lintMissingJointLink': '关节引用的连杆不存在',
+        'lintInvertedLimits': '关节下限大于上限',
+        'lintZeroAxis': '关节轴长度为零',
+        'lintDisconnectedLink': '连杆未连接到根连杆',
+        'lintDuplicateName': '名称重复',
+        'lintCollisionOffset': '碰撞体远离视觉模型',
+        'inertiaDensity': '密度 (kg/m³)',
+        'inertiaFromCollision': '碰撞几何',
+        'inertiaFromVisual': '视觉几何',
+        'inertiaCompute': '计算',
+        'inertiaApply': '写入',
+        'inertiaApplyAll': '全部写入',
+        'inertiaComputeHint': '设置密度后点击计算，由几何体重新计算各连杆的质量、质心和惯量',
+        'inertiaMass': '质量 (kg)',
+        'inertiaDeclared': '声明值',
+        'inertiaComputed': '计算值',
+        'inertiaNoGeometry': '没有可计算体积的几何体',
+        'inertiaSkippedGeometry': '部分几何体没有体积，未计入',
+        'inertiaWritten': '惯量已写入编辑器，点击重新加载生效',
+        'inertiaWriteUnsupported': '仅支持写回编辑器中打开的 URDF 或 MJCF 文件',
+        'inverseKinematics': '逆运动学',
+        'ikEndEffector': '末端',
+        'ikMatchOrientation': '匹配姿态',
+        'ikResetTarget': '重置目标',
+        'ikOpenHint': '选择末端连杆以在视图中拖动目标',
+        'ikDragHint': '拖动目标,从根部到末端的关节将随之求解',
+        'ikNoChain': '模型没有可动关节',
+        'ikReached': '已到达',
+        'ikUnreachable': '无法到达',
+        'forwardKinematics': '正运动学',
+        'fkReference': '参考系',
+        'fkTarget': '目标',
+        'fkLinks': '连杆',
+        'fkJoints': '关节',
+        'fkSwap': '交换参考系与目标',
+        'fkQuaternion': '四元数',
+        'fkMatrix': '齐次变换矩阵',
+        'fkSelectFrames': '选择参考系和目标以查看相对位姿',
+        'fkCopyOrigin': '复制 origin',
+        'fkCopied': '已复制',
+        'fkCopyFailed': '复制失败',
+        'workspace': '工作空间',
+        'workspaceSamples': '采样数',
+        'workspaceColorDensity': '按密度着色',
+        'workspaceColorManipulability': '按可操作度着色',
+        'workspaceCompute': '采样',
+        'workspaceClear': '清除',
+        'workspaceSlice': '切片',
+        'workspaceSliceNone': '不切片',
+        'workspaceThickness': '厚度 (m)',
+        'workspaceSampling': '采样中',
+        'workspacePoints': '个点',
+        'workspaceHint': '选择末端并采样其关节空间以显示可达位置',
+        'workspaceFailed': '无法对该末端的运动链采样',
+        'selfCollision': '自碰撞',
+        'collisionLive': '实时检测',
+        'collisionPadding': '安全距离 (m)',
+        'collisionLiveHint': '开启实时检测后，移动关节时高亮发生碰撞的连杆',
+        'collisionNone': '当前姿态无自碰撞',
+        'collisionSamples': '姿态数',
+        'collisionSweep': '扫描关节范围',
+        'collisionSweeping': '扫描中',
+        'collisionSweepHint': '在关节范围内随机采样姿态，生成 SRDF 禁用碰撞列表（当前姿态作为默认姿态）',
+        'collisionPoses': '个姿态',
+        'collisionEnabled': '保留检测',
+        'collisionCopy': '复制 SRDF',
+        'collisionDownload': '下载 SRDF',
         'clickToEditMin': '点击编辑下限',
         'clickToEditMax': '点击编辑上限',
         'dropHint': '拖拽机器人模型文件或文件夹到页面任意位置',
-        'dropHintSub': '支持 URDF, Xacro, MJCF 格式<br>支持拖拽文件夹以加载mesh文件',
+        'dropHintSub': '支持 URDF, Xacro, MJCF, SDF 格式<br>支持拖拽文件夹以加载mesh文件',
         'graphHint': '拖动: 移动 | 滚轮: 缩放 | 右键: 隐藏/显示 | Ctrl+左键: 测量',
         'copyright': '© 2025 范子琦, Atticlmr 版权所有。',
 
@@ -114,7 +215,7 @@ export const translations = {
         'loading': '正在加载',
         'unsupportedFormat': '不支持的文件格式',
         'loadFailed': '加载失败',
-        'noSupportedFiles': '未找到支持的文件（URDF, Xacro, MJCF, DAE, STL, OBJ）',
+        'noSupportedFiles': '未找到支持的文件（URDF, Xacro, MJCF, SDF, DAE, STL, OBJ）',
         'loadSuccess': '模型加载成功',
         'cannotLoadMesh': '无法加载 mesh 文件',
 
@@ -128,6 +229,8 @@ export const translations = {
         'reloadFailed': '重新加载失败',
         'downloadFailed': '下载失败',
         'fileDownloaded': '文件已下载',
+        'noModelToExport': '没有可导出的模型',
+        'exportFailed': '导出失败',
         'emptyContent': '编辑器内容为空，无法加载',
         'fileType': '文件类型'
     },
@@ -136,9 +239,13 @@ export const translations = {
         'visual': 'Visual',
         'collision': 'Collision',
         'com': 'COM',
+        'supportPolygon': 'Support',
+        'manipulability': 'Manipulability',
         'inertia': 'Inertia',
         'axes': 'Axes',
         'jointAxes': 'Joint Axes',
+        'sites': 'Sites',
+        'freeCamera': 'Free Camera',
         'shadow': 'Shadow',
         'lighting': 'Lighting',
         'files': 'Files',
@@ -153,7 +260,12 @@ export const translations = {
         'fileList': 'Files',
         'jointControl': 'Joints',
         'modelStructure': 'Structure',
+        'modelInfo': 'Model Info',
         'codeEditor': 'Editor',
+        'xacroArgs': 'Xacro Args',
+        'loadDiagnostics': 'Load Report',
+        'modelCheck': 'Model Check',
+        'inertiaCalculator': 'Inertia',
 
         // Joint control
         'radian': 'Radian',
@@ -165,10 +277,13 @@ export const translations = {
         'mujocoReset': 'Reset',
         'mujocoSimulate': 'Simulate',
         'mujocoPause': 'Pause',
+        'mujocoLoadFailed': 'Simulation failed to load',
 
         // Code editor
         'reload': 'Reload',
         'download': 'Download',
+        'exportURDF': 'Export URDF',
+        'exportMJCF': 'Export MJCF',
         'saved': 'Saved',
         'unsaved': 'Unsaved',
         'noFileOpen': 'No File Open',
@@ -176,7 +291,7 @@ export const translations = {
         // Help dialog
         'helpTitle': `Attic Viewer v${APP_VERSION}`,
         'about': 'About',
-        'aboutContent': 'Attic Viewer is a web-based 3D viewer for robot models and scenes. Built on top of Three.js, it provides an intuitive interface for visualizing, editing, and simulating robots directly in the browser without any installation required. This tool helps you visualize and analyze robot structures, joints, and physical properties.<br><br>This project is a TypeScript rewrite of <strong>robot_viewer</strong>.<br><br>Format Support: URDF, Xacro, MJCF, USD (partial support)<br><br>Key Features:<br>• Visualization: Visual/collision geometry, inertia tensors, center of mass, coordinate frames<br>• Interactive Controls: Drag joints in real-time<br>• Measurement Tools: Measure distances between joints and links<br>• Code Editor: Built-in CodeMirror editor with syntax highlighting<br>• Physics Simulation: Integrated MuJoCo engine (MJCF models)<br><br>Developed by <strong>Atticlmr</strong>.',
+        'aboutContent': 'Attic Viewer is a web-based 3D viewer for robot models and scenes. Built on top of Three.js, it provides an intuitive interface for visualizing, editing, and simulating robots directly in the browser without any installation required. This tool helps you visualize and analyze robot structures, joints, and physical properties.<br><br>This project is a TypeScript rewrite of <strong>robot_viewer</strong>.<br><br>Format Support: URDF, Xacro, MJCF, SDF, USD (partial support)<br><br>Key Features:<br>• Visualization: Visual/collision geometry, inertia tensors, center of mass, coordinate frames<br>• Interactive Controls: Drag joints in real-time<br>• Measurement Tools: Measure distances between joints and links<br>• Code Editor: Built-in CodeMirror editor with syntax highlighting<br>• Physics Simulation: Integrated MuJoCo engine (MJCF models)<br><br>Developed by <strong>Atticlmr</strong>.',
         'projectHome': 'Project Home',
         'email': 'Email',
         'myGithub': 'GitHub',
@@ -202,10 +317,99 @@ export const translations = {
         'loadFolder': 'Load Folder',
         'orClickButton': 'or click the button below to load',
         'noControllableJoints': 'No Controllable Joints Found',
+        'mimicsJoint': 'Mimics joint',
+        'gizmoTranslate': 'Translate in viewport',
+        'gizmoRotate': 'Rotate in viewport',
+        'xacroApply': 'Re-expand',
+        'xacroDefaults': 'Defaults',
+        'xacroArgDefault': 'default',
+        'noXacroArgs': 'This file declares no xacro:arg arguments',
+        'expandedURDF': 'Expanded',
+        'expandedSourceHint': 'Click an element to jump to the macro call or source line that generated it',
+        'noDiagnostics': 'No problems found while loading',
+        'diagnosticsLocateHint': 'Click an entry to locate it in the editor and file list',
+        'diagLoadError': 'Load failed',
+        'diagMissingFile': 'Missing files',
+        'diagFallbackMatch': 'Fallback file matches',
+        'diagIgnoredElement': 'Ignored elements',
+        'diagUnitAssumption': 'Unit and default assumptions',
+        'diagParseWarning': 'Parse warnings',
+        'noLintIssues': 'No model problems found',
+        'lintNonPositiveMass': 'Mass is zero or negative',
+        'lintImplausibleMass': 'Implausible mass',
+        'lintInertiaNotPositiveDefinite': 'Inertia tensor not positive definite',
+        'lintInertiaTriangleInequality': 'Principal moments violate the triangle inequality',
+        'lintMissingJointLink': 'Joint references a missing link',
+        'lintInvertedLimits': 'Lower joint limit above upper limit',
+        'lintZeroAxis': 'Zero-length joint axis',
+        'lintDisconnectedLink': 'Link not connected to the root',
+        'lintDuplicateName': 'Duplicate name',
+        'lintCollisionOffset': 'Collision geometry far from visual',
+        'inertiaDensity': 'Density (kg/m³)',
+        'inertiaFromCollision': 'Collision geometry',
+        'inertiaFromVisual': 'Visual geometry',
+        'inertiaCompute': 'Compute',
+        'inertiaApply': 'Write',
+        'inertiaApplyAll': 'Write all',
+        'inertiaComputeHint': 'Set a density and click Compute to derive mass, COM and inertia of each link from its geometry',
+        'inertiaMass': 'Mass (kg)',
+        'inertiaDeclared': 'Declared',
+        'inertiaComputed': 'Computed',
+        'inertiaNoGeometry': 'No geometry with volume',
+        'inertiaSkippedGeometry': 'Some geometry has no volume and was left out',
+        'inertiaWritten': 'Inertials written to the editor, reload to apply',
+        'inertiaWriteUnsupported': 'Only URDF or MJCF files open in the editor can be written back',
+        'inverseKinematics': 'Inverse Kinematics',
+        'ikEndEffector': 'End effector',
+        'ikMatchOrientation': 'Match orientation',
+        'ikResetTarget': 'Reset target',
+        'ikOpenHint': 'Pick an end effector link to drag its target in the viewport',
+        'ikDragHint': 'Drag the target; the joints from the root to the end effector follow',
+        'ikNoChain': 'The model has no movable joints',
+        'ikReached': 'Reached',
+        'ikUnreachable': 'Out of reach',
+        'forwardKinematics': 'Forward Kinematics',
+        'fkReference': 'Reference',
+        'fkTarget': 'Target',
+        'fkLinks': 'Links',
+        'fkJoints': 'Joints',
+        'fkSwap': 'Swap reference and target',
+        'fkQuaternion': 'Quaternion',
+        'fkMatrix': 'Homogeneous transform',
+        'fkSelectFrames': 'Pick a reference and a target frame to see their relative pose',
+        'fkCopyOrigin': 'Copy origin',
+        'fkCopied': 'Copied',
+        'fkCopyFailed': 'Copy failed',
+        'workspace': 'Workspace',
+        'workspaceSamples': 'Samples',
+        'workspaceColorDensity': 'Colour by density',
+        'workspaceColorManipulability': 'Colour by manipulability',
+        'workspaceCompute': 'Sample',
+        'workspaceClear': 'Clear',
+        'workspaceSlice': 'Slice',
+        'workspaceSliceNone': 'No slice',
+        'workspaceThickness': 'Thickness (m)',
+        'workspaceSampling': 'Sampling',
+        'workspacePoints': 'points',
+        'workspaceHint': 'Pick an end effector and sample its joint space to show the reachable positions',
+        'workspaceFailed': 'The chain of this end effector cannot be sampled',
+        'selfCollision': 'Self-Collision',
+        'collisionLive': 'Live check',
+        'collisionPadding': 'Padding (m)',
+        'collisionLiveHint': 'Enable live checking to highlight colliding links while moving joints',
+        'collisionNone': 'No self-collision in the current pose',
+        'collisionSamples': 'Poses',
+        'collisionSweep': 'Sweep joint ranges',
+        'collisionSweeping': 'Sweeping',
+        'collisionSweepHint': 'Samples poses within the joint ranges to suggest the SRDF disabled collisions (the current pose is the default pose)',
+        'collisionPoses': 'poses',
+        'collisionEnabled': 'Checked',
+        'collisionCopy': 'Copy SRDF',
+        'collisionDownload': 'Download SRDF',
         'clickToEditMin': 'Click to edit minimum',
         'clickToEditMax': 'Click to edit maximum',
         'dropHint': 'Drag and drop robot model files or folders anywhere',
-        'dropHintSub': 'Supports URDF, Xacro, MJCF formats<br>Supports folder dragging to load mesh files',
+        'dropHintSub': 'Supports URDF, Xacro, MJCF, SDF formats<br>Supports folder dragging to load mesh files',
         'graphHint': 'Drag: Move | Scroll: Zoom | Right-click: Hide/Show | Ctrl+Click: Measure',
         'copyright': '© 2025 Ziqi Fan, Atticlmr. All rights reserved.',
 
@@ -236,7 +440,7 @@ export const translations = {
         'loading': 'Loading',
         'unsupportedFormat': 'Unsupported file format',
         'loadFailed': 'Load failed',
-        'noSupportedFiles': 'No supported files found (URDF, Xacro, MJCF, DAE, STL, OBJ)',
+        'noSupportedFiles': 'No supported files found (URDF, Xacro, MJCF, SDF, DAE, STL, OBJ)',
         'loadSuccess': 'Model loaded successfully',
         'cannotLoadMesh': 'Cannot load mesh file',
 
@@ -250,6 +454,8 @@ export const translations = {
         'reloadFailed': 'Reload failed',
         'downloadFailed': 'Download failed',
         'fileDownloaded': 'File downloaded',
+        'noModelToExport': 'No model to export',
+        'exportFailed': 'Export failed',
         'emptyContent': 'Editor content is empty, cannot load',
         'fileType': 'File Type'
     }
@@ -141,7 +141,7 @@ export class FileTreeView {
         input.style.display = 'none';
 
         if (!isFolder) {
-            input.setAttribute('accept', '.urdf,.xacro,.xml,.dae,.stl,.obj,.collada,.usd,.usda,.usdc,.usdz');
+            input.setAttribute('accept', '.urdf,.xacro,.xml,.sdf,.world,.dae,.stl,.obj,.collada,.usd,.usda,.usdc,.usdz');
         }
 
         input.addEventListener('change', (e) => {
@@ -284,7 +284,7 @@ export class FileTreeView {
 
         fileMap.forEach((file, path) => {
             const ext = file.name.split('.').pop().toLowerCase();
-            const supportedExtensions = ['urdf', 'xacro', 'xml', 'dae', 'stl', 'obj', 'collada', 'usd', 'usda', 'usdc'];
+            const supportedExtensions = ['urdf', 'xacro', 'xml', 'sdf', 'world', 'dae', 'stl', 'obj', 'collada', 'usd', 'usda', 'usdc'];
 
             if (!supportedExtensions.includes(ext)) return;
 
@@ -390,7 +390,7 @@ export class FileTreeView {
      */
     renderFiles(files, container) {
         files.sort((a, b) => {
-            const modelExts = ['urdf', 'xacro', 'xml', 'usd', 'usda', 'usdc'];
+            const modelExts = ['urdf', 'xacro', 'xml', 'sdf', 'world', 'usd', 'usda', 'usdc'];
             const aIsModel = modelExts.includes(a.ext);
             const bIsModel = modelExts.includes(b.ext);
 
@@ -440,7 +440,7 @@ export class FileTreeView {
         // Add type label (e.g., URDF, XACRO, STL, etc.)
         if (name && name.includes('.')) {
             const extUpper = name.split('.').pop().toUpperCase();
-            const displayExtensions = ['URDF', 'XACRO', 'XML', 'DAE', 'STL', 'OBJ', 'USD', 'USDA', 'USDC', 'USDZ'];
+            const displayExtensions = ['URDF', 'XACRO', 'XML', 'SDF', 'WORLD', 'DAE', 'STL', 'OBJ', 'USD', 'USDA', 'USDC', 'USDZ'];
             if (displayExtensions.includes(extUpper)) {
                 const badge = document.createElement('span');
                 badge.className = 'type-badge';
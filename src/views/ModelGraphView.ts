@@ -3,6 +3,7 @@
  * Responsible for drawing and managing model tree structure graph
  */
 import * as d3 from 'd3';
+import { URDFAdapter } from '../adapters/URDFAdapter.js';
 
 export class ModelGraphView {
     sceneManager: any;
@@ -181,6 +182,9 @@ export class ModelGraphView {
             })
             .style('cursor', 'pointer');
 
+        // Actuators and sensors attached to each joint / body
+        const actuation = this.collectActuation(model);
+
         // Add two lines of text: first line is joint name, second line is joint type
         joints.each(function(d) {
             const jointGroup = d3.select(this);
@@ -220,6 +224,9 @@ export class ModelGraphView {
             const capsuleHeight = paddingY * 2 + lineHeight * 2; // Height of two lines
             const radius = capsuleHeight / 2; // Capsule shape: use half of height as radius
 
+            // Actuated joints get an accent outline
+            const isActuated = actuation.jointActuators.has((d as any).target.data?.jointName);
+
             // Insert capsule background (fully rounded capsule shape)
             jointGroup.insert('rect', 'text')
                 .attr('class', 'joint-capsule-bg')
@@ -229,8 +236,8 @@ export class ModelGraphView {
                 .attr('height', capsuleHeight)
                 .attr('rx', radius) // Use half of height as corner radius to form capsule shape
                 .style('fill', nodeColors.bg)
-                .style('stroke', nodeColors.stroke)
-                .style('stroke-width', '1.5');
+                .style('stroke', isActuated ? '#ffaa00' : nodeColors.stroke)
+                .style('stroke-width', isActuated ? '2' : '1.5');
 
             // Insert border (for highlight effect)
             jointGroup.insert('rect', '.joint-capsule-bg')
@@ -309,9 +316,26 @@ export class ModelGraphView {
             }
         });
 
-        // Add tooltip
+        // Add tooltip (with actuators and sensors of the joint)
         joints.append('title')
-            .text((d: any) => `${d.target.data?.jointName} (${d.target.data?.jointType || 'joint'})`);
+            .text((d: any) => {
+                const jointName = d.target.data?.jointName;
+                const lines = [`${jointName} (${d.target.data?.jointType || 'joint'})`];
+                (actuation.jointActuators.get(jointName) || []).forEach(actuator => {
+                    lines.push(this.describeActuator(actuator));
+                });
+                (actuation.jointSensors.get(jointName) || []).forEach(sensor => {
+                    lines.push(`Sensor ${sensor.name}: ${sensor.type}`);
+                });
+                URDFAdapter.getJointTransmissions(model, jointName).forEach(transmission => {
+                    lines.push(URDFAdapter.describeTransmission(transmission));
+                });
+                const gazeboBlock = model.userData?.gazebo?.references?.[jointName];
+                if (gazeboBlock) {
+                    lines.push(URDFAdapter.describeGazeboReference(gazeboBlock));
+                }
+                return lines.join('\n');
+            });
 
         // Draw nodes
         const nodeGroup = container.append('g').attr('class', 'nodes');
@@ -365,6 +389,38 @@ export class ModelGraphView {
                 .style('stroke-width', '3');
         });
 
+        // Tooltip with the link's gazebo extension block
+        node.filter((d: any) => !!model.userData?.gazebo?.references?.[d.data.name])
+            .append('title')
+            .text((d: any) => `${d.data.name}\n${URDFAdapter.describeGazeboReference(model.userData.gazebo.references[d.data.name])}`);
+
+        // Sensor badge on bodies carrying sensors (site/body sensors)
+        node.filter((d: any) => actuation.bodySensors.has(d.data.name))
+            .each(function(d: any) {
+                const nodeGroup = d3.select(this);
+                const bg = nodeGroup.select('.node-bg');
+                const sensors = actuation.bodySensors.get(d.data.name);
+                const x = parseFloat(bg.attr('x')) + parseFloat(bg.attr('width'));
+                const y = parseFloat(bg.attr('y'));
+
+                const badge = nodeGroup.append('g')
+                    .attr('class', 'sensor-badge')
+                    .attr('transform', `translate(${x}, ${y})`);
+                badge.append('circle')
+                    .attr('r', 9)
+                    .style('fill', '#66cc66');
+                badge.append('text')
+                    .attr('dy', 4)
+                    .attr('text-anchor', 'middle')
+                    .style('font-size', '11px')
+                    .style('font-weight', '600')
+                    .style('fill', '#1a1a1a')
+                    .style('user-select', 'none')
+                    .text(sensors.length);
+                badge.append('title')
+                    .text(sensors.map(sensor => `Sensor ${sensor.name}: ${sensor.type}${sensor.objectName ? ` (${sensor.objectName})` : ''}`).join('\n'));
+            });
+
         node.on('click', (event, d) => {
             event.stopPropagation();
 
@@ -576,6 +632,38 @@ export class ModelGraphView {
             });
         }
 
+        // Draw tendons (dashed path through the bodies they route over)
+        if (model.tendons && model.tendons.size > 0) {
+            const tendonGroup = container.append('g').attr('class', 'tendons');
+
+            model.tendons.forEach((tendon) => {
+                const bodies = [];
+                tendon.elements.forEach(element => {
+                    if (element.body && bodies[bodies.length - 1] !== element.body) {
+                        bodies.push(element.body);
+                    }
+                });
+
+                const points = bodies
+                    .map(body => hierarchy.descendants().find(d => d.data.name === body))
+                    .filter(Boolean)
+                    .map((d: any) => [d.x + 50, d.y + 50] as [number, number]);
+                if (points.length < 2) return;
+
+                tendonGroup.append('path')
+                    .attr('d', d3.line()(points))
+                    .style('fill', 'none')
+                    .style('stroke', '#cc66ff')
+                    .style('stroke-width', '2')
+                    .style('stroke-dasharray', '2,4')
+                    .style('opacity', '0.6')
+                    .append('title')
+                    .text(`Tendon ${tendon.name} (${tendon.type}): ${tendon.elements.filter(e => e.name).map(e => e.name).join(' → ')}`);
+            });
+        }
+
+        this.markLintIssues(model.userData?.lintIssues || []);
+
         // After initialization, auto-fit view to fill container
         // Use brief delay to ensure DOM is fully rendered
         setTimeout(() => {
@@ -583,6 +671,51 @@ export class ModelGraphView {
         }, 50);
     }
 
+    /**
+     * Outline link and joint nodes that have model check issues
+     * @param {Array} issues - From ModelLinter.lint
+     */
+    markLintIssues(issues) {
+        const svg = d3.select('#model-graph-svg');
+        const flagged = { link: new Map<string, string>(), joint: new Map<string, string>() };
+        issues.forEach(issue => {
+            // Errors win over warnings on the same element
+            if (flagged[issue.kind].get(issue.name) !== 'error') {
+                flagged[issue.kind].set(issue.name, issue.severity);
+            }
+        });
+
+        svg.selectAll('.graph-node:not(.ground-node)').each(function (d: any) {
+            const severity = flagged.link.get(d?.data?.name);
+            d3.select(this)
+                .classed('lint-error', severity === 'error')
+                .classed('lint-warning', severity === 'warning');
+        });
+        svg.selectAll('.graph-joint-group').each(function (d: any) {
+            const severity = flagged.joint.get(d?.target?.data?.jointName);
+            d3.select(this)
+                .classed('lint-error', severity === 'error')
+                .classed('lint-warning', severity === 'warning');
+        });
+    }
+
+    /**
+     * Select a link or joint node as if it was clicked (highlight and jump to code)
+     * @param {string} kind - 'link' or 'joint'
+     * @param {string} name - Element name
+     * @returns {boolean} false when the element has no node in the graph
+     */
+    selectElement(kind, name) {
+        const svg = d3.select('#model-graph-svg');
+        const target = kind === 'link'
+            ? svg.selectAll('.graph-node:not(.ground-node)').filter((d: any) => d?.data?.name === name)
+            : svg.selectAll('.graph-joint-group').filter((d: any) => d?.target?.data?.jointName === name);
+
+        if (target.empty()) return false;
+        target.dispatch('click');
+        return true;
+    }
+
     /**
      * Build hierarchy data
      */
@@ -626,6 +759,51 @@ export class ModelGraphView {
         return node;
     }
 
+    /**
+     * Group actuators and sensors by the joint / body they act on
+     */
+    collectActuation(model) {
+        const jointActuators = new Map<string, any[]>();
+        const jointSensors = new Map<string, any[]>();
+        const bodySensors = new Map<string, any[]>();
+
+        const push = (map, key, value) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(value);
+        };
+
+        model.actuators?.forEach(actuator => {
+            if (actuator.targetType === 'joint' && actuator.target) {
+                push(jointActuators, actuator.target, actuator);
+            }
+        });
+
+        model.sensors?.forEach(sensor => {
+            if (sensor.objectType === 'joint' && sensor.objectName) {
+                push(jointSensors, sensor.objectName, sensor);
+            } else if (sensor.body) {
+                push(bodySensors, sensor.body, sensor);
+            }
+        });
+
+        return { jointActuators, jointSensors, bodySensors };
+    }
+
+    /**
+     * One-line actuator description for tooltips
+     */
+    describeActuator(actuator) {
+        const formatNumber = (value) => String(+value.toFixed(4));
+        let text = `Actuator ${actuator.name}: ${actuator.type}, gear ${formatNumber(actuator.gear[0])}`;
+        if (actuator.ctrlRange) {
+            text += `, ctrl [${actuator.ctrlRange.map(formatNumber).join(', ')}]`;
+        }
+        if (actuator.kp !== null) {
+            text += `, kp ${formatNumber(actuator.kp)}`;
+        }
+        return text;
+    }
+
     /**
      * Setup document-level click handler (for clicks outside panel)
      */